@@ -1,5 +1,6 @@
-const { app, BrowserWindow, dialog, ipcMain } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain, shell } = require('electron');
 const path = require('path');
+const fs = require('fs');
 
 let mainWindow;
 
@@ -54,6 +55,40 @@ app.whenReady().then(async () => {
     const success = await musicLibrary.init();
     
     if (success) {
+      await musicLibrary.recoverInterruptedScanJobs();
+
+      // Keep previously scanned folders in sync and tell the renderer when tracks change
+      await musicLibrary.startWatching((change) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('library-changed', change);
+        }
+      });
+
+      // Analyze new and changed audio in the background; finished tracks get fresh rule tags
+      musicLibrary.startAudioAnalysis((status) => {
+        if (!mainWindow || mainWindow.isDestroyed()) return;
+        mainWindow.webContents.send('analysis-progress', status);
+
+        const analyzed = status.processed - status.failed;
+        if (status.state !== 'running' && analyzed > 0) {
+          mainWindow.webContents.send('library-changed', {
+            paths: 0,
+            added: 0,
+            updated: analyzed,
+            moved: 0,
+            removed: 0,
+            errors: status.failed,
+            timestamp: status.finishedAt
+          });
+        }
+      });
+
+      // Files are rewritten in the background after tag changes when writeback is enabled
+      musicLibrary.startTagWriteback((status) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('writeback-progress', status);
+        }
+      });
     } else {
       console.error('❌ Failed to initialize music library system');
       musicLibrary = null;
@@ -85,7 +120,7 @@ ipcMain.handle('select-music-directory', async () => {
 });
 
 // Scan directory for music files
-ipcMain.handle('scan-directory', async (event, directory) => {
+ipcMain.handle('scan-directory', async (event, directory, options = {}) => {
   if (!musicLibrary || !musicLibrary.isReady()) {
     throw new Error('Music library system not ready');
   }
@@ -97,8 +132,11 @@ ipcMain.handle('scan-directory', async (event, directory) => {
       if (mainWindow && !mainWindow.isDestroyed()) {
         mainWindow.webContents.send('scan-progress', progress);
       }
-    });
-    
+    }, options);
+
+    if (!results.cancelled) {
+      musicLibrary.watchDirectory(directory);
+    }
     return results;
   } catch (error) {
     console.error('Scan error:', error);
@@ -106,6 +144,268 @@ ipcMain.handle('scan-directory', async (event, directory) => {
   }
 });
 
+// Resume an interrupted scan job
+ipcMain.handle('resume-scan-job', async (event, jobId) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    const results = await musicLibrary.resumeScanJob(jobId, (progress) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('scan-progress', progress);
+      }
+    });
+
+    if (!results.cancelled) {
+      musicLibrary.watchDirectory(results.root);
+    }
+    return results;
+  } catch (error) {
+    console.error('Resume scan error:', error);
+    throw error;
+  }
+});
+
+// Library roots
+ipcMain.handle('get-library-roots', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return [];
+  }
+
+  try {
+    return await musicLibrary.getLibraryRoots();
+  } catch (error) {
+    console.error('Error getting library roots:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('add-library-root', async (event, directory) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.addLibraryRoot(directory);
+  } catch (error) {
+    console.error('Error adding library root:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('remove-library-root', async (event, rootId, options = {}) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.removeLibraryRoot(rootId, options);
+  } catch (error) {
+    console.error('Error removing library root:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('rescan-library-root', async (event, rootId, options = {}) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.rescanLibraryRoot(rootId, (progress) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('scan-progress', progress);
+      }
+    }, options);
+  } catch (error) {
+    console.error('Rescan error:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('relocate-library-root', async (event, rootId, newPath) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.relocateLibraryRoot(rootId, newPath);
+  } catch (error) {
+    console.error('Error relocating library root:', error);
+    throw error;
+  }
+});
+
+// Pause, resume or cancel the running scan
+ipcMain.handle('pause-scan', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+  return musicLibrary.pauseScan();
+});
+
+ipcMain.handle('resume-scan', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+  return musicLibrary.resumeScan();
+});
+
+ipcMain.handle('cancel-scan', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+  return musicLibrary.cancelScan();
+});
+
+ipcMain.handle('cancel-scan-job', async (event, jobId) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+
+  try {
+    return await musicLibrary.cancelScanJob(jobId);
+  } catch (error) {
+    console.error('Error cancelling scan job:', error);
+    return false;
+  }
+});
+
+// Scan job log
+ipcMain.handle('get-scan-jobs', async (event, limit = 20) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return [];
+  }
+
+  try {
+    return await musicLibrary.getScanJobs(limit);
+  } catch (error) {
+    console.error('Error getting scan jobs:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('get-scan-job-errors', async (event, jobId) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return [];
+  }
+
+  try {
+    return await musicLibrary.getScanJobErrors(jobId);
+  } catch (error) {
+    console.error('Error getting scan job errors:', error);
+    return [];
+  }
+});
+
+// Retry files that failed in a scan job
+ipcMain.handle('retry-scan-files', async (event, jobId, filePaths) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.retryScanFiles(jobId, filePaths);
+  } catch (error) {
+    console.error('Retry scan error:', error);
+    throw error;
+  }
+});
+
+// Export a scan job's failures as CSV
+ipcMain.handle('export-scan-errors', async (event, jobId) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Scan Errors',
+      defaultPath: `scan-errors-${jobId}.csv`,
+      filters: [{ name: 'CSV', extensions: ['csv'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return null;
+    }
+
+    const csv = await musicLibrary.getScanJobErrorsCsv(jobId);
+    await fs.promises.writeFile(result.filePath, csv, 'utf8');
+    return result.filePath;
+  } catch (error) {
+    console.error('Error exporting scan errors:', error);
+    return null;
+  }
+});
+
+// Scan rules (extensions, exclude patterns, minimums, symlinks)
+ipcMain.handle('get-scan-rules', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getScanRules();
+  } catch (error) {
+    console.error('Error getting scan rules:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('save-scan-rules', async (event, rules) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.saveScanRules(rules);
+  } catch (error) {
+    console.error('Error saving scan rules:', error);
+    return null;
+  }
+});
+
+// Scan ignore list
+ipcMain.handle('ignore-scan-paths', async (event, paths, jobId = null) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+
+  try {
+    return await musicLibrary.ignoreScanPaths(paths, jobId);
+  } catch (error) {
+    console.error('Error ignoring paths:', error);
+    return false;
+  }
+});
+
+ipcMain.handle('unignore-scan-paths', async (event, paths) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+
+  try {
+    return await musicLibrary.unignoreScanPaths(paths);
+  } catch (error) {
+    console.error('Error removing ignored paths:', error);
+    return false;
+  }
+});
+
+ipcMain.handle('get-ignored-paths', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return [];
+  }
+
+  try {
+    return await musicLibrary.getIgnoredPaths();
+  } catch (error) {
+    console.error('Error getting ignored paths:', error);
+    return [];
+  }
+});
+
 // Get library statistics
 ipcMain.handle('get-stats', async () => {
   if (!musicLibrary || !musicLibrary.isReady()) {
@@ -120,6 +420,20 @@ ipcMain.handle('get-stats', async () => {
   }
 });
 
+// Get database schema version
+ipcMain.handle('get-schema-version', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getSchemaVersion();
+  } catch (error) {
+    console.error('Error getting schema version:', error);
+    return null;
+  }
+});
+
 // Search operations
 ipcMain.handle('search-tracks', async (event, query, options = {}) => {
   if (!musicLibrary || !musicLibrary.isReady()) {
@@ -134,6 +448,20 @@ ipcMain.handle('search-tracks', async (event, query, options = {}) => {
   }
 });
 
+// Search with the query language; errors come back with their position in the query
+ipcMain.handle('search-query', async (event, query, options = {}) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return { tracks: [], errors: [], corrections: {}, facets: null };
+  }
+
+  try {
+    return await musicLibrary.searchByQuery(query, options);
+  } catch (error) {
+    console.error('Query search error:', error);
+    return { tracks: [], errors: [], corrections: {}, facets: null };
+  }
+});
+
 ipcMain.handle('get-all-tracks', async (event, limit = 100) => {
   if (!musicLibrary || !musicLibrary.isReady()) {
     return [];
@@ -169,6 +497,421 @@ ipcMain.handle('add-tag-to-track', async (event, track, tag) => {
   }
 });
 
+// Tags with how many tracks use them, for the add-tag autocomplete
+ipcMain.handle('get-tag-usage', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getTagUsage();
+  } catch (error) {
+    console.error('Error getting tag usage:', error);
+    return null;
+  }
+});
+
+// Which tags appear together, for the tag graph
+ipcMain.handle('get-tag-cooccurrence', async (event, limit) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getTagCooccurrence(limit);
+  } catch (error) {
+    console.error('Error getting tag co-occurrence:', error);
+    return null;
+  }
+});
+
+// Remove a tag from a track; the result can be undone with undo-tag-operation
+ipcMain.handle('remove-tag-from-track', async (event, track, tag) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.removeTagFromTrack(track, tag);
+  } catch (error) {
+    console.error('Error removing tag from track:', error);
+    throw error;
+  }
+});
+
+// Rule-based tag generation
+ipcMain.handle('get-tag-rules', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getTagRules();
+  } catch (error) {
+    console.error('Error getting tag rules:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('open-tag-rules', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  const { path: rulesPath } = await musicLibrary.getTagRules();
+  if (!rulesPath) {
+    throw new Error('This library uses the built-in tag rules');
+  }
+
+  // openPath resolves to an error message, empty on success
+  const error = await shell.openPath(rulesPath);
+  if (error) {
+    throw new Error(error);
+  }
+  return rulesPath;
+});
+
+ipcMain.handle('regenerate-tags', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.regenerateTags();
+  } catch (error) {
+    console.error('Error regenerating tags:', error);
+    throw error;
+  }
+});
+
+// Tag taxonomy
+ipcMain.handle('get-tag-taxonomy', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getTagTaxonomy();
+  } catch (error) {
+    console.error('Error getting tag taxonomy:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('save-tag-taxonomy', async (event, taxonomy) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.saveTagTaxonomy(taxonomy);
+  } catch (error) {
+    console.error('Error saving tag taxonomy:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('import-tag-taxonomy', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Tag Taxonomy',
+    properties: ['openFile'],
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  try {
+    const json = await fs.promises.readFile(result.filePaths[0], 'utf8');
+    return await musicLibrary.importTagTaxonomy(json);
+  } catch (error) {
+    console.error('Error importing tag taxonomy:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('export-tag-taxonomy', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Tag Taxonomy',
+      defaultPath: 'tag-taxonomy.json',
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return null;
+    }
+
+    await fs.promises.writeFile(result.filePath, musicLibrary.exportTagTaxonomy(), 'utf8');
+    return result.filePath;
+  } catch (error) {
+    console.error('Error exporting tag taxonomy:', error);
+    return null;
+  }
+});
+
+// Smart crates: saved searches and tag selections
+ipcMain.handle('get-smart-crates', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return [];
+  }
+
+  try {
+    return await musicLibrary.getSmartCrates();
+  } catch (error) {
+    console.error('Error getting smart crates:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('save-smart-crate', async (event, crate) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.saveSmartCrate(crate);
+  } catch (error) {
+    console.error('Error saving smart crate:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('delete-smart-crate', async (event, crateId) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+
+  try {
+    return await musicLibrary.deleteSmartCrate(crateId);
+  } catch (error) {
+    console.error('Error deleting smart crate:', error);
+    return false;
+  }
+});
+
+ipcMain.handle('get-smart-crate-tracks', async (event, crateId, limit = 100) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return [];
+  }
+
+  try {
+    return await musicLibrary.getSmartCrateTracks(crateId, limit);
+  } catch (error) {
+    console.error('Error getting smart crate tracks:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('export-smart-crates', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Smart Crates',
+      defaultPath: 'smart-crates.json',
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return null;
+    }
+
+    await fs.promises.writeFile(result.filePath, await musicLibrary.exportSmartCrates(), 'utf8');
+    return result.filePath;
+  } catch (error) {
+    console.error('Error exporting smart crates:', error);
+    return null;
+  }
+});
+
+// Library-wide tag operations
+ipcMain.handle('preview-tag-operation', async (event, operation) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.previewTagOperation(operation);
+  } catch (error) {
+    console.error('Error previewing tag operation:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('apply-tag-operation', async (event, operation) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.applyTagOperation(operation);
+  } catch (error) {
+    console.error('Error applying tag operation:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('batch-edit-tags', async (event, tracks, edit) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.batchEditTags(tracks, edit);
+  } catch (error) {
+    console.error('Error editing tags of selected tracks:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('undo-tag-operation', async (event, operationId) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.undoTagOperation(operationId);
+  } catch (error) {
+    console.error('Error undoing tag operation:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('get-tag-operations', async (event, limit) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getTagOperations(limit);
+  } catch (error) {
+    console.error('Error getting tag operations:', error);
+    return null;
+  }
+});
+
+// Virtual tag categories
+ipcMain.handle('get-virtual-tag-settings', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getVirtualTagSettings();
+  } catch (error) {
+    console.error('Error getting virtual tag settings:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('save-virtual-tag-settings', async (event, settings) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.saveVirtualTagSettings(settings);
+  } catch (error) {
+    console.error('Error saving virtual tag settings:', error);
+    throw error;
+  }
+});
+
+// Audio analysis
+ipcMain.handle('get-analysis-status', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getAnalysisStatus();
+  } catch (error) {
+    console.error('Error getting analysis status:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('analyze-audio', async (event, options = {}) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  return musicLibrary.analyzeAudio(options);
+});
+
+ipcMain.handle('cancel-audio-analysis', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return false;
+  }
+
+  return musicLibrary.cancelAudioAnalysis();
+});
+
+// Tag writeback into audio files
+ipcMain.handle('get-writeback-settings', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.getWritebackSettings();
+  } catch (error) {
+    console.error('Error getting writeback settings:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('save-writeback-settings', async (event, settings) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return null;
+  }
+
+  try {
+    return await musicLibrary.saveWritebackSettings(settings);
+  } catch (error) {
+    console.error('Error saving writeback settings:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('write-tags-to-files', async (event, trackIds = null, options = {}) => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    throw new Error('Music library system not ready');
+  }
+
+  try {
+    return await musicLibrary.writeTagsToFiles(trackIds, options);
+  } catch (error) {
+    console.error('Error writing tags to files:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('get-writeback-status', async () => {
+  if (!musicLibrary || !musicLibrary.isReady()) {
+    return { summary: {}, failed: [] };
+  }
+
+  try {
+    return await musicLibrary.getWritebackStatus();
+  } catch (error) {
+    console.error('Error getting writeback status:', error);
+    return { summary: {}, failed: [] };
+  }
+});
+
 // Clear database
 ipcMain.handle('clear-database', async () => {
   if (!musicLibrary || !musicLibrary.isReady()) {
@@ -184,12 +927,16 @@ ipcMain.handle('clear-database', async () => {
 });
 
 // Cleanup on app quit
-app.on('before-quit', () => {
-  if (musicLibrary) {
-    try {
-      musicLibrary.close();
-    } catch (error) {
-      console.error('Error closing music library:', error);
-    }
+app.on('before-quit', (event) => {
+  if (!musicLibrary) {
+    return;
   }
+
+  // Quit once pending library work (e.g. a tag write) has finished and the database is closed
+  event.preventDefault();
+  const library = musicLibrary;
+  musicLibrary = null;
+  library.close()
+    .catch(error => console.error('Error closing music library:', error))
+    .finally(() => app.quit());
 });
\ No newline at end of file
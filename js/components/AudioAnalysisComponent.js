@@ -0,0 +1,162 @@
+/**
+ * AudioAnalysisComponent - Progress of the background audio analysis
+ * Tempo, key, loudness and energy are measured from the audio of new and changed tracks
+ */
+class AudioAnalysisComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.summary = null;
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+        this.subscribeToEvents();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadStatus();
+        }, 1500);
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('AudioAnalysisComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = `
+            <details class="scan-settings-panel">
+                <summary>Audio Analysis</summary>
+                <div class="analysis-status" id="analysisStatus"></div>
+                <div class="analysis-current" id="analysisCurrent"></div>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="retryAnalysisButton">Retry failed</button>
+                    <button class="scan-control-button" id="cancelAnalysisButton">Stop</button>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            status: document.getElementById('analysisStatus'),
+            current: document.getElementById('analysisCurrent'),
+            retryButton: document.getElementById('retryAnalysisButton'),
+            cancelButton: document.getElementById('cancelAnalysisButton')
+        };
+
+        if (this.elements.retryButton) {
+            this.elements.retryButton.onclick = () => this.retryFailed();
+        }
+        if (this.elements.cancelButton) {
+            this.elements.cancelButton.onclick = () => this.cancel();
+        }
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        this.unsubscribers.push(this.eventBus.on('analysis:progress', (status) => {
+            this.render(status);
+            if (status.state !== 'running') {
+                this.loadStatus();
+            }
+        }));
+        this.unsubscribers.push(this.eventBus.on('database:cleared', () => this.loadStatus()));
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async loadStatus() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const status = await dataService.getAnalysisStatus();
+            if (status) {
+                this.summary = status.summary;
+                this.render(status);
+            }
+        } catch (error) {
+            console.error('AudioAnalysisComponent: Error loading analysis status:', error);
+        }
+    }
+
+    render(status) {
+        if (!this.elements.status) return;
+
+        const running = status.state === 'running';
+        let text;
+        if (running) {
+            text = `Analyzing ${Math.min(status.processed + 1, status.total)} of ${status.total}`;
+            if (status.failed > 0) text += `, ${status.failed} failed`;
+        } else if (this.summary) {
+            text = `${this.summary.analyzed} analyzed, ${this.summary.pending} pending, ${this.summary.failed} failed`;
+        } else {
+            text = 'Not analyzed yet';
+        }
+        if (status.state === 'failed' && status.error) {
+            text = `Analysis stopped: ${status.error}`;
+        }
+
+        this.elements.status.textContent = text;
+        this.elements.status.classList.toggle('error', status.state === 'failed');
+        this.elements.current.textContent = running && status.current ? status.current.split(/[\\/]/).pop() : '';
+        this.elements.current.title = running && status.current ? status.current : '';
+        this.elements.cancelButton.disabled = !running;
+        this.elements.retryButton.disabled = running || !this.summary || this.summary.failed === 0;
+    }
+
+    async retryFailed() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            this.render(await dataService.analyzeAudio({ retryFailed: true }));
+        } catch (error) {
+            alert('Error starting audio analysis: ' + error.message);
+        }
+    }
+
+    async cancel() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        this.elements.cancelButton.disabled = true;
+        await dataService.cancelAudioAnalysis();
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.AudioAnalysisComponent = AudioAnalysisComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AudioAnalysisComponent;
+}
@@ -0,0 +1,316 @@
+/**
+ * BatchTagsComponent - Tag editing for the tracks selected with ctrl/shift-click or the canvas lasso
+ * Adds and removes tags, sets the rating and applies a taxonomy value on all selected tracks
+ * in one database transaction, undone as a whole.
+ */
+class BatchTagsComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.tracks = [];
+        this.taxonomy = null;
+        this.removeTags = new Set();
+        this.renderTimer = null;
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+        this.subscribeToEvents();
+        this.render();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadTaxonomy();
+        }, 1500);
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('BatchTagsComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = `
+            <details class="scan-settings-panel" id="batchTagsPanel">
+                <summary>Selected Tracks</summary>
+                <div class="taxonomy-status" id="batchTagsCount"></div>
+                <div class="batch-tags-form" id="batchTagsForm">
+                    <input type="text" class="tag-manager-input" id="batchTagsAdd" placeholder="Add tags, comma separated">
+                    <div class="batch-tags-row">
+                        <select id="batchTagsRating"></select>
+                    </div>
+                    <div class="batch-tags-row">
+                        <select id="batchTagsCategory"></select>
+                        <select id="batchTagsValue"></select>
+                        <label class="taxonomy-toggle" title="Remove the tracks' other values in this category">
+                            <input type="checkbox" id="batchTagsReplace"><span>Replace</span>
+                        </label>
+                    </div>
+                    <div class="batch-tags-hint">Tick tags to remove them</div>
+                    <div class="tag-manager-list" id="batchTagsCurrent"></div>
+                </div>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="batchTagsApplyButton">Apply</button>
+                    <button class="scan-control-button" id="batchTagsClearButton">Clear selection</button>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            panel: document.getElementById('batchTagsPanel'),
+            count: document.getElementById('batchTagsCount'),
+            form: document.getElementById('batchTagsForm'),
+            add: document.getElementById('batchTagsAdd'),
+            rating: document.getElementById('batchTagsRating'),
+            category: document.getElementById('batchTagsCategory'),
+            value: document.getElementById('batchTagsValue'),
+            replace: document.getElementById('batchTagsReplace'),
+            current: document.getElementById('batchTagsCurrent'),
+            applyButton: document.getElementById('batchTagsApplyButton'),
+            clearButton: document.getElementById('batchTagsClearButton')
+        };
+
+        if (this.elements.category) {
+            this.elements.category.onchange = () => this.renderValues();
+        }
+        if (this.elements.applyButton) {
+            this.elements.applyButton.onclick = () => this.apply();
+        }
+        if (this.elements.clearButton) {
+            this.elements.clearButton.onclick = () => this.getSelectionService()?.clear();
+        }
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        this.unsubscribers.push(this.eventBus.on('tracks:selection-changed', ({ tracks }) => {
+            // Open the panel when a selection starts
+            if (this.tracks.length === 0 && tracks.length > 0 && this.elements.panel) {
+                this.elements.panel.open = true;
+            }
+            this.tracks = tracks;
+            this.render();
+        }));
+        this.unsubscribers.push(this.eventBus.on('track:tags-changed', () => this.scheduleRender()));
+        this.unsubscribers.push(this.eventBus.on('tags:taxonomy-changed', ({ taxonomy }) => {
+            this.taxonomy = taxonomy;
+            this.renderTaxonomy();
+        }));
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    getSelectionService() {
+        return window.serviceManager?.getService('selection') || null;
+    }
+
+    async loadTaxonomy() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            this.taxonomy = await dataService.getTagTaxonomy();
+            this.renderTaxonomy();
+        } catch (error) {
+            console.error('BatchTagsComponent: Error loading taxonomy:', error);
+        }
+    }
+
+    // A batch edit changes many tracks; render once after the last one
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), 0);
+    }
+
+    render() {
+        if (!this.elements.count) return;
+
+        const count = this.tracks.length;
+        this.elements.count.textContent = count > 0
+            ? `${count} track${count === 1 ? '' : 's'} selected`
+            : 'Ctrl-click or shift-click tracks, or shift-drag on the canvas, to select them';
+        this.elements.form.hidden = count === 0;
+        this.elements.applyButton.disabled = count === 0;
+        this.elements.clearButton.disabled = count === 0;
+        this.renderCurrentTags();
+    }
+
+    /**
+     * Tags present on the selection, with how many selected tracks have each
+     */
+    renderCurrentTags() {
+        const counts = new Map();
+        this.tracks.forEach(track => {
+            (track.tags || [])
+                .filter(tag => !(track.derivedTags && track.derivedTags[tag]))
+                .forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        this.removeTags = new Set([...this.removeTags].filter(tag => counts.has(tag)));
+
+        this.elements.current.innerHTML = '';
+        [...counts.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([tag, count]) => {
+            const label = document.createElement('label');
+            label.className = 'scan-setting scan-setting-inline';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.removeTags.has(tag);
+            checkbox.onchange = () => {
+                if (checkbox.checked) {
+                    this.removeTags.add(tag);
+                } else {
+                    this.removeTags.delete(tag);
+                }
+            };
+
+            const name = document.createElement('span');
+            name.className = 'stat-label';
+            name.textContent = `${tag} (${count})`;
+
+            label.append(checkbox, name);
+            this.elements.current.appendChild(label);
+        });
+    }
+
+    renderTaxonomy() {
+        if (!this.taxonomy || !this.elements.rating) return;
+
+        const rating = this.taxonomy.categories.find(category => category.name === 'rating');
+        this.fillSelect(this.elements.rating, [
+            ['', 'Rating: unchanged'],
+            ['-', 'Rating: none'],
+            ...(rating ? rating.values.map(value => [value, `Rating: ${value}`]) : [])
+        ]);
+
+        const withValues = this.taxonomy.categories.filter(category => category.values.length > 0);
+        this.fillSelect(this.elements.category, [
+            ['', 'Category…'],
+            ...withValues.map(category => [category.name, category.label])
+        ]);
+        this.renderValues();
+    }
+
+    renderValues() {
+        const category = this.taxonomy?.categories.find(entry => entry.name === this.elements.category.value);
+        this.fillSelect(this.elements.value, category ? category.values.map(value => [value, value]) : []);
+        this.elements.value.disabled = !category;
+    }
+
+    fillSelect(select, options) {
+        select.innerHTML = '';
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * The edit the form describes
+     * @returns {Object} {add, remove, replaceCategories}
+     */
+    getEdit() {
+        const add = this.elements.add.value.split(',').map(tag => tag.trim()).filter(Boolean);
+        const replaceCategories = [];
+
+        const rating = this.elements.rating.value;
+        if (rating) {
+            replaceCategories.push('rating');
+            if (rating !== '-') add.push(`rating:${rating}`);
+        }
+
+        const category = this.elements.category.value;
+        if (category && this.elements.value.value) {
+            add.push(`${category}:${this.elements.value.value}`);
+            if (this.elements.replace.checked) replaceCategories.push(category);
+        }
+
+        return { add, remove: [...this.removeTags], replaceCategories };
+    }
+
+    async apply() {
+        const dataService = this.getDataService();
+        if (!dataService || this.tracks.length === 0) return;
+
+        const edit = this.getEdit();
+        if (edit.add.length === 0 && edit.remove.length === 0 && edit.replaceCategories.length === 0) {
+            this.notify('Nothing to change', 'warning');
+            return;
+        }
+
+        this.elements.applyButton.disabled = true;
+        try {
+            const result = await dataService.batchEditTags(this.tracks, edit);
+            this.resetForm();
+            if (!result.id) {
+                this.notify('The selected tracks already had these tags', 'info');
+                return;
+            }
+
+            const message = `Updated tags on ${result.changes.length} track${result.changes.length === 1 ? '' : 's'}`;
+            const uiService = window.serviceManager?.getService('ui');
+            if (uiService) {
+                uiService.showUndoToast(message, () => dataService.undoBatchEdit(result));
+            } else {
+                this.notify(message, 'success');
+            }
+        } catch (error) {
+            alert('Error editing tags: ' + error.message);
+        } finally {
+            this.elements.applyButton.disabled = this.tracks.length === 0;
+        }
+    }
+
+    resetForm() {
+        this.elements.add.value = '';
+        this.elements.rating.value = '';
+        this.elements.category.value = '';
+        this.elements.replace.checked = false;
+        this.removeTags.clear();
+        this.renderValues();
+    }
+
+    notify(message, type) {
+        if (this.eventBus) {
+            this.eventBus.emit('ui:notification', { message, type });
+        }
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        clearTimeout(this.renderTimer);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.BatchTagsComponent = BatchTagsComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchTagsComponent;
+}
@@ -0,0 +1,226 @@
+/**
+ * LibraryRootsComponent - Library folders shown above the library tree
+ * Lists each root with its track count and online state, with add/rescan/relocate/remove actions
+ */
+class LibraryRootsComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.roots = [];
+        this.busyRootId = null;
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.subscribeToEvents();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadRoots();
+        }, 1500);
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        ['scan:completed', 'library:changed', 'database:cleared'].forEach(eventName => {
+            this.unsubscribers.push(this.eventBus.on(eventName, () => this.loadRoots()));
+        });
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    getScanService() {
+        return window.serviceManager?.getService('scan') || null;
+    }
+
+    async loadRoots() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            this.roots = await dataService.getLibraryRoots();
+            this.render();
+        } catch (error) {
+            console.error('LibraryRootsComponent: Error loading library roots:', error);
+        }
+    }
+
+    /**
+     * Render the folder list
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('LibraryRootsComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'library-roots-header';
+        const title = document.createElement('span');
+        title.textContent = `Folders (${this.roots.length})`;
+        const addButton = this.createButton('+', 'Add folder', () => this.addRoot());
+        header.append(title, addButton);
+        container.appendChild(header);
+
+        this.roots.forEach(root => {
+            const item = document.createElement('div');
+            item.className = `library-root ${root.online ? 'online' : 'offline'}`;
+            item.title = root.path;
+
+            const status = document.createElement('span');
+            status.className = 'library-root-status';
+            status.textContent = '●';
+            status.title = root.online ? 'Online' : 'Offline';
+
+            const name = document.createElement('span');
+            name.className = 'library-root-name';
+            name.textContent = root.path.split(/[\\/]/).filter(Boolean).pop() || root.path;
+
+            const count = document.createElement('span');
+            count.className = 'library-root-count';
+            if (this.busyRootId === root.id) {
+                count.textContent = 'Scanning...';
+            } else {
+                count.textContent = root.missingCount > 0
+                    ? `${root.trackCount} (${root.missingCount} missing)`
+                    : `${root.trackCount}`;
+            }
+
+            const actions = document.createElement('span');
+            actions.className = 'library-root-actions';
+            const rescanButton = this.createButton('⟳', 'Rescan', () => this.rescanRoot(root));
+            rescanButton.disabled = !root.online;
+            actions.append(
+                rescanButton,
+                this.createButton('⇄', 'Relocate', () => this.relocateRoot(root)),
+                this.createButton('×', 'Remove', () => this.removeRoot(root))
+            );
+
+            item.append(status, name, count, actions);
+            container.appendChild(item);
+        });
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'library-root-button';
+        button.textContent = text;
+        button.title = title;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            onClick();
+        };
+        return button;
+    }
+
+    async addRoot() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const directory = await dataService.selectMusicDirectory();
+        if (!directory) return;
+
+        try {
+            const root = await dataService.addLibraryRoot(directory);
+            await this.rescanRoot(root);
+        } catch (error) {
+            alert('Error adding folder: ' + error.message);
+        }
+    }
+
+    /**
+     * Rescan through ScanService, which reports progress and emits scan:completed
+     * @param {Object} root - Library root
+     */
+    async rescanRoot(root) {
+        const scanService = this.getScanService();
+        if (!scanService) return;
+
+        this.busyRootId = root.id;
+        this.render();
+        try {
+            const started = await scanService.rescanRoot(root);
+            if (!started) {
+                alert('A scan is already running');
+            }
+        } finally {
+            this.busyRootId = null;
+            await this.loadRoots();
+        }
+    }
+
+    /**
+     * Point a root at the folder it moved to, then rescan it so missing flags are cleared
+     * @param {Object} root - Library root
+     */
+    async relocateRoot(root) {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const newPath = await dataService.selectMusicDirectory();
+        if (!newPath) return;
+
+        try {
+            const result = await dataService.relocateLibraryRoot(root.id, newPath);
+            await this.rescanRoot(result.root);
+        } catch (error) {
+            alert('Error relocating folder: ' + error.message);
+        }
+    }
+
+    async removeRoot(root) {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const confirmed = confirm(
+            `Remove ${root.path} from the library?\n\n` +
+            `Its ${root.trackCount + root.missingCount} tracks and their tags will be deleted from the database. ` +
+            'Files on disk are not touched.'
+        );
+        if (!confirmed) return;
+
+        try {
+            const result = await dataService.removeLibraryRoot(root.id);
+            if (this.eventBus) {
+                this.eventBus.emit('library:changed', {
+                    paths: 0,
+                    added: 0,
+                    updated: 0,
+                    moved: 0,
+                    removed: result.removedTracks,
+                    errors: 0,
+                    timestamp: Date.now()
+                });
+            }
+        } catch (error) {
+            alert('Error removing folder: ' + error.message);
+        }
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.LibraryRootsComponent = LibraryRootsComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LibraryRootsComponent;
+}
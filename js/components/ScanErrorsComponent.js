@@ -0,0 +1,269 @@
+/**
+ * ScanErrorsComponent - Review panel for files that failed during a scan
+ * Groups a job's failures by error type and lets the user retry, ignore or export them
+ */
+class ScanErrorsComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.jobId = null;
+        this.errors = [];
+        this.selected = new Set();
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    static ERROR_TYPE_LABELS = {
+        UnreadableFile: 'Unreadable file',
+        DatabaseError: 'Database write error',
+        ProcessingError: 'Processing error',
+        UnknownError: 'Unknown error'
+    };
+
+    initialize() {
+        this.subscribeToEvents();
+
+        // Initial load: show the failures of the most recent job that had any
+        setTimeout(() => {
+            this.loadLatestJob();
+        }, 1500);
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        this.unsubscribers.push(this.eventBus.on('scan:completed', (data) => {
+            const jobId = data && data.results ? data.results.jobId : null;
+            if (jobId) {
+                this.loadJob(jobId);
+            }
+        }));
+
+        this.unsubscribers.push(this.eventBus.on('database:cleared', () => {
+            this.jobId = null;
+            this.errors = [];
+            this.render();
+        }));
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async loadLatestJob() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const jobs = await dataService.getScanJobs();
+            const job = jobs.find(candidate => candidate.errors > 0);
+            if (job) {
+                await this.loadJob(job.id);
+            }
+        } catch (error) {
+            console.error('ScanErrorsComponent: Error loading scan jobs:', error);
+        }
+    }
+
+    /**
+     * Load and render the error log of a scan job
+     * @param {number} jobId - Scan job id
+     */
+    async loadJob(jobId) {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            this.jobId = jobId;
+            this.errors = await dataService.getScanJobErrors(jobId);
+            this.selected.clear();
+            this.render();
+        } catch (error) {
+            console.error('ScanErrorsComponent: Error loading scan errors:', error);
+        }
+    }
+
+    /**
+     * Group errors by type, largest group first
+     * @returns {Array<{type: string, label: string, errors: Array}>}
+     */
+    groupErrors() {
+        const groups = new Map();
+        this.errors.forEach(error => {
+            if (!groups.has(error.errorType)) {
+                groups.set(error.errorType, []);
+            }
+            groups.get(error.errorType).push(error);
+        });
+
+        return [...groups.entries()]
+            .map(([type, errors]) => ({
+                type,
+                label: ScanErrorsComponent.ERROR_TYPE_LABELS[type] || type,
+                errors
+            }))
+            .sort((a, b) => b.errors.length - a.errors.length);
+    }
+
+    /**
+     * Render the panel; hidden while the job has no errors
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('ScanErrorsComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = '';
+        container.style.display = this.errors.length > 0 ? 'block' : 'none';
+        if (this.errors.length === 0) return;
+
+        const header = document.createElement('div');
+        header.className = 'stats-header';
+        const title = document.createElement('h4');
+        title.textContent = `Scan Errors (${this.errors.length})`;
+        header.appendChild(title);
+        container.appendChild(header);
+
+        this.groupErrors().forEach(group => {
+            const section = document.createElement('details');
+            section.className = 'scan-error-group';
+
+            const summary = document.createElement('summary');
+            summary.textContent = `${group.label} (${group.errors.length})`;
+            section.appendChild(summary);
+
+            group.errors.forEach(error => {
+                const row = document.createElement('label');
+                row.className = 'scan-error-item';
+                row.title = `${error.filePath}\n${error.errorMessage || ''}`;
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.selected.has(error.filePath);
+                checkbox.onchange = () => {
+                    if (checkbox.checked) {
+                        this.selected.add(error.filePath);
+                    } else {
+                        this.selected.delete(error.filePath);
+                    }
+                    this.updateActions();
+                };
+
+                const name = document.createElement('span');
+                name.className = 'scan-error-file';
+                name.textContent = error.fileName || error.filePath;
+
+                row.append(checkbox, name);
+                section.appendChild(row);
+            });
+
+            container.appendChild(section);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'scan-controls';
+
+        this.retryButton = this.createButton('Retry selected', () => this.retrySelected());
+        this.ignoreButton = this.createButton('Ignore selected', () => this.ignoreSelected());
+        const exportButton = this.createButton('Export CSV', () => this.exportErrors());
+
+        actions.append(this.retryButton, this.ignoreButton, exportButton);
+        container.appendChild(actions);
+        this.updateActions();
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'scan-control-button';
+        button.textContent = text;
+        button.onclick = onClick;
+        return button;
+    }
+
+    updateActions() {
+        const none = this.selected.size === 0;
+        if (this.retryButton) this.retryButton.disabled = none;
+        if (this.ignoreButton) this.ignoreButton.disabled = none;
+    }
+
+    /**
+     * Scan the selected files again; files that now succeed leave the error log
+     */
+    async retrySelected() {
+        const dataService = this.getDataService();
+        if (!dataService || this.selected.size === 0) return;
+
+        try {
+            const paths = [...this.selected];
+            const results = await dataService.retryScanFiles(this.jobId, paths);
+
+            // Same notification as a watcher sync, so the library tree, legend and stats refresh
+            if (this.eventBus && results && results.added + results.updated + results.moved > 0) {
+                this.eventBus.emit('library:changed', {
+                    paths: paths.length,
+                    added: results.added,
+                    updated: results.updated,
+                    moved: results.moved,
+                    removed: 0,
+                    errors: results.errors,
+                    timestamp: Date.now()
+                });
+            }
+        } catch (error) {
+            console.error('Error retrying files:', error);
+            alert('Error retrying files: ' + error.message);
+        }
+
+        await this.loadJob(this.jobId);
+    }
+
+    /**
+     * Add the selected files to the ignore list so future scans skip them
+     */
+    async ignoreSelected() {
+        const dataService = this.getDataService();
+        if (!dataService || this.selected.size === 0) return;
+
+        const ignored = await dataService.ignoreScanPaths([...this.selected], this.jobId);
+        if (!ignored) {
+            alert('Error ignoring files');
+        }
+
+        await this.loadJob(this.jobId);
+    }
+
+    async exportErrors() {
+        const dataService = this.getDataService();
+        if (!dataService || !this.jobId) return;
+
+        const filePath = await dataService.exportScanErrors(this.jobId);
+        if (filePath && this.eventBus) {
+            this.eventBus.emit('ui:notification', {
+                message: `Scan errors exported to ${filePath}`,
+                type: 'success'
+            });
+        }
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.ScanErrorsComponent = ScanErrorsComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanErrorsComponent;
+}
@@ -0,0 +1,147 @@
+/**
+ * ScanSettingsComponent - Editor for the library's scan rules
+ * Extensions, exclude patterns, minimum size/duration and symlink handling, stored in the database
+ */
+class ScanSettingsComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+
+        // Initial load, once the data service is up
+        setTimeout(() => {
+            this.loadRules();
+        }, 1500);
+    }
+
+    /**
+     * Render the settings form
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('ScanSettingsComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = `
+            <details class="scan-settings-panel">
+                <summary>Scan Settings</summary>
+                <label class="scan-setting">
+                    <span class="stat-label">Extensions</span>
+                    <input type="text" id="scanRuleExtensions" placeholder="mp3, flac, opus, aiff">
+                </label>
+                <label class="scan-setting">
+                    <span class="stat-label">Exclude (one glob per line)</span>
+                    <textarea id="scanRuleExcludes" rows="3" placeholder="**/Samples/**&#10;**/*_preview.mp3"></textarea>
+                </label>
+                <label class="scan-setting">
+                    <span class="stat-label">Minimum size (KB)</span>
+                    <input type="number" id="scanRuleMinSize" min="0" step="1">
+                </label>
+                <label class="scan-setting">
+                    <span class="stat-label">Minimum duration (s)</span>
+                    <input type="number" id="scanRuleMinDuration" min="0" step="1">
+                </label>
+                <label class="scan-setting scan-setting-inline">
+                    <input type="checkbox" id="scanRuleFollowSymlinks">
+                    <span class="stat-label">Follow symlinks</span>
+                </label>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="saveScanRulesButton">Save</button>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            extensions: document.getElementById('scanRuleExtensions'),
+            excludes: document.getElementById('scanRuleExcludes'),
+            minSize: document.getElementById('scanRuleMinSize'),
+            minDuration: document.getElementById('scanRuleMinDuration'),
+            followSymlinks: document.getElementById('scanRuleFollowSymlinks'),
+            saveButton: document.getElementById('saveScanRulesButton')
+        };
+
+        if (this.elements.saveButton) {
+            this.elements.saveButton.onclick = () => this.saveRules();
+        }
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async loadRules() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const rules = await dataService.getScanRules();
+            if (rules) {
+                this.fillForm(rules);
+            }
+        } catch (error) {
+            console.error('ScanSettingsComponent: Error loading scan rules:', error);
+        }
+    }
+
+    fillForm(rules) {
+        if (!this.elements.extensions) return;
+
+        this.elements.extensions.value = rules.extensions.join(', ');
+        this.elements.excludes.value = rules.excludePatterns.join('\n');
+        this.elements.minSize.value = Math.round(rules.minFileSize / 1024);
+        this.elements.minDuration.value = rules.minDuration;
+        this.elements.followSymlinks.checked = rules.followSymlinks;
+    }
+
+    readForm() {
+        return {
+            extensions: this.elements.extensions.value.split(/[\s,]+/),
+            excludePatterns: this.elements.excludes.value.split('\n'),
+            minFileSize: (Number(this.elements.minSize.value) || 0) * 1024,
+            minDuration: Number(this.elements.minDuration.value) || 0,
+            followSymlinks: this.elements.followSymlinks.checked
+        };
+    }
+
+    async saveRules() {
+        const dataService = this.getDataService();
+        if (!dataService || !this.elements.extensions) return;
+
+        const saved = await dataService.saveScanRules(this.readForm());
+        if (!saved) {
+            alert('Error saving scan settings');
+            return;
+        }
+
+        // Show the rules as stored (normalized)
+        this.fillForm(saved);
+        if (this.eventBus) {
+            this.eventBus.emit('ui:notification', {
+                message: 'Scan settings saved; they apply from the next scan',
+                type: 'success'
+            });
+        }
+    }
+}
+
+// Make available globally
+window.ScanSettingsComponent = ScanSettingsComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanSettingsComponent;
+}
@@ -0,0 +1,220 @@
+/**
+ * SearchFacetsComponent - Facet panel next to the search results
+ * Lists genre, decade, artist, album and tag category values with their counts in the current
+ * results. Values checked in one facet are alternatives (OR), facets combine with AND; a tag facet
+ * can also require all of its checked values.
+ */
+class SearchFacetsComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.query = '';
+        this.total = 0;
+        this.facets = {};
+        // {facet: {values, all}}, sent to SearchService with every change
+        this.filters = {};
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    static FACET_LABELS = {
+        genre: 'Genre',
+        decade: 'Decade',
+        artist: 'Artist',
+        album: 'Album'
+    };
+
+    // Facets listed first, in this order; tag categories follow alphabetically
+    static FACET_ORDER = ['genre', 'tag:era', 'decade', 'tag:format', 'artist', 'album'];
+
+    initialize() {
+        this.subscribeToEvents();
+        this.render();
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        const update = (data) => {
+            if (!data || !data.facets) return;
+            this.query = data.query;
+            this.total = data.facets.total;
+            this.facets = data.facets.facets || {};
+            this.filters = data.filters || {};
+            this.render();
+        };
+        this.unsubscribers.push(this.eventBus.on('search:results:found', update));
+        this.unsubscribers.push(this.eventBus.on('search:results:empty', update));
+
+        this.unsubscribers.push(this.eventBus.on('search:cleared', () => {
+            this.query = '';
+            this.facets = {};
+            this.filters = {};
+            this.render();
+        }));
+    }
+
+    getFacetLabel(facet) {
+        return SearchFacetsComponent.FACET_LABELS[facet] || tagUtils.getCategoryLabel(facet.slice(4));
+    }
+
+    getValueLabel(facet, value) {
+        return facet === 'decade' ? `${value}s` : String(value);
+    }
+
+    /**
+     * Facets in display order, skipping those with a single value that is not filtered on
+     */
+    getVisibleFacets() {
+        const order = SearchFacetsComponent.FACET_ORDER;
+        const rank = (facet) => (order.includes(facet) ? order.indexOf(facet) : order.length);
+
+        return [...new Set([...Object.keys(this.facets), ...Object.keys(this.filters)])]
+            .filter(facet => (this.facets[facet] || []).length > 1 || this.isFiltered(facet))
+            .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+    }
+
+    isFiltered(facet) {
+        return Boolean(this.filters[facet] && this.filters[facet].values.length > 0);
+    }
+
+    /**
+     * Values of a facet: counted ones, then checked ones the results no longer contain
+     */
+    getValues(facet) {
+        const values = [...(this.facets[facet] || [])];
+        const selected = this.isFiltered(facet) ? this.filters[facet].values : [];
+        selected.forEach(value => {
+            if (!values.some(entry => entry.value === value)) {
+                values.push({ value, count: 0 });
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Render the panel; hidden while there is no search
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('SearchFacetsComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = '';
+        const facets = this.query ? this.getVisibleFacets() : [];
+        container.style.display = facets.length > 0 ? 'block' : 'none';
+        if (facets.length === 0) return;
+
+        const header = document.createElement('div');
+        header.className = 'search-facets-header';
+        const title = document.createElement('span');
+        title.textContent = `Refine · ${this.total} track${this.total === 1 ? '' : 's'}`;
+        header.appendChild(title);
+
+        if (Object.keys(this.filters).some(facet => this.isFiltered(facet))) {
+            const clear = document.createElement('button');
+            clear.className = 'search-facets-clear';
+            clear.textContent = 'Clear filters';
+            clear.onclick = () => this.setFilters({});
+            header.appendChild(clear);
+        }
+        container.appendChild(header);
+
+        facets.forEach(facet => container.appendChild(this.renderFacet(facet)));
+    }
+
+    renderFacet(facet) {
+        const filter = this.filters[facet] || { values: [], all: false };
+        const section = document.createElement('details');
+        section.className = 'search-facet';
+        section.open = this.isFiltered(facet) || SearchFacetsComponent.FACET_ORDER.slice(0, 3).includes(facet);
+
+        const summary = document.createElement('summary');
+        summary.textContent = this.getFacetLabel(facet);
+        section.appendChild(summary);
+
+        // A track has one genre, decade, artist and album but may have several tags of a category
+        if (facet.startsWith('tag:') && filter.values.length > 1) {
+            const mode = document.createElement('button');
+            mode.className = 'search-facet-mode';
+            mode.textContent = filter.all ? 'all of' : 'any of';
+            mode.title = filter.all ? 'Tracks with every checked value' : 'Tracks with at least one checked value';
+            mode.onclick = (e) => {
+                e.preventDefault();
+                this.setFilters({ ...this.filters, [facet]: { ...filter, all: !filter.all } });
+            };
+            summary.appendChild(mode);
+        }
+
+        this.getValues(facet).forEach(({ value, count }) => {
+            const row = document.createElement('label');
+            row.className = 'search-facet-value';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = filter.values.includes(value);
+            checkbox.onchange = () => this.toggleValue(facet, value, checkbox.checked);
+
+            const name = document.createElement('span');
+            name.className = 'search-facet-name';
+            name.textContent = this.getValueLabel(facet, value);
+            name.title = name.textContent;
+
+            const number = document.createElement('span');
+            number.className = 'search-facet-count';
+            number.textContent = count;
+
+            row.append(checkbox, name, number);
+            section.appendChild(row);
+        });
+
+        return section;
+    }
+
+    toggleValue(facet, value, checked) {
+        const filter = this.filters[facet] || { values: [], all: false };
+        const values = checked
+            ? [...filter.values, value]
+            : filter.values.filter(existing => existing !== value);
+
+        const filters = { ...this.filters };
+        if (values.length > 0) {
+            filters[facet] = { ...filter, values };
+        } else {
+            delete filters[facet];
+        }
+        this.setFilters(filters);
+    }
+
+    /**
+     * Send the filters to the search, which answers with new results and counts
+     */
+    setFilters(filters) {
+        this.filters = filters;
+        if (this.eventBus) {
+            this.eventBus.emit('search:filters:changed', { filters });
+        }
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.SearchFacetsComponent = SearchFacetsComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchFacetsComponent;
+}
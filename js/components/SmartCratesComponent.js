@@ -0,0 +1,283 @@
+/**
+ * SmartCratesComponent - Saved searches and tag selections in the library sidebar
+ * Lists each crate with the number of tracks it matches now. The current search or tag selection
+ * can be saved as a crate; a crate opens in the search results and can be dragged onto the canvas
+ * to grow a tree from one of its tracks.
+ */
+class SmartCratesComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.crates = [];
+        // What can be saved right now: the latest search and the selected tags
+        this.search = null;
+        this.selectedTags = [];
+        // {query, filters} or {tags} being named, with the last save error
+        this.draft = null;
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.subscribeToEvents();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadCrates();
+        }, 1500);
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        // Counts follow the library
+        ['crates:changed', 'scan:completed', 'library:changed', 'database:cleared', 'tags:bulk-changed', 'track:tags-changed'].forEach(eventName => {
+            this.unsubscribers.push(this.eventBus.on(eventName, () => this.loadCrates()));
+        });
+
+        const searched = (data) => {
+            this.search = data && data.query ? { query: data.query, filters: data.filters || {} } : null;
+            this.render();
+        };
+        this.unsubscribers.push(this.eventBus.on('search:results:found', searched));
+        this.unsubscribers.push(this.eventBus.on('search:results:empty', searched));
+        ['search:cleared', 'search:crate:opened'].forEach(eventName => {
+            this.unsubscribers.push(this.eventBus.on(eventName, () => searched(null)));
+        });
+
+        this.unsubscribers.push(this.eventBus.on('tags:selection-changed', (data) => {
+            this.selectedTags = data && Array.isArray(data.selectedTags) ? data.selectedTags : [];
+            this.render();
+        }));
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async loadCrates() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            this.crates = await dataService.getSmartCrates();
+            this.render();
+        } catch (error) {
+            console.error('SmartCratesComponent: Error loading smart crates:', error);
+        }
+    }
+
+    /**
+     * What a crate looks for, for its tooltip
+     */
+    describe(crate) {
+        const parts = [];
+        if (crate.query) parts.push(crate.query);
+        if (crate.tags && crate.tags.length > 0) {
+            parts.push(crate.tags.map(tag => tagUtils.getTagValue(tag)).join(' + '));
+        }
+        Object.entries(crate.filters || {}).forEach(([facet, filter]) => {
+            parts.push(`${facet}: ${filter.values.join(filter.all ? ' + ' : ' | ')}`);
+        });
+        return parts.join(' · ');
+    }
+
+    /**
+     * Render the crate list
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('SmartCratesComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'smart-crates-header';
+        const title = document.createElement('span');
+        title.textContent = `Crates (${this.crates.length})`;
+        const actions = document.createElement('span');
+        if (this.search) {
+            actions.appendChild(this.createButton('+ Search', 'Save the current search as a crate', () => {
+                this.startDraft({ query: this.search.query, filters: this.search.filters }, this.search.query);
+            }));
+        }
+        if (this.selectedTags.length > 0) {
+            actions.appendChild(this.createButton('+ Tags', 'Save the selected tags as a crate', () => {
+                this.startDraft({ tags: [...this.selectedTags] }, this.selectedTags.map(tag => tagUtils.getTagValue(tag)).join(' + '));
+            }));
+        }
+        if (this.crates.length > 0) {
+            actions.appendChild(this.createButton('⇩', 'Export crates as JSON', () => this.exportCrates()));
+        }
+        header.append(title, actions);
+        container.appendChild(header);
+
+        if (this.draft) {
+            container.appendChild(this.renderDraft());
+        }
+
+        this.crates.forEach(crate => {
+            const item = document.createElement('div');
+            item.className = 'smart-crate';
+            item.title = this.describe(crate);
+            item.draggable = true;
+            item.dataset.crate = JSON.stringify({ crateId: crate.id, name: crate.name });
+            item.onclick = () => this.openCrate(crate);
+
+            const name = document.createElement('span');
+            name.className = 'smart-crate-name';
+            name.textContent = crate.name;
+
+            const count = document.createElement('span');
+            count.className = 'smart-crate-count';
+            count.textContent = crate.trackCount;
+
+            item.append(name, count, this.createButton('×', 'Delete crate', () => this.deleteCrate(crate)));
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Name field for the crate being saved
+     */
+    renderDraft() {
+        const form = document.createElement('form');
+        form.className = 'smart-crate-form';
+        form.title = this.describe(this.draft.crate);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = this.draft.name;
+        input.placeholder = 'Crate name';
+        input.oninput = () => {
+            this.draft.name = input.value;
+            save.textContent = this.findCrate(input.value) ? 'Replace' : 'Save';
+        };
+        input.onkeydown = (e) => {
+            if (e.key === 'Escape') this.cancelDraft();
+        };
+
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'smart-crate-save';
+        save.textContent = this.findCrate(this.draft.name) ? 'Replace' : 'Save';
+
+        form.append(input, save, this.createButton('×', 'Cancel', () => this.cancelDraft()));
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.saveDraft();
+        };
+
+        if (this.draft.error) {
+            const error = document.createElement('div');
+            error.className = 'smart-crate-error';
+            error.textContent = this.draft.error;
+            form.appendChild(error);
+        }
+
+        // Focus once: the list is rendered again while the user keeps searching
+        if (this.draft.focus) {
+            this.draft.focus = false;
+            setTimeout(() => input.focus(), 0);
+        }
+        return form;
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'smart-crate-button';
+        button.textContent = text;
+        button.title = title;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            onClick();
+        };
+        return button;
+    }
+
+    findCrate(name) {
+        const key = String(name).trim().toLowerCase();
+        return this.crates.find(crate => crate.name.toLowerCase() === key) || null;
+    }
+
+    startDraft(crate, name) {
+        this.draft = { crate, name: name.slice(0, 60), error: null, focus: true };
+        this.render();
+    }
+
+    cancelDraft() {
+        this.draft = null;
+        this.render();
+    }
+
+    async saveDraft() {
+        const dataService = this.getDataService();
+        if (!dataService || !this.draft) return;
+
+        try {
+            await dataService.saveSmartCrate({ ...this.draft.crate, name: this.draft.name });
+            // crates:changed reloads the list
+            this.draft = null;
+        } catch (error) {
+            this.draft.error = error.message;
+            this.draft.focus = true;
+            this.render();
+        }
+    }
+
+    /**
+     * Show the crate's tracks in the search results (see SearchService.openCrate)
+     */
+    openCrate(crate) {
+        if (this.eventBus) {
+            this.eventBus.emit('search:crate:open', { crate });
+        }
+    }
+
+    async deleteCrate(crate) {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        if (!confirm(`Delete the crate "${crate.name}"? Its tracks stay in the library.`)) {
+            return;
+        }
+        await dataService.deleteSmartCrate(crate.id);
+    }
+
+    async exportCrates() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const filePath = await dataService.exportSmartCrates();
+        if (filePath && this.eventBus) {
+            this.eventBus.emit('notification:show', {
+                message: `Exported ${this.crates.length} crate${this.crates.length === 1 ? '' : 's'} to ${filePath}`,
+                type: 'success'
+            });
+        }
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.SmartCratesComponent = SmartCratesComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartCratesComponent;
+}
@@ -111,6 +111,10 @@ class StatsComponent {
         this.eventBus.on('stats:refresh', () => {
             this.updateStats();
         });
+        
+        this.eventBus.on('library:changed', () => {
+            this.updateStats();
+        });
     }
 
     /**
@@ -257,6 +261,7 @@ class StatsComponent {
             this.eventBus.off('scan:completed');
             this.eventBus.off('database:cleared');
             this.eventBus.off('stats:refresh');
+            this.eventBus.off('library:changed');
         }
     }
 }
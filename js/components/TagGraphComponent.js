@@ -0,0 +1,442 @@
+/**
+ * TagGraphComponent - Which stored tags appear on the same tracks
+ * Tags are nodes sized by how many tracks have them; edges are co-occurrence strength,
+ * as Jaccard similarity or normalized PMI. Clicking a tag lists its strongest neighbours,
+ * which can be put in the tag selection, and near-duplicate pairs are listed as merge candidates.
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const GRAPH_SIZE = 300;
+
+const GRAPH_METRICS = {
+    jaccard: { label: 'Jaccard', title: 'Tracks with both tags / tracks with either' },
+    npmi: { label: 'PMI', title: 'Normalized pointwise mutual information: 0 independent, 1 always together' }
+};
+
+class TagGraphComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.graph = { trackCount: 0, tags: [], edges: [] };
+        this.positions = new Map();
+        this.focus = null;
+        this.loadTimer = null;
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+        this.subscribeToEvents();
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('TagGraphComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        const metrics = Object.entries(GRAPH_METRICS)
+            .map(([name, { label, title }]) => `<option value="${name}" title="${title}">${label}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <details class="scan-settings-panel" id="tagGraphPanel">
+                <summary>Tag Graph</summary>
+                <div class="tag-manager-operation">
+                    <select id="tagGraphMetric">${metrics}</select>
+                    <select id="tagGraphLimit">
+                        <option value="30">30 tags</option>
+                        <option value="60" selected>60 tags</option>
+                        <option value="100">100 tags</option>
+                    </select>
+                </div>
+                <label class="scan-setting">
+                    <span class="stat-label">Minimum strength <span id="tagGraphThresholdValue"></span></span>
+                    <input type="range" id="tagGraphThreshold" min="0.05" max="0.95" step="0.05" value="0.2">
+                </label>
+                <svg class="tag-graph" id="tagGraphCanvas" viewBox="0 0 ${GRAPH_SIZE} ${GRAPH_SIZE}"></svg>
+                <div class="taxonomy-status" id="tagGraphStatus"></div>
+                <div class="tag-manager-list" id="tagGraphNeighbours"></div>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="tagGraphSelectButton" disabled>Select tags</button>
+                </div>
+                <div class="tag-manager-history" id="tagGraphRedundant"></div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            panel: document.getElementById('tagGraphPanel'),
+            metric: document.getElementById('tagGraphMetric'),
+            limit: document.getElementById('tagGraphLimit'),
+            threshold: document.getElementById('tagGraphThreshold'),
+            thresholdValue: document.getElementById('tagGraphThresholdValue'),
+            canvas: document.getElementById('tagGraphCanvas'),
+            status: document.getElementById('tagGraphStatus'),
+            neighbours: document.getElementById('tagGraphNeighbours'),
+            selectButton: document.getElementById('tagGraphSelectButton'),
+            redundant: document.getElementById('tagGraphRedundant')
+        };
+
+        if (!this.elements.panel) return;
+
+        // The graph is only computed while the panel is open
+        this.elements.panel.addEventListener('toggle', () => {
+            if (this.elements.panel.open) this.loadGraph();
+        });
+        this.elements.metric.onchange = () => this.layoutAndRender();
+        this.elements.limit.onchange = () => this.loadGraph();
+        this.elements.threshold.oninput = () => this.layoutAndRender();
+        this.elements.canvas.addEventListener('click', (e) => {
+            if (e.target === this.elements.canvas) this.setFocus(null);
+        });
+        this.elements.selectButton.onclick = () => this.selectTags();
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        ['tags:bulk-changed', 'track:tags-changed', 'library:changed', 'database:cleared'].forEach(eventName => {
+            this.unsubscribers.push(this.eventBus.on(eventName, () => this.scheduleLoad()));
+        });
+        this.unsubscribers.push(this.eventBus.on('tags:taxonomy-changed', () => this.render()));
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    // A batch edit changes many tracks; reload once after the last one
+    scheduleLoad() {
+        if (!this.elements.panel || !this.elements.panel.open) return;
+        clearTimeout(this.loadTimer);
+        this.loadTimer = setTimeout(() => this.loadGraph(), 500);
+    }
+
+    async loadGraph() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            this.graph = await dataService.getTagCooccurrence(parseInt(this.elements.limit.value, 10));
+            if (this.focus && !this.graph.tags.some(({ tag }) => tag === this.focus)) {
+                this.focus = null;
+            }
+            this.layoutAndRender();
+        } catch (error) {
+            console.error('TagGraphComponent: Error loading tag graph:', error);
+        }
+    }
+
+    getMetric() {
+        return this.elements.metric.value;
+    }
+
+    getThreshold() {
+        return parseFloat(this.elements.threshold.value);
+    }
+
+    /**
+     * Edges at or above the minimum strength for the chosen metric
+     * @returns {Array<Object>} {source, target, count, strength}
+     */
+    getEdges() {
+        const metric = this.getMetric();
+        const threshold = this.getThreshold();
+        return this.graph.edges
+            .map(edge => ({ ...edge, strength: edge[metric] }))
+            .filter(edge => edge.strength >= threshold);
+    }
+
+    layoutAndRender() {
+        this.elements.thresholdValue.textContent = this.getThreshold().toFixed(2);
+        this.positions = this.layout(this.graph.tags, this.getEdges());
+        this.render();
+    }
+
+    /**
+     * Force-directed layout: tags repel each other, edges pull by strength
+     * Starts from a circle in usage order, so the same data gives the same picture
+     * @returns {Map<string, Object>} Tag -> {x, y}
+     */
+    layout(tags, edges) {
+        const positions = new Map();
+        const center = GRAPH_SIZE / 2;
+        tags.forEach(({ tag }, index) => {
+            const angle = (2 * Math.PI * index) / tags.length;
+            positions.set(tag, { x: center + 100 * Math.cos(angle), y: center + 100 * Math.sin(angle) });
+        });
+
+        const nodes = [...positions.values()];
+        const ideal = Math.sqrt((GRAPH_SIZE * GRAPH_SIZE) / Math.max(nodes.length, 1)) * 0.6;
+        const iterations = 200;
+
+        for (let step = 0; step < iterations; step++) {
+            const forces = nodes.map(() => ({ x: 0, y: 0 }));
+
+            for (let i = 0; i < nodes.length; i++) {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const dx = nodes[i].x - nodes[j].x;
+                    const dy = nodes[i].y - nodes[j].y;
+                    const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                    // Only near tags push, so a big graph does not pile up on the border
+                    if (distance > 3 * ideal) continue;
+                    const push = (ideal * ideal) / distance;
+                    forces[i].x += (dx / distance) * push;
+                    forces[i].y += (dy / distance) * push;
+                    forces[j].x -= (dx / distance) * push;
+                    forces[j].y -= (dy / distance) * push;
+                }
+            }
+
+            edges.forEach(({ source, target, strength }) => {
+                const a = positions.get(source);
+                const b = positions.get(target);
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                const pull = ((distance * distance) / ideal) * strength;
+                const i = nodes.indexOf(a);
+                const j = nodes.indexOf(b);
+                forces[i].x -= (dx / distance) * pull;
+                forces[i].y -= (dy / distance) * pull;
+                forces[j].x += (dx / distance) * pull;
+                forces[j].y += (dy / distance) * pull;
+            });
+
+            // Moves shrink as the layout settles; a light pull to the center keeps loose tags together
+            const limit = 10 * (1 - step / iterations) + 0.5;
+            nodes.forEach((node, index) => {
+                const force = forces[index];
+                force.x += (center - node.x) * 0.05;
+                force.y += (center - node.y) * 0.05;
+                const length = Math.max(Math.hypot(force.x, force.y), 0.01);
+                const move = Math.min(length, limit);
+                node.x += (force.x / length) * move;
+                node.y += (force.y / length) * move;
+            });
+        }
+
+        // Fit the result in the view, leaving room for labels
+        const margin = 16;
+        const xs = nodes.map(node => node.x);
+        const ys = nodes.map(node => node.y);
+        const middleX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const middleY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        const spread = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1);
+        const scale = (GRAPH_SIZE - 2 * margin) / spread;
+        nodes.forEach(node => {
+            node.x = center + (node.x - middleX) * scale;
+            node.y = center + (node.y - middleY) * scale;
+        });
+
+        return positions;
+    }
+
+    render() {
+        if (!this.elements.canvas) return;
+
+        const { tags, trackCount } = this.graph;
+        const edges = this.getEdges();
+        const canvas = this.elements.canvas;
+        canvas.innerHTML = '';
+
+        if (tags.length === 0) {
+            this.setStatus('No stored tags yet');
+            this.renderNeighbours();
+            this.renderRedundant();
+            return;
+        }
+        this.setStatus(`${tags.length} most used tags on ${trackCount} tracks, ${edges.length} links`);
+
+        const neighbours = new Set(this.getNeighbours(this.focus).map(({ tag }) => tag));
+        const maxCount = tags[0].count;
+
+        edges.forEach(({ source, target, strength, count }) => {
+            const a = this.positions.get(source);
+            const b = this.positions.get(target);
+            const line = this.createSvgElement('line', {
+                x1: a.x, y1: a.y, x2: b.x, y2: b.y,
+                class: 'tag-graph-edge',
+                'stroke-width': 0.5 + 3 * strength,
+                'stroke-opacity': 0.15 + 0.6 * strength
+            });
+            if (this.focus && source !== this.focus && target !== this.focus) {
+                line.classList.add('dimmed');
+            }
+            const title = this.createSvgElement('title');
+            title.textContent = `${source} + ${target}: ${count} tracks, ${GRAPH_METRICS[this.getMetric()].label} ${strength.toFixed(2)}`;
+            line.appendChild(title);
+            canvas.appendChild(line);
+        });
+
+        tags.forEach(({ tag, count }) => {
+            const { x, y } = this.positions.get(tag);
+            const group = this.createSvgElement('g', { class: 'tag-graph-node' });
+            if (this.focus && tag !== this.focus && !neighbours.has(tag)) {
+                group.classList.add('dimmed');
+            }
+            if (tag === this.focus) {
+                group.classList.add('focused');
+            }
+
+            const circle = this.createSvgElement('circle', {
+                cx: x, cy: y,
+                r: 3 + 9 * Math.sqrt(count / maxCount),
+                fill: tagUtils.getTagColor(tag)
+            });
+            const label = this.createSvgElement('text', { x, y: y - 5 - 9 * Math.sqrt(count / maxCount) });
+            label.textContent = tagUtils.formatTagForDisplay(tag);
+            const title = this.createSvgElement('title');
+            title.textContent = `${tag}: ${count} tracks`;
+
+            group.append(circle, label, title);
+            group.addEventListener('click', () => this.setFocus(tag === this.focus ? null : tag));
+            canvas.appendChild(group);
+        });
+
+        this.renderNeighbours();
+        this.renderRedundant();
+    }
+
+    createSvgElement(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    }
+
+    /**
+     * Strongest neighbours of a tag among the shown links
+     * @param {string|null} tag - Tag
+     * @returns {Array<Object>} {tag, count, strength}, strongest first
+     */
+    getNeighbours(tag) {
+        if (!tag) return [];
+        return this.getEdges()
+            .filter(edge => edge.source === tag || edge.target === tag)
+            .map(edge => ({
+                tag: edge.source === tag ? edge.target : edge.source,
+                count: edge.count,
+                strength: edge.strength
+            }))
+            .sort((a, b) => b.strength - a.strength)
+            .slice(0, 10);
+    }
+
+    setFocus(tag) {
+        this.focus = tag;
+        this.render();
+    }
+
+    renderNeighbours() {
+        const list = this.elements.neighbours;
+        list.innerHTML = '';
+        this.elements.selectButton.disabled = !this.focus;
+        if (!this.focus) return;
+
+        const heading = document.createElement('div');
+        heading.className = 'stat-label';
+        heading.textContent = `${this.focus} often appears with:`;
+        list.appendChild(heading);
+
+        const neighbours = this.getNeighbours(this.focus);
+        if (neighbours.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'stat-label';
+            empty.textContent = 'No tag above the minimum strength';
+            list.appendChild(empty);
+        }
+
+        neighbours.forEach(({ tag, count, strength }, index) => {
+            const label = document.createElement('label');
+            label.className = 'scan-setting scan-setting-inline';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = tag;
+            // The strongest neighbours start ticked, ready for the selection
+            checkbox.checked = index < 3;
+
+            const name = document.createElement('span');
+            name.className = 'stat-label';
+            name.textContent = `${tag} (${count} tracks, ${strength.toFixed(2)})`;
+
+            label.append(checkbox, name);
+            list.appendChild(label);
+        });
+    }
+
+    /**
+     * Pairs that are almost always on the same tracks, candidates for a merge in the tag manager
+     */
+    renderRedundant() {
+        const container = this.elements.redundant;
+        container.innerHTML = '';
+
+        const pairs = this.graph.edges
+            .filter(edge => edge.jaccard >= 0.9)
+            .sort((a, b) => b.jaccard - a.jaccard);
+        if (pairs.length === 0) return;
+
+        const heading = document.createElement('div');
+        heading.className = 'stat-label';
+        heading.textContent = 'Nearly always together:';
+        container.appendChild(heading);
+
+        pairs.forEach(({ source, target, count, jaccard }) => {
+            const row = document.createElement('div');
+            row.className = 'tag-manager-entry';
+            row.textContent = `${source} + ${target} (${count} tracks, ${Math.round(jaccard * 100)}%)`;
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Put the focused tag and the ticked neighbours in the tag selection
+     */
+    selectTags() {
+        const tagService = window.serviceManager?.getService('tags');
+        if (!tagService || !this.focus) return;
+
+        const ticked = Array.from(this.elements.neighbours.querySelectorAll('input:checked'))
+            .map(checkbox => checkbox.value);
+        tagService.prefillSelection([this.focus, ...ticked]);
+    }
+
+    setStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        clearTimeout(this.loadTimer);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.TagGraphComponent = TagGraphComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagGraphComponent;
+}
@@ -0,0 +1,322 @@
+/**
+ * TagManagerComponent - Rename, merge, move, split and delete tags across the whole library
+ * Every operation is previewed with the number of tracks it touches before it is applied,
+ * and recent operations can be undone.
+ */
+const TAG_OPERATIONS = {
+    rename: { label: 'Rename', target: 'New tag' },
+    merge: { label: 'Merge into', target: 'Tag to merge into' },
+    move: { label: 'Move to category', target: 'Category' },
+    split: { label: 'Split into', target: 'New tags, comma separated' },
+    delete: { label: 'Delete', target: null }
+};
+
+class TagManagerComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.tags = [];
+        this.selected = new Set();
+        this.preview = null;
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+        this.subscribeToEvents();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadTags();
+            this.loadHistory();
+        }, 1500);
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('TagManagerComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        const options = Object.entries(TAG_OPERATIONS)
+            .map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <details class="scan-settings-panel">
+                <summary>Tag Manager</summary>
+                <input type="text" class="tag-manager-input" id="tagManagerFilter" placeholder="Filter tags">
+                <div class="tag-manager-list" id="tagManagerList"></div>
+                <div class="tag-manager-operation">
+                    <select id="tagManagerType">${options}</select>
+                    <input type="text" class="tag-manager-input" id="tagManagerTarget">
+                </div>
+                <div class="taxonomy-status" id="tagManagerStatus"></div>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="tagManagerPreviewButton">Preview</button>
+                    <button class="scan-control-button" id="tagManagerApplyButton" disabled>Apply</button>
+                </div>
+                <div class="tag-manager-history" id="tagManagerHistory"></div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            filter: document.getElementById('tagManagerFilter'),
+            list: document.getElementById('tagManagerList'),
+            type: document.getElementById('tagManagerType'),
+            target: document.getElementById('tagManagerTarget'),
+            status: document.getElementById('tagManagerStatus'),
+            previewButton: document.getElementById('tagManagerPreviewButton'),
+            applyButton: document.getElementById('tagManagerApplyButton'),
+            history: document.getElementById('tagManagerHistory')
+        };
+
+        if (this.elements.filter) {
+            this.elements.filter.oninput = () => this.renderTags();
+        }
+        if (this.elements.type) {
+            this.elements.type.onchange = () => {
+                this.updateTarget();
+                this.clearPreview();
+            };
+            this.updateTarget();
+        }
+        if (this.elements.target) {
+            this.elements.target.oninput = () => this.clearPreview();
+        }
+        if (this.elements.previewButton) {
+            this.elements.previewButton.onclick = () => this.previewOperation();
+        }
+        if (this.elements.applyButton) {
+            this.elements.applyButton.onclick = () => this.applyOperation();
+        }
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        ['tags:bulk-changed', 'database:updated', 'library:changed', 'database:cleared'].forEach(eventName => {
+            this.unsubscribers.push(this.eventBus.on(eventName, () => {
+                this.loadTags();
+                this.loadHistory();
+            }));
+        });
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async loadTags() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const stats = await dataService.getStats();
+            this.tags = stats.uniqueTags || [];
+            this.selected = new Set([...this.selected].filter(tag => this.tags.includes(tag)));
+            this.renderTags();
+        } catch (error) {
+            console.error('TagManagerComponent: Error loading tags:', error);
+        }
+    }
+
+    async loadHistory() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            this.renderHistory(await dataService.getTagOperations(10));
+        } catch (error) {
+            console.error('TagManagerComponent: Error loading tag operations:', error);
+        }
+    }
+
+    renderTags() {
+        if (!this.elements.list) return;
+
+        const filter = this.elements.filter.value.trim().toLowerCase();
+        this.elements.list.innerHTML = '';
+        this.tags
+            .filter(tag => this.selected.has(tag) || !filter || tag.toLowerCase().includes(filter))
+            .forEach(tag => {
+                const label = document.createElement('label');
+                label.className = 'scan-setting scan-setting-inline';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = this.selected.has(tag);
+                checkbox.onchange = () => {
+                    if (checkbox.checked) {
+                        this.selected.add(tag);
+                    } else {
+                        this.selected.delete(tag);
+                    }
+                    this.clearPreview();
+                };
+
+                const name = document.createElement('span');
+                name.className = 'stat-label';
+                name.textContent = tag;
+
+                label.append(checkbox, name);
+                this.elements.list.appendChild(label);
+            });
+    }
+
+    renderHistory(operations) {
+        if (!this.elements.history) return;
+
+        this.elements.history.innerHTML = '';
+        operations.forEach(operation => {
+            const row = document.createElement('div');
+            row.className = 'tag-manager-entry';
+
+            const text = document.createElement('span');
+            const target = operation.to.length > 0 ? ` → ${operation.to.join(', ')}` : '';
+            // Single-track removals from tag elements are listed as "Remove"
+            const label = TAG_OPERATIONS[operation.type]?.label || operation.type.charAt(0).toUpperCase() + operation.type.slice(1);
+            text.textContent = `${label} ${operation.from.join(', ')}${target} (${operation.tracks} tracks)`;
+            text.title = operation.createdAt;
+            row.appendChild(text);
+
+            if (operation.undoneAt) {
+                row.classList.add('undone');
+            } else {
+                const undo = document.createElement('button');
+                undo.className = 'scan-control-button';
+                undo.textContent = 'Undo';
+                undo.onclick = () => this.undoOperation(operation.id, undo);
+                row.appendChild(undo);
+            }
+
+            this.elements.history.appendChild(row);
+        });
+    }
+
+    updateTarget() {
+        const { target } = TAG_OPERATIONS[this.elements.type.value];
+        this.elements.target.hidden = !target;
+        this.elements.target.placeholder = target || '';
+    }
+
+    /**
+     * The operation as the form describes it
+     * @returns {Object} {type, from, to, category}
+     */
+    getOperation() {
+        const type = this.elements.type.value;
+        const target = this.elements.target.value;
+        return {
+            type,
+            from: [...this.selected],
+            to: type === 'move' || type === 'delete' ? [] : target.split(',').map(tag => tag.trim()).filter(Boolean),
+            category: type === 'move' ? target.trim() : undefined
+        };
+    }
+
+    async previewOperation() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const operation = this.getOperation();
+        try {
+            const preview = await dataService.previewTagOperation(operation);
+            const perTag = Object.entries(preview.tags).map(([tag, count]) => `${tag}: ${count}`).join(', ');
+            let text = `${preview.tracks} tracks affected (${perTag})`;
+            if (preview.generated > 0) {
+                text += `. ${preview.generated} of these tags were generated and come back on rescan or rule regeneration`;
+            }
+            this.preview = operation;
+            this.setStatus(text);
+            this.elements.applyButton.disabled = preview.tracks === 0;
+        } catch (error) {
+            this.clearPreview();
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async applyOperation() {
+        const dataService = this.getDataService();
+        if (!dataService || !this.preview) return;
+
+        this.elements.applyButton.disabled = true;
+        try {
+            const result = await dataService.applyTagOperation(this.preview);
+            this.selected.clear();
+            this.elements.target.value = '';
+            this.clearPreview();
+            this.notify(`${TAG_OPERATIONS[result.type].label}: ${result.trackIds.length} tracks updated`);
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async undoOperation(operationId, button) {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        button.disabled = true;
+        try {
+            const result = await dataService.undoTagOperation(operationId);
+            if (result) {
+                this.notify(`Tag operation undone on ${result.trackIds.length} tracks`);
+            } else {
+                this.loadHistory();
+            }
+        } catch (error) {
+            button.disabled = false;
+            this.setStatus(error.message, true);
+        }
+    }
+
+    clearPreview() {
+        this.preview = null;
+        this.elements.applyButton.disabled = true;
+        this.setStatus('');
+    }
+
+    setStatus(text, isError = false) {
+        if (!this.elements.status) return;
+        this.elements.status.textContent = text;
+        this.elements.status.classList.toggle('error', isError);
+    }
+
+    notify(message) {
+        if (this.eventBus) {
+            this.eventBus.emit('ui:notification', { message, type: 'success' });
+        }
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.TagManagerComponent = TagManagerComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagManagerComponent;
+}
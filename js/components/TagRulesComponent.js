@@ -0,0 +1,169 @@
+/**
+ * TagRulesComponent - The tag rules file and the "regenerate tags" action
+ * Rules live in a JSON file the user edits; regenerating applies them to the whole library
+ */
+class TagRulesComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadRules();
+        }, 1500);
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('TagRulesComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = `
+            <details class="scan-settings-panel">
+                <summary>Tag Rules</summary>
+                <div class="tag-rules-status" id="tagRulesStatus"></div>
+                <div class="tag-rules-list" id="tagRulesList"></div>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="editTagRulesButton">Edit rules</button>
+                    <button class="scan-control-button" id="reloadTagRulesButton">Reload</button>
+                    <button class="scan-control-button" id="regenerateTagsButton">Regenerate tags</button>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            status: document.getElementById('tagRulesStatus'),
+            list: document.getElementById('tagRulesList'),
+            editButton: document.getElementById('editTagRulesButton'),
+            reloadButton: document.getElementById('reloadTagRulesButton'),
+            regenerateButton: document.getElementById('regenerateTagsButton')
+        };
+
+        if (this.elements.editButton) {
+            this.elements.editButton.onclick = () => this.editRules();
+        }
+        if (this.elements.reloadButton) {
+            this.elements.reloadButton.onclick = () => this.loadRules();
+        }
+        if (this.elements.regenerateButton) {
+            this.elements.regenerateButton.onclick = () => this.regenerate();
+        }
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async loadRules() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const info = await dataService.getTagRules();
+            if (info) {
+                this.render(info);
+            }
+        } catch (error) {
+            console.error('TagRulesComponent: Error loading tag rules:', error);
+        }
+    }
+
+    render(info) {
+        if (!this.elements.status) return;
+
+        this.elements.status.textContent = info.error
+            ? `Rules file has errors, the previous rules stay in use: ${info.error}`
+            : `${info.rules.length} rules${info.path ? ` from ${info.path}` : ' (built-in)'}`;
+        this.elements.status.classList.toggle('error', Boolean(info.error));
+        this.elements.status.title = info.path || '';
+
+        this.elements.list.innerHTML = '';
+        info.rules.forEach(rule => {
+            const item = document.createElement('div');
+            item.className = 'tag-rule';
+
+            const id = document.createElement('span');
+            id.className = 'tag-rule-id';
+            id.textContent = rule.id;
+
+            const tags = document.createElement('span');
+            tags.className = 'tag-rule-tags';
+            tags.textContent = rule.tags.join(', ');
+
+            item.title = rule.description || JSON.stringify(rule.when);
+            item.append(id, tags);
+            this.elements.list.appendChild(item);
+        });
+    }
+
+    async editRules() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            await dataService.openTagRules();
+        } catch (error) {
+            alert('Error opening the rules file: ' + error.message);
+        }
+    }
+
+    /**
+     * Apply the rules file to every track. Tags added by hand or read from files are kept.
+     */
+    async regenerate() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const button = this.elements.regenerateButton;
+        button.disabled = true;
+        try {
+            const result = await dataService.regenerateTags();
+            if (this.eventBus) {
+                this.eventBus.emit('ui:notification', {
+                    message: `Regenerated ${result.tags} tags for ${result.tracks} tracks from ${result.rules} rules`,
+                    type: 'success'
+                });
+                this.eventBus.emit('library:changed', {
+                    paths: 0,
+                    added: 0,
+                    updated: result.tracks,
+                    moved: 0,
+                    removed: 0,
+                    errors: 0,
+                    timestamp: Date.now()
+                });
+            }
+        } catch (error) {
+            alert('Error regenerating tags: ' + error.message);
+        } finally {
+            button.disabled = false;
+            await this.loadRules();
+        }
+    }
+}
+
+// Make available globally
+window.TagRulesComponent = TagRulesComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagRulesComponent;
+}
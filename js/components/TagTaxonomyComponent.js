@@ -0,0 +1,246 @@
+/**
+ * TagTaxonomyComponent - Editor for the tag categories
+ * Each category has a color, a priority, suggested values, whether other values are allowed
+ * and whether it drives tree branching. Taxonomies can be exported to and imported from JSON.
+ */
+class TagTaxonomyComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.categories = [];
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadTaxonomy();
+        }, 1500);
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('TagTaxonomyComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = `
+            <details class="scan-settings-panel">
+                <summary>Tag Categories</summary>
+                <div class="taxonomy-list" id="taxonomyList"></div>
+                <div class="taxonomy-status" id="taxonomyStatus"></div>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="taxonomyAddButton">Add category</button>
+                    <button class="scan-control-button" id="taxonomySaveButton">Save</button>
+                    <button class="scan-control-button" id="taxonomyImportButton">Import</button>
+                    <button class="scan-control-button" id="taxonomyExportButton">Export</button>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            list: document.getElementById('taxonomyList'),
+            status: document.getElementById('taxonomyStatus'),
+            addButton: document.getElementById('taxonomyAddButton'),
+            saveButton: document.getElementById('taxonomySaveButton'),
+            importButton: document.getElementById('taxonomyImportButton'),
+            exportButton: document.getElementById('taxonomyExportButton')
+        };
+
+        if (this.elements.addButton) {
+            this.elements.addButton.onclick = () => this.addCategory();
+        }
+        if (this.elements.saveButton) {
+            this.elements.saveButton.onclick = () => this.save();
+        }
+        if (this.elements.importButton) {
+            this.elements.importButton.onclick = () => this.importTaxonomy();
+        }
+        if (this.elements.exportButton) {
+            this.elements.exportButton.onclick = () => this.exportTaxonomy();
+        }
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async loadTaxonomy() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const taxonomy = await dataService.getTagTaxonomy();
+            if (taxonomy) {
+                this.render(taxonomy);
+            }
+        } catch (error) {
+            console.error('TagTaxonomyComponent: Error loading taxonomy:', error);
+        }
+    }
+
+    render(taxonomy) {
+        if (!this.elements.list) return;
+
+        this.categories = taxonomy.categories.map(category => ({ ...category }));
+        this.elements.list.innerHTML = '';
+        this.categories.forEach(category => this.elements.list.appendChild(this.createRow(category)));
+        this.setStatus(`${this.categories.length} categories`);
+    }
+
+    /**
+     * One editable category; inputs write straight into the category object
+     */
+    createRow(category) {
+        const row = document.createElement('div');
+        row.className = 'taxonomy-category';
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = category.color;
+        color.oninput = () => { category.color = color.value; };
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'taxonomy-name';
+        name.placeholder = 'name';
+        name.value = category.name;
+        name.oninput = () => { category.name = name.value; };
+
+        const priority = document.createElement('input');
+        priority.type = 'number';
+        priority.className = 'taxonomy-priority';
+        priority.title = 'Priority (lower sorts and branches first)';
+        priority.value = category.priority;
+        priority.oninput = () => { category.priority = priority.value === '' ? undefined : Number(priority.value); };
+
+        const values = document.createElement('input');
+        values.type = 'text';
+        values.className = 'taxonomy-values';
+        values.placeholder = 'values, comma separated';
+        values.value = (category.values || []).join(', ');
+        values.oninput = () => {
+            category.values = values.value.split(',').map(value => value.trim()).filter(Boolean);
+        };
+
+        const freeValues = this.createToggle('Other values', category.freeValues !== false, (checked) => {
+            category.freeValues = checked;
+        });
+        const branching = this.createToggle('Tree', category.branching !== false, (checked) => {
+            category.branching = checked;
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'scan-control-button taxonomy-remove';
+        remove.textContent = '✕';
+        remove.title = 'Remove category (its tags stay on tracks)';
+        remove.onclick = () => {
+            this.categories = this.categories.filter(entry => entry !== category);
+            row.remove();
+            this.setStatus('Unsaved changes');
+        };
+
+        row.addEventListener('input', () => this.setStatus('Unsaved changes'));
+        row.append(color, name, priority, freeValues, branching, remove, values);
+        return row;
+    }
+
+    createToggle(text, checked, onChange) {
+        const label = document.createElement('label');
+        label.className = 'taxonomy-toggle';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.onchange = () => onChange(checkbox.checked);
+
+        const span = document.createElement('span');
+        span.textContent = text;
+
+        label.append(checkbox, span);
+        return label;
+    }
+
+    addCategory() {
+        const priority = this.categories.reduce((max, category) => Math.max(max, category.priority || 0), 0) + 1;
+        const category = { name: '', color: '#95a5a6', priority, values: [], freeValues: true, branching: true };
+        this.categories.push(category);
+
+        const row = this.createRow(category);
+        this.elements.list.appendChild(row);
+        row.querySelector('.taxonomy-name').focus();
+        this.setStatus('Unsaved changes');
+    }
+
+    setStatus(text, isError = false) {
+        if (!this.elements.status) return;
+        this.elements.status.textContent = text;
+        this.elements.status.classList.toggle('error', isError);
+    }
+
+    async save() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const taxonomy = await dataService.saveTagTaxonomy({ categories: this.categories });
+            this.render(taxonomy);
+            this.notify('Tag categories saved');
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async importTaxonomy() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const taxonomy = await dataService.importTagTaxonomy();
+            if (taxonomy) {
+                this.render(taxonomy);
+                this.notify(`Imported ${taxonomy.categories.length} tag categories`);
+            }
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async exportTaxonomy() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const filePath = await dataService.exportTagTaxonomy();
+        if (filePath) {
+            this.notify(`Tag categories exported to ${filePath}`);
+        }
+    }
+
+    notify(message) {
+        if (this.eventBus) {
+            this.eventBus.emit('ui:notification', { message, type: 'success' });
+        }
+    }
+}
+
+// Make available globally
+window.TagTaxonomyComponent = TagTaxonomyComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagTaxonomyComponent;
+}
@@ -0,0 +1,221 @@
+/**
+ * TagWritebackComponent - Settings and status for writing tags into audio files
+ * Writeback is opt-in; a dry run lists what would be written without touching any file
+ */
+class TagWritebackComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.unsubscribers = [];
+
+        this.initialize();
+    }
+
+    static PREVIEW_LIMIT = 20;
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+        this.subscribeToEvents();
+
+        // Initial load
+        setTimeout(() => {
+            this.load();
+        }, 1500);
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('TagWritebackComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = `
+            <details class="scan-settings-panel">
+                <summary>Write Tags to Files</summary>
+                <label class="scan-setting scan-setting-inline">
+                    <input type="checkbox" id="writebackEnabled">
+                    <span class="stat-label">Write automatically when tags change</span>
+                </label>
+                <label class="scan-setting scan-setting-inline">
+                    <input type="checkbox" id="writebackBackup">
+                    <span class="stat-label">Back up files before the first write</span>
+                </label>
+                <label class="scan-setting scan-setting-inline">
+                    <input type="checkbox" id="writebackGrouping">
+                    <span class="stat-label">Also fill the grouping field</span>
+                </label>
+                <div class="writeback-status" id="writebackStatus"></div>
+                <div class="scan-controls">
+                    <button class="scan-control-button" id="writebackDryRunButton">Dry run</button>
+                    <button class="scan-control-button" id="writebackWriteButton">Write pending</button>
+                </div>
+                <div class="writeback-preview" id="writebackPreview"></div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            enabled: document.getElementById('writebackEnabled'),
+            backup: document.getElementById('writebackBackup'),
+            grouping: document.getElementById('writebackGrouping'),
+            status: document.getElementById('writebackStatus'),
+            preview: document.getElementById('writebackPreview'),
+            dryRunButton: document.getElementById('writebackDryRunButton'),
+            writeButton: document.getElementById('writebackWriteButton')
+        };
+
+        [this.elements.enabled, this.elements.backup, this.elements.grouping].forEach(checkbox => {
+            if (checkbox) checkbox.onchange = () => this.saveSettings();
+        });
+        if (this.elements.dryRunButton) {
+            this.elements.dryRunButton.onclick = () => this.run(true);
+        }
+        if (this.elements.writeButton) {
+            this.elements.writeButton.onclick = () => this.run(false);
+        }
+    }
+
+    /**
+     * Subscribe to EventBus events
+     */
+    subscribeToEvents() {
+        if (!this.eventBus) return;
+
+        // Files written in the background after tag changes
+        this.unsubscribers.push(this.eventBus.on('writeback:progress', (status) => {
+            if (status.state === 'running') {
+                this.renderProgress(status);
+            } else {
+                this.updateStatus();
+            }
+        }));
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    async load() {
+        const dataService = this.getDataService();
+        if (!dataService || !this.elements.enabled) return;
+
+        try {
+            const settings = await dataService.getWritebackSettings();
+            if (settings) {
+                this.elements.enabled.checked = settings.enabled;
+                this.elements.backup.checked = settings.backup;
+                this.elements.grouping.checked = settings.writeGrouping;
+            }
+            await this.updateStatus();
+        } catch (error) {
+            console.error('TagWritebackComponent: Error loading writeback settings:', error);
+        }
+    }
+
+    async saveSettings() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        const saved = await dataService.saveWritebackSettings({
+            enabled: this.elements.enabled.checked,
+            backup: this.elements.backup.checked,
+            writeGrouping: this.elements.grouping.checked
+        });
+        if (!saved) {
+            alert('Error saving writeback settings');
+        }
+    }
+
+    async updateStatus() {
+        const dataService = this.getDataService();
+        if (!dataService || !this.elements.status) return;
+
+        const { summary, progress } = await dataService.getWritebackStatus();
+        if (progress && progress.state === 'running') {
+            this.renderProgress(progress);
+            return;
+        }
+
+        this.elements.status.textContent =
+            `Pending: ${summary.pending || 0} · Written: ${summary.written || 0} · ` +
+            `Failed: ${summary.failed || 0} · Unsupported: ${summary.unsupported || 0}`;
+    }
+
+    renderProgress(status) {
+        if (!this.elements.status) return;
+
+        let text = `Writing ${Math.min(status.processed + 1, status.total)} of ${status.total}`;
+        if (status.failed > 0) text += `, ${status.failed} failed`;
+        this.elements.status.textContent = text;
+    }
+
+    /**
+     * Write pending (and previously failed) tracks, or only preview them
+     * @param {boolean} dryRun - Report without writing
+     */
+    async run(dryRun) {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        try {
+            const results = await dataService.writeTagsToFiles(null, { dryRun, includeFailed: true });
+            this.renderResults(results, dryRun);
+        } catch (error) {
+            alert('Error writing tags: ' + error.message);
+        }
+
+        await this.updateStatus();
+    }
+
+    renderResults(results, dryRun) {
+        const preview = this.elements.preview;
+        if (!preview) return;
+
+        preview.innerHTML = '';
+        const summary = document.createElement('div');
+        summary.className = 'stat-label';
+        const counts = {};
+        results.forEach(result => { counts[result.status] = (counts[result.status] || 0) + 1; });
+        summary.textContent = results.length === 0
+            ? 'Nothing to write'
+            : Object.entries(counts).map(([status, count]) => `${status}: ${count}`).join(' · ');
+        preview.appendChild(summary);
+
+        results.slice(0, TagWritebackComponent.PREVIEW_LIMIT).forEach(result => {
+            const item = document.createElement('div');
+            item.className = `writeback-item ${result.status}`;
+            const fileName = (result.filePath || '').split(/[\\/]/).pop();
+            item.textContent = dryRun || result.status !== 'failed'
+                ? `${fileName}: ${(result.tags || []).join(', ') || '(no tags)'}`
+                : `${fileName}: ${result.error}`;
+            item.title = result.filePath || '';
+            preview.appendChild(item);
+        });
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Make available globally
+window.TagWritebackComponent = TagWritebackComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TagWritebackComponent;
+}
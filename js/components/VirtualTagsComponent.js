@@ -0,0 +1,107 @@
+/**
+ * VirtualTagsComponent - Switches for the inferred (virtual) tag categories
+ * Inferred tags are never stored; they fill a category only for tracks with no stored tag in it
+ */
+class VirtualTagsComponent {
+    constructor(containerId, eventBus) {
+        this.containerId = containerId;
+        this.eventBus = eventBus;
+        this.elements = {};
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.renderHTML();
+        this.cacheElements();
+
+        // Initial load
+        setTimeout(() => {
+            this.loadCategories();
+        }, 1500);
+    }
+
+    /**
+     * Render the panel
+     */
+    renderHTML() {
+        const container = document.getElementById(this.containerId);
+        if (!container) {
+            console.error('VirtualTagsComponent: Container not found:', this.containerId);
+            return;
+        }
+
+        container.innerHTML = `
+            <details class="scan-settings-panel">
+                <summary>Inferred Tags</summary>
+                <div class="virtual-tags-hint">Shown dashed; used only where a track has no stored tag in the category</div>
+                <div class="virtual-tags-list" id="virtualTagsList"></div>
+            </details>
+        `;
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            list: document.getElementById('virtualTagsList')
+        };
+    }
+
+    getDataService() {
+        return window.serviceManager?.getService('data') || null;
+    }
+
+    loadCategories() {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        this.render(dataService.getVirtualTagCategories());
+    }
+
+    render(categories) {
+        if (!this.elements.list) return;
+
+        this.elements.list.innerHTML = '';
+        categories.forEach(({ category, description, enabled }) => {
+            const label = document.createElement('label');
+            label.className = 'scan-setting scan-setting-inline';
+            label.title = description;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = enabled;
+            checkbox.onchange = () => this.toggle(category, checkbox);
+
+            const name = document.createElement('span');
+            name.className = 'stat-label';
+            name.textContent = `${category} (${description.toLowerCase()})`;
+
+            label.append(checkbox, name);
+            this.elements.list.appendChild(label);
+        });
+    }
+
+    async toggle(category, checkbox) {
+        const dataService = this.getDataService();
+        if (!dataService) return;
+
+        checkbox.disabled = true;
+        try {
+            this.render(await dataService.setVirtualTagCategories({ [category]: checkbox.checked }));
+        } catch (error) {
+            checkbox.checked = !checkbox.checked;
+            checkbox.disabled = false;
+            alert('Error saving inferred tag settings: ' + error.message);
+        }
+    }
+}
+
+// Make available globally
+window.VirtualTagsComponent = VirtualTagsComponent;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VirtualTagsComponent;
+}
@@ -172,6 +172,7 @@ const Containers = {
         
         trackItem.addEventListener('click', (e) => {
             if (e.target.classList.contains('tag') || 
+                e.target.classList.contains('tag-remove') ||
                 e.target.classList.contains('list-play-btn') ||
                 e.target.closest('.list-play-btn')) {
                 return;
@@ -284,6 +285,21 @@ const Containers = {
                     window.EventBus.emit('tags:tag-clicked', { element: tag });
                 }
             });
+
+            // Stored tags can be removed from the row; the row is refreshed on track:tags-changed
+            if (!(track.derivedTags && track.derivedTags[tagWithValue])) {
+                const removeButton = document.createElement('span');
+                removeButton.className = 'tag-remove';
+                removeButton.textContent = '×';
+                removeButton.title = 'Remove tag from this track';
+                removeButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    window.serviceManager?.getService('ui')?.removeTagFromTrack(track, tagWithValue);
+                });
+                tag.appendChild(removeButton);
+            } else {
+                tag.classList.add('derived');
+            }
             tagsContainer.appendChild(tag);
         });
         
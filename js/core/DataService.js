@@ -8,11 +8,13 @@ class DataService extends ServiceBase {
         super(stateManager, eventBus);
         this.musicLibraryFacade = null;
         this.initialized = false;
+        this.virtualTags = new VirtualTagProvider();
         this.cache = {
             tracks: null,
             structure: null,
             stats: null,
             tags: null,
+            tagUsage: null,
             cacheTimeout: 300000 // 5 minutes
         };
     }
@@ -36,6 +38,26 @@ class DataService extends ServiceBase {
         // Subscribe to database update events
         this.subscribeToEvent('database:updated', () => this.clearCache());
         this.subscribeToEvent('scan:complete', () => this.clearCache());
+
+        // Folder watcher in the main process synced files on its own
+        if (window.electronAPI.onLibraryChanged) {
+            window.electronAPI.onLibraryChanged((change) => {
+                this.clearCache();
+                this.eventBus.emit('library:changed', change);
+            });
+        }
+
+        if (window.electronAPI.onAnalysisProgress) {
+            window.electronAPI.onAnalysisProgress((status) => {
+                this.eventBus.emit('analysis:progress', status);
+            });
+        }
+
+        if (window.electronAPI.onWritebackProgress) {
+            window.electronAPI.onWritebackProgress((status) => {
+                this.eventBus.emit('writeback:progress', status);
+            });
+        }
         
         // Handle stats requests
         this.subscribeToEvent('data:get-stats', async (data) => {
@@ -44,6 +66,9 @@ class DataService extends ServiceBase {
         });
 
         this.initialized = true;
+
+        await this._loadTagTaxonomy();
+        await this._loadVirtualTagSettings();
         
         // Emit initialization complete event
         this.eventBus.emit('data:loading:complete');
@@ -133,27 +158,52 @@ class DataService extends ServiceBase {
         }
     }
 
+    /**
+     * Search tracks with the query language
+     * @param {string} query - e.g. artist:"Boards of Canada" year:1995..2005 -genre:pop bpm:>120
+     * @param {Object} options - {limit, filters: {facet: {values, all}}, facets: true to count facet values}
+     * @returns {Promise<Object>} {tracks, errors: [{message, start, end}], corrections: {word: [close words]},
+     *          facets: {total, facets: {facet: [{value, count}]}} or null}
+     */
+    async searchByQuery(query, options = {}) {
+        this._ensureInitialized();
+
+        try {
+            const result = await window.electronAPI.searchByQuery(query, options);
+            return {
+                tracks: (result?.tracks || []).map(track => this._transformTrack(track)),
+                errors: result?.errors || [],
+                corrections: result?.corrections || {},
+                facets: result?.facets || null
+            };
+        } catch (error) {
+            console.error('Error searching tracks by query:', error);
+            return { tracks: [], errors: [], corrections: {}, facets: null };
+        }
+    }
+
     /**
      * Generate tracks with a specific tag
+     * Hierarchical values match their descendants: style:electronic includes style:electronic/techno.
+     * With widen, too few matches bring in the parent value's tracks, then the grandparent's.
+     * With narrow, a value matching many tracks is narrowed to its most used child value
+     * that still has enough tracks.
      * @param {string} tagValue - Tag value to search for
      * @param {Object} excludeTrack - Track to exclude from results
+     * @param {Object} options - {widen: true, narrow: false}
      * @returns {Promise<Array>} Array of tracks with the tag
      */
-    async generateTracksWithTag(tagValue, excludeTrack = null) {
+    async generateTracksWithTag(tagValue, excludeTrack = null, options = {}) {
         this._ensureInitialized();
         
+        const { widen = true, narrow = false } = options;
         
         try {
-            const allTracks = await this._getFlattenedTracks();
-            
-            // Find tracks with the requested tag
-            let matchingTracks = allTracks.filter(track => 
-                track.tags && track.tags.includes(tagValue)
-            );
+            let candidates = await this._getFlattenedTracks();
             
             // Exclude parent track if specified
             if (excludeTrack) {
-                matchingTracks = matchingTracks.filter(track => 
+                candidates = candidates.filter(track => 
                     !(track.title === excludeTrack.title && 
                       track.artist === excludeTrack.artist && 
                       track.album === excludeTrack.album)
@@ -161,11 +211,28 @@ class DataService extends ServiceBase {
             }
             
             // RULE: Exclude tracks already in playlist or tree (centralized logic)
-            matchingTracks = matchingTracks.filter(track => !this._shouldExcludeTrack(track));
+            candidates = candidates.filter(track => !this._shouldExcludeTrack(track));
             
             const requestedCount = 7; // Default count
+            const withTag = tag => candidates.filter(track => tagUtils.trackHasTag(track.tags, tag));
             
-            // NO FALLBACKS - only exact tag matches
+            let matchingTracks = withTag(tagValue);
+            
+            if (narrow && matchingTracks.length > requestedCount) {
+                matchingTracks = this._narrowTagMatches(tagValue, matchingTracks, requestedCount);
+            }
+            
+            if (widen && matchingTracks.length < requestedCount) {
+                // The tag's own tracks come first, the wider ones only fill the remaining places
+                const result = this._selectRandomTracks(matchingTracks, requestedCount);
+                for (let parent = tagUtils.getParentTag(tagValue); parent && result.length < requestedCount; parent = tagUtils.getParentTag(parent)) {
+                    const wider = withTag(parent).filter(track => !result.includes(track));
+                    result.push(...this._selectRandomTracks(wider, requestedCount - result.length));
+                }
+                return result;
+            }
+            
+            // NO FALLBACKS - only tag matches
             if (matchingTracks.length === 0) {
                 return [];
             }
@@ -188,14 +255,14 @@ class DataService extends ServiceBase {
         try {
             const allTracks = await this._getFlattenedTracks();
             
-            // Find tracks that have ALL the requested tags
+            // Find tracks that have ALL the requested tags (or their descendants)
             let exactMatches = allTracks.filter(track => 
-                track.tags && selectedTagsArray.every(tag => track.tags.includes(tag))
+                track.tags && selectedTagsArray.every(tag => tagUtils.trackHasTag(track.tags, tag))
             );
             
             // Find tracks that have SOME of the requested tags
             let partialMatches = allTracks.filter(track => 
-                track.tags && selectedTagsArray.some(tag => track.tags.includes(tag))
+                track.tags && selectedTagsArray.some(tag => tagUtils.trackHasTag(track.tags, tag))
             );
             
             // RULE: Exclude tracks already in playlist or tree (centralized logic)
@@ -290,6 +357,83 @@ class DataService extends ServiceBase {
         }
     }
 
+    /**
+     * Stored tags with the number of tracks using each, most used first
+     * @returns {Promise<Array>} {tag, count}
+     */
+    async getTagUsage() {
+        this._ensureInitialized();
+
+        if (this.cache.tagUsage && this._isCacheValid('tagUsage')) {
+            return this.cache.tagUsage.data;
+        }
+
+        try {
+            const usage = (await window.electronAPI.getTagUsage()) || [];
+            this.cache.tagUsage = { data: usage, timestamp: Date.now() };
+            return usage;
+        } catch (error) {
+            console.error('Error getting tag usage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get how often the most used tags share tracks
+     * @param {number} limit - Number of tags, most used first
+     * @returns {Promise<Object>} {trackCount, tags: [{tag, count}], edges: [{source, target, count, jaccard, npmi}]}
+     */
+    async getTagCooccurrence(limit = 60) {
+        this._ensureInitialized();
+
+        try {
+            return (await window.electronAPI.getTagCooccurrence(limit)) || { trackCount: 0, tags: [], edges: [] };
+        } catch (error) {
+            console.error('Error getting tag co-occurrence:', error);
+            return { trackCount: 0, tags: [], edges: [] };
+        }
+    }
+
+    /**
+     * Remove a stored tag from a track
+     * @param {Object} track - Track object
+     * @param {string} tag - Tag to remove
+     * @returns {Promise<Object|null>} Operation to pass to undoTagRemoval(), or null when the tag is not stored
+     * @throws {Error} When the removal fails
+     */
+    async removeTagFromTrack(track, tag) {
+        this._ensureInitialized();
+
+        const result = await window.electronAPI.removeTagFromTrack(track, tag);
+        if (result) {
+            this.clearCache();
+            this.eventBus.emit('database:updated', {
+                type: 'tag_removed',
+                track: track,
+                tag: tag,
+                operationId: result.id,
+                timestamp: Date.now()
+            });
+            this.eventBus.emit('track:tags-changed', { track, added: [], removed: [tag], timestamp: Date.now() });
+        }
+        return result;
+    }
+
+    /**
+     * Put back a tag removed with removeTagFromTrack(), with its original source
+     * @param {Object} track - Track object
+     * @param {string} tag - Tag that was removed
+     * @param {number} operationId - Id of the removal
+     * @returns {Promise<boolean>} Whether the tag was restored
+     */
+    async undoTagRemoval(track, tag, operationId) {
+        const result = await this.undoTagOperation(operationId);
+        if (result) {
+            this.eventBus.emit('track:tags-changed', { track, added: [tag], removed: [], timestamp: Date.now() });
+        }
+        return Boolean(result);
+    }
+
     /**
      * Get available tags grouped by category
      * @returns {Promise<Object>} Tags grouped by category
@@ -303,7 +447,8 @@ class DataService extends ServiceBase {
 
         try {
             const stats = await window.electronAPI.getStats();
-            const allTags = stats.uniqueTags || [];
+            const storedTags = stats.uniqueTags || [];
+            const allTags = [...storedTags, ...(await this.getDerivedOnlyTags(storedTags))];
             
             // NO FALLBACKS - only database data
             if (allTags.length === 0) {
@@ -337,6 +482,264 @@ class DataService extends ServiceBase {
         }
     }
 
+    /**
+     * Inferred tags that no track has stored, so the legend can mark them as derived
+     * @param {Array<string>|null} storedTags - Stored unique tags, fetched when omitted
+     * @returns {Promise<Array<string>>} Tags in "category:value" form
+     */
+    async getDerivedOnlyTags(storedTags = null) {
+        this._ensureInitialized();
+
+        const stored = new Set(storedTags || (await window.electronAPI.getStats()).uniqueTags || []);
+        const derived = new Set();
+        (await this._getFlattenedTracks()).forEach(track => {
+            Object.keys(track.derivedTags || {}).forEach(tag => {
+                if (!stored.has(tag)) derived.add(tag);
+            });
+        });
+        return [...derived];
+    }
+
+    /**
+     * Tag categories with their colors, priorities and values
+     * @returns {Promise<Object|null>} {categories: [{name, label, color, priority, values, freeValues, branching}]}
+     */
+    async getTagTaxonomy() {
+        this._ensureInitialized();
+        return await window.electronAPI.getTagTaxonomy();
+    }
+
+    /**
+     * Save the taxonomy and apply it to tag colors, sorting and tree branching
+     * @param {Object} taxonomy - {categories: Array}
+     * @returns {Promise<Object>} Saved taxonomy
+     * @throws {Error} When the taxonomy is invalid
+     */
+    async saveTagTaxonomy(taxonomy) {
+        this._ensureInitialized();
+        return this._taxonomyChanged(await window.electronAPI.saveTagTaxonomy(taxonomy));
+    }
+
+    /**
+     * Replace the taxonomy with a JSON file picked by the user
+     * @returns {Promise<Object|null>} Imported taxonomy, or null when cancelled
+     * @throws {Error} When the file is not a valid taxonomy
+     */
+    async importTagTaxonomy() {
+        this._ensureInitialized();
+        const taxonomy = await window.electronAPI.importTagTaxonomy();
+        return taxonomy ? this._taxonomyChanged(taxonomy) : null;
+    }
+
+    /**
+     * @returns {Promise<string|null>} Path written, or null when cancelled
+     */
+    async exportTagTaxonomy() {
+        this._ensureInitialized();
+        return await window.electronAPI.exportTagTaxonomy();
+    }
+
+    /**
+     * Smart crates with the number of tracks each matches now
+     * @returns {Promise<Array>} {id, name, query, tags, filters, trackCount}
+     */
+    async getSmartCrates() {
+        this._ensureInitialized();
+
+        try {
+            return await window.electronAPI.getSmartCrates();
+        } catch (error) {
+            console.error('Error getting smart crates:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a search or a tag selection as a smart crate
+     * @param {Object} crate - {name, query, filters} from the search, or {name, tags} from the tag selection
+     * @returns {Promise<Object>} Saved crate
+     * @throws {Error} When the crate is invalid
+     */
+    async saveSmartCrate(crate) {
+        this._ensureInitialized();
+        const saved = await window.electronAPI.saveSmartCrate(crate);
+        this.eventBus.emit('crates:changed', { crate: saved, timestamp: Date.now() });
+        return saved;
+    }
+
+    async deleteSmartCrate(crateId) {
+        this._ensureInitialized();
+        const deleted = await window.electronAPI.deleteSmartCrate(crateId);
+        if (deleted) {
+            this.eventBus.emit('crates:changed', { crateId, timestamp: Date.now() });
+        }
+        return deleted;
+    }
+
+    /**
+     * @param {number} crateId - Crate id
+     * @param {number} limit - Maximum tracks
+     * @returns {Promise<Array>} Tracks of the crate as the library is now
+     */
+    async getSmartCrateTracks(crateId, limit = 100) {
+        this._ensureInitialized();
+
+        try {
+            const tracks = await window.electronAPI.getSmartCrateTracks(crateId, limit);
+            return (tracks || []).map(track => this._transformTrack(track));
+        } catch (error) {
+            console.error('Error getting smart crate tracks:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @returns {Promise<string|null>} Path written, or null when cancelled
+     */
+    async exportSmartCrates() {
+        this._ensureInitialized();
+        return await window.electronAPI.exportSmartCrates();
+    }
+
+    _taxonomyChanged(taxonomy) {
+        tagUtils.applyTaxonomy(taxonomy);
+        this.clearCache();
+        this.eventBus.emit('tags:taxonomy-changed', { taxonomy, timestamp: Date.now() });
+        return taxonomy;
+    }
+
+    async _loadTagTaxonomy() {
+        try {
+            tagUtils.applyTaxonomy(await window.electronAPI.getTagTaxonomy());
+        } catch (error) {
+            console.error('Error loading tag taxonomy:', error);
+        }
+    }
+
+    /**
+     * Count the tracks a tag operation would change
+     * @param {Object} operation - {type: rename|merge|move|split|delete, from: [tags], to: [tags], category}
+     * @returns {Promise<Object>} {tracks, tags: {tag: track count}, generated, changes}
+     * @throws {Error} When the operation is malformed
+     */
+    async previewTagOperation(operation) {
+        this._ensureInitialized();
+        return await window.electronAPI.previewTagOperation(operation);
+    }
+
+    /**
+     * Rename, merge, move, split or delete tags on every track
+     * @param {Object} operation - As for previewTagOperation()
+     * @returns {Promise<Object>} {id, type, from, to, trackIds, removed, added}
+     * @throws {Error} When the operation is malformed
+     */
+    async applyTagOperation(operation) {
+        this._ensureInitialized();
+        const result = await window.electronAPI.applyTagOperation(operation);
+        this._tagsBulkChanged('applied', result.id, result.trackIds);
+        return result;
+    }
+
+    /**
+     * Add and remove tags on several tracks in one transaction
+     * @param {Array<Object>} tracks - Track objects
+     * @param {Object} edit - {add: [tags], remove: [tags], replaceCategories: [categories]}
+     * @returns {Promise<Object>} {id, changes: [{track, added, removed}]}; pass it to undoBatchEdit()
+     * @throws {Error} When an added tag is not allowed by the taxonomy
+     */
+    async batchEditTags(tracks, edit) {
+        this._ensureInitialized();
+        const tracksData = tracks.map(({ title, artist, album }) => ({ title, artist, album }));
+        const result = await window.electronAPI.batchEditTags(tracksData, edit);
+        if (result.id) {
+            this.clearCache();
+            this.eventBus.emit('database:updated', {
+                type: 'tags_batch_edited',
+                operationId: result.id,
+                tracks: result.changes.length,
+                timestamp: Date.now()
+            });
+            result.changes.forEach(({ track, added, removed }) => {
+                this.eventBus.emit('track:tags-changed', { track, added, removed, timestamp: Date.now() });
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Revert a batchEditTags() result
+     * @param {Object} result - What batchEditTags() returned
+     * @returns {Promise<boolean>} Whether it was undone
+     */
+    async undoBatchEdit(result) {
+        const undone = await this.undoTagOperation(result.id);
+        if (undone) {
+            result.changes.forEach(({ track, added, removed }) => {
+                this.eventBus.emit('track:tags-changed', { track, added: removed, removed: added, timestamp: Date.now() });
+            });
+        }
+        return Boolean(undone);
+    }
+
+    /**
+     * @param {number} operationId - Operation id
+     * @returns {Promise<Object|null>} {id, trackIds}, or null when it was already undone
+     */
+    async undoTagOperation(operationId) {
+        this._ensureInitialized();
+        const result = await window.electronAPI.undoTagOperation(operationId);
+        if (result) {
+            this._tagsBulkChanged('undone', result.id, result.trackIds);
+        }
+        return result;
+    }
+
+    /**
+     * @param {number} limit - Maximum number of operations
+     * @returns {Promise<Array>} Recent operations, newest first
+     */
+    async getTagOperations(limit = 20) {
+        this._ensureInitialized();
+        return (await window.electronAPI.getTagOperations(limit)) || [];
+    }
+
+    _tagsBulkChanged(action, operationId, trackIds) {
+        this.clearCache();
+        this.eventBus.emit('tags:bulk-changed', { action, operationId, tracks: trackIds.length, timestamp: Date.now() });
+    }
+
+    /**
+     * Virtual tag categories and whether each is enabled
+     * @returns {Array<Object>} [{category, description, enabled}]
+     */
+    getVirtualTagCategories() {
+        return this.virtualTags.getCategories();
+    }
+
+    /**
+     * Switch virtual tag categories on or off and save the choice with the library
+     * @param {Object} categories - {category: boolean}
+     * @returns {Promise<Array<Object>>} Updated categories
+     */
+    async setVirtualTagCategories(categories) {
+        this._ensureInitialized();
+
+        const settings = { categories: { ...this.virtualTags.getSettings().categories, ...categories } };
+        await window.electronAPI.saveVirtualTagSettings(settings);
+        this.virtualTags.applySettings(settings);
+        this.clearCache();
+        this.eventBus.emit('tags:virtual-changed', { categories: settings.categories, timestamp: Date.now() });
+        return this.virtualTags.getCategories();
+    }
+
+    async _loadVirtualTagSettings() {
+        try {
+            this.virtualTags.applySettings(await window.electronAPI.getVirtualTagSettings());
+        } catch (error) {
+            console.error('Error loading virtual tag settings:', error);
+        }
+    }
+
     /**
      * Clear the database
      * @returns {Promise<boolean>} Success status
@@ -359,13 +762,14 @@ class DataService extends ServiceBase {
      * Scan directory for music files
      * @param {string} directory - Directory to scan
      * @param {Function} progressCallback - Progress callback
-     * @returns {Promise<Object>} Scan results
+     * @param {Object} options - {missingFiles: 'mark'|'delete'}
+     * @returns {Promise<Object>} Scan results (added/updated/moved/removed/unchanged counts)
      */
-    async scanDirectory(directory, progressCallback = null) {
+    async scanDirectory(directory, progressCallback = null, options = {}) {
         this._ensureInitialized();
         
         try {
-            const result = await window.electronAPI.scanDirectory(directory);
+            const result = await window.electronAPI.scanDirectory(directory, options);
             this.clearCache();
             return result;
         } catch (error) {
@@ -374,6 +778,295 @@ class DataService extends ServiceBase {
         }
     }
 
+    /**
+     * Pause the running scan
+     * @returns {Promise<boolean>} Whether a scan was running
+     */
+    async pauseScan() {
+        this._ensureInitialized();
+        return await window.electronAPI.pauseScan();
+    }
+
+    /**
+     * Resume a paused scan
+     * @returns {Promise<boolean>} Whether a scan was running
+     */
+    async resumeScan() {
+        this._ensureInitialized();
+        return await window.electronAPI.resumeScan();
+    }
+
+    /**
+     * Cancel the running scan; tracks saved so far are kept
+     * @returns {Promise<boolean>} Whether a scan was running
+     */
+    async cancelScan() {
+        this._ensureInitialized();
+        return await window.electronAPI.cancelScan();
+    }
+
+    /**
+     * Resume an interrupted scan job from where it stopped
+     * @param {number} jobId - Scan job id
+     * @returns {Promise<Object>} Scan results
+     */
+    async resumeScanJob(jobId) {
+        this._ensureInitialized();
+        
+        try {
+            const result = await window.electronAPI.resumeScanJob(jobId);
+            this.clearCache();
+            return result;
+        } catch (error) {
+            console.error('Error resuming scan job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a scan job (running or interrupted)
+     * @param {number} jobId - Scan job id
+     * @returns {Promise<boolean>} Success status
+     */
+    async cancelScanJob(jobId) {
+        this._ensureInitialized();
+        return await window.electronAPI.cancelScanJob(jobId);
+    }
+
+    /**
+     * Get the most recent scan jobs
+     * @param {number} limit - Maximum number of jobs
+     * @returns {Promise<Array>} Jobs with root, status, counts and cursor, newest first
+     */
+    async getScanJobs(limit = 20) {
+        this._ensureInitialized();
+        return await window.electronAPI.getScanJobs(limit);
+    }
+
+    /**
+     * Get the files that failed during a scan job
+     * @param {number} jobId - Scan job id
+     * @returns {Promise<Array>} {filePath, fileName, errorType, errorMessage, createdAt}
+     */
+    async getScanJobErrors(jobId) {
+        this._ensureInitialized();
+        return await window.electronAPI.getScanJobErrors(jobId);
+    }
+
+    /**
+     * Scan files that failed in a job again
+     * @param {number} jobId - Scan job id
+     * @param {Array<string>} filePaths - Files to retry
+     * @returns {Promise<Object>} Scan results for the retried files
+     */
+    async retryScanFiles(jobId, filePaths) {
+        this._ensureInitialized();
+        
+        try {
+            const result = await window.electronAPI.retryScanFiles(jobId, filePaths);
+            this.clearCache();
+            return result;
+        } catch (error) {
+            console.error('Error retrying scan files:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save a job's failures as CSV (the main process asks where)
+     * @param {number} jobId - Scan job id
+     * @returns {Promise<string|null>} Written file path, or null when cancelled
+     */
+    async exportScanErrors(jobId) {
+        this._ensureInitialized();
+        return await window.electronAPI.exportScanErrors(jobId);
+    }
+
+    /**
+     * Exclude paths from future scans
+     * @param {Array<string>} paths - Files or directories
+     * @param {number} jobId - Optional job whose errors for these paths are resolved
+     * @returns {Promise<boolean>} Success status
+     */
+    async ignoreScanPaths(paths, jobId = null) {
+        this._ensureInitialized();
+        return await window.electronAPI.ignoreScanPaths(paths, jobId);
+    }
+
+    async unignoreScanPaths(paths) {
+        this._ensureInitialized();
+        return await window.electronAPI.unignoreScanPaths(paths);
+    }
+
+    async getIgnoredPaths() {
+        this._ensureInitialized();
+        return await window.electronAPI.getIgnoredPaths();
+    }
+
+    /**
+     * List the library roots with track counts and online state
+     * @returns {Promise<Array>} {id, path, addedAt, lastScannedAt, trackCount, missingCount, online, watched}
+     */
+    async getLibraryRoots() {
+        this._ensureInitialized();
+        return await window.electronAPI.getLibraryRoots();
+    }
+
+    /**
+     * Add a directory to the library (without scanning it)
+     * @param {string} directory - Directory path
+     * @returns {Promise<Object>} Root row
+     */
+    async addLibraryRoot(directory) {
+        this._ensureInitialized();
+        return await window.electronAPI.addLibraryRoot(directory);
+    }
+
+    /**
+     * Remove a root, and unless keepTracks is set, its tracks
+     * @param {number} rootId - Root id
+     * @param {Object} options - {keepTracks}
+     * @returns {Promise<Object>} {root, removedTracks}
+     */
+    async removeLibraryRoot(rootId, options = {}) {
+        this._ensureInitialized();
+        const result = await window.electronAPI.removeLibraryRoot(rootId, options);
+        this.clearCache();
+        return result;
+    }
+
+    /**
+     * Rescan a root; progress arrives through onScanProgress like any scan
+     * @param {number} rootId - Root id
+     * @param {Object} options - Scan options
+     * @returns {Promise<Object>} Scan results
+     */
+    async rescanLibraryRoot(rootId, options = {}) {
+        this._ensureInitialized();
+        const results = await window.electronAPI.rescanLibraryRoot(rootId, options);
+        this.clearCache();
+        return results;
+    }
+
+    /**
+     * Point a root at a new location and rewrite its track paths
+     * @param {number} rootId - Root id
+     * @param {string} newPath - New directory path
+     * @returns {Promise<Object>} {root, moved}
+     */
+    async relocateLibraryRoot(rootId, newPath) {
+        this._ensureInitialized();
+        const result = await window.electronAPI.relocateLibraryRoot(rootId, newPath);
+        this.clearCache();
+        return result;
+    }
+
+    /**
+     * Get the tag rules in use
+     * @returns {Promise<Object|null>} {path: rules file, rules: [{id, description, when, tags}], error}
+     */
+    async getTagRules() {
+        this._ensureInitialized();
+        return await window.electronAPI.getTagRules();
+    }
+
+    /**
+     * Open the tag rules file in the system editor
+     * @returns {Promise<string>} Rules file path
+     */
+    async openTagRules() {
+        this._ensureInitialized();
+        return await window.electronAPI.openTagRules();
+    }
+
+    /**
+     * Regenerate the rule tags of every track from the current rules file
+     * @returns {Promise<Object>} {tracks, tags, rules}
+     */
+    async regenerateTags() {
+        this._ensureInitialized();
+        const result = await window.electronAPI.regenerateTags();
+        this.clearCache();
+        return result;
+    }
+
+    /**
+     * Background audio analysis state
+     * @returns {Promise<Object|null>} {state, total, processed, failed, current, summary: {analyzed, failed, pending}}
+     */
+    async getAnalysisStatus() {
+        this._ensureInitialized();
+        return await window.electronAPI.getAnalysisStatus();
+    }
+
+    /**
+     * Start analyzing pending tracks; progress arrives as analysis:progress events
+     * @param {Object} options - {retryFailed}
+     */
+    async analyzeAudio(options = {}) {
+        this._ensureInitialized();
+        return await window.electronAPI.analyzeAudio(options);
+    }
+
+    async cancelAudioAnalysis() {
+        this._ensureInitialized();
+        return await window.electronAPI.cancelAudioAnalysis();
+    }
+
+    /**
+     * Get the tag writeback settings
+     * @returns {Promise<Object|null>} {enabled, backup, writeGrouping}
+     */
+    async getWritebackSettings() {
+        this._ensureInitialized();
+        return await window.electronAPI.getWritebackSettings();
+    }
+
+    async saveWritebackSettings(settings) {
+        this._ensureInitialized();
+        return await window.electronAPI.saveWritebackSettings(settings);
+    }
+
+    /**
+     * Write tags into audio files
+     * @param {Array<number>|null} trackIds - Tracks to write, or null for every pending track
+     * @param {Object} options - {dryRun, backup, writeGrouping, includeFailed}
+     * @returns {Promise<Array<Object>>} Per-track results with status written, failed, unsupported or dry-run
+     */
+    async writeTagsToFiles(trackIds = null, options = {}) {
+        this._ensureInitialized();
+        return await window.electronAPI.writeTagsToFiles(trackIds, options);
+    }
+
+    /**
+     * Get writeback counts per status, the files that failed and the progress of the background
+     * writes (also sent as writeback:progress events)
+     * @returns {Promise<Object>} {summary: {pending, written, failed, unsupported}, failed: Array, progress}
+     */
+    async getWritebackStatus() {
+        this._ensureInitialized();
+        return await window.electronAPI.getWritebackStatus();
+    }
+
+    /**
+     * Get the library's scan rules
+     * @returns {Promise<Object|null>} {extensions, excludePatterns, minFileSize, minDuration, followSymlinks}
+     */
+    async getScanRules() {
+        this._ensureInitialized();
+        return await window.electronAPI.getScanRules();
+    }
+
+    /**
+     * Save the library's scan rules; they apply from the next scan
+     * @param {Object} rules - Scan rules
+     * @returns {Promise<Object|null>} Rules as stored (normalized), or null on failure
+     */
+    async saveScanRules(rules) {
+        this._ensureInitialized();
+        return await window.electronAPI.saveScanRules(rules);
+    }
+
     /**
      * Select music directory via dialog
      * @returns {Promise<string>} Selected directory path
@@ -399,6 +1092,7 @@ class DataService extends ServiceBase {
         this.cache.structure = null;
         this.cache.stats = null;
         this.cache.tags = null;
+        this.cache.tagUsage = null;
     }
 
     // Private helper methods
@@ -428,6 +1122,28 @@ class DataService extends ServiceBase {
         return allTracks;
     }
 
+    /**
+     * Narrow the matches of a hierarchical tag to its most used child value, level by level,
+     * as long as that child keeps at least the requested number of tracks
+     * @param {string} tagValue - Matched tag
+     * @param {Array} tracks - Tracks with the tag or a descendant
+     * @param {number} requestedCount - Tracks needed
+     * @returns {Array} Tracks of the narrowest value with enough matches
+     */
+    _narrowTagMatches(tagValue, tracks, requestedCount) {
+        const counts = new Map();
+        tracks.forEach(track => {
+            new Set(track.tags.map(tag => tagUtils.getChildTagToward(tag, tagValue)).filter(Boolean))
+                .forEach(child => counts.set(child, (counts.get(child) || 0) + 1));
+        });
+
+        const [child, count] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+        if (!child || count < requestedCount) {
+            return tracks;
+        }
+        return this._narrowTagMatches(child, tracks.filter(track => tagUtils.trackHasTag(track.tags, child)), requestedCount);
+    }
+
     /**
      * Select random tracks from array
      * @param {Array} tracks - Tracks to select from
@@ -544,75 +1260,20 @@ class DataService extends ServiceBase {
             }
         }
 
-        // Create tags in the format expected by the UI
-        const uiTags = [];
-        
-        // First, add ALL original tags from database (they should already be in "category:value" format)
-        if (Array.isArray(tags)) {
-            uiTags.push(...tags);
-        }
-        
-        // Add genre if available
-        if (dbTrack.genre) {
-            uiTags.push(`genre:${dbTrack.genre.toLowerCase()}`);
-            uiTags.push(`style:${dbTrack.genre.toLowerCase()}`);
-        }
-        
-        // Add year/era if available
-        if (dbTrack.year) {
-            if (dbTrack.year >= 2020) uiTags.push('era:modern');
-            else if (dbTrack.year >= 2010) uiTags.push('era:2010s');
-            else if (dbTrack.year >= 2000) uiTags.push('era:2000s');
-            else if (dbTrack.year >= 1990) uiTags.push('era:90s');
-            else uiTags.push('era:classic');
-        }
-        
-        // Add synthetic tags based on track characteristics for better tree generation
-        const trackTitle = (dbTrack.title || '').toLowerCase();
-        
-        // Energy tags based on genre patterns
-        if (dbTrack.genre) {
-            const genre = dbTrack.genre.toLowerCase();
-            if (['rock', 'metal', 'punk', 'electronic', 'dance'].includes(genre)) {
-                uiTags.push('energy:high');
-                uiTags.push('intensity:powerful');
-            } else if (['classical', 'ambient', 'folk', 'acoustic'].includes(genre)) {
-                uiTags.push('energy:low');
-                uiTags.push('intensity:gentle');
-            } else {
-                uiTags.push('energy:medium');
-                uiTags.push('intensity:moderate');
-            }
-        }
-        
-        // Mood tags based on title patterns
-        if (trackTitle.includes('dark') || trackTitle.includes('night') || trackTitle.includes('shadow')) {
-            uiTags.push('mood:dark');
-            uiTags.push('weather:night');
-        } else if (trackTitle.includes('light') || trackTitle.includes('bright') || trackTitle.includes('sun')) {
-            uiTags.push('mood:bright');
-            uiTags.push('weather:sunny');
-        } else if (trackTitle.includes('love') || trackTitle.includes('heart')) {
-            uiTags.push('emotion:romantic');
-            uiTags.push('vibe:emotional');
-        } else {
-            uiTags.push('mood:neutral');
-            uiTags.push('vibe:chill');
-        }
-        
-        // Tempo tags based on duration (rough estimation)
-        if (dbTrack.duration && typeof dbTrack.duration === 'number') {
-            if (dbTrack.duration < 180) { // Less than 3 minutes
-                uiTags.push('tempo:upbeat');
-            } else if (dbTrack.duration > 300) { // More than 5 minutes
-                uiTags.push('tempo:slow');
-            } else {
-                uiTags.push('tempo:mid');
+        // Rule that generated each rule-based tag, for tooltips
+        let tagRules = {};
+        if (dbTrack.tag_rules) {
+            try {
+                tagRules = typeof dbTrack.tag_rules === 'string' ? JSON.parse(dbTrack.tag_rules) : dbTrack.tag_rules;
+            } catch (e) {
+                tagRules = {};
             }
         }
-        
-        // Rating tags (all database tracks are "discovered")
-        uiTags.push('rating:discovered');
+
+        // Stored tags first, then the inferred tags of enabled virtual tag categories
+        const storedTags = Array.isArray(tags) ? tags : [];
+        const derivedTags = this.virtualTags.deriveTags(dbTrack, storedTags);
+        const uiTags = [...storedTags, ...Object.keys(derivedTags)];
 
         // Convert duration to string format like JSON tracks
         let durationStr = '';
@@ -629,6 +1290,8 @@ class DataService extends ServiceBase {
             album: dbTrack.album || 'Unknown Album',
             duration: durationStr || '0:00',
             tags: uiTags,
+            tagRules: tagRules,
+            derivedTags: derivedTags,
             source: 'database'
         };
     }
@@ -114,16 +114,16 @@ class DragDropService extends ServiceBase {
      */
     setupDragListeners() {
         
-        // Use event delegation for dynamically added track items
+        // Use event delegation for dynamically added track items and smart crates
         const dragStartHandler = (e) => {
-            const trackItem = e.target.closest('.track-item, .track-list-item, .search-result-item');
-            if (trackItem && trackItem.dataset.track) {
+            const trackItem = e.target.closest('.track-item, .track-list-item, .search-result-item, .smart-crate');
+            if (trackItem && (trackItem.dataset.track || trackItem.dataset.crate)) {
                 this.handleDragStart(e, trackItem);
             }
         };
         
         const dragEndHandler = (e) => {
-            const trackItem = e.target.closest('.track-item, .track-list-item, .search-result-item');
+            const trackItem = e.target.closest('.track-item, .track-list-item, .search-result-item, .smart-crate');
             if (trackItem) {
                 this.handleDragEnd(e, trackItem);
             }
@@ -185,7 +185,8 @@ class DragDropService extends ServiceBase {
             console.error('🎯 DragDropService: Error setting state:', stateError);
         }
         
-        const trackData = element.dataset.track;
+        // A smart crate carries {crateId, name}; its seed track is picked on drop
+        const trackData = element.dataset.track || element.dataset.crate;
         
         // Extract track data from element
         
@@ -299,7 +300,11 @@ class DragDropService extends ServiceBase {
                 return;
             }
             
-            const trackData = JSON.parse(trackDataString);
+            const dropped = JSON.parse(trackDataString);
+            const trackData = dropped.crateId ? await this.getCrateSeedTrack(dropped) : dropped;
+            if (!trackData) {
+                return;
+            }
             
             if (!this.validate({ trackData }, { trackData: this.validationRules.trackData })) {
                 this.emitEvent('notification:show', {
@@ -345,6 +350,26 @@ class DragDropService extends ServiceBase {
         }
     }
 
+    /**
+     * Pick the root track for a tree dropped from a smart crate
+     * @param {Object} crate - {crateId, name} as set on the dragged crate
+     * @returns {Promise<Object|null>} A random tagged track of the crate, or null when it has none
+     */
+    async getCrateSeedTrack(crate) {
+        const dataService = this.getDependency('data');
+        const tracks = dataService ? await dataService.getSmartCrateTracks(crate.crateId) : [];
+        const candidates = tracks.filter(track => this.validationRules.trackData(track));
+        
+        if (candidates.length === 0) {
+            this.emitEvent('notification:show', {
+                message: `Crate "${crate.name}" has no tracks to grow a tree from`,
+                type: 'warning'
+            });
+            return null;
+        }
+        return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
     /**
      * Create an automatic tree structure
      * @param {Object} rootTrackData - The root track data
@@ -396,7 +421,7 @@ class DragDropService extends ServiceBase {
         const tagsPerLevel = levelConfig.tagsPerLevel;
         
         // Get unique tags from parent track
-        let availableTags = this.selectRepresentativeTags(parentTrack.tags);
+        let availableTags = this.selectRepresentativeTags(parentTrack.tags, parentTrack.derivedTags);
         
         // RULE: Exclude the tag that was used to create this node (avoid redundant connections)
         const parentConnectionTag = parentNode?.dataset?.connectionTag;
@@ -482,39 +507,27 @@ class DragDropService extends ServiceBase {
     /**
      * Select representative tags from a track's tags
      * @param {Array} tags - Array of all tags
+     * @param {Object} derivedTags - Inferred tags of the track ({tag: reason}), used only when nothing stored
      * @returns {Array} Selected representative tags
      */
-    selectRepresentativeTags(tags) {
-        // Prioritize certain tag types for better tree diversity
-        const tagPriority = {
-            'mood': 3,
-            'energy': 3, 
-            'emotion': 2,
-            'style': 2,
-            'vibe': 2,
-            'occasion': 1,
-            'tempo': 1,
-            'weather': 1,
-            'intensity': 1,
-            'rating': 0
-        };
-        
-        // Group tags by type and score them
+    selectRepresentativeTags(tags, derivedTags = {}) {
+        // Only categories the taxonomy marks as branching grow the tree
         const tagsByType = {};
         tags.forEach(tag => {
             const type = tagUtils.getTagType(tag);
+            if (!tagUtils.isBranchingCategory(type)) return;
             if (!tagsByType[type]) tagsByType[type] = [];
             tagsByType[type].push(tag);
         });
         
-        // Select best tags based on priority (now configurable)
+        // Select best tags based on the taxonomy priority (lower comes first)
         const selectedTags = [];
         Object.entries(tagsByType)
-            .sort(([typeA], [typeB]) => (tagPriority[typeB] || 0) - (tagPriority[typeA] || 0))
+            .sort(([typeA], [typeB]) => tagUtils.getTagPriority(`${typeA}:`) - tagUtils.getTagPriority(`${typeB}:`))
             .slice(0, this.config.tagsPerLevel + 1) // Take configurable number of tag types
             .forEach(([, typeTags]) => {
-                // Pick one tag from each type (preferably the first)
-                selectedTags.push(typeTags[0]);
+                // Pick one tag from each type, preferring stored tags over inferred ones
+                selectedTags.push(typeTags.find(tag => !(derivedTags || {})[tag]) || typeTags[0]);
             });
         
         return selectedTags;
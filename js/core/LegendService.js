@@ -95,6 +95,26 @@ class LegendService extends ServiceBase {
                 this.refreshLegend();
             });
             
+            this.subscribeToEvent('library:changed', () => {
+                this.invalidateCache();
+                this.refreshLegend();
+            });
+
+            this.subscribeToEvent('tags:virtual-changed', () => {
+                this.invalidateCache();
+                this.refreshLegend();
+            });
+
+            this.subscribeToEvent('tags:bulk-changed', () => {
+                this.invalidateCache();
+                this.refreshLegend();
+            });
+
+            this.subscribeToEvent('tags:taxonomy-changed', () => {
+                this.invalidateCache();
+                this.refreshLegend();
+            });
+            
             // Listen for legend item clicks from UIService
             this.subscribeToEvent('legend:item-clicked', (data) => {
                 this.handleCategoryClick(data.legendItem, data.category, data.tags);
@@ -127,7 +147,7 @@ class LegendService extends ServiceBase {
             
             // Update UI through UI handler (click events handled via UIService)
             if (window.LegendUIHandler) {
-                window.LegendUIHandler.renderLegend(categorizedTags);
+                window.LegendUIHandler.renderLegend(categorizedTags, null, this.derivedTags);
             }
             
             // Emit refresh event
@@ -163,6 +183,7 @@ class LegendService extends ServiceBase {
             const dataService = window.serviceManager?.getService('data');
             if (dataService) {
                 categorizedTags = await dataService.getTagsByCategory();
+                this.derivedTags = await dataService.getDerivedOnlyTags();
             } else {
                 categorizedTags = {};
             }
@@ -209,8 +230,9 @@ class LegendService extends ServiceBase {
         const tagService = window.serviceManager?.getService('tags');
         
         if (tagService && tags && tags.length > 0) {
-            // For legend clicks, we need full tag strings (category:value)
-            const fullTagStrings = tags.map(tagValue => `${category}:${tagValue}`);
+            // For legend clicks, we need full tag strings (category:value); a top-level value
+            // already matches its hierarchical descendants, so only roots are selected
+            const fullTagStrings = [...new Set(tags.map(tagValue => tagUtils.getRootTag(`${category}:${tagValue}`)))];
             
             // Check if any tags from this category are already selected
             const selectedTags = tagService.getSelectedTags();
@@ -55,6 +55,7 @@ class ScanService extends ServiceBase {
         this.subscribeToEvent('scan:viewShown', () => {
             this.initializeElements();
             this.setupScanButton();
+            this.renderScanJobs();
             // Clear button handled by StatsComponent
         });
         
@@ -110,59 +111,192 @@ class ScanService extends ServiceBase {
 
         const dataService = this.getDependency('data') || window.serviceManager?.getService('data');
         if (dataService) {
-            try {
-                this.isScanning = true;
-                
-                const scanProgress = document.getElementById('scanProgress');
-                const progressFill = document.getElementById('progressFill');
-                const progressText = document.getElementById('progressText');
-                
-                // Show progress bar
-                if (scanProgress) scanProgress.style.display = 'block';
-                if (progressFill) progressFill.style.width = '0%';
-                if (progressText) progressText.textContent = 'Starting scan...';
-                
+            await this.runWithProgress(async () => {
                 const directory = await dataService.selectMusicDirectory();
                 if (directory) {
-                    // Clean up existing listeners and setup new one
-                    if (window.electronAPI) {
-                        window.electronAPI.removeAllListeners('scan-progress');
-                        window.electronAPI.onScanProgress((progress) => {
-                            if (progressFill && progressText) {
-                                const percentage = Math.round((progress.processed / progress.total) * 100);
-                                progressFill.style.width = `${percentage}%`;
-                                progressText.textContent = `Scanning... ${progress.processed}/${progress.total} (${percentage}%)`;
-                            }
-                        });
-                    }
-                    
-                    const results = await dataService.scanDirectory(directory);
-                    
-                    // Emit event for StatsComponent to update stats
-                    this.emitEvent('scan:completed', {
-                        directory,
-                        results
-                    });
+                    await this.runScan(dataService, directory, () => dataService.scanDirectory(directory));
                 }
-                
-                // Hide progress bar
-                if (scanProgress) scanProgress.style.display = 'none';
-                
-            } catch (error) {
-                alert('Error scanning library: ' + error.message);
-                
-                // Hide progress bar on error
-                const scanProgress = document.getElementById('scanProgress');
-                if (scanProgress) scanProgress.style.display = 'none';
-            } finally {
-                this.isScanning = false;
-            }
+            });
         } else {
             alert('DataService not available');
         }
     }
 
+    /**
+     * Resume an interrupted scan job listed in the scan panel
+     * @param {Object} job - Scan job row
+     */
+    async resumeScanJob(job) {
+        if (this.isScanning) {
+            return;
+        }
+
+        const dataService = this.getDependency('data') || window.serviceManager?.getService('data');
+        if (dataService) {
+            await this.runWithProgress(() =>
+                this.runScan(dataService, job.root, () => dataService.resumeScanJob(job.id))
+            );
+        }
+    }
+
+    /**
+     * Rescan a library root from the library sidebar
+     * @param {Object} root - Library root ({id, path})
+     * @returns {Promise<boolean>} Whether the scan was started
+     */
+    async rescanRoot(root) {
+        if (this.isScanning) {
+            return false;
+        }
+
+        const dataService = this.getDependency('data') || window.serviceManager?.getService('data');
+        if (!dataService) {
+            return false;
+        }
+
+        await this.runWithProgress(() =>
+            this.runScan(dataService, root.path, () => dataService.rescanLibraryRoot(root.id))
+        );
+        return true;
+    }
 
+    /**
+     * Show the progress bar while a scan runs and hide it afterwards, whatever happens
+     * @param {Function} work - Async function running the scan
+     */
+    async runWithProgress(work) {
+        try {
+            this.isScanning = true;
+            
+            const scanProgress = document.getElementById('scanProgress');
+            const progressFill = document.getElementById('progressFill');
+            const progressText = document.getElementById('progressText');
+            
+            // Show progress bar
+            if (scanProgress) scanProgress.style.display = 'block';
+            if (progressFill) progressFill.style.width = '0%';
+            if (progressText) progressText.textContent = 'Starting scan...';
+            
+            await work();
+            
+            // Hide progress bar
+            if (scanProgress) scanProgress.style.display = 'none';
+            
+        } catch (error) {
+            alert('Error scanning library: ' + error.message);
+            
+            // Hide progress bar on error
+            const scanProgress = document.getElementById('scanProgress');
+            if (scanProgress) scanProgress.style.display = 'none';
+        } finally {
+            this.isScanning = false;
+            await this.renderScanJobs();
+        }
+    }
+
+    /**
+     * Run one scan with progress reporting and announce the results
+     * @param {DataService} dataService - Data service forwarding to the main process
+     * @param {string} directory - Scanned directory
+     * @param {Function} startScan - Starts the scan and resolves with its results
+     */
+    async runScan(dataService, directory, startScan) {
+        const progressFill = document.getElementById('progressFill');
+        const progressText = document.getElementById('progressText');
+
+        this.setupScanControls(dataService);
+
+        // Clean up existing listeners and setup new one
+        if (window.electronAPI) {
+            window.electronAPI.removeAllListeners('scan-progress');
+            window.electronAPI.onScanProgress((progress) => {
+                if (progressFill && progressText) {
+                    const percentage = Math.round((progress.processed / progress.total) * 100);
+                    progressFill.style.width = `${percentage}%`;
+                    progressText.textContent = `Scanning... ${progress.processed}/${progress.total} (${percentage}%)`;
+                }
+            });
+        }
+        
+        const results = await startScan();
+        
+        // Emit event for StatsComponent to update stats
+        this.emitEvent('scan:completed', {
+            directory,
+            results
+        });
+    }
+
+    /**
+     * List interrupted scan jobs in the scan panel with Resume / Discard actions
+     */
+    async renderScanJobs() {
+        const container = document.getElementById('scanJobs');
+        const dataService = this.getDependency('data') || window.serviceManager?.getService('data');
+        if (!container || !dataService) return;
+
+        const jobs = (await dataService.getScanJobs()).filter(job => job.status === 'interrupted');
+        container.innerHTML = '';
+        container.style.display = jobs.length > 0 ? 'block' : 'none';
+
+        jobs.forEach(job => {
+            const item = document.createElement('div');
+            item.className = 'scan-job';
+
+            const label = document.createElement('div');
+            label.className = 'scan-job-label';
+            label.textContent = `Interrupted scan of ${job.root} (${job.processed}/${job.total})`;
+            label.title = job.root;
+
+            const resumeButton = document.createElement('button');
+            resumeButton.className = 'scan-control-button';
+            resumeButton.textContent = 'Resume';
+            resumeButton.onclick = () => this.resumeScanJob(job);
+
+            const discardButton = document.createElement('button');
+            discardButton.className = 'scan-control-button';
+            discardButton.textContent = 'Discard';
+            discardButton.onclick = async () => {
+                await dataService.cancelScanJob(job.id);
+                await this.renderScanJobs();
+            };
+
+            const actions = document.createElement('div');
+            actions.className = 'scan-controls';
+            actions.append(resumeButton, discardButton);
+            item.append(label, actions);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Wire the pause/resume and cancel buttons shown under the progress bar
+     * @param {DataService} dataService - Data service forwarding to the main process
+     */
+    setupScanControls(dataService) {
+        const pauseButton = document.getElementById('pauseScanButton');
+        const cancelButton = document.getElementById('cancelScanButton');
+        let paused = false;
+
+        if (pauseButton) {
+            pauseButton.textContent = 'Pause';
+            pauseButton.onclick = async () => {
+                const ok = paused ? await dataService.resumeScan() : await dataService.pauseScan();
+                if (ok) {
+                    paused = !paused;
+                    pauseButton.textContent = paused ? 'Resume' : 'Pause';
+                    const progressText = document.getElementById('progressText');
+                    if (progressText && paused) progressText.textContent = 'Paused';
+                }
+            };
+        }
+
+        if (cancelButton) {
+            cancelButton.onclick = async () => {
+                await dataService.cancelScan();
+            };
+        }
+    }
 
     // Public API methods
     isCurrentlyScanning() {
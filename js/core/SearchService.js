@@ -1,6 +1,7 @@
 /**
  * SearchService - Centralized search functionality
- * Handles search functionality for tracks, artists, and albums with EventBus integration
+ * Handles search functionality for tracks, artists, and albums with EventBus integration.
+ * The search field takes the query language of SearchQuery, which the main process compiles to SQL.
  */
 class SearchService extends ServiceBase {
     constructor(stateManager, eventBus, dependencies = {}) {
@@ -19,6 +20,15 @@ class SearchService extends ServiceBase {
         // Search state
         this.currentQuery = '';
         this.searchResults = [];
+        // Only the answer to the latest query is shown
+        this.searchSequence = 0;
+        // Indexed words that stood in for misspelled ones in the latest search
+        this.searchCorrections = {};
+        this.matchTerms = null;
+        // Facet values the results must have, set from the facet panel: {facet: {values, all}}
+        this.searchFilters = {};
+        // Smart crate whose tracks are listed instead of a search
+        this.openedCrate = null;
         
         // Validation rules
         this.validationRules = {
@@ -62,6 +72,7 @@ class SearchService extends ServiceBase {
             clearSearchBtn: document.getElementById('clearSearch'),
             searchResults: document.getElementById('searchResults'),
             searchResultsList: document.getElementById('searchResultsList'),
+            searchResultsHeader: document.querySelector('#searchResults .search-results-header'),
             musicLibrary: document.getElementById('musicLibrary')
         };
         
@@ -97,6 +108,17 @@ class SearchService extends ServiceBase {
             this.clearSearch();
         });
         
+        // Facet selections narrow the current query
+        this.subscribeToEvent('search:filters:changed', (data) => {
+            this.searchFilters = data.filters || {};
+            this.performSearch(this.getCurrentQuery());
+        });
+        
+        // Smart crates open from the sidebar
+        this.subscribeToEvent('search:crate:open', (data) => {
+            this.openCrate(data.crate);
+        });
+        
         // Listen for data loading completion to refresh search capabilities
         this.subscribeToEvent('data:loading:complete', () => {
             this.handleDataReady();
@@ -122,6 +144,13 @@ class SearchService extends ServiceBase {
         }
         
         try {
+            // Error highlighting and suggestions; attached first so its keys win over ours
+            if (window.SearchQueryAssist) {
+                this.queryAssist = SearchQueryAssist.attach(this.elements.searchField, {
+                    getTracks: () => this.getAllTracks()
+                });
+            }
+
             // Search input handler with debouncing
             let searchTimeout;
             this.elements.searchField.addEventListener('input', (e) => {
@@ -171,6 +200,7 @@ class SearchService extends ServiceBase {
         }
         
         // Update current query state
+        this.openedCrate = null;
         this.setState('search.currentQuery', searchTerm);
         
         if (!searchTerm || searchTerm.trim().length < this.config.minSearchLength) {
@@ -186,9 +216,25 @@ class SearchService extends ServiceBase {
             });
             
             // Perform the actual search
-            const results = await this.filterTracks(searchTerm);
+            const sequence = ++this.searchSequence;
+            const { tracks: results, errors, corrections, facets } = await this.queryTracks(searchTerm);
+            if (sequence !== this.searchSequence) {
+                return;
+            }
+            
+            // A query that does not parse keeps the previous results; the field shows why
+            this.queryAssist?.showErrors(errors);
+            if (errors.length > 0) {
+                this.emitEvent('search:query:invalid', {
+                    query: searchTerm,
+                    errors,
+                    timestamp: Date.now()
+                });
+                return;
+            }
             
             // Update results state
+            this.searchCorrections = corrections || {};
             this.setState('search.results', results);
             this.setState('search.isActive', results.length > 0);
             
@@ -198,11 +244,15 @@ class SearchService extends ServiceBase {
                     count: results.length,
                     tracks: results,
                     query: searchTerm,
+                    facets,
+                    filters: this.searchFilters,
                     timestamp: Date.now()
                 });
             } else {
                 this.emitEvent('search:results:empty', {
                     query: searchTerm,
+                    facets,
+                    filters: this.searchFilters,
                     timestamp: Date.now()
                 });
             }
@@ -217,50 +267,163 @@ class SearchService extends ServiceBase {
     }
 
     /**
-     * Filter tracks based on search term
-     * @param {string} searchTerm - The search term
-     * @returns {Promise<Array>} Filtered tracks array
+     * Show a smart crate in the search results
+     * A crate saved from the search is run again in the search field with its filters, so it can be
+     * refined and saved again; a crate of tags lists its tracks.
+     * @param {Object} crate - {id, name, query, tags, filters}
+     */
+    async openCrate(crate) {
+        if (!crate) return;
+        
+        if (crate.query && crate.tags.length === 0) {
+            this.searchFilters = { ...crate.filters };
+            if (this.elements.searchField) {
+                this.elements.searchField.value = crate.query;
+            }
+            this.elements.clearSearchBtn?.classList.add('active');
+            await this.performSearch(crate.query);
+            return;
+        }
+        
+        const dataService = window.serviceManager?.getService('data');
+        if (!dataService) return;
+        
+        const sequence = ++this.searchSequence;
+        const tracks = await dataService.getSmartCrateTracks(crate.id, this.config.maxResults);
+        if (sequence !== this.searchSequence) {
+            return;
+        }
+        
+        // The query stays empty, so nothing is highlighted and the facet panel stays hidden
+        this.searchFilters = {};
+        this.searchCorrections = {};
+        this.queryAssist?.clear();
+        if (this.elements.searchField) {
+            this.elements.searchField.value = '';
+        }
+        this.elements.clearSearchBtn?.classList.add('active');
+        
+        this.openedCrate = crate;
+        this.setState('search.currentQuery', '');
+        this.setState('search.results', tracks);
+        this.setState('search.isActive', tracks.length > 0);
+        
+        this.emitEvent('search:crate:opened', {
+            crate,
+            count: tracks.length,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Run a query through the database, narrowed by the selected facets and counting facet values
+     * @param {string} searchTerm - Query, e.g. artist:"Boards of Canada" bpm:>120 -genre:pop
+     * @returns {Promise<Object>} {tracks, errors, corrections, facets}
      */
-    async filterTracks(searchTerm) {
+    async queryTracks(searchTerm) {
         if (!searchTerm || searchTerm.trim().length === 0) {
-            return [];
+            return { tracks: [], errors: [], corrections: {}, facets: null };
         }
         
-        // Get all tracks through DataLoader
-        const allTracks = await this.getAllTracks();
-        const term = searchTerm.toLowerCase().trim();
+        const dataService = window.serviceManager?.getService('data');
+        if (!dataService) {
+            return { tracks: [], errors: [], corrections: {}, facets: null };
+        }
+        return await dataService.searchByQuery(searchTerm, {
+            limit: this.config.maxResults,
+            filters: this.searchFilters,
+            facets: true
+        });
+    }
+
+    /**
+     * What the current query looks for, prepared once per query for highlighting
+     * @returns {Object} {words: [{word, prefix, fuzzy}], fieldTerms, tagTerms}
+     */
+    getMatchTerms() {
+        const query = this.getCurrentQuery();
+        if (this.matchTerms && this.matchTerms.query === query && this.matchTerms.corrections === this.searchCorrections) {
+            return this.matchTerms;
+        }
         
-        const results = allTracks.filter(track => {
-            // Search in track title, artist, and album
-            const title = track.title?.toLowerCase() || '';
-            const artist = track.artist?.toLowerCase() || '';
-            const album = track.album?.toLowerCase() || '';
-            
-            // Word-start matching
-            const titleWords = title.split(' ');
-            const artistWords = artist.split(' ');
-            const albumWords = album.split(' ');
-            
-            // Tag search
-            let tagMatch = false;
-            if (track.tags && track.tags.length > 0) {
-                tagMatch = track.tags.some(tag => {
-                    const tagLower = tag.toLowerCase();
-                    const tagInfo = tagUtils.parseTag(tag);
-                    return tagLower.includes(term) || 
-                           (tagInfo.type && tagInfo.type.toLowerCase().includes(term)) ||
-                           (tagInfo.value && tagInfo.value.toLowerCase().includes(term));
-                });
+        const { ast } = searchQuery.parse(query);
+        const terms = searchQuery.getPositiveTerms(ast);
+        const words = terms
+            .filter(term => term.kind === 'free')
+            .flatMap(term => fuzzyMatch.words(term.value))
+            .flatMap(word => [
+                { word, prefix: true, fuzzy: false },
+                ...(this.searchCorrections[word] || []).map(correction => ({ word: correction, prefix: false, fuzzy: true }))
+            ]);
+        
+        this.matchTerms = {
+            query,
+            corrections: this.searchCorrections,
+            words,
+            fieldTerms: terms.filter(term => term.kind === 'text'),
+            tagTerms: terms.filter(term => term.kind === 'tag')
+        };
+        return this.matchTerms;
+    }
+
+    /**
+     * Where the current query matched a track
+     * @param {Object} track - Track
+     * @returns {Object} {fields: {title, artist, album: [[start, end]]}, tags: [matched tags], fuzzy}
+     */
+    getMatches(track) {
+        const { words, fieldTerms, tagTerms } = this.getMatchTerms();
+        const fields = {};
+        
+        ['title', 'artist', 'album'].forEach(field => {
+            const text = track[field] || '';
+            const spans = fuzzyMatch.mergeSpans([
+                ...fuzzyMatch.findSpans(text, words),
+                ...fieldTerms
+                    .filter(term => term.field === field)
+                    .flatMap(term => fuzzyMatch.findSubstring(text, term.value))
+            ]);
+            if (spans.length > 0) {
+                fields[field] = spans;
             }
-            
-            return titleWords.some(word => word.startsWith(term)) ||
-                   artistWords.some(word => word.startsWith(term)) ||
-                   albumWords.some(word => word.startsWith(term)) ||
-                   tagMatch;
         });
         
-        // Limit results if configured
-        return results.slice(0, this.config.maxResults);
+        const tags = (track.tags || []).filter(tag => {
+            const tagInfo = tagUtils.parseTag(tag);
+            const value = (tagInfo.value || '').toLowerCase();
+            const asked = tagTerms.some(term => tagInfo.type === term.field && (term.prefix
+                ? value.startsWith(term.value)
+                : tagUtils.isTagOrDescendant(value, term.value)));
+            return asked || fuzzyMatch.findSpans(tag, words).length > 0;
+        });
+        
+        // Close match: only a stand-in for a misspelled word matched
+        const closeWords = words.filter(word => word.fuzzy);
+        const texts = [track.title, track.artist, track.album, ...tags];
+        const fuzzy = closeWords.length > 0 &&
+            texts.some(text => fuzzyMatch.findSpans(text || '', closeWords).length > 0) &&
+            !texts.some(text => fuzzyMatch.findSpans(text || '', words.filter(word => !word.fuzzy)).length > 0);
+        
+        return { fields, tags, fuzzy };
+    }
+
+    /**
+     * Append text to an element with the given spans wrapped in <mark>
+     * @param {HTMLElement} element - Target
+     * @param {string} text - Text
+     * @param {Array<Array<number>>} spans - [start, end] spans, sorted and not overlapping
+     * @private
+     */
+    appendHighlighted(element, text, spans = []) {
+        let position = 0;
+        spans.forEach(([start, end]) => {
+            element.appendChild(document.createTextNode(text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            element.appendChild(mark);
+            position = end;
+        });
+        element.appendChild(document.createTextNode(text.slice(position)));
     }
 
     /**
@@ -293,6 +456,9 @@ class SearchService extends ServiceBase {
      * Clear search and reset UI
      */
     clearSearch() {
+        this.searchFilters = {};
+        this.openedCrate = null;
+        
         // Update state
         this.setState('search.currentQuery', '');
         this.setState('search.results', []);
@@ -302,6 +468,7 @@ class SearchService extends ServiceBase {
         if (this.elements.searchField) {
             this.elements.searchField.value = '';
         }
+        this.queryAssist?.clear();
         
         if (this.elements.clearSearchBtn) {
             this.elements.clearSearchBtn.classList.remove('active');
@@ -408,6 +575,18 @@ class SearchService extends ServiceBase {
             return;
         }
         
+        // Say which crate is listed, or when misspelled words were matched to close ones
+        if (this.elements.searchResultsHeader) {
+            const corrected = Object.entries(this.searchCorrections || {});
+            if (this.openedCrate) {
+                this.elements.searchResultsHeader.textContent = `Crate · ${this.openedCrate.name}`;
+            } else {
+                this.elements.searchResultsHeader.textContent = corrected.length > 0
+                    ? `Search Results · close matches for ${corrected.map(([word, words]) => `${word} → ${words.join(', ')}`).join('; ')}`
+                    : 'Search Results';
+            }
+        }
+        
         // Render results
         tracks.forEach(track => {
             const resultItem = this.createSearchResultItem(track);
@@ -443,35 +622,45 @@ class SearchService extends ServiceBase {
         const resultInfo = document.createElement('div');
         resultInfo.className = 'search-result-info';
         
+        // Matched spans are highlighted in the title, artist, album and tags
+        const matches = this.getCurrentQuery() ? this.getMatches(track) : { fields: {}, tags: [], fuzzy: false };
+        const { words } = this.getMatchTerms();
+        
         const title = document.createElement('div');
         title.className = 'search-result-title';
-        title.textContent = track.title;
+        this.appendHighlighted(title, track.title, matches.fields.title);
         
         const meta = document.createElement('div');
         meta.className = 'search-result-meta';
-        meta.textContent = `${track.artist} • ${track.album}`;
+        this.appendHighlighted(meta, track.artist, matches.fields.artist);
+        meta.appendChild(document.createTextNode(' • '));
+        this.appendHighlighted(meta, track.album, matches.fields.album);
         
         // Add matched tags preview
-        const currentQuery = this.getCurrentQuery().toLowerCase();
-        if (track.tags && track.tags.length > 0 && currentQuery) {
-            const matchedTags = track.tags.filter(tag => {
-                const tagLower = tag.toLowerCase();
-                const tagInfo = tagUtils.parseTag(tag);
-                return tagLower.includes(currentQuery) || 
-                       (tagInfo.type && tagInfo.type.toLowerCase().includes(currentQuery)) ||
-                       (tagInfo.value && tagInfo.value.toLowerCase().includes(currentQuery));
+        if (matches.tags.length > 0) {
+            const tagsPreview = document.createElement('div');
+            tagsPreview.className = 'search-result-tags';
+            tagsPreview.appendChild(document.createTextNode('Tags: '));
+            matches.tags.forEach((tag, index) => {
+                const value = tagUtils.getTagValue(tag);
+                if (index > 0) tagsPreview.appendChild(document.createTextNode(', '));
+                this.appendHighlighted(tagsPreview, value, fuzzyMatch.findSpans(value, words));
             });
-            
-            if (matchedTags.length > 0) {
-                const tagsPreview = document.createElement('div');
-                tagsPreview.className = 'search-result-tags';
-                tagsPreview.textContent = `Tags: ${matchedTags.map(tag => tagUtils.getTagValue(tag)).join(', ')}`;
-                resultInfo.appendChild(tagsPreview);
-            }
+            resultInfo.appendChild(tagsPreview);
         }
         
         resultInfo.appendChild(title);
         resultInfo.appendChild(meta);
+        
+        // Which fields matched
+        const matchedFields = [...Object.keys(matches.fields), ...(matches.tags.length > 0 ? ['tags'] : [])];
+        if (matchedFields.length > 0) {
+            const matchInfo = document.createElement('div');
+            matchInfo.className = 'search-result-match' + (matches.fuzzy ? ' fuzzy' : '');
+            matchInfo.textContent = `${matches.fuzzy ? 'Close match' : 'Matched'} in ${matchedFields.join(', ')}`;
+            resultInfo.appendChild(matchInfo);
+        }
+        
         resultItem.appendChild(resultInfo);
         
         // Add drag functionality via dependency injection
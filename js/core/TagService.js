@@ -187,6 +187,26 @@ class TagService extends ServiceBase {
             });
         }
     }
+    /**
+     * Replace the selection with the given tags WITHOUT opening a container,
+     * e.g. a tag and its neighbours picked in the tag graph
+     * @param {Array<string>} tags - Tag values (type:value)
+     */
+    prefillSelection(tags) {
+        const tagsToSelect = tags
+            .filter(tag => this.validationRules.tagValue(tag))
+            .slice(0, this.config.maxSelectedTags);
+
+        this.clearSelection();
+        this.setState('ui.selectedTags', new Set(tagsToSelect));
+        tagsToSelect.forEach(tagValue => this.updateGlobalTagElements(tagValue, 'add'));
+        this.updateLegendVisualState();
+
+        this.emitEvent('notification:show', {
+            message: `Selected ${tagsToSelect.length} tag${tagsToSelect.length === 1 ? '' : 's'}`,
+            type: 'success'
+        });
+    }
     /**
      * Create branches for a specific tag from a track node
      * @param {string} tagValue - Tag value for branches
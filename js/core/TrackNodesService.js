@@ -63,6 +63,11 @@ class TrackNodesService extends ServiceBase {
             this.eventBus.on('app:shutdown', () => {
                 this.cleanup();
             });
+
+            // Tag rimossi o ripristinati: aggiorna libreria, nodi e container aperti
+            this.eventBus.on('track:tags-changed', (data) => {
+                this.syncTrackTags(data);
+            });
         } catch (error) {
             console.error('TrackNodesService: Error setting up event listeners:', error);
         }
@@ -505,6 +510,12 @@ class TrackNodesService extends ServiceBase {
         tag.className = `tooltip-tag tag-${tagType}`;
         tag.textContent = tagValue;
         tag.dataset.tagValue = tagWithValue;
+        if (track.tagRules && track.tagRules[tagWithValue]) {
+            tag.title = `Generated by tag rule "${track.tagRules[tagWithValue]}"`;
+        } else if (track.derivedTags && track.derivedTags[tagWithValue]) {
+            tag.classList.add('derived');
+            tag.title = `Inferred, not stored: ${track.derivedTags[tagWithValue]}`;
+        }
         
         // Event handler per click su tag
         tag.addEventListener('click', (e) => {
@@ -534,6 +545,11 @@ class TrackNodesService extends ServiceBase {
         addTagInput.className = 'tooltip-add-tag-input';
         addTagInput.style.width = '60px';
         
+        // Suggerimenti e validazione dei tag digitati
+        if (window.TagAutocomplete) {
+            addTagInput.tagAutocomplete = window.TagAutocomplete.attach(addTagInput);
+        }
+        
         // Previeni propagazione eventi
         addTagInput.addEventListener('click', (e) => {
             e.preventDefault();
@@ -588,7 +604,10 @@ class TrackNodesService extends ServiceBase {
      * @param {HTMLElement} tagsContainer - Container tags
      */
     async handleNewTagInput(inputElement, track, node, tagsContainer) {
-        const newTag = inputElement.value.trim();
+        // L'autocomplete normalizza il tag e restituisce null finché mostra un avviso
+        const newTag = inputElement.tagAutocomplete
+            ? inputElement.tagAutocomplete.resolve()
+            : inputElement.value.trim();
         
         if (newTag && newTag.includes(':')) {
             try {
@@ -621,16 +640,16 @@ class TrackNodesService extends ServiceBase {
      * @param {string} category - Nome categoria
      */
     ensureCategoryStyles(category) {
-        // Verifica se gli stili esistono già
-        const existingStyle = document.querySelector(`#category-styles-${category}`);
-        if (existingStyle) return;
-        
         // Ottieni colore dalla utility centralizzata
         const color = this.getTagColor(`${category}:test`);
         
-        // Crea elemento style
-        const style = document.createElement('style');
+        // Riusa l'elemento esistente: il colore può cambiare con la tassonomia
+        const existingStyle = document.querySelector(`#category-styles-${category}`);
+        if (existingStyle && existingStyle.dataset.color === color) return;
+        
+        const style = existingStyle || document.createElement('style');
         style.id = `category-styles-${category}`;
+        style.dataset.color = color;
         style.textContent = `
             /* Tooltip tag styles for ${category} */
             .tooltip-tag.tag-${category} {
@@ -646,7 +665,9 @@ class TrackNodesService extends ServiceBase {
             }
         `;
         
-        document.head.appendChild(style);
+        if (!existingStyle) {
+            document.head.appendChild(style);
+        }
     }
     
     /**
@@ -750,6 +771,46 @@ class TrackNodesService extends ServiceBase {
         }
     }
     
+    /**
+     * Applica un cambio di tag a tutte le copie di un track nel DOM
+     * (libreria, nodi dell'albero, righe dei container) e ai dati dei nodi nello stato
+     * @param {Object} change - {track, added: Array<string>, removed: Array<string>}
+     */
+    syncTrackTags({ track, added = [], removed = [] }) {
+        const isSameTrack = (data) => data &&
+            data.title === track.title && data.artist === track.artist && data.album === track.album;
+        const applyChange = (data) => {
+            data.tags = (data.tags || []).filter(tag => !removed.includes(tag));
+            added.forEach(tag => {
+                if (!data.tags.includes(tag)) data.tags.push(tag);
+            });
+            return data;
+        };
+
+        document.querySelectorAll('.track-item, .track-list-item, .track-node').forEach((element) => {
+            const data = this.safeParseTrackData(element.dataset.track || '');
+            if (!isSameTrack(data)) return;
+
+            element.dataset.track = JSON.stringify(applyChange(data));
+
+            // Righe dei container: ricrea i tag visibili
+            const rowTags = element.classList.contains('track-list-item') && element.querySelector('.track-tags');
+            if (rowTags && typeof Containers !== 'undefined') {
+                rowTags.replaceWith(Containers.createTrackTagsContainer(data));
+            }
+
+            // Nodi: ricrea il container dei tag nascosto
+            const nodeTags = element.classList.contains('track-node') && element.querySelector('.tags-container');
+            if (nodeTags) {
+                nodeTags.replaceWith(this.createTagsContainer(data, element));
+            }
+        });
+
+        (this.getState('dom.allNodes') || []).forEach(({ track: nodeTrack }) => {
+            if (isSameTrack(nodeTrack)) applyChange(nodeTrack);
+        });
+    }
+
     /**
      * Parse sicuro dei dati track dal dataset HTML (migrato da trackNodes.js)
      * @param {string} trackDataString - Stringa dati track grezza
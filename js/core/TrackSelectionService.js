@@ -0,0 +1,219 @@
+/**
+ * TrackSelectionService - Multi-selection of tracks for batch tagging
+ * Ctrl/Cmd-click toggles a track in the library, search results, container lists or the tree;
+ * shift-click selects the range from the last clicked track in the same list; shift-drag on
+ * empty canvas draws a lasso around tree nodes. Tracks are keyed by title, artist and album,
+ * the same identity the database uses, so one track selected in two places counts once.
+ */
+const SELECTABLE_TRACKS = '.track-item, .search-result-item, .track-list-item, .track-node';
+
+class TrackSelectionService extends ServiceBase {
+    constructor(stateManager, eventBus) {
+        super(stateManager, eventBus);
+    }
+
+    initialize() {
+        super.initialize();
+
+        // ServiceBase calls initialize() from its constructor, so fields are set here
+        this.selected = new Map();
+        this.anchor = null;
+        this.lasso = null;
+        this.listeners = [];
+        this.refreshTimer = null;
+
+        this.addListener(document, 'click', (e) => this.handleClick(e), true);
+        this.addListener(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.selected.size > 0 && !e.target.closest('input, textarea, select')) {
+                this.clear();
+            }
+        });
+
+        this.addListener(document, 'mousedown', (e) => {
+            const canvas = e.target.closest('.mindmap-canvas');
+            if (canvas) this.startLasso(e, canvas);
+        });
+
+        this.subscribeToEvent('track:tags-changed', (change) => this.updateTrack(change));
+
+        // Re-rendered lists lose their classes
+        ['library:changed', 'tags:bulk-changed', 'track:tags-changed', 'search:results:displayed'].forEach(eventName => {
+            this.subscribeToEvent(eventName, () => this.scheduleRefresh());
+        });
+        this.subscribeToEvent('database:cleared', () => this.clear());
+    }
+
+    addListener(target, type, handler, capture = false) {
+        target.addEventListener(type, handler, capture);
+        this.listeners.push(() => target.removeEventListener(type, handler, capture));
+    }
+
+    /**
+     * Modifier clicks select instead of reaching the element's own handlers
+     */
+    handleClick(e) {
+        if (!(e.ctrlKey || e.metaKey || e.shiftKey)) return;
+        if (e.target.closest('input, button, .tag-remove')) return;
+
+        const element = e.target.closest(SELECTABLE_TRACKS);
+        const track = element && this.getTrack(element);
+        if (!track) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.shiftKey && this.anchor && this.anchor.parentElement === element.parentElement) {
+            this.selectRange(this.anchor, element);
+        } else {
+            this.toggle(track);
+            this.anchor = element;
+        }
+    }
+
+    selectRange(fromElement, toElement) {
+        const siblings = Array.from(toElement.parentElement.children).filter(el => el.matches(SELECTABLE_TRACKS));
+        const start = siblings.indexOf(fromElement);
+        const end = siblings.indexOf(toElement);
+        siblings.slice(Math.min(start, end), Math.max(start, end) + 1).forEach(element => {
+            const track = this.getTrack(element);
+            if (track) this.selected.set(this.getKey(track), track);
+        });
+        this.changed();
+    }
+
+    /**
+     * Shift-drag on empty canvas selects the tree nodes inside the rectangle
+     */
+    startLasso(e, canvas) {
+        if (!e.shiftKey || e.button !== 0) return;
+        if (e.target.closest('.track-node, .track-list-container, input, button')) return;
+
+        e.preventDefault();
+        const start = { x: e.clientX, y: e.clientY };
+        const box = document.createElement('div');
+        box.className = 'selection-lasso';
+        document.body.appendChild(box);
+
+        const rect = (event) => ({
+            left: Math.min(start.x, event.clientX),
+            top: Math.min(start.y, event.clientY),
+            right: Math.max(start.x, event.clientX),
+            bottom: Math.max(start.y, event.clientY)
+        });
+
+        const onMove = (event) => {
+            const r = rect(event);
+            Object.assign(box.style, {
+                left: `${r.left}px`,
+                top: `${r.top}px`,
+                width: `${r.right - r.left}px`,
+                height: `${r.bottom - r.top}px`
+            });
+        };
+
+        const onUp = (event) => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            box.remove();
+            this.lasso = null;
+
+            const r = rect(event);
+            canvas.querySelectorAll('.track-node').forEach(node => {
+                const bounds = node.getBoundingClientRect();
+                const inside = bounds.right >= r.left && bounds.left <= r.right &&
+                    bounds.bottom >= r.top && bounds.top <= r.bottom;
+                const track = inside && this.getTrack(node);
+                if (track) this.selected.set(this.getKey(track), track);
+            });
+            this.changed();
+        };
+
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+        this.lasso = box;
+    }
+
+    getTrack(element) {
+        try {
+            const track = JSON.parse(element.dataset.track || 'null');
+            return track && track.title ? track : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getKey(track) {
+        return JSON.stringify([track.title, track.artist, track.album]);
+    }
+
+    toggle(track) {
+        const key = this.getKey(track);
+        if (this.selected.has(key)) {
+            this.selected.delete(key);
+        } else {
+            this.selected.set(key, track);
+        }
+        this.changed();
+    }
+
+    clear() {
+        this.selected.clear();
+        this.anchor = null;
+        this.changed();
+    }
+
+    /**
+     * @returns {Array<Object>} Selected tracks
+     */
+    getSelectedTracks() {
+        return Array.from(this.selected.values());
+    }
+
+    /**
+     * Replace the stored copies after their tags changed, so the batch panel counts current tags
+     * @param {Object} change - {track, added, removed}
+     */
+    updateTrack({ track, added = [], removed = [] }) {
+        const selected = this.selected.get(this.getKey(track));
+        if (!selected) return;
+        selected.tags = (selected.tags || []).filter(tag => !removed.includes(tag));
+        added.forEach(tag => {
+            if (!selected.tags.includes(tag)) selected.tags.push(tag);
+        });
+    }
+
+    // After the lists re-render; a batch edit sends one event per track
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refreshHighlights(), 0);
+    }
+
+    refreshHighlights() {
+        document.querySelectorAll(SELECTABLE_TRACKS).forEach(element => {
+            const track = this.getTrack(element);
+            element.classList.toggle('track-selected', Boolean(track && this.selected.has(this.getKey(track))));
+        });
+    }
+
+    changed() {
+        this.refreshHighlights();
+        this.setState('ui.selectedTracks', this.getSelectedTracks());
+        this.emitEvent('tracks:selection-changed', { tracks: this.getSelectedTracks(), count: this.selected.size });
+    }
+
+    destroy() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        clearTimeout(this.refreshTimer);
+        if (this.lasso) this.lasso.remove();
+        super.destroy();
+    }
+}
+
+// Make available globally
+window.TrackSelectionService = TrackSelectionService;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrackSelectionService;
+}
@@ -448,6 +448,31 @@ class UIService extends ServiceBase {
                 tagElement.style.setProperty('background', this.getTagColor(tagWithValue), 'important');
                 tagElement.textContent = tagValue;
 
+                const rule = trackData.tagRules && trackData.tagRules[tagWithValue];
+                const derivedFrom = trackData.derivedTags && trackData.derivedTags[tagWithValue];
+                if (rule) {
+                    tagElement.title = `Generated by tag rule "${rule}"`;
+                } else if (derivedFrom) {
+                    tagElement.classList.add('derived');
+                    tagElement.title = `Inferred, not stored: ${derivedFrom}`;
+                }
+
+                // Stored tags can be removed; inferred ones have nothing to remove
+                if (!derivedFrom) {
+                    const removeButton = document.createElement('span');
+                    removeButton.className = 'tag-remove';
+                    removeButton.textContent = '×';
+                    removeButton.title = 'Remove tag from this track';
+                    removeButton.addEventListener('click', async (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        if (await this.removeTagFromTrack(trackData, tagWithValue)) {
+                            tagElement.remove();
+                        }
+                    });
+                    tagElement.appendChild(removeButton);
+                }
+
                 // Tag click handler - different behavior for library vs node tooltips
                 tagElement.addEventListener('click', async (e) => {
                     e.preventDefault();
@@ -499,11 +524,14 @@ class UIService extends ServiceBase {
             box-sizing: border-box;
         `;
         
+        // Suggest categories and values, and check the tag before it is added
+        const autocomplete = window.TagAutocomplete ? window.TagAutocomplete.attach(addTagInput) : null;
+        
         // Handle Enter key for adding new tag
         addTagInput.addEventListener('keypress', async (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
-                const newTag = addTagInput.value.trim();
+                const newTag = autocomplete ? autocomplete.resolve() : addTagInput.value.trim();
                 
                 if (newTag && newTag.includes(':')) {
                     try {
@@ -579,6 +607,80 @@ class UIService extends ServiceBase {
         tooltipContainer.appendChild(addTagInput);
     }
 
+    /**
+     * Remove a stored tag from a track after confirmation and offer to undo it
+     * @param {Object} trackData - Track data
+     * @param {string} tagWithValue - Tag to remove
+     * @returns {Promise<boolean>} Whether the tag was removed
+     */
+    async removeTagFromTrack(trackData, tagWithValue) {
+        const dataService = this.getService('data');
+        if (!dataService) return false;
+
+        if (!confirm(`Remove "${tagWithValue}" from "${trackData.title}"?`)) {
+            return false;
+        }
+
+        try {
+            const result = await dataService.removeTagFromTrack(trackData, tagWithValue);
+            if (!result) {
+                this.emitEvent('ui:notification', {
+                    message: `"${tagWithValue}" is inferred, not stored, so it cannot be removed`,
+                    type: 'warning'
+                });
+                return false;
+            }
+
+            this.showUndoToast(`Removed "${tagWithValue}" from "${trackData.title}"`, () =>
+                dataService.undoTagRemoval(trackData, tagWithValue, result.id));
+            return true;
+        } catch (error) {
+            console.error('Error removing tag:', error);
+            this.emitEvent('ui:notification', { message: `Could not remove "${tagWithValue}": ${error.message}`, type: 'error' });
+            return false;
+        }
+    }
+
+    /**
+     * Show a message with an Undo button for a few seconds; a new one replaces it
+     * @param {string} message - What was done
+     * @param {Function} onUndo - Async function reverting it
+     * @param {number} duration - How long the button stays, in milliseconds
+     */
+    showUndoToast(message, onUndo, duration = 8000) {
+        this.hideUndoToast();
+
+        const toast = document.createElement('div');
+        toast.className = 'undo-toast';
+
+        const text = document.createElement('span');
+        text.textContent = message;
+
+        const undoButton = document.createElement('button');
+        undoButton.textContent = 'Undo';
+        undoButton.addEventListener('click', async () => {
+            undoButton.disabled = true;
+            try {
+                await onUndo();
+            } catch (error) {
+                console.error('Error undoing:', error);
+                this.emitEvent('ui:notification', { message: `Undo failed: ${error.message}`, type: 'error' });
+            }
+            this.hideUndoToast();
+        });
+
+        toast.append(text, undoButton);
+        document.body.appendChild(toast);
+        this.undoToast = { element: toast, timer: setTimeout(() => this.hideUndoToast(), duration) };
+    }
+
+    hideUndoToast() {
+        if (!this.undoToast) return;
+        clearTimeout(this.undoToast.timer);
+        this.undoToast.element.remove();
+        this.undoToast = null;
+    }
+
     /**
      * Render tooltip content for library tracks (uses centralized renderer)
      * @param {Object} trackData - Track data
@@ -974,10 +1076,39 @@ class UIService extends ServiceBase {
         tagsContainer.className = 'legend-popup-tags';
         tagsContainer.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px;';
 
-        tags.forEach(tag => {
+        // Values only inferred by a virtual tag provider, never stored
+        let derivedValues = [];
+        try {
+            derivedValues = JSON.parse((legendItem && legendItem.dataset.derived) || '[]');
+        } catch (e) {
+            derivedValues = [];
+        }
+
+        // Hierarchical values (electronic/techno) are shown as a collapsible tree
+        this.renderLegendTagTree(tagsContainer, tagUtils.buildValueTree(tags), category, derivedValues);
+
+        this.elements.legendPopup.appendChild(title);
+        this.elements.legendPopup.appendChild(tagsContainer);
+
+        // Position and show popup
+        this.updateLegendPopupPosition(event);
+        this.elements.legendPopup.style.display = 'block';
+        this.elements.legendPopup.style.opacity = '1';
+    }
+
+    /**
+     * Render legend popup values, nesting child values under a toggle
+     * @param {HTMLElement} container - Container for this level
+     * @param {Array<Object>} nodes - Nodes from tagUtils.buildValueTree()
+     * @param {string} category - Category name
+     * @param {Array<string>} derivedValues - Values only inferred, never stored
+     */
+    renderLegendTagTree(container, nodes, category, derivedValues) {
+        nodes.forEach(node => {
             const tagElement = document.createElement('span');
             tagElement.className = `legend-popup-tag tag-${category}`;
-            tagElement.textContent = tag;
+            tagElement.style.setProperty('background', tagUtils.getCategoryColor(category), 'important');
+            tagElement.textContent = node.name;
             tagElement.style.cssText = `
                 padding: 4px 8px;
                 border-radius: 4px;
@@ -988,16 +1119,43 @@ class UIService extends ServiceBase {
                 cursor: pointer;
                 transition: all 0.2s ease;
             `;
-            tagsContainer.appendChild(tagElement);
-        });
+            tagElement.title = `${category}:${node.value}`;
+            if (derivedValues.includes(node.value)) {
+                tagElement.classList.add('derived');
+                tagElement.title = 'Inferred, not stored';
+            }
+            if (node.implicit) {
+                // Only used through its children
+                tagElement.classList.add('implicit');
+            }
 
-        this.elements.legendPopup.appendChild(title);
-        this.elements.legendPopup.appendChild(tagsContainer);
+            if (node.children.length === 0) {
+                container.appendChild(tagElement);
+                return;
+            }
 
-        // Position and show popup
-        this.updateLegendPopupPosition(event);
-        this.elements.legendPopup.style.display = 'block';
-        this.elements.legendPopup.style.opacity = '1';
+            const branch = document.createElement('div');
+            branch.className = 'legend-popup-branch';
+
+            const toggle = document.createElement('button');
+            toggle.className = 'legend-popup-toggle';
+            toggle.textContent = '▸';
+            toggle.title = `${node.children.length} narrower value${node.children.length === 1 ? '' : 's'}`;
+
+            const children = document.createElement('div');
+            children.className = 'legend-popup-tags legend-popup-children';
+            children.hidden = true;
+            this.renderLegendTagTree(children, node.children, category, derivedValues);
+
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                children.hidden = !children.hidden;
+                toggle.textContent = children.hidden ? '▸' : '▾';
+            });
+
+            branch.append(toggle, tagElement, children);
+            container.appendChild(branch);
+        });
     }
 
     /**
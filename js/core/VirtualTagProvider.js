@@ -0,0 +1,200 @@
+/**
+ * VirtualTagProvider - Tags inferred in the renderer instead of stored in the database
+ * Each category has its own provider that can be switched on or off. A provider only fills
+ * its category for tracks that have no stored tag in it, so inferred tags never contradict
+ * stored ones. Inferred tags are reported separately so the UI can mark them as derived.
+ */
+
+const HIGH_ENERGY_GENRES = ['rock', 'metal', 'punk', 'electronic', 'dance'];
+const LOW_ENERGY_GENRES = ['classical', 'ambient', 'folk', 'acoustic'];
+
+/**
+ * Title keywords shared by the mood, weather, emotion and vibe providers
+ * @returns {string|null} dark | bright | love
+ */
+function titleTheme(track) {
+    const title = (track.title || '').toLowerCase();
+    if (title.includes('dark') || title.includes('night') || title.includes('shadow')) return 'dark';
+    if (title.includes('light') || title.includes('bright') || title.includes('sun')) return 'bright';
+    if (title.includes('love') || title.includes('heart')) return 'love';
+    return null;
+}
+
+function genreEnergy(track) {
+    const genre = (track.genre || '').toLowerCase();
+    if (!genre) return null;
+    if (HIGH_ENERGY_GENRES.includes(genre)) return 'high';
+    if (LOW_ENERGY_GENRES.includes(genre)) return 'low';
+    return 'medium';
+}
+
+// derive(track) gets the raw database track and returns the inferred values for the category
+const VIRTUAL_TAG_PROVIDERS = [
+    {
+        category: 'genre',
+        description: 'Genre field of the file',
+        enabled: true,
+        derive: (track) => (track.genre ? [track.genre.toLowerCase()] : [])
+    },
+    {
+        category: 'style',
+        description: 'Same as the genre field',
+        enabled: true,
+        derive: (track) => (track.genre ? [track.genre.toLowerCase()] : [])
+    },
+    {
+        category: 'era',
+        description: 'Year, in broad periods',
+        enabled: true,
+        derive: (track) => {
+            if (!track.year) return [];
+            if (track.year >= 2020) return ['modern'];
+            if (track.year >= 2010) return ['2010s'];
+            if (track.year >= 2000) return ['2000s'];
+            if (track.year >= 1990) return ['90s'];
+            return ['classic'];
+        }
+    },
+    {
+        category: 'energy',
+        description: 'Guessed from the genre',
+        enabled: true,
+        derive: (track) => (genreEnergy(track) ? [genreEnergy(track)] : [])
+    },
+    {
+        category: 'intensity',
+        description: 'Guessed from the genre',
+        enabled: true,
+        derive: (track) => {
+            const energy = genreEnergy(track);
+            if (!energy) return [];
+            return [{ high: 'powerful', low: 'gentle', medium: 'moderate' }[energy]];
+        }
+    },
+    {
+        category: 'mood',
+        description: 'Words in the title',
+        enabled: true,
+        derive: (track) => {
+            const theme = titleTheme(track);
+            if (theme === 'love') return [];
+            return [theme || 'neutral'];
+        }
+    },
+    {
+        category: 'weather',
+        description: 'Words in the title',
+        enabled: true,
+        derive: (track) => {
+            const weather = { dark: 'night', bright: 'sunny' }[titleTheme(track)];
+            return weather ? [weather] : [];
+        }
+    },
+    {
+        category: 'emotion',
+        description: 'Words in the title',
+        enabled: true,
+        derive: (track) => (titleTheme(track) === 'love' ? ['romantic'] : [])
+    },
+    {
+        category: 'vibe',
+        description: 'Words in the title',
+        enabled: true,
+        derive: (track) => {
+            const theme = titleTheme(track);
+            if (theme === 'love') return ['emotional'];
+            return theme ? [] : ['chill'];
+        }
+    },
+    {
+        // Off by default: audio analysis stores the real tempo
+        category: 'tempo',
+        description: 'Guessed from the duration',
+        enabled: false,
+        derive: (track) => {
+            if (typeof track.duration !== 'number' || !track.duration) return [];
+            if (track.duration < 180) return ['upbeat'];
+            if (track.duration > 300) return ['slow'];
+            return ['mid'];
+        }
+    },
+    {
+        category: 'rating',
+        description: 'Every library track is "discovered"',
+        enabled: false,
+        derive: () => ['discovered']
+    }
+];
+
+class VirtualTagProvider {
+    static PROVIDERS = VIRTUAL_TAG_PROVIDERS;
+
+    constructor() {
+        this.enabled = {};
+        VIRTUAL_TAG_PROVIDERS.forEach(provider => {
+            this.enabled[provider.category] = provider.enabled;
+        });
+    }
+
+    /**
+     * Apply saved toggles; categories missing from them keep their default
+     * @param {Object|null} settings - {categories: {category: boolean}}
+     */
+    applySettings(settings) {
+        const categories = (settings && settings.categories) || {};
+        VIRTUAL_TAG_PROVIDERS.forEach(provider => {
+            this.enabled[provider.category] = typeof categories[provider.category] === 'boolean'
+                ? categories[provider.category]
+                : provider.enabled;
+        });
+    }
+
+    /**
+     * @returns {Object} {categories: {category: boolean}}
+     */
+    getSettings() {
+        return { categories: { ...this.enabled } };
+    }
+
+    /**
+     * Providers with their current state, for the settings panel
+     * @returns {Array<Object>} [{category, description, enabled}]
+     */
+    getCategories() {
+        return VIRTUAL_TAG_PROVIDERS.map(provider => ({
+            category: provider.category,
+            description: provider.description,
+            enabled: this.enabled[provider.category]
+        }));
+    }
+
+    /**
+     * Inferred tags for a track
+     * @param {Object} track - Raw database track
+     * @param {Array<string>} storedTags - Tags the track has in the database
+     * @returns {Object} {tag: description of how it was inferred}
+     */
+    deriveTags(track, storedTags = []) {
+        const storedCategories = new Set(storedTags.map(tag => tagUtils.parseTag(tag).type));
+        const derived = {};
+
+        VIRTUAL_TAG_PROVIDERS.forEach(provider => {
+            if (!this.enabled[provider.category] || storedCategories.has(provider.category)) {
+                return;
+            }
+            provider.derive(track).forEach(value => {
+                derived[`${provider.category}:${value}`] = provider.description;
+            });
+        });
+
+        return derived;
+    }
+}
+
+// Make available globally
+window.VirtualTagProvider = VirtualTagProvider;
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VirtualTagProvider;
+}
@@ -0,0 +1,206 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Tracks fetched per round; rule tags are refreshed after each round
+const ANALYSIS_BATCH_SIZE = 25;
+
+/**
+ * Audio Analysis Service
+ * Background job that analyzes tracks whose audio has not been analyzed in its current
+ * state: tempo, Camelot key, loudness, dynamic range and energy. Results go into track
+ * columns and the tag rules turn them into tempo:, key: and energy: tags. Everything runs
+ * locally through ffmpeg, in a worker thread that only lives while the job runs.
+ */
+class AudioAnalysisService {
+    constructor(trackRepository, options = {}) {
+        this.trackRepository = trackRepository;
+        this.workerPath = options.workerPath || path.join(__dirname, 'AudioAnalysisWorker.js');
+        this.onProgress = null;
+
+        this.job = null;
+        this.rerun = false;
+        this.status = this.createStatus('idle');
+    }
+
+    createStatus(state) {
+        return { state, total: 0, processed: 0, failed: 0, current: null, startedAt: null, finishedAt: null };
+    }
+
+    /**
+     * Receive progress updates
+     * @param {Function|null} callback - Called with the status, see getStatus()
+     */
+    setProgressCallback(callback) {
+        this.onProgress = callback;
+    }
+
+    /**
+     * Analyze every pending track. A call while a job runs makes the job look for new
+     * pending tracks once it is done, instead of starting a second job.
+     * @param {Object} options - {retryFailed: also analyze tracks whose analysis failed}
+     * @returns {Promise<Object>} Final status
+     */
+    analyzePending(options = {}) {
+        if (this.job) {
+            this.rerun = true;
+            return this.job;
+        }
+
+        this.job = this.runJob(options).finally(() => {
+            this.job = null;
+            this.stopWorker();
+        });
+        return this.job;
+    }
+
+    async runJob(options) {
+        this.cancelled = false;
+        this.status = { ...this.createStatus('running'), startedAt: Date.now() };
+        const retryFailed = options.retryFailed === true;
+        const seen = new Set();
+
+        try {
+            const summary = await this.trackRepository.getAnalysisSummary();
+            this.status.total = summary.pending + (retryFailed ? summary.failed : 0);
+            this.emitProgress();
+
+            do {
+                this.rerun = false;
+                let batch;
+                while (!this.cancelled &&
+                       (batch = (await this.trackRepository.getTracksToAnalyze(ANALYSIS_BATCH_SIZE, retryFailed))
+                           .filter(track => !seen.has(track.id))).length > 0) {
+                    await this.analyzeBatch(batch, seen);
+                }
+            } while (this.rerun && !this.cancelled);
+
+            this.status.state = this.cancelled ? 'cancelled' : 'completed';
+        } catch (error) {
+            console.error('Audio analysis failed:', error);
+            this.status.state = 'failed';
+            this.status.error = error.message;
+        }
+
+        this.status.current = null;
+        this.status.finishedAt = Date.now();
+        this.emitProgress();
+        return this.getStatus();
+    }
+
+    async analyzeBatch(batch, seen) {
+        const analyzed = [];
+
+        for (const track of batch) {
+            if (this.cancelled) break;
+            seen.add(track.id);
+            if (this.status.processed >= this.status.total) {
+                this.status.total = this.status.processed + 1;
+            }
+            this.status.current = track.file_path;
+            this.emitProgress();
+
+            try {
+                const features = await this.analyzeFile(track.file_path);
+                await this.trackRepository.saveTrackAnalysis(track.id, track.content_hash, features);
+                analyzed.push(track.id);
+            } catch (error) {
+                // Recorded against this version of the file so it is not retried on every run
+                await this.trackRepository.saveTrackAnalysis(track.id, track.content_hash, null, error.message);
+                this.status.failed++;
+            }
+            this.status.processed++;
+        }
+
+        if (analyzed.length > 0) {
+            await this.trackRepository.regenerateTags(analyzed);
+        }
+        this.emitProgress();
+    }
+
+    /**
+     * Analyze one file in the worker thread
+     * @param {string} filePath - Audio file
+     * @returns {Promise<Object>} {bpm, camelotKey, loudness, dynamicRange, energy}
+     */
+    analyzeFile(filePath) {
+        const worker = this.getWorker();
+        const id = ++this.requestId;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            worker.postMessage({ id, filePath });
+        });
+    }
+
+    getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+
+        this.requestId = 0;
+        this.requests = new Map();
+        this.worker = new Worker(this.workerPath);
+        this.worker.on('message', ({ id, features, error }) => {
+            const request = this.requests.get(id);
+            if (!request) return;
+            this.requests.delete(id);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(features);
+            }
+        });
+        this.worker.on('error', error => this.failRequests(error));
+        this.worker.on('exit', code => {
+            this.worker = null;
+            this.failRequests(new Error(`Analysis worker stopped (exit code ${code})`));
+        });
+        return this.worker;
+    }
+
+    failRequests(error) {
+        if (!this.requests) return;
+        this.requests.forEach(request => request.reject(error));
+        this.requests.clear();
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Stop after the file being analyzed
+     * @returns {boolean} Whether a job was running
+     */
+    cancel() {
+        if (!this.job) return false;
+        this.cancelled = true;
+        return true;
+    }
+
+    isRunning() {
+        return this.job !== null;
+    }
+
+    /**
+     * @returns {Object} {state: idle|running|completed|cancelled|failed, total, processed, failed, current, startedAt, finishedAt}
+     */
+    getStatus() {
+        return { ...this.status };
+    }
+
+    emitProgress() {
+        if (this.onProgress) {
+            try {
+                this.onProgress(this.getStatus());
+            } catch (error) {
+                console.error('Error reporting analysis progress:', error);
+            }
+        }
+    }
+}
+
+module.exports = AudioAnalysisService;
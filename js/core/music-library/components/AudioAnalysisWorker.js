@@ -0,0 +1,15 @@
+const { parentPort } = require('worker_threads');
+const AudioAnalyzer = require('./AudioAnalyzer');
+
+/**
+ * Worker thread for AudioAnalysisService: decoding and DSP stay off the main process.
+ * Receives {id, filePath} and answers {id, features} or {id, error}.
+ */
+parentPort.on('message', async ({ id, filePath }) => {
+    try {
+        const features = await AudioAnalyzer.analyzeFile(filePath);
+        parentPort.postMessage({ id, features });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,458 @@
+const { spawn } = require('child_process');
+
+// Same lookup as fluent-ffmpeg and TagWritebackService
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Audio is analyzed as mono at this rate; enough for tempo, key (up to ~5 kHz) and energy
+const SAMPLE_RATE = 11025;
+// Longer files are analyzed on their first ten minutes (loudness still covers the whole file)
+const MAX_ANALYSIS_SECONDS = 600;
+const DECODE_TIMEOUT_MS = 180000;
+
+// Tempo search range and the tempo most tracks cluster around
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;
+// Beats spanned when refining the tempo
+const REFINE_BEATS = 16;
+
+// Krumhansl-Kessler key profiles, starting at the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const PITCH_CLASSES = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts (length a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Visit the magnitude spectra of overlapping Hann-windowed frames, one at a time so long
+ * files never hold a whole spectrogram in memory
+ * @param {Function} visit - Called with (magnitudes, frameIndex); the array is reused between frames
+ * @returns {number} Number of frames
+ */
+function forEachSpectrum(samples, size, hop, visit) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1));
+    }
+
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    const magnitudes = new Float64Array(size / 2);
+    let frame = 0;
+    for (let start = 0; start + size <= samples.length; start += hop, frame++) {
+        for (let i = 0; i < size; i++) {
+            re[i] = samples[start + i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        for (let k = 0; k < size / 2; k++) {
+            magnitudes[k] = Math.hypot(re[k], im[k]);
+        }
+        visit(magnitudes, frame);
+    }
+    return frame;
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Audio Analyzer
+ * Offline feature extraction: decodes a file with ffmpeg and estimates tempo, key,
+ * loudness, dynamic range and energy from the samples. Runs in AudioAnalysisWorker.
+ */
+class AudioAnalyzer {
+    static SAMPLE_RATE = SAMPLE_RATE;
+
+    /**
+     * Analyze an audio file
+     * @param {string} filePath - Audio file
+     * @returns {Promise<Object>} {bpm, camelotKey, loudness, dynamicRange, energy}
+     */
+    static async analyzeFile(filePath) {
+        const { samples, loudness } = await AudioAnalyzer.decode(filePath);
+        if (samples.length < SAMPLE_RATE * 5) {
+            throw new Error('Audio is too short to analyze');
+        }
+
+        return { ...AudioAnalyzer.analyzeSamples(samples, SAMPLE_RATE), loudness };
+    }
+
+    /**
+     * Decode a file to mono float samples, measuring EBU R128 integrated loudness on the
+     * original channels in the same ffmpeg pass
+     * @param {string} filePath - Audio file
+     * @returns {Promise<Object>} {samples: Float32Array, loudness: LUFS or null}
+     */
+    static decode(filePath) {
+        const args = [
+            '-nostdin', '-hide_banner', '-nostats', '-v', 'info', '-i', filePath,
+            '-filter_complex',
+            '[0:a:0]asplit=2[measure][decode];' +
+            '[measure]ebur128=framelog=quiet[measured];' +
+            `[decode]aformat=sample_fmts=flt:channel_layouts=mono,aresample=${SAMPLE_RATE}[decoded]`,
+            '-map', '[measured]', '-f', 'null', '-',
+            '-map', '[decoded]', '-f', 'f32le', 'pipe:1'
+        ];
+
+        return new Promise((resolve, reject) => {
+            const ffmpeg = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            const maxBytes = MAX_ANALYSIS_SECONDS * SAMPLE_RATE * 4;
+            const chunks = [];
+            let bytes = 0;
+            let stderr = '';
+
+            const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), DECODE_TIMEOUT_MS);
+
+            ffmpeg.stdout.on('data', chunk => {
+                // Keep reading past the limit so ffmpeg finishes measuring loudness
+                if (bytes < maxBytes) {
+                    chunks.push(chunk);
+                    bytes += chunk.length;
+                }
+            });
+            ffmpeg.stderr.on('data', chunk => {
+                stderr = (stderr + chunk.toString()).slice(-16384);
+            });
+            ffmpeg.on('error', error => {
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT' ? new Error(`ffmpeg not found (${FFMPEG_PATH})`) : error);
+            });
+            ffmpeg.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (code !== 0) {
+                    const reason = signal ? `ffmpeg was stopped (${signal})` : stderr.trim().split('\n').pop();
+                    reject(new Error(reason || `ffmpeg exited with code ${code}`));
+                    return;
+                }
+
+                const buffer = Buffer.concat(chunks).subarray(0, Math.min(bytes, maxBytes));
+                const samples = new Float32Array(Math.floor(buffer.length / 4));
+                for (let i = 0; i < samples.length; i++) {
+                    samples[i] = buffer.readFloatLE(i * 4);
+                }
+
+                const integrated = /I:\s+(-?\d+(?:\.\d+)?) LUFS/.exec(stderr.slice(stderr.lastIndexOf('Summary:')));
+                resolve({ samples, loudness: integrated ? parseFloat(integrated[1]) : null });
+            });
+        });
+    }
+
+    /**
+     * Estimate features from mono samples
+     * @param {Float32Array} samples - Mono samples in [-1, 1]
+     * @param {number} sampleRate - Sample rate
+     * @returns {Object} {bpm, camelotKey, dynamicRange, energy}
+     */
+    static analyzeSamples(samples, sampleRate) {
+        const hop = 256;
+        const { flux, centroid } = AudioAnalyzer.spectralFlux(samples, sampleRate, 1024, hop);
+        const onsets = AudioAnalyzer.onsetEnvelope(flux);
+
+        return {
+            bpm: AudioAnalyzer.estimateTempo(onsets, sampleRate / hop),
+            camelotKey: AudioAnalyzer.estimateKey(samples, sampleRate, 4096),
+            dynamicRange: AudioAnalyzer.estimateDynamicRange(samples, sampleRate),
+            energy: AudioAnalyzer.estimateEnergy(samples, sampleRate, centroid, onsets)
+        };
+    }
+
+    /**
+     * Spectral flux (summed increase of log magnitude per frame) and the mean spectral centroid
+     * @returns {Object} {flux: Float64Array, centroid: Hz}
+     */
+    static spectralFlux(samples, sampleRate, frameSize, hop) {
+        const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hop) + 1);
+        const flux = new Float64Array(frameCount);
+        const previous = new Float64Array(frameSize / 2);
+        let weighted = 0;
+        let total = 0;
+
+        forEachSpectrum(samples, frameSize, hop, (magnitudes, frame) => {
+            let sum = 0;
+            for (let k = 0; k < magnitudes.length; k++) {
+                const level = Math.log1p(100 * magnitudes[k]);
+                if (frame > 0 && level > previous[k]) sum += level - previous[k];
+                previous[k] = level;
+                weighted += k * magnitudes[k];
+                total += magnitudes[k];
+            }
+            flux[frame] = sum;
+        });
+
+        return { flux, centroid: total > 0 ? (weighted / total) * sampleRate / frameSize : 0 };
+    }
+
+    /**
+     * Onset strength: spectral flux with the local mean removed
+     * @param {Float64Array} flux - Spectral flux per frame
+     * @returns {Float64Array} Onset strength per frame
+     */
+    static onsetEnvelope(flux) {
+
+        // Remove slow loudness changes (about half a second at the onset frame rate)
+        const radius = 10;
+        const envelope = new Float64Array(flux.length);
+        for (let f = 0; f < flux.length; f++) {
+            let sum = 0;
+            let count = 0;
+            for (let g = Math.max(0, f - radius); g <= Math.min(flux.length - 1, f + radius); g++) {
+                sum += flux[g];
+                count++;
+            }
+            envelope[f] = Math.max(0, flux[f] - sum / count);
+        }
+        return envelope;
+    }
+
+    /**
+     * Tempo from the autocorrelation of the onset envelope. Each candidate is scored on its
+     * beat period and multiples of it, weighted towards common tempos to avoid octave errors.
+     * @param {Float64Array} envelope - Onset strength
+     * @param {number} frameRate - Onset frames per second
+     * @returns {number|null} BPM, one decimal
+     */
+    static estimateTempo(envelope, frameRate) {
+        // Short clips refine over fewer beats; at least four of the slowest beats are needed
+        const slowestBeat = Math.ceil(frameRate * 60 / MIN_BPM);
+        const maxLag = Math.min(slowestBeat * REFINE_BEATS + 2, Math.floor(envelope.length / 2));
+        if (maxLag < slowestBeat * 4) return null;
+
+        const acf = new Float64Array(maxLag + 1);
+        for (let lag = 0; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = lag; i < envelope.length; i++) {
+                sum += envelope[i] * envelope[i - lag];
+            }
+            acf[lag] = sum / (envelope.length - lag);
+        }
+        if (acf[0] <= 0) return null;
+
+        const at = (lag) => {
+            const low = Math.floor(lag);
+            const fraction = lag - low;
+            return low + 1 > maxLag ? 0 : acf[low] * (1 - fraction) + acf[low + 1] * fraction;
+        };
+        const score = (bpm) => {
+            const period = frameRate * 60 / bpm;
+            let sum = 0;
+            for (let multiple = 1; multiple <= 4; multiple++) {
+                sum += at(period * multiple) / multiple;
+            }
+            const octaves = Math.log2(bpm / PREFERRED_BPM);
+            return sum * Math.exp(-0.5 * octaves * octaves);
+        };
+
+        let best = null;
+        for (let bpm = MIN_BPM; bpm <= MAX_BPM; bpm += 0.5) {
+            if (!best || score(bpm) > best.score) best = { bpm, score: score(bpm) };
+        }
+        if (best.score <= 0) return null;
+
+        // Onsets fall on whole frames, so one beat period is coarse; many beats pin it down
+        const beats = Math.min(REFINE_BEATS, Math.floor((maxLag - 1) / (frameRate * 60 / (best.bpm - 1.5))));
+        const refine = (bpm) => {
+            const period = frameRate * 60 / bpm;
+            let sum = 0;
+            for (let multiple = 1; multiple <= beats; multiple++) {
+                sum += at(period * multiple);
+            }
+            return sum;
+        };
+        let refined = { bpm: best.bpm, score: refine(best.bpm) };
+        for (let bpm = best.bpm - 1.5; bpm <= best.bpm + 1.5; bpm += 0.05) {
+            if (refine(bpm) > refined.score) refined = { bpm, score: refine(bpm) };
+        }
+
+        return round(refined.bpm, 1);
+    }
+
+    /**
+     * Key from a chromagram matched against the major and minor key profiles
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate
+     * @param {number} frameSize - FFT size
+     * @returns {string|null} Camelot notation, e.g. "8A"
+     */
+    static estimateKey(samples, sampleRate, frameSize) {
+        const chroma = new Float64Array(12);
+        const binPitch = [];
+        for (let k = 1; k < frameSize / 2; k++) {
+            const frequency = k * sampleRate / frameSize;
+            if (frequency < 80 || frequency > 2000) continue;
+            const midi = 69 + 12 * Math.log2(frequency / 440);
+            // Bins far from a semitone centre carry mostly leakage
+            const weight = Math.cos(Math.PI * (midi - Math.round(midi)));
+            binPitch.push({ k, pitchClass: ((Math.round(midi) % 12) + 12) % 12, weight: weight * weight });
+        }
+
+        forEachSpectrum(samples, frameSize, frameSize / 2, frame => {
+            const frameChroma = new Float64Array(12);
+            let total = 0;
+            binPitch.forEach(({ k, pitchClass, weight }) => {
+                frameChroma[pitchClass] += frame[k] * frame[k] * weight;
+                total += frame[k] * frame[k] * weight;
+            });
+            if (total <= 0) return;
+            // Each frame counts equally, so loud passages do not decide the key alone
+            for (let p = 0; p < 12; p++) chroma[p] += frameChroma[p] / total;
+        });
+        if (chroma.every(value => value === 0)) return null;
+
+        let best = null;
+        for (let tonic = 0; tonic < 12; tonic++) {
+            [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+                const rotated = chroma.map((value, p) => profile[(p - tonic + 12) % 12]);
+                const correlation = AudioAnalyzer.correlate(chroma, rotated);
+                if (!best || correlation > best.correlation) best = { tonic, mode, correlation };
+            });
+        }
+
+        return AudioAnalyzer.camelotFromPitchClass(best.tonic, best.mode);
+    }
+
+    static correlate(a, b) {
+        const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+        const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+        let numerator = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < a.length; i++) {
+            numerator += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
+        }
+        return varianceA && varianceB ? numerator / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    /**
+     * Dynamic range in the manner of the DR meter: second-highest block peak against the RMS
+     * of the loudest 20% of 3-second blocks
+     * @returns {number|null} dB, one decimal
+     */
+    static estimateDynamicRange(samples, sampleRate) {
+        const blockSize = sampleRate * 3;
+        const blocks = [];
+        for (let start = 0; start + blockSize <= samples.length; start += blockSize) {
+            let sumSquares = 0;
+            let peak = 0;
+            for (let i = start; i < start + blockSize; i++) {
+                sumSquares += samples[i] * samples[i];
+                peak = Math.max(peak, Math.abs(samples[i]));
+            }
+            blocks.push({ rms: Math.sqrt(2 * sumSquares / blockSize), peak });
+        }
+        if (blocks.length < 2) return null;
+
+        const loudest = [...blocks].sort((a, b) => b.rms - a.rms).slice(0, Math.max(1, Math.round(blocks.length * 0.2)));
+        const rms = Math.sqrt(loudest.reduce((sum, block) => sum + block.rms * block.rms, 0) / loudest.length);
+        const peak = blocks.map(block => block.peak).sort((a, b) => b - a)[1];
+
+        return rms > 0 && peak > 0 ? round(Math.max(0, 20 * Math.log10(peak / rms)), 1) : null;
+    }
+
+    /**
+     * Energy between 0 and 1 from loudness, brightness (spectral centroid) and onset density
+     * @returns {number} Two decimals
+     */
+    static estimateEnergy(samples, sampleRate, centroid, onsets) {
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+        const rmsDb = 10 * Math.log10(sumSquares / samples.length || 1e-12);
+
+        const mean = onsets.reduce((sum, value) => sum + value, 0) / (onsets.length || 1);
+        const strong = onsets.filter(value => value > mean * 2).length;
+        const onsetsPerSecond = strong / (samples.length / sampleRate);
+
+        const loudness = clamp01((rmsDb + 30) / 22);          // -30 dBFS .. -8 dBFS
+        const brightness = clamp01((centroid - 500) / 2500);  // 500 Hz .. 3 kHz
+        const density = clamp01(onsetsPerSecond / 6);          // up to 6 strong onsets per second
+
+        return round(0.5 * loudness + 0.3 * brightness + 0.2 * density, 2);
+    }
+
+    /**
+     * Camelot wheel position of a key: C major is 8B, A minor 8A, each fifth up adds one
+     * @param {number} pitchClass - Tonic, 0 = C
+     * @param {string} mode - 'major' or 'minor'
+     * @returns {string} e.g. "8B"
+     */
+    static camelotFromPitchClass(pitchClass, mode) {
+        const major = mode === 'minor' ? (pitchClass + 3) % 12 : pitchClass;
+        const number = ((major * 7) % 12 + 7) % 12 + 1;
+        return `${number}${mode === 'minor' ? 'A' : 'B'}`;
+    }
+
+    /**
+     * Convert a key as written by tagging software ("Am", "F# minor", "Dbmaj", "8A") to Camelot
+     * @param {string} key - Key text
+     * @returns {string|null} Camelot notation, or null when not recognised
+     */
+    static toCamelot(key) {
+        const text = typeof key === 'string' ? key.trim().toLowerCase() : '';
+
+        const camelot = /^0?(1[0-2]|[1-9])\s*([ab])$/.exec(text);
+        if (camelot) {
+            return `${camelot[1]}${camelot[2].toUpperCase()}`;
+        }
+
+        const named = /^([a-g])\s*([#♯]|b|♭)?\s*(m|min|minor|maj|major)?$/.exec(text);
+        if (!named) return null;
+
+        let pitchClass = PITCH_CLASSES[named[1]];
+        if (named[2] === '#' || named[2] === '♯') pitchClass += 1;
+        if (named[2] === 'b' || named[2] === '♭') pitchClass += 11;
+        const mode = named[3] && named[3].startsWith('m') && !named[3].startsWith('maj') ? 'minor' : 'major';
+
+        return AudioAnalyzer.camelotFromPitchClass(pitchClass % 12, mode);
+    }
+}
+
+module.exports = AudioAnalyzer;
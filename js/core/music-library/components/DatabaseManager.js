@@ -1,11 +1,87 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const { tagUtils } = require('../../../utils/TagUtils');
+const { searchQuery } = require('../../../utils/SearchQuery');
+const { fuzzyMatch } = require('../../../utils/FuzzyMatch');
+const SCHEMA_MIGRATIONS = require('../migrations/SchemaMigrations');
+
+// Tags of a track rebuilt as the JSON array the rest of the app expects ("category:value" strings)
+const TRACK_TAGS_JSON = `(
+    SELECT json_group_array(tag) FROM (
+        SELECT CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END AS tag
+        FROM track_tags tt
+        JOIN tags t ON t.id = tt.tag_id
+        JOIN tag_categories c ON c.id = t.category_id
+        WHERE tt.track_id = tracks.id
+        ORDER BY tt.rowid
+    )
+) AS tags`;
+
+// Which rule produced each rule-generated tag of a track, as a JSON object keyed by tag
+const TRACK_TAG_RULES_JSON = `(
+    SELECT json_group_object(CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END, tt.rule)
+    FROM track_tags tt
+    JOIN tags t ON t.id = tt.tag_id
+    JOIN tag_categories c ON c.id = t.category_id
+    WHERE tt.track_id = tracks.id AND tt.rule IS NOT NULL
+) AS tag_rules`;
+
+// Columns of the tracks_fts full-text index and their bm25() weights: a title hit ranks above a tag hit
+const FTS_COLUMNS = ['title', 'artist', 'album', 'genre', 'tags'];
+const FTS_WEIGHTS = [10, 8, 4, 2, 1];
+const FTS_RANK = `bm25(tracks_fts, ${FTS_WEIGHTS.join(', ')})`;
+
+// Fewer results than this try the indexed words close to the misspelled ones
+const FUZZY_MIN_RESULTS = 5;
+const FUZZY_MAX_CORRECTIONS = 5;
+
+// Track columns behind the search query fields; nothing else reaches the SQL
+const QUERY_COLUMNS = {
+    title: 'title',
+    artist: 'artist',
+    album: 'album',
+    genre: 'genre',
+    key: 'musical_key',
+    path: 'file_path',
+    year: 'year',
+    bpm: 'bpm',
+    bitrate: 'bitrate',
+    track: 'track_number',
+    duration: 'duration'
+};
+
+const QUERY_OPERATORS = { '=': '=', '>': '>', '>=': '>=', '<': '<', '<=': '<=' };
+
+// Facets of the search results besides the tag categories, which are facets named "tag:<category>"
+const DECADE_SQL = 'CAST(tracks.year / 10 AS INTEGER) * 10';
+const SEARCH_FACETS = {
+    genre: 'tracks.genre',
+    decade: DECADE_SQL,
+    artist: 'tracks.artist',
+    album: 'tracks.album'
+};
+
+// Tables emptied by clearDatabase(), children before parents
+const CLEARED_TABLES = [
+    'tag_writeback', 'tag_operations', 'track_tags', 'tags', 'tag_categories', 'tracks', 'tracks_fts',
+    'artists', 'albums', 'library_roots', 'scan_job_errors', 'scan_jobs'
+];
+
+// Columns of scan_jobs that updateScanJob() may set
+const SCAN_JOB_COLUMNS = ['status', 'total', 'processed', 'added', 'updated', 'moved', 'removed', 'unchanged', 'errors', 'cursor'];
 
 class DatabaseManager {
-    constructor(dbPath = null) {
+    constructor(dbPath = null, migrations = SCHEMA_MIGRATIONS) {
         this.db = null;
         this.dbPath = dbPath || path.join(__dirname, '..', 'music_library.db');
+        this.migrations = migrations;
+        this.schemaVersion = 0;
+        // Writes and transactions run one after another on the shared connection
+        this._transactionQueue = Promise.resolve();
+        // Set while a transaction's work runs, so its own writes skip the queue it holds
+        this._transactionScope = new AsyncLocalStorage();
+        this._savepointCount = 0;
     }
 
     init() {
@@ -17,10 +93,11 @@ class DatabaseManager {
                         this.db = null;
                         resolve(false);
                     } else {
-                        this.createTables()
+                        this._run('PRAGMA foreign_keys = ON')
+                            .then(() => this.runMigrations())
                             .then(() => resolve(true))
                             .catch((error) => {
-                                console.error('Table creation error:', error);
+                                console.error('Schema migration error:', error);
                                 resolve(false);
                             });
                     }
@@ -33,472 +110,1959 @@ class DatabaseManager {
         });
     }
 
-    createTables() {
-        return new Promise((resolve, reject) => {
-            const queries = [
-                `CREATE TABLE IF NOT EXISTS tracks (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    title TEXT NOT NULL,
-                    artist TEXT NOT NULL,
-                    album TEXT,
-                    duration REAL,
-                    file_path TEXT UNIQUE NOT NULL,
-                    file_size INTEGER,
-                    date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    year INTEGER,
-                    genre TEXT,
-                    track_number INTEGER,
-                    tags TEXT
-                )`,
-                
-                `CREATE TABLE IF NOT EXISTS artists (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT UNIQUE NOT NULL,
-                    track_count INTEGER DEFAULT 0
-                )`,
-                
-                `CREATE TABLE IF NOT EXISTS albums (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    artist TEXT NOT NULL,
-                    year INTEGER,
-                    track_count INTEGER DEFAULT 0,
-                    UNIQUE(name, artist)
-                )`,
-                
-                `CREATE INDEX IF NOT EXISTS idx_tracks_artist ON tracks(artist)`,
-                `CREATE INDEX IF NOT EXISTS idx_tracks_album ON tracks(album)`,
-                `CREATE INDEX IF NOT EXISTS idx_tracks_title ON tracks(title)`,
-                `CREATE INDEX IF NOT EXISTS idx_tracks_tags ON tracks(tags)`
-            ];
-            
-            this.db.serialize(() => {
-                let completed = 0;
-                const total = queries.length;
-                
-                queries.forEach((query) => {
-                    this.db.run(query, (err) => {
-                        if (err) {
-                            console.error('Error creating table/index:', err);
-                            reject(err);
-                            return;
-                        }
-                        completed++;
-                        if (completed === total) {
-                            resolve();
-                        }
-                    });
+    /**
+     * Bring the schema up to date by applying pending migrations in order.
+     * Each migration runs in its own transaction and is rolled back on failure.
+     * @returns {Promise<number>} Schema version after migrating
+     */
+    async runMigrations() {
+        await this._run(`CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            description TEXT,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        const executor = {
+            run: (sql, params) => this._run(sql, params),
+            get: (sql, params) => this._get(sql, params),
+            all: (sql, params) => this._all(sql, params)
+        };
+
+        let currentVersion = await this._getCurrentSchemaVersion();
+        const pending = [...this.migrations]
+            .sort((a, b) => a.version - b.version)
+            .filter(migration => migration.version > currentVersion);
+
+        for (const migration of pending) {
+            try {
+                await this.transaction(async () => {
+                    await migration.up(executor);
+                    await this._run(
+                        'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+                        [migration.version, migration.description]
+                    );
                 });
-            });
-        });
+                currentVersion = migration.version;
+            } catch (error) {
+                console.error(`Schema migration ${migration.version} failed:`, error);
+                throw error;
+            }
+        }
+
+        this.schemaVersion = currentVersion;
+        return currentVersion;
     }
 
-    insertTrack(trackData) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve(false);
-                return;
-            }
+    /**
+     * Get applied and latest known schema versions
+     * @returns {Promise<Object>} {version, latestVersion, history}
+     */
+    async getSchemaVersion() {
+        if (!this.db) {
+            return { version: 0, latestVersion: this._getLatestSchemaVersion(), history: [] };
+        }
 
+        const history = await this._all('SELECT version, description, applied_at FROM schema_version ORDER BY version');
+        return {
+            version: history.length > 0 ? history[history.length - 1].version : 0,
+            latestVersion: this._getLatestSchemaVersion(),
+            history
+        };
+    }
 
-            const sql = `
-                INSERT OR REPLACE INTO tracks 
-                (title, artist, album, duration, file_path, file_size, year, genre, track_number, tags)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-            
-            const params = [
-                trackData.title, trackData.artist, trackData.album,
-                trackData.duration, trackData.file_path, trackData.file_size,
-                trackData.year, trackData.genre, trackData.track_number, trackData.tags
-            ];
+    /**
+     * Run work inside a transaction, rolling back if it throws.
+     * Transactions are queued with every other write because all callers share this one
+     * connection: a write from outside would otherwise land in the open transaction and commit
+     * or roll back with it. Inside a transaction, transaction() opens a savepoint instead.
+     * @param {Function} work - Async function doing the writes
+     * @returns {Promise<*>} Whatever work resolves to
+     */
+    transaction(work) {
+        if (this._inTransaction()) {
+            return this._savepoint(work);
+        }
 
-            this.db.run(sql, params, (err) => {
-                if (err) {
-                    console.error('Error inserting track:', err);
-                    resolve(false);
-                } else {
-                    resolve(true);
+        return this._enqueue(() => this._transactionScope.run(true, async () => {
+            await this._execute('BEGIN TRANSACTION');
+            try {
+                const result = await work();
+                await this._execute('COMMIT');
+                return result;
+            } catch (error) {
+                await this._execute('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }));
+    }
+
+    /**
+     * Insert or update several tracks in one transaction
+     * Each track has its own savepoint: a track that fails leaves nothing behind and the
+     * others are still saved.
+     * @param {Array<Object>} tracks - Track data, as for insertTrack()
+     * @returns {Promise<Array<boolean>>} Per-track success, in input order
+     */
+    async insertTracks(tracks) {
+        if (!this.db) {
+            return tracks.map(() => false);
+        }
+
+        return this.transaction(async () => {
+            const saved = [];
+            for (const trackData of tracks) {
+                try {
+                    await this._savepoint(() => this._writeTrack(trackData));
+                    saved.push(true);
+                } catch (error) {
+                    console.error(`Error inserting track ${trackData.file_path}:`, error);
+                    saved.push(false);
                 }
-            });
+            }
+            return saved;
         });
     }
 
+    /**
+     * Insert or update one track with its scanned tags
+     * Inside a transaction errors propagate, so the caller's transaction or savepoint undoes the
+     * partial write; on its own the track is written atomically and failures return false.
+     * @param {Object} trackData - Track data
+     * @returns {Promise<boolean>} Success status
+     */
+    async insertTrack(trackData) {
+        if (!this.db) {
+            return false;
+        }
+        if (this._inTransaction()) {
+            await this._savepoint(() => this._writeTrack(trackData));
+            return true;
+        }
+
+        try {
+            await this.transaction(() => this._writeTrack(trackData));
+            return true;
+        } catch (err) {
+            console.error('Error inserting track:', err);
+            return false;
+        }
+    }
+
+    async _writeTrack(trackData) {
+        // Upsert keeps the track id stable so existing track_tags rows stay valid
+        const sql = `
+            INSERT INTO tracks 
+            (title, artist, album, duration, file_path, file_size, year, genre, track_number, file_mtime, content_hash,
+             bitrate, bpm, musical_key)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(file_path) DO UPDATE SET
+                title = excluded.title,
+                artist = excluded.artist,
+                album = excluded.album,
+                duration = excluded.duration,
+                file_size = excluded.file_size,
+                year = excluded.year,
+                genre = excluded.genre,
+                track_number = excluded.track_number,
+                file_mtime = excluded.file_mtime,
+                content_hash = excluded.content_hash,
+                bitrate = excluded.bitrate,
+                bpm = excluded.bpm,
+                musical_key = excluded.musical_key,
+                missing = 0
+        `;
+        
+        const params = [
+            trackData.title, trackData.artist, trackData.album,
+            trackData.duration, trackData.file_path, trackData.file_size,
+            trackData.year, trackData.genre, trackData.track_number,
+            trackData.file_mtime || null, trackData.content_hash || null,
+            trackData.bitrate || null, trackData.bpm || null, trackData.musical_key || null
+        ];
+
+        // The full-text row is rebuilt once below instead of by the triggers for every tag row
+        await this._run('INSERT OR IGNORE INTO tracks_fts_deferred (id) VALUES (1)');
+        await this._run(sql, params);
+        const row = await this._get('SELECT id FROM tracks WHERE file_path = ?', [trackData.file_path]);
+
+        // The scanned tag set replaces whatever the track had before, except tags the user added.
+        // Tags read from the file go first so they keep their 'file' source when the scan derives them too.
+        const tagRules = trackData.tag_rules || {};
+        const scanned = tagUtils.parseTagsFromDatabase(trackData.tags);
+        await this._run(`DELETE FROM track_tags WHERE track_id = ? AND source != 'user'`, [row.id]);
+        await this._attachTags(row.id, trackData.file_tags || [], 'file');
+        await this._attachTags(row.id, scanned.filter(tag => !tagRules[tag]));
+        await this._attachRuleTags(row.id, scanned.filter(tag => tagRules[tag]).map(tag => ({ tag, rule: tagRules[tag] })));
+
+        await this._run('DELETE FROM tracks_fts_deferred');
+        await this._run('DELETE FROM tracks_fts WHERE rowid = ?', [row.id]);
+        await this._run(`
+            INSERT INTO tracks_fts (rowid, title, artist, album, genre, tags)
+            SELECT id, title, artist, album, genre, (
+                SELECT group_concat(CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END, ' ')
+                FROM track_tags tt
+                JOIN tags t ON t.id = tt.tag_id
+                JOIN tag_categories c ON c.id = t.category_id
+                WHERE tt.track_id = tracks.id
+            ) FROM tracks WHERE id = ?
+        `, [row.id]);
+    }
+
     // Pure database operations for artists
     insertArtistIfNotExists(artistName) {
-        return new Promise((resolve, reject) => {
-            const sql = `INSERT OR IGNORE INTO artists (name, track_count) VALUES (?, 0)`;
-            this.db.run(sql, [artistName], (err) => {
-                if (err) {
-                    console.error('Error inserting artist:', err);
-                    resolve(false);
-                } else {
-                    resolve(true);
-                }
-            });
-        });
+        return this._runOrFalse(
+            `INSERT OR IGNORE INTO artists (name, track_count) VALUES (?, 0)`,
+            [artistName], 'Error inserting artist:'
+        );
     }
 
     updateArtistTrackCount(artistName) {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                UPDATE artists SET track_count = (
-                    SELECT COUNT(*) FROM tracks WHERE artist = ?
-                ) WHERE name = ?
-            `;
-            this.db.run(sql, [artistName, artistName], (err) => {
-                if (err) {
-                    console.error('Error updating artist count:', err);
-                    resolve(false);
-                } else {
-                    resolve(true);
-                }
-            });
-        });
+        const sql = `
+            UPDATE artists SET track_count = (
+                SELECT COUNT(*) FROM tracks WHERE artist = ? AND missing = 0
+            ) WHERE name = ?
+        `;
+        return this._runOrFalse(sql, [artistName, artistName], 'Error updating artist count:');
     }
 
     // Pure database operations for albums
     insertAlbumIfNotExists(albumName, artistName, year) {
-        return new Promise((resolve, reject) => {
-            const sql = `INSERT OR IGNORE INTO albums (name, artist, year, track_count) VALUES (?, ?, ?, 0)`;
-            this.db.run(sql, [albumName, artistName, year], (err) => {
-                if (err) {
-                    console.error('Error inserting album:', err);
-                    resolve(false);
-                } else {
-                    resolve(true);
-                }
-            });
-        });
+        return this._runOrFalse(
+            `INSERT OR IGNORE INTO albums (name, artist, year, track_count) VALUES (?, ?, ?, 0)`,
+            [albumName, artistName, year], 'Error inserting album:'
+        );
     }
 
     updateAlbumTrackCount(albumName, artistName) {
-        return new Promise((resolve, reject) => {
-            const sql = `
-                UPDATE albums SET track_count = (
-                    SELECT COUNT(*) FROM tracks WHERE album = ? AND artist = ?
-                ) WHERE name = ? AND artist = ?
-            `;
-            this.db.run(sql, [albumName, artistName, albumName, artistName], (err) => {
-                if (err) {
-                    console.error('Error updating album count:', err);
-                    resolve(false);
-                } else {
-                    resolve(true);
-                }
-            });
-        });
+        const sql = `
+            UPDATE albums SET track_count = (
+                SELECT COUNT(*) FROM tracks WHERE album = ? AND artist = ? AND missing = 0
+            ) WHERE name = ? AND artist = ?
+        `;
+        return this._runOrFalse(sql, [albumName, artistName, albumName, artistName], 'Error updating album count:');
     }
 
-    getStats() {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve({ tracks: 0, artists: 0, albums: 0, uniqueTags: [] });
-                return;
-            }
-            
-            // Use Promise.all to run all queries in parallel
-            const queries = [
-                new Promise((res, rej) => {
-                    this.db.get('SELECT COUNT(*) as count FROM tracks', [], (err, row) => {
-                        if (err) rej(err);
-                        else res(row.count);
-                    });
-                }),
-                new Promise((res, rej) => {
-                    this.db.get('SELECT COUNT(*) as count FROM artists', [], (err, row) => {
-                        if (err) rej(err);
-                        else res(row.count);
-                    });
-                }),
-                new Promise((res, rej) => {
-                    this.db.get('SELECT COUNT(*) as count FROM albums', [], (err, row) => {
-                        if (err) rej(err);
-                        else res(row.count);
-                    });
-                }),
-                new Promise((res, rej) => {
-                    this.db.all('SELECT tags FROM tracks WHERE tags IS NOT NULL AND tags != ""', [], (err, rows) => {
-                        if (err) rej(err);
-                        else {
-                            // Extract unique tags from all tracks using centralized TagUtils
-                            const allTags = new Set();
-                            rows.forEach(row => {
-                                if (row.tags) {
-                                    const tags = tagUtils.parseTagsFromDatabase(row.tags);
-                                    tags.forEach(tag => allTags.add(tag));
-                                }
-                            });
-                            res(Array.from(allTags).sort());
-                        }
-                    });
-                })
-            ];
-            
-            Promise.all(queries)
-                .then(([tracks, artists, albums, uniqueTags]) => {
-                    resolve({ tracks, artists, albums, uniqueTags });
-                })
-                .catch(error => {
-                    console.error('Error getting stats:', error);
-                    resolve({ tracks: 0, artists: 0, albums: 0, uniqueTags: [] });
-                });
-        });
-    }
+    /**
+     * Get the stored file fingerprints of every track under a directory
+     * @param {string} directory - Directory path (absolute)
+     * @returns {Promise<Array>} Rows with id, file_path, file_size, file_mtime, content_hash, missing
+     */
+    async getTrackFingerprints(directory) {
+        if (!this.db) {
+            return [];
+        }
 
-    getAllTracks(limit = 100) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve([]);
-                return;
-            }
-            
-            const query = `
-                SELECT * FROM tracks 
-                ORDER BY artist, album, track_number
-                LIMIT ?
-            `;
-            
-            this.db.all(query, [limit], (err, rows) => {
-                if (err) {
-                    console.error('Error getting all tracks:', err);
-                    resolve([]);
-                } else {
-                    resolve(rows || []);
-                }
-            });
-        });
+        const prefix = directory.endsWith(path.sep) ? directory : directory + path.sep;
+        return this._all(
+            `SELECT id, file_path, file_size, file_mtime, content_hash, missing FROM tracks
+             WHERE substr(file_path, 1, length(?)) = ?`,
+            [prefix, prefix]
+        );
     }
 
     /**
-     * Search tracks by multiple fields
-     * @param {string} query - Search query
-     * @param {Object} options - Search options
-     * @returns {Promise<Array>} Search results
+     * Get the stored file fingerprints for specific paths. A path matches the
+     * track stored at it and, when it is (or was) a directory, every track below it.
+     * @param {Array<string>} paths - File or directory paths (absolute)
+     * @returns {Promise<Array>} Rows with id, file_path, file_size, file_mtime, content_hash, missing
      */
-    searchTracks(query, options = {}) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve([]);
-                return;
-            }
-
-            const { 
-                limit = 50,
-                searchFields = ['title', 'artist', 'album', 'tags'],
-                exact = false
-            } = options;
+    async getTrackFingerprintsForPaths(paths) {
+        if (!this.db) {
+            return [];
+        }
 
-            try {
-                const conditions = searchFields.map(field => `${field} LIKE ?`).join(' OR ');
-                const sql = `
-                    SELECT * FROM tracks 
-                    WHERE ${conditions}
-                    ORDER BY artist, album, track_number
-                    LIMIT ?
-                `;
+        const rowsById = new Map();
+        for (const filePath of paths) {
+            const prefix = filePath.endsWith(path.sep) ? filePath : filePath + path.sep;
+            const rows = await this._all(
+                `SELECT id, file_path, file_size, file_mtime, content_hash, missing FROM tracks
+                 WHERE file_path = ? OR substr(file_path, 1, length(?)) = ?`,
+                [filePath, prefix, prefix]
+            );
+            rows.forEach(row => rowsById.set(row.id, row));
+        }
+        return [...rowsById.values()];
+    }
 
-                const searchTerm = exact ? query : `%${query}%`;
-                const params = new Array(searchFields.length).fill(searchTerm);
-                params.push(limit);
+    /**
+     * Point an existing track at a new file location, keeping its id and tags
+     * @param {number} trackId - Track id
+     * @param {Object} fingerprint - {file_path, file_size, file_mtime, content_hash}
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateTrackLocation(trackId, fingerprint) {
+        if (!this.db) {
+            return false;
+        }
 
-                this.db.all(sql, params, (err, rows) => {
-                    if (err) {
-                        console.error('Error searching tracks:', err);
-                        resolve([]);
-                    } else {
-                        resolve(rows || []);
-                    }
-                });
-            } catch (error) {
-                console.error('Error searching tracks:', error);
-                resolve([]);
-            }
-        });
+        try {
+            await this._run(
+                `UPDATE tracks SET file_path = ?, file_size = ?, file_mtime = ?, content_hash = ?, missing = 0
+                 WHERE id = ?`,
+                [fingerprint.file_path, fingerprint.file_size, fingerprint.file_mtime, fingerprint.content_hash, trackId]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error updating track location:', error);
+            return false;
+        }
     }
 
     /**
-     * Search tracks by tag
-     * @param {string} tagName - Tag name
-     * @param {string} tagValue - Optional tag value
-     * @returns {Promise<Array>} Search results
+     * Flag tracks whose files are gone (or back again)
+     * @param {Array<number>} trackIds - Track ids
+     * @param {boolean} missing - New missing state
+     * @returns {Promise<boolean>} Success status
      */
-    searchTracksByTag(tagName, tagValue = null) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve([]);
-                return;
-            }
+    async setTracksMissing(trackIds, missing = true) {
+        return this._runForIds(trackIds, (placeholders) => 
+            `UPDATE tracks SET missing = ${missing ? 1 : 0} WHERE id IN (${placeholders})`
+        );
+    }
 
-            try {
-                let searchTerm;
-                if (tagValue) {
-                    searchTerm = `%${tagName}:${tagValue}%`;
-                } else {
-                    searchTerm = `%${tagName}%`;
-                }
+    /**
+     * Delete tracks by id; their track_tags rows cascade
+     * @param {Array<number>} trackIds - Track ids
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTracks(trackIds) {
+        return this._runForIds(trackIds, (placeholders) => 
+            `DELETE FROM tracks WHERE id IN (${placeholders})`
+        );
+    }
 
-                const sql = `
-                    SELECT * FROM tracks 
-                    WHERE tags LIKE ?
-                    ORDER BY artist, album, track_number
-                    LIMIT 50
-                `;
+    /**
+     * Recompute artist/album track counts from available tracks and drop the ones left empty
+     * @returns {Promise<boolean>} Success status
+     */
+    async refreshArtistAlbumCounts() {
+        if (!this.db) {
+            return false;
+        }
 
-                this.db.all(sql, [searchTerm], (err, rows) => {
-                    if (err) {
-                        console.error('Error searching by tag:', err);
-                        resolve([]);
-                    } else {
-                        resolve(rows || []);
-                    }
-                });
-            } catch (error) {
-                console.error('Error searching by tag:', error);
-                resolve([]);
-            }
-        });
+        try {
+            // Re-create rows for tracks that came back after being marked missing
+            await this._run(`INSERT OR IGNORE INTO artists (name, track_count)
+                SELECT DISTINCT artist, 0 FROM tracks WHERE missing = 0`);
+            await this._run(`INSERT OR IGNORE INTO albums (name, artist, year, track_count)
+                SELECT album, artist, MAX(year), 0 FROM tracks
+                WHERE missing = 0 AND album IS NOT NULL GROUP BY album, artist`);
+            await this._run(`UPDATE artists SET track_count = (
+                SELECT COUNT(*) FROM tracks WHERE tracks.artist = artists.name AND missing = 0
+            )`);
+            await this._run(`UPDATE albums SET track_count = (
+                SELECT COUNT(*) FROM tracks WHERE tracks.album = albums.name AND tracks.artist = albums.artist AND missing = 0
+            )`);
+            await this._run('DELETE FROM artists WHERE track_count = 0');
+            await this._run('DELETE FROM albums WHERE track_count = 0');
+            return true;
+        } catch (error) {
+            console.error('Error refreshing artist/album counts:', error);
+            return false;
+        }
     }
 
     /**
-     * Get unique values for a field
+     * Get the library roots with their track counts
+     * @returns {Promise<Array>} Rows with id, path, added_at, last_scanned_at, track_count, missing_count
+     */
+    async getLibraryRoots() {
+        if (!this.db) {
+            return [];
+        }
+
+        return this._all(
+            `SELECT r.id, r.path, r.added_at, r.last_scanned_at,
+                    COUNT(t.id) - COALESCE(SUM(t.missing), 0) AS track_count,
+                    COALESCE(SUM(t.missing), 0) AS missing_count
+             FROM library_roots r
+             LEFT JOIN tracks t ON substr(t.file_path, 1, length(r.path) + 1) = r.path || ?
+             GROUP BY r.id
+             ORDER BY r.path`,
+            [path.sep]
+        );
+    }
+
+    async getLibraryRoot(rootId) {
+        if (!this.db) {
+            return null;
+        }
+
+        return (await this._get('SELECT id, path, added_at, last_scanned_at FROM library_roots WHERE id = ?', [rootId])) || null;
+    }
+
+    /**
+     * Add a library root; adding an existing one is a no-op
+     * @param {string} directory - Directory path (absolute)
+     * @returns {Promise<Object|null>} The root row
+     */
+    async addLibraryRoot(directory) {
+        if (!this.db) {
+            return null;
+        }
+
+        await this._run('INSERT OR IGNORE INTO library_roots (path) VALUES (?)', [directory]);
+        return (await this._get('SELECT id, path, added_at, last_scanned_at FROM library_roots WHERE path = ?', [directory])) || null;
+    }
+
+    /**
+     * Remember a scanned directory, or bump its last scan time.
+     * A directory inside an existing root bumps that root instead of becoming a root of its own.
+     * @param {string} directory - Directory path (absolute)
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveLibraryRoot(directory) {
+        if (!this.db) {
+            return false;
+        }
+
+        try {
+            const parent = await this._get(
+                `SELECT id FROM library_roots WHERE substr(?, 1, length(path) + 1) = path || ?`,
+                [directory, path.sep]
+            );
+            if (parent) {
+                await this._run('UPDATE library_roots SET last_scanned_at = CURRENT_TIMESTAMP WHERE id = ?', [parent.id]);
+                return true;
+            }
+
+            await this._run(
+                `INSERT INTO library_roots (path, last_scanned_at) VALUES (?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(path) DO UPDATE SET last_scanned_at = CURRENT_TIMESTAMP`,
+                [directory]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error saving library root:', error);
+            return false;
+        }
+    }
+
+    async deleteLibraryRoot(rootId) {
+        if (!this.db) {
+            return false;
+        }
+
+        try {
+            await this._run('DELETE FROM library_roots WHERE id = ?', [rootId]);
+            return true;
+        } catch (error) {
+            console.error('Error deleting library root:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Point a root at a new directory and rewrite every path stored below it, including the
+     * roots and cursors of scan jobs that can still be resumed.
+     * Track ids stay the same, so tags and other track data are kept.
+     * @param {number} rootId - Root id
+     * @param {string} oldPath - Current root path
+     * @param {string} newPath - New root path (absolute)
+     * @returns {Promise<number>} Number of tracks moved
+     */
+    async relocateLibraryRoot(rootId, oldPath, newPath) {
+        const oldPrefix = oldPath + path.sep;
+        const underOldRoot = 'substr(file_path, 1, length(?)) = ?';
+
+        return this.transaction(async () => {
+            await this._run('UPDATE library_roots SET path = ? WHERE id = ?', [newPath, rootId]);
+
+            const moved = await this._run(
+                `UPDATE tracks SET file_path = ? || substr(file_path, length(?) + 1) WHERE ${underOldRoot}`,
+                [newPath, oldPath, oldPrefix, oldPrefix]
+            );
+
+            await this._run(
+                `UPDATE scan_ignore_paths SET path = ? || substr(path, length(?) + 1)
+                 WHERE path = ? OR substr(path, 1, length(?)) = ?`,
+                [newPath, oldPath, oldPath, oldPrefix, oldPrefix]
+            );
+
+            // Jobs that can still be resumed scan the new location and continue from the same file there
+            await this._run(
+                `UPDATE scan_jobs SET
+                    root = ? || substr(root, length(?) + 1),
+                    cursor = CASE WHEN substr(cursor, 1, length(?)) = ? THEN ? || substr(cursor, length(?) + 1) ELSE cursor END
+                 WHERE status NOT IN ('completed', 'cancelled') AND (root = ? OR substr(root, 1, length(?)) = ?)`,
+                [newPath, oldPath, oldPrefix, oldPrefix, newPath, oldPath, oldPath, oldPrefix, oldPrefix]
+            );
+
+            return moved.changes;
+        });
+    }
+
+    /**
+     * Create a scan job record
+     * @param {string} root - Scanned directory
+     * @param {Object} options - Scan options, stored so the job can be resumed with them
+     * @returns {Promise<Object>} The new job row
+     */
+    async createScanJob(root, options = {}) {
+        const { lastID } = await this._run(
+            'INSERT INTO scan_jobs (root, status, options) VALUES (?, ?, ?)',
+            [root, 'running', JSON.stringify(options)]
+        );
+        return this.getScanJob(lastID);
+    }
+
+    /**
+     * Update columns of a scan job; updated_at is always bumped
+     * @param {number} jobId - Job id
+     * @param {Object} fields - Column values (status, counts, cursor); `finished: true` also stamps finished_at
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateScanJob(jobId, fields) {
+        const columns = Object.keys(fields).filter(column => SCAN_JOB_COLUMNS.includes(column));
+        const assignments = columns.map(column => `${column} = ?`);
+        assignments.push('updated_at = CURRENT_TIMESTAMP');
+        if (fields.finished) {
+            assignments.push('finished_at = CURRENT_TIMESTAMP');
+        }
+
+        try {
+            await this._run(
+                `UPDATE scan_jobs SET ${assignments.join(', ')} WHERE id = ?`,
+                [...columns.map(column => fields[column]), jobId]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error updating scan job:', error);
+            return false;
+        }
+    }
+
+    async getScanJob(jobId) {
+        const job = await this._get('SELECT * FROM scan_jobs WHERE id = ?', [jobId]);
+        return job || null;
+    }
+
+    /**
+     * Get the most recent scan jobs
+     * @param {number} limit - Maximum number of jobs
+     * @returns {Promise<Array>} Job rows, newest first
+     */
+    async getScanJobs(limit = 20) {
+        return this._all('SELECT * FROM scan_jobs ORDER BY id DESC LIMIT ?', [limit]);
+    }
+
+    /**
+     * Flag jobs left running or paused by a previous session as interrupted
+     * @returns {Promise<number>} Number of interrupted jobs
+     */
+    async markInterruptedScanJobs() {
+        const { changes } = await this._run(
+            `UPDATE scan_jobs SET status = 'interrupted', updated_at = CURRENT_TIMESTAMP
+             WHERE status IN ('running', 'paused')`
+        );
+        return changes;
+    }
+
+    /**
+     * Append error details to a scan job
+     * @param {number} jobId - Job id
+     * @param {Array<Object>} errorDetails - {filePath, fileName, errorType, errorMessage}
+     * @returns {Promise<boolean>} Success status
+     */
+    async addScanJobErrors(jobId, errorDetails) {
+        if (errorDetails.length === 0) {
+            return true;
+        }
+
+        try {
+            // All or nothing, so a failed call can be repeated without duplicates
+            await this.transaction(async () => {
+                for (const detail of errorDetails) {
+                    await this._run(
+                        `INSERT INTO scan_job_errors (job_id, file_path, file_name, error_type, error_message)
+                         VALUES (?, ?, ?, ?, ?)`,
+                        [jobId, detail.filePath, detail.fileName, detail.errorType, detail.errorMessage]
+                    );
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving scan job errors:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace the errors recorded for some files of a scan job, e.g. after retrying them
+     * @param {number} jobId - Job id
+     * @param {Array<string>} filePaths - Files whose previous errors are dropped
+     * @param {Array<Object>} errorDetails - Errors those files have now
+     * @returns {Promise<boolean>} Success status
+     */
+    async replaceScanJobErrors(jobId, filePaths, errorDetails) {
+        try {
+            await this.transaction(async () => {
+                for (const filePath of filePaths) {
+                    await this._run('DELETE FROM scan_job_errors WHERE job_id = ? AND file_path = ?', [jobId, filePath]);
+                }
+                for (const detail of errorDetails) {
+                    await this._run(
+                        `INSERT INTO scan_job_errors (job_id, file_path, file_name, error_type, error_message)
+                         VALUES (?, ?, ?, ?, ?)`,
+                        [jobId, detail.filePath, detail.fileName, detail.errorType, detail.errorMessage]
+                    );
+                }
+                await this._run(
+                    `UPDATE scan_jobs SET errors = (SELECT COUNT(*) FROM scan_job_errors WHERE job_id = ?),
+                     updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [jobId, jobId]
+                );
+            });
+            return true;
+        } catch (error) {
+            console.error('Error replacing scan job errors:', error);
+            return false;
+        }
+    }
+
+    async getIgnoredPaths() {
+        const rows = await this._all('SELECT path FROM scan_ignore_paths ORDER BY path');
+        return rows.map(row => row.path);
+    }
+
+    /**
+     * Exclude files or directories from future scans
+     * @param {Array<string>} paths - Absolute paths
+     * @returns {Promise<boolean>} Success status
+     */
+    async addIgnoredPaths(paths) {
+        try {
+            for (const ignoredPath of paths) {
+                await this._run('INSERT OR IGNORE INTO scan_ignore_paths (path) VALUES (?)', [ignoredPath]);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error adding ignored paths:', error);
+            return false;
+        }
+    }
+
+    async removeIgnoredPaths(paths) {
+        try {
+            for (const ignoredPath of paths) {
+                await this._run('DELETE FROM scan_ignore_paths WHERE path = ?', [ignoredPath]);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error removing ignored paths:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read a library setting
+     * @param {string} key - Setting key
+     * @returns {Promise<*>} Stored value, or null when unset or unreadable
+     */
+    async getSetting(key) {
+        const row = await this._get('SELECT value FROM settings WHERE key = ?', [key]);
+        if (!row) return null;
+
+        try {
+            return JSON.parse(row.value);
+        } catch (error) {
+            console.error(`Invalid value stored for setting ${key}:`, error);
+            return null;
+        }
+    }
+
+    async saveSetting(key, value) {
+        try {
+            await this._run(
+                `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+                [key, JSON.stringify(value)]
+            );
+            return true;
+        } catch (error) {
+            console.error(`Error saving setting ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the error details recorded for a scan job
+     * @param {number} jobId - Job id
+     * @returns {Promise<Array>} {filePath, fileName, errorType, errorMessage, createdAt}
+     */
+    async getScanJobErrors(jobId) {
+        return this._all(
+            `SELECT file_path AS filePath, file_name AS fileName, error_type AS errorType,
+                    error_message AS errorMessage, created_at AS createdAt
+             FROM scan_job_errors WHERE job_id = ? ORDER BY id`,
+            [jobId]
+        );
+    }
+
+    getStats() {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve({ tracks: 0, artists: 0, albums: 0, uniqueTags: [] });
+                return;
+            }
+            
+            // Use Promise.all to run all queries in parallel
+            const queries = [
+                new Promise((res, rej) => {
+                    this.db.get('SELECT COUNT(*) as count FROM tracks WHERE missing = 0', [], (err, row) => {
+                        if (err) rej(err);
+                        else res(row.count);
+                    });
+                }),
+                new Promise((res, rej) => {
+                    this.db.get('SELECT COUNT(*) as count FROM artists', [], (err, row) => {
+                        if (err) rej(err);
+                        else res(row.count);
+                    });
+                }),
+                new Promise((res, rej) => {
+                    this.db.get('SELECT COUNT(*) as count FROM albums', [], (err, row) => {
+                        if (err) rej(err);
+                        else res(row.count);
+                    });
+                }),
+                this._getUsedTags()
+            ];
+            
+            Promise.all(queries)
+                .then(([tracks, artists, albums, uniqueTags]) => {
+                    resolve({ tracks, artists, albums, uniqueTags });
+                })
+                .catch(error => {
+                    console.error('Error getting stats:', error);
+                    resolve({ tracks: 0, artists: 0, albums: 0, uniqueTags: [] });
+                });
+        });
+    }
+
+    getAllTracks(limit = 100) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve([]);
+                return;
+            }
+            
+            const query = `
+                SELECT tracks.*, ${TRACK_TAGS_JSON}, ${TRACK_TAG_RULES_JSON} FROM tracks 
+                WHERE missing = 0
+                ORDER BY artist, album, track_number
+                LIMIT ?
+            `;
+            
+            this.db.all(query, [limit], (err, rows) => {
+                if (err) {
+                    console.error('Error getting all tracks:', err);
+                    resolve([]);
+                } else {
+                    resolve(rows || []);
+                }
+            });
+        });
+    }
+
+    /**
+     * Search tracks by multiple fields
+     * Words are matched as prefixes through the full-text index, ignoring case and diacritics,
+     * and results come best match first. Exact mode compares whole values instead.
+     * @param {string} query - Search query
+     * @param {Object} options - Search options
+     * @returns {Promise<Array>} Search results
+     */
+    searchTracks(query, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve([]);
+                return;
+            }
+
+            const { 
+                limit = 50,
+                searchFields = ['title', 'artist', 'album', 'tags'],
+                exact = false
+            } = options;
+
+            if (!exact) {
+                this._searchFullText(query, searchFields, limit).then(resolve, (error) => {
+                    console.error('Error searching tracks:', error);
+                    resolve([]);
+                });
+                return;
+            }
+
+            try {
+                // An exact tag also matches its hierarchical descendants (style:electronic -> style:electronic/techno)
+                const conditions = searchFields.map(field => field === 'tags'
+                    ? `EXISTS (
+                        SELECT 1 FROM track_tags tt
+                        JOIN tags t ON t.id = tt.tag_id
+                        JOIN tag_categories c ON c.id = t.category_id
+                        WHERE tt.track_id = tracks.id AND ((c.name || ':' || t.value) LIKE ? OR (c.name || ':' || t.value) LIKE ? ESCAPE '\\')
+                    )`
+                    : `${field} LIKE ?`
+                ).join(' OR ');
+                const sql = `
+                    SELECT tracks.*, ${TRACK_TAGS_JSON}, ${TRACK_TAG_RULES_JSON} FROM tracks 
+                    WHERE missing = 0 AND (${conditions})
+                    ORDER BY artist, album, track_number
+                    LIMIT ?
+                `;
+
+                const descendants = `${query.replace(/[\\%_]/g, '\\$&')}/%`;
+                const params = searchFields.flatMap(field => field === 'tags' ? [query, descendants] : [query]);
+                params.push(limit);
+
+                this.db.all(sql, params, (err, rows) => {
+                    if (err) {
+                        console.error('Error searching tracks:', err);
+                        resolve([]);
+                    } else {
+                        resolve(rows || []);
+                    }
+                });
+            } catch (error) {
+                console.error('Error searching tracks:', error);
+                resolve([]);
+            }
+        });
+    }
+
+    /**
+     * Full-text search ranked by bm25()
+     * @param {string} query - Words to find; each matches as a prefix
+     * @param {Array<string>} fields - Index columns to search
+     * @param {number} limit - Maximum results
+     * @returns {Promise<Array>} Tracks, best match first
+     */
+    async _searchFullText(query, fields, limit) {
+        const match = this._ftsQuery(query, fields);
+        if (!match) {
+            return [];
+        }
+
+        const run = (expression) => this._all(`
+            SELECT tracks.*, ${TRACK_TAGS_JSON}, ${TRACK_TAG_RULES_JSON}
+            FROM tracks_fts
+            JOIN tracks ON tracks.id = tracks_fts.rowid
+            WHERE tracks_fts MATCH ? AND tracks.missing = 0
+            ORDER BY ${FTS_RANK}
+            LIMIT ?
+        `, [expression, limit]);
+
+        const tracks = await run(match);
+        if (tracks.length >= FUZZY_MIN_RESULTS) {
+            return tracks;
+        }
+        const corrections = await this._findCorrections(query);
+        return corrections.size > 0 ? await run(this._ftsQuery(query, fields, corrections)) : tracks;
+    }
+
+    /**
+     * Indexed words a few edits away from the words of a query that the index does not know
+     * Words the index has, whole or as a prefix, are left alone.
+     * @param {string} text - Query words
+     * @returns {Promise<Map>} Folded word -> closest indexed words, nearest and most used first
+     */
+    async _findCorrections(text) {
+        const corrections = new Map();
+
+        for (const word of new Set(String(text || '').split(/\s+/).map(word => fuzzyMatch.fold(word).folded))) {
+            const max = fuzzyMatch.maxDistance(word);
+            // Only single indexed words are corrected: "o'brien" is two words for the index
+            if (max === 0 || corrections.has(word) || fuzzyMatch.words(word).join(' ') !== word) {
+                continue;
+            }
+
+            const known = await this._get(
+                'SELECT 1 FROM tracks_fts_vocab WHERE term >= ? AND term < ? LIMIT 1',
+                [word, `${word}\uffff`]
+            );
+            if (known) {
+                continue;
+            }
+
+            const candidates = await this._all(
+                'SELECT term, doc FROM tracks_fts_vocab WHERE length(term) BETWEEN ? AND ?',
+                [word.length - max, word.length + max]
+            );
+            const close = candidates
+                .map(({ term, doc }) => ({ term, doc, distance: fuzzyMatch.distance(word, term, max) }))
+                .filter(candidate => candidate.distance <= max)
+                .sort((a, b) => a.distance - b.distance || b.doc - a.doc)
+                .slice(0, FUZZY_MAX_CORRECTIONS)
+                .map(candidate => candidate.term);
+            if (close.length > 0) {
+                corrections.set(word, close);
+            }
+        }
+
+        return corrections;
+    }
+
+    /**
+     * Build an FTS5 MATCH expression: every word as a quoted prefix, all of them required
+     * Quoting keeps FTS5 operators typed by the user (OR, NEAR, *, :) from being interpreted.
+     * @param {string} text - Words
+     * @param {Array<string>} fields - Columns to restrict to; all columns when none of them is excluded
+     * @param {Map} corrections - Optional folded word -> indexed words that may stand in for it
+     * @returns {string} Expression, empty when text has no searchable words
+     */
+    _ftsQuery(text, fields = FTS_COLUMNS, corrections = null) {
+        const quote = (word) => `"${word.replace(/"/g, '""')}"`;
+        const phrases = String(text || '').split(/\s+/)
+            .filter(word => /[\p{L}\p{N}]/u.test(word))
+            .map(word => {
+                const alternatives = corrections ? corrections.get(fuzzyMatch.fold(word).folded) : null;
+                return alternatives
+                    ? `(${[`${quote(word)}*`, ...alternatives.map(quote)].join(' OR ')})`
+                    : `${quote(word)}*`;
+            });
+        if (phrases.length === 0) {
+            return '';
+        }
+
+        const columns = FTS_COLUMNS.filter(column => fields.includes(column));
+        if (columns.length === 0) {
+            return '';
+        }
+        const expression = phrases.join(' ');
+        return columns.length === FTS_COLUMNS.length ? expression : `{${columns.join(' ')}} : (${expression})`;
+    }
+
+    /**
+     * Search tracks by tag
+     * @param {string} tagName - Tag name
+     * @param {string} tagValue - Optional tag value
+     * @returns {Promise<Array>} Search results
+     */
+    searchTracksByTag(tagName, tagValue = null) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve([]);
+                return;
+            }
+
+            try {
+                // A value also matches its hierarchical descendants (electronic -> electronic/techno)
+                const tagCondition = tagValue ? "AND (t.value = ? OR t.value LIKE ? ESCAPE '\\')" : '';
+                const params = tagValue
+                    ? [tagName, tagValue, `${tagValue.replace(/[\\%_]/g, '\\$&')}/%`]
+                    : [tagName];
+
+                const sql = `
+                    SELECT tracks.*, ${TRACK_TAGS_JSON}, ${TRACK_TAG_RULES_JSON} FROM tracks 
+                    WHERE missing = 0 AND tracks.id IN (
+                        SELECT tt.track_id FROM track_tags tt
+                        JOIN tags t ON t.id = tt.tag_id
+                        JOIN tag_categories c ON c.id = t.category_id
+                        WHERE c.name = ? ${tagCondition}
+                    )
+                    ORDER BY artist, album, track_number
+                    LIMIT 50
+                `;
+
+                this.db.all(sql, params, (err, rows) => {
+                    if (err) {
+                        console.error('Error searching by tag:', err);
+                        resolve([]);
+                    } else {
+                        resolve(rows || []);
+                    }
+                });
+            } catch (error) {
+                console.error('Error searching by tag:', error);
+                resolve([]);
+            }
+        });
+    }
+
+    /**
+     * Search tracks with the query language (see SearchQuery)
+     * Free words go through the full-text index and rank the results; without them tracks are
+     * listed by artist, album and track number. When few tracks match, misspelled free words
+     * also match the indexed words a couple of edits away.
+     * @param {string} query - Query, e.g. artist:"Boards of Canada" year:1995..2005 -genre:pop
+     * @param {Object} options - {limit, filters, facets, facetLimit}: filters are facet values the
+     *        results must have (see _compileFacetFilter); facets: true also counts the facet values
+     * @returns {Promise<Object>} {tracks, errors, corrections: {word: [close indexed words]}, facets};
+     *          tracks stay empty while the query has errors
+     */
+    async searchTracksByQuery(query, options = {}) {
+        const { limit = 100, filters = {}, facets = false, facetLimit = 8 } = options;
+        const { ast, errors } = searchQuery.parse(query);
+        const empty = { tracks: [], errors, corrections: {}, facets: null };
+        if (!this.db || !ast || errors.length > 0) {
+            return empty;
+        }
+
+        try {
+            let tracks = await this._runQuery(ast, limit, filters);
+            let corrections = new Map();
+
+            const freeTerms = searchQuery.getPositiveTerms(ast).filter(term => term.kind === 'free');
+            if (tracks.length < FUZZY_MIN_RESULTS && freeTerms.length > 0) {
+                corrections = await this._findCorrections(freeTerms.map(term => term.value).join(' '));
+            }
+            if (corrections.size > 0) {
+                freeTerms.forEach(term => {
+                    term.match = this._ftsQuery(term.value, FTS_COLUMNS, corrections);
+                });
+                tracks = await this._runQuery(ast, limit, filters);
+            }
+
+            return {
+                tracks,
+                errors,
+                corrections: Object.fromEntries(corrections),
+                facets: facets ? await this._countFacets(ast, filters, facetLimit) : null
+            };
+        } catch (error) {
+            console.error('Error searching tracks by query:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Count the values of every facet over the tracks a query matches, in one query
+     * Values of one facet are alternatives, so a facet's counts ignore its own filter and show what
+     * selecting another value would add; the other facets' filters apply. A tag facet whose values
+     * must all be present narrows its own counts too.
+     * @param {Object} ast - Parsed query
+     * @param {Object} filters - Selected facet values, see _compileFacetFilter()
+     * @param {number} limit - Values per facet, most frequent first
+     * @returns {Promise<Object>} {total, facets: {facet: [{value, count}]}}
+     */
+    async _countFacets(ast, filters, limit) {
+        // Bound in the order they appear in the SQL: filter flags, query, tag filters, limit
+        const params = [];
+        const active = Object.entries(filters || {})
+            .filter(([facet, filter]) => filter && Array.isArray(filter.values) && filter.values.length > 0 &&
+                (SEARCH_FACETS[facet] || facet.startsWith('tag:')));
+        const flags = active.map(([facet, filter], index) => `${this._compileFacetFilter(facet, filter, params)} AS f${index}`);
+        const where = this._compileQueryNode(ast, params);
+
+        // Filters other than the facet's own, as a condition on the matched rows
+        const otherFilters = (facet) => active
+            .map(([name, filter], index) => (name === facet && !filter.all ? null : `f${index}`))
+            .filter(Boolean)
+            .join(' AND ') || '1';
+
+        const columnCounts = Object.keys(SEARCH_FACETS).map(facet => `
+            SELECT '${facet}' AS facet, ${facet} AS value, COUNT(*) AS count FROM matched
+            WHERE ${facet} IS NOT NULL AND ${facet} != '' AND ${otherFilters(facet)}
+            GROUP BY ${facet}`);
+
+        // A tag row belongs to the facet of its category: that facet's filter is skipped for it
+        const tagFilters = active.map(([facet, filter], index) => {
+            if (!facet.startsWith('tag:') || filter.all) {
+                return `f${index}`;
+            }
+            params.push(facet.slice(4));
+            return `(c.name = ? OR f${index})`;
+        }).join(' AND ') || '1';
+
+        const rows = await this._all(`
+            WITH matched AS (
+                SELECT tracks.id, tracks.genre, tracks.artist, tracks.album,
+                       CASE WHEN tracks.year > 0 THEN ${DECADE_SQL} END AS decade
+                       ${flags.map(flag => `, ${flag}`).join('')}
+                FROM tracks
+                WHERE missing = 0 AND ${where}
+            )
+            SELECT facet, value, count FROM (
+                SELECT facet, value, count,
+                       ROW_NUMBER() OVER (PARTITION BY facet ORDER BY count DESC, value) AS position
+                FROM (
+                    SELECT '' AS facet, NULL AS value, COUNT(*) AS count FROM matched WHERE ${otherFilters(null)}
+                    UNION ALL ${columnCounts.join(' UNION ALL ')}
+                    UNION ALL
+                    SELECT 'tag:' || c.name AS facet, t.value AS value, COUNT(DISTINCT matched.id) AS count
+                    FROM matched
+                    JOIN track_tags tt ON tt.track_id = matched.id
+                    JOIN tags t ON t.id = tt.tag_id
+                    JOIN tag_categories c ON c.id = t.category_id
+                    WHERE c.name != '' AND ${tagFilters}
+                    GROUP BY c.name, t.value
+                )
+            )
+            WHERE position <= ? OR facet = ''
+            ORDER BY facet, position
+        `, [...params, limit]);
+
+        const result = { total: 0, facets: {} };
+        rows.forEach(({ facet, value, count }) => {
+            if (facet === '') {
+                result.total = count;
+            } else {
+                (result.facets[facet] = result.facets[facet] || []).push({ value, count });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Condition for one facet's selected values
+     * @param {string} facet - genre, decade, artist, album or tag:<category>
+     * @param {Object} filter - {values, all}: any of the values, or with all (tag facets) every one of them
+     * @param {Array} params - Receives the bound values
+     * @returns {string} SQL condition on tracks
+     */
+    _compileFacetFilter(facet, filter, params) {
+        const placeholders = filter.values.map(() => '?').join(', ');
+
+        if (SEARCH_FACETS[facet]) {
+            params.push(...filter.values);
+            return `(${SEARCH_FACETS[facet]} IN (${placeholders}))`;
+        }
+        if (!facet.startsWith('tag:')) {
+            throw new Error(`Unknown search facet: ${facet}`);
+        }
+
+        const hasTag = (values) => `EXISTS (
+            SELECT 1 FROM track_tags tt
+            JOIN tags t ON t.id = tt.tag_id
+            JOIN tag_categories c ON c.id = t.category_id
+            WHERE tt.track_id = tracks.id AND c.name = ? AND t.value IN (${values})
+        )`;
+        if (filter.all) {
+            filter.values.forEach(value => params.push(facet.slice(4), value));
+            return `(${filter.values.map(() => hasTag('?')).join(' AND ')})`;
+        }
+        params.push(facet.slice(4), ...filter.values);
+        return hasTag(placeholders);
+    }
+
+    /**
+     * Run a parsed query
+     * @param {Object} ast - Parsed query; free terms may carry their own MATCH expression
+     * @param {number} limit - Maximum results
+     * @param {Object} filters - Selected facet values
+     * @returns {Promise<Array>} Tracks
+     */
+    async _runQuery(ast, limit, filters = {}) {
+        const ranking = searchQuery.getPositiveTerms(ast)
+            .filter(term => term.kind === 'free')
+            .map(term => term.match || this._ftsQuery(term.value))
+            .filter(Boolean)
+            .map(match => `(${match})`)
+            .join(' OR ');
+
+        const params = ranking ? [ranking] : [];
+        const where = this._compileQueryNode(ast, params);
+        const facetFilters = this._compileFacetFilters(filters, params);
+        params.push(limit);
+
+        return await this._all(`
+            SELECT tracks.*, ${TRACK_TAGS_JSON}, ${TRACK_TAG_RULES_JSON} FROM tracks
+            ${ranking ? `LEFT JOIN (
+                SELECT rowid, ${FTS_RANK} AS rank FROM tracks_fts WHERE tracks_fts MATCH ?
+            ) ranked ON ranked.rowid = tracks.id` : ''}
+            WHERE missing = 0 AND ${where}${facetFilters}
+            ORDER BY ${ranking ? 'ranked.rank IS NULL, ranked.rank, ' : ''}artist, album, track_number
+            LIMIT ?
+        `, params);
+    }
+
+    /**
+     * Count the tracks a parsed query matches
+     * @param {Object} ast - Parsed query
+     * @param {Object} filters - Selected facet values
+     * @returns {Promise<number>} Track count
+     */
+    async _countQuery(ast, filters = {}) {
+        const params = [];
+        const where = this._compileQueryNode(ast, params);
+        const facetFilters = this._compileFacetFilters(filters, params);
+        const row = await this._get(`SELECT COUNT(*) AS count FROM tracks WHERE missing = 0 AND ${where}${facetFilters}`, params);
+        return row ? row.count : 0;
+    }
+
+    /**
+     * Conditions for all selected facet values, each prefixed with AND
+     * @param {Object} filters - {facet: {values, all}}; facets without values are skipped
+     * @param {Array} params - Receives the bound values
+     * @returns {string} SQL fragment, empty without filters
+     */
+    _compileFacetFilters(filters, params) {
+        return Object.entries(filters || {})
+            .filter(([, filter]) => filter && Array.isArray(filter.values) && filter.values.length > 0)
+            .map(([facet, filter]) => ` AND ${this._compileFacetFilter(facet, filter, params)}`)
+            .join('');
+    }
+
+    /**
+     * Compile a parsed query node to a WHERE fragment, pushing its values to params
+     * @param {Object} node - Node from SearchQuery.parse()
+     * @param {Array} params - Receives the bound values
+     * @returns {string} SQL condition
+     */
+    _compileQueryNode(node, params) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return `(${node.children.map(child => this._compileQueryNode(child, params)).join(` ${node.type.toUpperCase()} `)})`;
+            case 'not':
+                return `NOT ${this._compileQueryNode(node.child, params)}`;
+            default:
+                return this._compileQueryTerm(node, params);
+        }
+    }
+
+    _compileQueryTerm(term, params) {
+        const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+        const tagExists = (condition) => `EXISTS (
+            SELECT 1 FROM track_tags tt
+            JOIN tags t ON t.id = tt.tag_id
+            JOIN tag_categories c ON c.id = t.category_id
+            WHERE tt.track_id = tracks.id AND ${condition}
+        )`;
+
+        if (term.kind === 'free') {
+            const match = term.match || this._ftsQuery(term.value);
+            if (match) {
+                params.push(match);
+                return 'tracks.id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH ?)';
+            }
+
+            // Only punctuation: nothing for the index to match, compare the text instead
+            const pattern = `%${escapeLike(term.value)}%`;
+            params.push(pattern, pattern, pattern, pattern);
+            return `(tracks.title LIKE ? ESCAPE '\\' OR tracks.artist LIKE ? ESCAPE '\\' OR tracks.album LIKE ? ESCAPE '\\'
+                OR ${tagExists("(c.name || ':' || t.value) LIKE ? ESCAPE '\\'")})`;
+        }
+
+        if (term.kind === 'tag') {
+            // A value also matches its hierarchical descendants; a prefix matches any value starting with it
+            params.push(term.field);
+            if (term.prefix) {
+                params.push(`${escapeLike(term.value)}%`);
+                return tagExists("c.name = ? AND t.value LIKE ? ESCAPE '\\'");
+            }
+            params.push(term.value, `${escapeLike(term.value)}/%`);
+            return tagExists("c.name = ? AND (t.value = ? COLLATE NOCASE OR t.value LIKE ? ESCAPE '\\')");
+        }
+
+        const column = QUERY_COLUMNS[term.field];
+        if (!column) {
+            throw new Error(`Unknown search field: ${term.field}`);
+        }
+
+        if (term.kind === 'text') {
+            params.push(`%${escapeLike(term.value)}%`);
+            return `tracks.${column} LIKE ? ESCAPE '\\'`;
+        }
+
+        if (term.op === 'range') {
+            const bounds = [];
+            if (term.from !== null) {
+                bounds.push(`tracks.${column} >= ?`);
+                params.push(term.from);
+            }
+            if (term.to !== null) {
+                bounds.push(`tracks.${column} <= ?`);
+                params.push(term.to);
+            }
+            return `(${bounds.join(' AND ')})`;
+        }
+
+        const operator = QUERY_OPERATORS[term.op];
+        if (!operator) {
+            throw new Error(`Unknown search operator: ${term.op}`);
+        }
+        params.push(term.value);
+        return `tracks.${column} ${operator} ?`;
+    }
+
+    /**
+     * Get the smart crates with the number of tracks each matches now
+     * @returns {Promise<Array>} {id, name, query, tags, filters, trackCount, createdAt, updatedAt}, by name
+     */
+    async getSmartCrates() {
+        const rows = await this._all('SELECT * FROM smart_crates ORDER BY name');
+        const crates = rows.map(row => this._toSmartCrate(row));
+        for (const crate of crates) {
+            const ast = this._smartCrateQuery(crate);
+            crate.trackCount = ast ? await this._countQuery(ast, crate.filters) : 0;
+        }
+        return crates;
+    }
+
+    async getSmartCrate(crateId) {
+        const row = await this._get('SELECT * FROM smart_crates WHERE id = ?', [crateId]);
+        return row ? this._toSmartCrate(row) : null;
+    }
+
+    /**
+     * Save a smart crate; a crate with the same name (ignoring case) is replaced
+     * @param {Object} crate - {name, query, tags, filters}, checked by SmartCrateService
+     * @returns {Promise<Object>} Saved crate with its track count
+     * @throws {Error} When a filter names an unknown facet
+     */
+    async saveSmartCrate(crate) {
+        // Fails on an unknown facet before anything is stored
+        this._compileFacetFilters(crate.filters, []);
+
+        await this._run(
+            `INSERT INTO smart_crates (name, query, tags, filters) VALUES (?, ?, ?, ?)
+             ON CONFLICT(name) DO UPDATE SET name = excluded.name, query = excluded.query, tags = excluded.tags,
+                 filters = excluded.filters, updated_at = CURRENT_TIMESTAMP`,
+            [crate.name, crate.query, JSON.stringify(crate.tags), JSON.stringify(crate.filters)]
+        );
+
+        const saved = this._toSmartCrate(await this._get('SELECT * FROM smart_crates WHERE name = ?', [crate.name]));
+        const ast = this._smartCrateQuery(saved);
+        saved.trackCount = ast ? await this._countQuery(ast, saved.filters) : 0;
+        return saved;
+    }
+
+    async deleteSmartCrate(crateId) {
+        try {
+            const result = await this._run('DELETE FROM smart_crates WHERE id = ?', [crateId]);
+            return result.changes > 0;
+        } catch (error) {
+            console.error('Error deleting smart crate:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Tracks of a smart crate as the library is now
+     * Free words rank the tracks like a search, without the typo-tolerant fallback.
+     * @param {number} crateId - Crate id
+     * @param {number} limit - Maximum tracks
+     * @returns {Promise<Array>} Tracks; empty for an unknown crate
+     */
+    async getSmartCrateTracks(crateId, limit = 100) {
+        const crate = await this.getSmartCrate(crateId);
+        const ast = crate ? this._smartCrateQuery(crate) : null;
+        return ast ? await this._runQuery(ast, limit, crate.filters) : [];
+    }
+
+    _toSmartCrate(row) {
+        const parse = (json, fallback) => {
+            try {
+                return JSON.parse(json) || fallback;
+            } catch (error) {
+                console.error(`Invalid JSON stored for smart crate ${row.name}:`, error);
+                return fallback;
+            }
+        };
+
+        return {
+            id: row.id,
+            name: row.name,
+            query: row.query,
+            tags: parse(row.tags, []),
+            filters: parse(row.filters, {}),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * The query of a smart crate with its tags ANDed as tag terms, so that like a multi-tag
+     * selection a tag also matches its hierarchical descendants
+     * @param {Object} crate - Crate
+     * @returns {Object|null} Parsed query, or null when the stored query no longer parses
+     */
+    _smartCrateQuery(crate) {
+        const { ast, errors } = searchQuery.parse(crate.query);
+        if (errors.length > 0) {
+            return null;
+        }
+
+        const tagTerms = crate.tags.map(tag => {
+            const { category, value } = this._splitTag(tag);
+            return { type: 'term', kind: 'tag', field: category, value, prefix: false };
+        });
+        const children = [ast, ...tagTerms].filter(Boolean);
+        if (children.length === 0) {
+            return null;
+        }
+        return children.length > 1 ? { type: 'and', children } : children[0];
+    }
+
+    /**
+     * Get unique values for a field
      * @param {string} field - Field name
      * @returns {Promise<Array>} Unique values
      */
-    getUniqueValues(field) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve([]);
-                return;
+    getUniqueValues(field) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                resolve([]);
+                return;
+            }
+
+            try {
+                const sql = `SELECT DISTINCT ${field} FROM tracks WHERE ${field} IS NOT NULL ORDER BY ${field}`;
+                this.db.all(sql, [], (err, rows) => {
+                    if (err) {
+                        console.error('Error getting unique values:', err);
+                        resolve([]);
+                    } else {
+                        resolve((rows || []).map(row => row[field]));
+                    }
+                });
+            } catch (error) {
+                console.error(`Error getting unique values for ${field}:`, error);
+                resolve([]);
+            }
+        });
+    }
+
+    /**
+     * Get all available tags from tracks
+     * @returns {Promise<Array>} Available tags
+     */
+    async getAvailableTags() {
+        if (!this.db) {
+            return [];
+        }
+
+        try {
+            return await this._getUsedTags();
+        } catch (error) {
+            console.error('Error getting available tags:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get every tag used by tracks on disk with the number of those tracks that have it, most used first
+     * @returns {Promise<Array>} {tag, count}
+     */
+    async getTagUsage() {
+        if (!this.db) {
+            return [];
+        }
+
+        try {
+            return await this._all(`
+                SELECT CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END AS tag,
+                       COUNT(DISTINCT tt.track_id) AS count
+                FROM tags t
+                JOIN tag_categories c ON c.id = t.category_id
+                JOIN track_tags tt ON tt.tag_id = t.id
+                JOIN tracks ON tracks.id = tt.track_id AND tracks.missing = 0
+                GROUP BY t.id
+                ORDER BY count DESC, tag
+            `);
+        } catch (error) {
+            console.error('Error getting tag usage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * How often the most used tags appear on the same track
+     * Edges carry the shared track count, Jaccard similarity (shared / either) and normalized
+     * PMI (-1 never together, 0 independent, 1 always together) over the tracks on disk.
+     * @param {number} limit - Number of tags, most used first
+     * @returns {Promise<Object>} {trackCount, tags: [{tag, count}], edges: [{source, target, count, jaccard, npmi}]}
+     */
+    async getTagCooccurrence(limit = 60) {
+        const empty = { trackCount: 0, tags: [], edges: [] };
+        if (!this.db) {
+            return empty;
+        }
+
+        try {
+            const { trackCount } = await this._get('SELECT COUNT(*) AS trackCount FROM tracks WHERE missing = 0');
+            const tags = await this._all(`
+                SELECT t.id, CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END AS tag,
+                       COUNT(*) AS count
+                FROM tags t
+                JOIN tag_categories c ON c.id = t.category_id
+                JOIN track_tags tt ON tt.tag_id = t.id
+                JOIN tracks ON tracks.id = tt.track_id AND tracks.missing = 0
+                GROUP BY t.id
+                ORDER BY count DESC, tag
+                LIMIT ?
+            `, [limit]);
+            if (tags.length === 0) {
+                return empty;
             }
 
-            try {
-                const sql = `SELECT DISTINCT ${field} FROM tracks WHERE ${field} IS NOT NULL ORDER BY ${field}`;
-                this.db.all(sql, [], (err, rows) => {
-                    if (err) {
-                        console.error('Error getting unique values:', err);
-                        resolve([]);
-                    } else {
-                        resolve((rows || []).map(row => row[field]));
-                    }
-                });
-            } catch (error) {
-                console.error(`Error getting unique values for ${field}:`, error);
-                resolve([]);
+            const ids = tags.map(tag => tag.id);
+            const placeholders = ids.map(() => '?').join(',');
+            const pairs = await this._all(`
+                SELECT a.tag_id AS a, b.tag_id AS b, COUNT(*) AS count
+                FROM track_tags a
+                JOIN track_tags b ON b.track_id = a.track_id AND b.tag_id > a.tag_id
+                JOIN tracks ON tracks.id = a.track_id AND tracks.missing = 0
+                WHERE a.tag_id IN (${placeholders}) AND b.tag_id IN (${placeholders})
+                GROUP BY a.tag_id, b.tag_id
+            `, [...ids, ...ids]);
+
+            const byId = new Map(tags.map(tag => [tag.id, tag]));
+            const edges = pairs.map(({ a, b, count }) => {
+                const source = byId.get(a);
+                const target = byId.get(b);
+                const joint = count / trackCount;
+                // Always-together pairs have joint probability 1, where the normalization divides by zero
+                const npmi = joint === 1
+                    ? 1
+                    : Math.log(joint / ((source.count / trackCount) * (target.count / trackCount))) / -Math.log(joint);
+                return {
+                    source: source.tag,
+                    target: target.tag,
+                    count,
+                    jaccard: count / (source.count + target.count - count),
+                    npmi
+                };
+            });
+
+            return {
+                trackCount,
+                tags: tags.map(({ tag, count }) => ({ tag, count })),
+                edges
+            };
+        } catch (error) {
+            console.error('Error getting tag co-occurrence:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Find a track the renderer refers to by title, artist and album
+     * @param {Object} track - {title, artist, album}
+     * @returns {Promise<number|null>} Track id
+     */
+    async findTrackId(track) {
+        const row = await this._get(
+            'SELECT id FROM tracks WHERE title = ? AND artist = ? AND album = ?',
+            [track.title, track.artist, track.album]
+        );
+        return row ? row.id : null;
+    }
+
+    async addTagToTrack(track, tag) {
+        if (!this.db) {
+            return false;
+        }
+
+        try {
+            // Find the track by title, artist, and album
+            const trackId = await this.findTrackId(track);
+
+            if (!trackId) {
+                console.warn('Track not found in database:', track.title, 'by', track.artist);
+                return false;
+            }
+
+            // INSERT OR IGNORE makes re-adding an existing tag a successful no-op
+            await this._attachTags(trackId, [tag], 'user');
+            return true;
+        } catch (error) {
+            console.error('Error adding tag to track:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get a track's tags that belong in its file: added by the user or read from the file
+     * @param {number} trackId - Track id
+     * @returns {Promise<Array<string>>} Tags in "category:value" format, sorted
+     */
+    async getTrackFileTags(trackId) {
+        const rows = await this._all(
+            `SELECT c.name AS category, t.value FROM track_tags tt
+             JOIN tags t ON t.id = tt.tag_id
+             JOIN tag_categories c ON c.id = t.category_id
+             WHERE tt.track_id = ? AND tt.source IN ('user', 'file')
+             ORDER BY c.name, t.value`,
+            [trackId]
+        );
+        return rows.map(row => (row.category ? `${row.category}:${row.value}` : row.value));
+    }
+
+    /**
+     * Get the fields tag rules read
+     * @param {Array<number>|null} trackIds - Tracks to read, or null for every track
+     * @returns {Promise<Array>} Rows with id, the metadata columns and the audio analysis columns
+     */
+    async getTracksForTagRules(trackIds = null) {
+        const columns = `id, title, artist, album, genre, year, duration, file_path, bitrate, bpm, musical_key,
+                         analyzed_bpm, camelot_key, loudness_lufs, dynamic_range, energy`;
+        if (!trackIds) {
+            return await this._all(`SELECT ${columns} FROM tracks ORDER BY id`);
+        }
+
+        const rows = [];
+        for (let i = 0; i < trackIds.length; i += 500) {
+            const chunk = trackIds.slice(i, i + 500);
+            rows.push(...await this._all(
+                `SELECT ${columns} FROM tracks WHERE id IN (${chunk.map(() => '?').join(', ')}) ORDER BY id`,
+                chunk
+            ));
+        }
+        return rows;
+    }
+
+    /**
+     * Get tracks whose audio has not been analyzed in its current state
+     * @param {number} limit - Maximum number of tracks
+     * @param {boolean} retryFailed - Include tracks whose last analysis failed
+     * @returns {Promise<Array>} Rows with id, file_path, content_hash
+     */
+    async getTracksToAnalyze(limit = 50, retryFailed = false) {
+        return await this._all(
+            `SELECT id, file_path, content_hash FROM tracks
+             WHERE missing = 0 AND (analyzed_at IS NULL OR analysis_hash IS NOT content_hash
+                   ${retryFailed ? 'OR analysis_error IS NOT NULL' : ''})
+             ORDER BY id LIMIT ?`,
+            [limit]
+        );
+    }
+
+    /**
+     * Store the audio analysis of a track, or why it failed
+     * @param {number} trackId - Track id
+     * @param {string|null} contentHash - Content hash of the analyzed file
+     * @param {Object|null} features - {bpm, camelotKey, loudness, dynamicRange, energy}
+     * @param {string|null} error - Error message when the analysis failed
+     */
+    async saveTrackAnalysis(trackId, contentHash, features, error = null) {
+        const values = features || {};
+        await this._run(
+            `UPDATE tracks SET analyzed_bpm = ?, camelot_key = ?, loudness_lufs = ?, dynamic_range = ?, energy = ?,
+                    analyzed_at = CURRENT_TIMESTAMP, analysis_hash = ?, analysis_error = ?
+             WHERE id = ?`,
+            [
+                values.bpm ?? null, values.camelotKey ?? null, values.loudness ?? null,
+                values.dynamicRange ?? null, values.energy ?? null,
+                contentHash, error, trackId
+            ]
+        );
+    }
+
+    /**
+     * Count tracks by analysis state
+     * @returns {Promise<Object>} {analyzed, failed, pending}
+     */
+    async getAnalysisSummary() {
+        const row = await this._get(
+            `SELECT
+                SUM(CASE WHEN analyzed_at IS NOT NULL AND analysis_hash IS content_hash AND analysis_error IS NULL THEN 1 ELSE 0 END) AS analyzed,
+                SUM(CASE WHEN analyzed_at IS NOT NULL AND analysis_hash IS content_hash AND analysis_error IS NOT NULL THEN 1 ELSE 0 END) AS failed,
+                SUM(CASE WHEN analyzed_at IS NULL OR analysis_hash IS NOT content_hash THEN 1 ELSE 0 END) AS pending
+             FROM tracks WHERE missing = 0`
+        );
+        return { analyzed: row.analyzed || 0, failed: row.failed || 0, pending: row.pending || 0 };
+    }
+
+    /**
+     * Replace the rule-generated tags of tracks in one transaction. Tags the previous random
+     * generator stored as scan tags in the given categories are removed as well.
+     * @param {Array<Object>} updates - {trackId, tags: [{tag, rule}]}
+     * @param {Array<string>} legacyCategories - Categories whose scan tags are dropped
+     * @returns {Promise<number>} Number of tags attached
+     */
+    async replaceRuleTags(updates, legacyCategories = []) {
+        const placeholders = legacyCategories.map(() => '?').join(', ');
+
+        return this.transaction(async () => {
+            let attached = 0;
+            for (const { trackId, tags } of updates) {
+                await this._run(`DELETE FROM track_tags WHERE track_id = ? AND source = 'rule'`, [trackId]);
+                if (legacyCategories.length > 0) {
+                    await this._run(
+                        `DELETE FROM track_tags WHERE track_id = ? AND source = 'scan' AND tag_id IN (
+                            SELECT t.id FROM tags t JOIN tag_categories c ON c.id = t.category_id
+                            WHERE c.name IN (${placeholders})
+                        )`,
+                        [trackId, ...legacyCategories]
+                    );
+                }
+                attached += await this._attachRuleTags(trackId, tags);
             }
+            return attached;
         });
     }
 
+    async getTrackById(trackId) {
+        return (await this._get('SELECT * FROM tracks WHERE id = ?', [trackId])) || null;
+    }
+
     /**
-     * Get all available tags from tracks
-     * @returns {Promise<Array>} Available tags
+     * Mark tracks whose files need their tags written again, in one transaction
+     * @param {Array<number>} trackIds - Track ids
+     * @returns {Promise<boolean>} Success status
      */
-    getAvailableTags() {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve([]);
-                return;
+    async markWritebackPending(trackIds) {
+        try {
+            await this.transaction(async () => {
+                for (const trackId of trackIds) {
+                    await this._run(
+                        `INSERT INTO tag_writeback (track_id, status, updated_at)
+                         VALUES (?, 'pending', CURRENT_TIMESTAMP)
+                         ON CONFLICT(track_id) DO UPDATE SET
+                            status = 'pending',
+                            error = NULL,
+                            updated_at = CURRENT_TIMESTAMP`,
+                        [trackId]
+                    );
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('Error marking tracks for writeback:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Record the writeback state of a track's file
+     * @param {number} trackId - Track id
+     * @param {string} status - pending, written, failed or unsupported
+     * @param {Object} details - {tags, error, backupPath}
+     * @returns {Promise<boolean>} Success status
+     */
+    async setWritebackStatus(trackId, status, details = {}) {
+        try {
+            await this._run(
+                `INSERT INTO tag_writeback (track_id, status, tags, error, backup_path, updated_at)
+                 VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                 ON CONFLICT(track_id) DO UPDATE SET
+                    status = excluded.status,
+                    tags = COALESCE(excluded.tags, tag_writeback.tags),
+                    error = excluded.error,
+                    backup_path = COALESCE(excluded.backup_path, tag_writeback.backup_path),
+                    updated_at = CURRENT_TIMESTAMP`,
+                [
+                    trackId, status,
+                    details.tags ? JSON.stringify(details.tags) : null,
+                    details.error || null,
+                    details.backupPath || null
+                ]
+            );
+            return true;
+        } catch (error) {
+            console.error('Error saving writeback status:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get writeback state per track
+     * @param {string} status - Optional status filter
+     * @returns {Promise<Array>} {trackId, filePath, status, tags, error, backupPath, updatedAt}
+     */
+    async getWritebackStatuses(status = null) {
+        const rows = await this._all(
+            `SELECT w.track_id AS trackId, t.file_path AS filePath, w.status, w.tags, w.error,
+                    w.backup_path AS backupPath, w.updated_at AS updatedAt
+             FROM tag_writeback w JOIN tracks t ON t.id = w.track_id
+             ${status ? 'WHERE w.status = ?' : ''}
+             ORDER BY w.updated_at DESC`,
+            status ? [status] : []
+        );
+        return rows.map(row => ({ ...row, tags: row.tags ? JSON.parse(row.tags) : [] }));
+    }
+
+    async getWritebackSummary() {
+        const rows = await this._all('SELECT status, COUNT(*) AS count FROM tag_writeback GROUP BY status');
+        return Object.fromEntries(rows.map(row => [row.status, row.count]));
+    }
+
+    /**
+     * Count what a tag operation would touch
+     * @param {Array<string>} tags - Tags the operation removes
+     * @returns {Promise<Object>} {tracks, tags: {tag: track count}, generated: links made by the scan or rules}
+     */
+    async previewTagOperation(tags) {
+        const links = await this._getTagLinks(tags);
+        const counts = Object.fromEntries(tags.map(tag => [tag, 0]));
+        links.forEach(link => { counts[link.tag] += 1; });
+
+        return {
+            tracks: new Set(links.map(link => link.trackId)).size,
+            tags: counts,
+            generated: links.filter(link => link.source === 'scan' || link.source === 'rule').length
+        };
+    }
+
+    /**
+     * Replace tags on every track that has them and keep an undo record.
+     * Replacement tags are linked as user tags so a rescan keeps them.
+     * @param {string} type - rename, merge, move, split, delete or remove
+     * @param {Array<Object>} changes - {from: tag, to: [tags]}
+     * @param {Array<number>|null} trackIds - Tracks to change, or null for every track
+     * @returns {Promise<Object>} {id, type, from, to, trackIds, removed, added}; id is null when no track had the tags
+     */
+    async applyTagOperation(type, changes, trackIds = null) {
+        return this.transaction(async () => {
+            const fromTags = changes.map(change => change.from);
+            const toTags = [...new Set(changes.flatMap(change => change.to))];
+            const links = (await this._getTagLinks(fromTags))
+                .filter(link => !trackIds || trackIds.includes(link.trackId));
+            if (links.length === 0) {
+                return { id: null, type, from: fromTags, to: toTags, trackIds: [], removed: 0, added: 0 };
             }
 
-            try {
-                const sql = `SELECT tags FROM tracks WHERE tags IS NOT NULL`;
-                this.db.all(sql, [], (err, results) => {
-                    if (err) {
-                        console.error('Error getting available tags:', err);
-                        resolve([]);
-                        return;
+            const removed = [];
+            for (const link of links) {
+                await this._run('DELETE FROM track_tags WHERE track_id = ? AND tag_id = ?', [link.trackId, link.tagId]);
+                removed.push({ trackId: link.trackId, tag: link.tag, source: link.source, rule: link.rule });
+            }
+
+            // Several removed tags can map onto the same tag; only the first link is new
+            const added = [];
+            for (const link of links) {
+                const change = changes.find(entry => entry.from === link.tag);
+                for (const tag of change.to) {
+                    if (await this._attachTags(link.trackId, [tag], 'user') > 0) {
+                        added.push({ trackId: link.trackId, tag });
                     }
-                    
-                    const allTags = new Set();
-                    (results || []).forEach(row => {
-                        if (row.tags) {
-                            const tags = tagUtils.parseTagsFromDatabase(row.tags);
-                            tags.forEach(tag => allTags.add(tag));
-                        }
-                    });
-                    
-                    resolve(Array.from(allTags));
-                });
-            } catch (error) {
-                console.error('Error getting available tags:', error);
-                resolve([]);
+                }
             }
+            await this._deleteUnusedTags(fromTags);
+
+            const changedIds = [...new Set(links.map(link => link.trackId))];
+            const id = await this._recordTagOperation(type, fromTags, toTags, removed, added, changedIds.length);
+
+            return { id, type, from: fromTags, to: toTags, trackIds: changedIds, removed: removed.length, added: added.length };
         });
     }
 
-    addTagToTrack(track, tag) {
-        return new Promise((resolve, reject) => {
-            if (!this.db) {
-                resolve(false);
-                return;
+    /**
+     * Add and remove tags on a set of tracks in one transaction, recorded as one undoable operation.
+     * Added tags are user tags; a replaced category loses all its other tags on those tracks.
+     * @param {Array<number>} trackIds - Tracks to edit
+     * @param {Object} edit - {add: [tags], remove: [tags], replaceCategories: [categories]}
+     * @returns {Promise<Object>} {id, changes: [{trackId, added: [tags], removed: [tags]}]}; id is null when nothing changed
+     */
+    async batchEditTags(trackIds, edit) {
+        const add = edit.add || [];
+        const remove = edit.remove || [];
+        const replaceCategories = edit.replaceCategories || [];
+
+        return this.transaction(async () => {
+            const links = (await this._getTagLinks(remove)).filter(link => trackIds.includes(link.trackId));
+            if (replaceCategories.length > 0) {
+                const placeholders = replaceCategories.map(() => '?').join(', ');
+                for (const trackId of trackIds) {
+                    const rows = await this._all(
+                        `SELECT tt.track_id AS trackId, tt.tag_id AS tagId, tt.source, tt.rule,
+                                c.name || ':' || t.value AS tag
+                         FROM track_tags tt
+                         JOIN tags t ON t.id = tt.tag_id
+                         JOIN tag_categories c ON c.id = t.category_id
+                         WHERE tt.track_id = ? AND c.name IN (${placeholders})`,
+                        [trackId, ...replaceCategories]
+                    );
+                    rows.filter(row => !add.includes(row.tag) && !links.some(link => link.trackId === row.trackId && link.tagId === row.tagId))
+                        .forEach(row => links.push(row));
+                }
             }
 
-            try {
-                // Find the track by title, artist, and album
-                const findSql = `SELECT id, tags FROM tracks WHERE title = ? AND artist = ? AND album = ?`;
-                
-                this.db.get(findSql, [track.title, track.artist, track.album], (err, row) => {
-                    if (err) {
-                        console.error('Error finding track:', err);
-                        resolve(false);
-                        return;
-                    }
-                    
-                    if (!row) {
-                        console.warn('Track not found in database:', track.title, 'by', track.artist);
-                        resolve(false);
-                        return;
-                    }
-                    
-                    // Parse existing tags
-                    let existingTags = [];
-                    if (row.tags) {
-                        try {
-                            existingTags = JSON.parse(row.tags);
-                            if (!Array.isArray(existingTags)) {
-                                existingTags = [];
-                            }
-                        } catch (e) {
-                            existingTags = [];
-                        }
-                    }
-                    
-                    // Add new tag if not already present
-                    if (!existingTags.includes(tag)) {
-                        existingTags.push(tag);
-                        
-                        // Update the track with new tags
-                        const updateSql = `UPDATE tracks SET tags = ? WHERE id = ?`;
-                        this.db.run(updateSql, [JSON.stringify(existingTags), row.id], (updateErr) => {
-                            if (updateErr) {
-                                console.error('Error updating track tags:', updateErr);
-                                resolve(false);
-                                return;
-                            }
-                            
-                            resolve(true);
-                        });
-                    } else {
-                        // Tag already exists
-                        resolve(true);
+            const changes = new Map(trackIds.map(trackId => [trackId, { trackId, added: [], removed: [] }]));
+            const removed = [];
+            for (const link of links) {
+                await this._run('DELETE FROM track_tags WHERE track_id = ? AND tag_id = ?', [link.trackId, link.tagId]);
+                removed.push({ trackId: link.trackId, tag: link.tag, source: link.source, rule: link.rule });
+                changes.get(link.trackId).removed.push(link.tag);
+            }
+
+            const added = [];
+            for (const trackId of trackIds) {
+                for (const tag of add) {
+                    if (await this._attachTags(trackId, [tag], 'user') > 0) {
+                        added.push({ trackId, tag });
+                        changes.get(trackId).added.push(tag);
                     }
-                });
-            } catch (error) {
-                console.error('Error adding tag to track:', error);
-                resolve(false);
+                }
+            }
+
+            const changed = [...changes.values()].filter(change => change.added.length > 0 || change.removed.length > 0);
+            if (changed.length === 0) {
+                return { id: null, changes: [] };
+            }
+
+            const fromTags = [...new Set(removed.map(link => link.tag))];
+            await this._deleteUnusedTags(fromTags);
+            const id = await this._recordTagOperation('batch', fromTags, add, removed, added, changed.length);
+            return { id, changes: changed };
+        });
+    }
+
+    /**
+     * Revert a tag operation: drop the links it added and restore the ones it removed,
+     * with their original source. Tracks deleted since are skipped.
+     * @param {number} operationId - Operation id
+     * @returns {Promise<Object|null>} {id, trackIds}, or null when there is nothing to undo
+     */
+    async undoTagOperation(operationId) {
+        return this.transaction(async () => {
+            const operation = await this._get('SELECT * FROM tag_operations WHERE id = ?', [operationId]);
+            if (!operation || operation.undone_at) {
+                return null;
+            }
+
+            const added = JSON.parse(operation.added);
+            const removed = JSON.parse(operation.removed);
+            const trackIds = new Set();
+
+            for (const { trackId, tag } of added) {
+                const { category, value } = this._splitTag(tag);
+                await this._run(
+                    `DELETE FROM track_tags WHERE track_id = ? AND tag_id IN (
+                        SELECT t.id FROM tags t JOIN tag_categories c ON c.id = t.category_id
+                        WHERE c.name = ? AND t.value = ?
+                    )`,
+                    [trackId, category, value]
+                );
+                trackIds.add(trackId);
+            }
+            for (const { trackId, tag, source, rule } of removed) {
+                if (await this._get('SELECT id FROM tracks WHERE id = ?', [trackId])) {
+                    await this._attachTags(trackId, [tag], source, rule);
+                    trackIds.add(trackId);
+                }
             }
+            await this._deleteUnusedTags(JSON.parse(operation.to_tags));
+            await this._run('UPDATE tag_operations SET undone_at = CURRENT_TIMESTAMP WHERE id = ?', [operationId]);
+
+            return { id: operation.id, trackIds: [...trackIds] };
         });
     }
 
-    clearDatabase() {
+    /**
+     * Get recent tag operations, newest first
+     * @param {number} limit - Maximum number of operations
+     * @returns {Promise<Array>} {id, type, from, to, tracks, createdAt, undoneAt}
+     */
+    async getTagOperations(limit = 20) {
+        const rows = await this._all(
+            `SELECT id, type, from_tags, to_tags, track_count, created_at, undone_at
+             FROM tag_operations ORDER BY id DESC LIMIT ?`,
+            [limit]
+        );
+        return rows.map(row => ({
+            id: row.id,
+            type: row.type,
+            from: JSON.parse(row.from_tags),
+            to: JSON.parse(row.to_tags),
+            tracks: row.track_count,
+            createdAt: row.created_at,
+            undoneAt: row.undone_at
+        }));
+    }
+
+    async clearDatabase() {
         if (!this.db) return false;
         
         try {
-            this.db.exec(`
-                DELETE FROM tracks;
-                DELETE FROM artists;
-                DELETE FROM albums;
-            `);
+            await this.transaction(async () => {
+                for (const table of CLEARED_TABLES) {
+                    await this._run(`DELETE FROM ${table}`);
+                }
+            });
             return true;
         } catch (error) {
             console.error('Error clearing database:', error);
@@ -516,6 +2080,236 @@ class DatabaseManager {
     isReady() {
         return this.db !== null;
     }
+
+    // Internal helpers
+
+    /**
+     * Link tags to a track, creating missing categories and tag rows
+     * @param {number} trackId - Track id
+     * @param {Array<string>} tags - Tags in "category:value" format
+     * @param {string} source - Provenance: 'scan', 'user', 'file' or 'rule'
+     * @param {string|null} rule - Id of the tag rule that produced the tags
+     * @returns {Promise<number>} Number of tags newly linked
+     */
+    async _attachTags(trackId, tags, source = 'scan', rule = null) {
+        let linked = 0;
+        for (const tag of tags) {
+            const { category, value } = this._splitTag(tag);
+            if (!value) continue;
+
+            await this._run('INSERT OR IGNORE INTO tag_categories (name) VALUES (?)', [category]);
+            await this._run(
+                `INSERT OR IGNORE INTO tags (category_id, value)
+                 SELECT id, ? FROM tag_categories WHERE name = ?`,
+                [value, category]
+            );
+            const { changes } = await this._run(
+                `INSERT OR IGNORE INTO track_tags (track_id, tag_id, source, rule)
+                 SELECT ?, t.id, ?, ? FROM tags t
+                 JOIN tag_categories c ON c.id = t.category_id
+                 WHERE c.name = ? AND t.value = ?`,
+                [trackId, source, rule, category, value]
+            );
+            linked += changes;
+        }
+        return linked;
+    }
+
+    /**
+     * Link rule-generated tags to a track
+     * @param {number} trackId - Track id
+     * @param {Array<Object>} ruleTags - {tag, rule}
+     * @returns {Promise<number>} Number of tags newly linked
+     */
+    async _attachRuleTags(trackId, ruleTags) {
+        let linked = 0;
+        for (const { tag, rule } of ruleTags) {
+            linked += await this._attachTags(trackId, [tag], 'rule', rule);
+        }
+        return linked;
+    }
+
+    /**
+     * Split a tag into category and value. Tags without an explicit
+     * category are stored under the empty category so they round-trip unchanged.
+     * @param {string} tag - Tag string
+     * @returns {Object} {category: string, value: string}
+     */
+    _splitTag(tag) {
+        const parsed = tagUtils.parseTag(tag);
+        if (parsed.isValid) {
+            return { category: parsed.type, value: parsed.value };
+        }
+        return { category: '', value: typeof tag === 'string' ? tag.trim() : '' };
+    }
+
+    /**
+     * Get the track links of some tags
+     * @param {Array<string>} tags - Tags in "category:value" format
+     * @returns {Promise<Array>} {trackId, tagId, tag, source, rule}
+     */
+    async _getTagLinks(tags) {
+        const links = [];
+        for (const tag of tags) {
+            const { category, value } = this._splitTag(tag);
+            const rows = await this._all(
+                `SELECT tt.track_id AS trackId, tt.tag_id AS tagId, tt.source, tt.rule FROM track_tags tt
+                 JOIN tags t ON t.id = tt.tag_id
+                 JOIN tag_categories c ON c.id = t.category_id
+                 WHERE c.name = ? AND t.value = ?`,
+                [category, value]
+            );
+            rows.forEach(row => links.push({ ...row, tag }));
+        }
+        return links;
+    }
+
+    /**
+     * Store the undo record of a tag operation
+     * @returns {Promise<number>} Operation id
+     */
+    async _recordTagOperation(type, fromTags, toTags, removed, added, trackCount) {
+        const { lastID } = await this._run(
+            `INSERT INTO tag_operations (type, from_tags, to_tags, removed, added, track_count)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [type, JSON.stringify(fromTags), JSON.stringify(toTags), JSON.stringify(removed), JSON.stringify(added), trackCount]
+        );
+        return lastID;
+    }
+
+    /**
+     * Delete tag rows no track links to any more
+     * @param {Array<string>} tags - Tags in "category:value" format
+     */
+    async _deleteUnusedTags(tags) {
+        for (const tag of tags) {
+            const { category, value } = this._splitTag(tag);
+            await this._run(
+                `DELETE FROM tags WHERE value = ?
+                 AND category_id = (SELECT id FROM tag_categories WHERE name = ?)
+                 AND NOT EXISTS (SELECT 1 FROM track_tags tt WHERE tt.tag_id = tags.id)`,
+                [value, category]
+            );
+        }
+    }
+
+    /**
+     * Get all tags currently linked to at least one track, sorted
+     * @returns {Promise<Array<string>>} Tags in "category:value" format
+     */
+    async _getUsedTags() {
+        const rows = await this._all(`
+            SELECT CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END AS tag
+            FROM tags t
+            JOIN tag_categories c ON c.id = t.category_id
+            WHERE EXISTS (SELECT 1 FROM track_tags tt WHERE tt.tag_id = t.id)
+            ORDER BY tag
+        `);
+        return rows.map(row => row.tag);
+    }
+
+    async _getCurrentSchemaVersion() {
+        const row = await this._get('SELECT MAX(version) AS version FROM schema_version');
+        return row && row.version ? row.version : 0;
+    }
+
+    _getLatestSchemaVersion() {
+        return this.migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+    }
+
+    /**
+     * Run a statement over a list of ids in chunks that stay under SQLite's variable limit
+     * @param {Array<number>} ids - Row ids
+     * @param {Function} buildSql - Receives the placeholder list, returns the statement
+     * @returns {Promise<boolean>} Success status
+     */
+    async _runForIds(ids, buildSql) {
+        if (!this.db) {
+            return false;
+        }
+
+        try {
+            for (let i = 0; i < ids.length; i += 500) {
+                const chunk = ids.slice(i, i + 500);
+                await this._run(buildSql(chunk.map(() => '?').join(', ')), chunk);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error updating tracks:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Run a write statement; outside a transaction it waits for the write queue
+     */
+    _run(sql, params = []) {
+        if (this._inTransaction()) {
+            return this._execute(sql, params);
+        }
+        return this._enqueue(() => this._execute(sql, params));
+    }
+
+    _runOrFalse(sql, params, message) {
+        return this._run(sql, params).then(() => true, (error) => {
+            console.error(message, error);
+            return false;
+        });
+    }
+
+    _inTransaction() {
+        return this._transactionScope.getStore() === true;
+    }
+
+    _enqueue(task) {
+        const result = this._transactionQueue.then(task, task);
+        this._transactionQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Run work in a savepoint of the current transaction, undoing only its writes if it throws
+     */
+    async _savepoint(work) {
+        const name = `sp_${++this._savepointCount}`;
+        await this._execute(`SAVEPOINT ${name}`);
+        try {
+            const result = await work();
+            await this._execute(`RELEASE ${name}`);
+            return result;
+        } catch (error) {
+            await this._execute(`ROLLBACK TO ${name}`).catch(() => {});
+            await this._execute(`RELEASE ${name}`).catch(() => {});
+            throw error;
+        }
+    }
+
+    _execute(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) reject(err);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    _get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    _all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows || []);
+            });
+        });
+    }
 }
 
 module.exports = DatabaseManager; 
\ No newline at end of file
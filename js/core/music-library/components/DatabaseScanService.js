@@ -1,94 +1,696 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const IScanService = require('../interfaces/IScanService');
+const FileScanner = require('./FileScanner');
+
+// ffprobe runs as a child process per file, so a few in flight hide its startup cost
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, os.cpus().length));
+const DEFAULT_BATCH_SIZE = 50;
+
+// Jobs that stopped without finishing and can pick up from their cursor
+const RESUMABLE_STATUSES = ['interrupted', 'failed'];
+
+/**
+ * Error type recorded in errorDetails; file system errors carry a code (ENOENT, EACCES, ...)
+ * @param {Error} error - Caught error
+ * @returns {string}
+ */
+function errorTypeOf(error) {
+    return error.code ? 'UnreadableFile' : (error.name || 'ProcessingError');
+}
+
+/**
+ * Quote a value for CSV (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Pause/resume/cancel switch shared between a running scan job and its callers
+ */
+class ScanControl {
+    constructor(jobId = null) {
+        this.jobId = jobId;
+        this.paused = false;
+        this.cancelled = false;
+        this.resumed = null;
+        this.release = null;
+    }
+
+    pause() {
+        if (!this.paused && !this.cancelled) {
+            this.paused = true;
+            this.resumed = new Promise(resolve => { this.release = resolve; });
+        }
+    }
+
+    resume() {
+        if (this.paused) {
+            this.paused = false;
+            this.release();
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.resume();
+    }
+
+    async waitIfPaused() {
+        if (this.paused) {
+            await this.resumed;
+        }
+    }
+}
 
 class DatabaseScanService extends IScanService {
-    constructor(trackRepository, fileScanner, metadataExtractor) {
+    constructor(trackRepository, fileScanner, metadataExtractor, options = {}) {
         super();
         this.trackRepository = trackRepository;
         this.fileScanner = fileScanner;
         this.metadataExtractor = metadataExtractor;
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        this.activeScan = null;
     }
 
-    async scanDirectory(directory, progressCallback = null) {
+    /**
+     * Incrementally scan a directory: unchanged files are skipped, moved files keep
+     * their database row (and tags), and tracks whose files are gone are pruned.
+     * The scan is recorded as a job so it can be cancelled, resumed and reviewed later.
+     * @param {string} directory - Directory to scan
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} options - {missingFiles: 'mark'|'delete', concurrency, batchSize}
+     * @returns {Promise<Object>} Scan results with jobId, root and added/updated/moved/removed/unchanged counts
+     */
+    async scanDirectory(directory, progressCallback = null, options = {}) {
         if (!this.trackRepository || !this.fileScanner || !this.metadataExtractor) {
             throw new Error('DatabaseScanService dependencies not properly initialized');
         }
 
-        // Scan for audio files
-        const audioFiles = await this.fileScanner.scanDirectory(directory);
-        
-        let processedCount = 0;
+        const control = this.claimScan();
+        let job;
+        try {
+            job = await this.trackRepository.createScanJob(directory, options);
+        } catch (error) {
+            this.activeScan = null;
+            throw error;
+        }
+        return await this.runScanJob(job, progressCallback, options, control);
+    }
+
+    /**
+     * Continue an interrupted (or failed) scan job from its cursor
+     * @param {number} jobId - Scan job id
+     * @param {Function} progressCallback - Optional progress callback
+     * @returns {Promise<Object>} Scan results, as for scanDirectory()
+     */
+    async resumeScanJob(jobId, progressCallback = null) {
+        const control = this.claimScan();
+        let job;
+        try {
+            job = await this.trackRepository.getScanJob(jobId);
+            if (!job) {
+                throw new Error(`Scan job ${jobId} not found`);
+            }
+            if (!RESUMABLE_STATUSES.includes(job.status)) {
+                throw new Error(`Scan job ${jobId} is ${job.status} and cannot be resumed`);
+            }
+        } catch (error) {
+            this.activeScan = null;
+            throw error;
+        }
+
+        return await this.runScanJob(job, progressCallback, JSON.parse(job.options || '{}'), control);
+    }
+
+    /**
+     * Take the single scan slot before anything is awaited, so a second request arriving
+     * while the first one creates its job is refused instead of running alongside it
+     * @returns {ScanControl} Control of the new scan; its jobId is set once the job exists
+     * @throws {Error} When a scan is already running
+     */
+    claimScan() {
+        if (this.activeScan) {
+            throw new Error('A scan is already running');
+        }
+        this.activeScan = new ScanControl();
+        return this.activeScan;
+    }
+
+    /**
+     * Run a scan job, checkpointing counts, cursor and errors after every written batch
+     * @param {Object} job - scan_jobs row
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} options - Scan options
+     * @param {ScanControl} control - Control from claimScan()
+     * @returns {Promise<Object>} Scan results
+     */
+    async runScanJob(job, progressCallback, options, control) {
+        control.jobId = job.id;
+        // The scan may have been paused while its job was being created
+        await this.trackRepository.updateScanJob(job.id, { status: control.paused ? 'paused' : 'running' });
+
+        let savedErrors = 0;
+        const checkpoint = async (results, cursor) => {
+            const count = results.errorDetails.length;
+            if (await this.trackRepository.addScanJobErrors(job.id, results.errorDetails.slice(savedErrors, count))) {
+                savedErrors = count;
+            }
+            await this.trackRepository.updateScanJob(job.id, {
+                total: results.total,
+                processed: results.processed,
+                added: results.added,
+                updated: results.updated,
+                moved: results.moved,
+                removed: results.removed,
+                unchanged: results.unchanged,
+                errors: results.errors,
+                cursor
+            });
+        };
+
+        try {
+            await this.loadScannerSettings();
+
+            // An unmounted drive lists no files; scanning it would flag the whole root as missing
+            const rootStats = await fs.promises.stat(job.root).catch(() => null);
+            if (!rootStats || !rootStats.isDirectory()) {
+                throw new Error(`Library root is offline: ${job.root}`);
+            }
+
+            // Scan for audio files
+            const audioFiles = await this.fileScanner.scanDirectory(job.root);
+
+            // What the database already knows about this directory
+            const knownTracks = await this.trackRepository.getTrackFingerprints(job.root);
+
+            const results = await this.syncFiles(audioFiles, knownTracks, progressCallback, {
+                ...options,
+                cursor: job.cursor,
+                previous: job,
+                onCheckpoint: checkpoint
+            }, control);
+
+            await this.trackRepository.updateScanJob(job.id, {
+                status: results.cancelled ? 'cancelled' : 'completed',
+                removed: results.removed,
+                finished: true
+            });
+            if (!results.cancelled) {
+                await this.trackRepository.recordLibraryRoot(job.root);
+            }
+
+            results.jobId = job.id;
+            results.root = job.root;
+            return results;
+        } catch (error) {
+            await this.trackRepository.updateScanJob(job.id, { status: 'failed', finished: true });
+            throw error;
+        } finally {
+            this.activeScan = null;
+        }
+    }
+
+    /**
+     * Pause the running scan once the files already being extracted are done
+     * @returns {Promise<boolean>} Whether a scan was running
+     */
+    async pauseScan() {
+        if (!this.activeScan) return false;
+        this.activeScan.pause();
+        if (this.activeScan.jobId) {
+            await this.trackRepository.updateScanJob(this.activeScan.jobId, { status: 'paused' });
+        }
+        return true;
+    }
+
+    /**
+     * Resume a paused scan
+     * @returns {Promise<boolean>} Whether a scan was running
+     */
+    async resumeScan() {
+        if (!this.activeScan) return false;
+        this.activeScan.resume();
+        if (this.activeScan.jobId) {
+            await this.trackRepository.updateScanJob(this.activeScan.jobId, { status: 'running' });
+        }
+        return true;
+    }
+
+    /**
+     * Stop the running scan. Tracks saved so far are kept; nothing is pruned.
+     * @returns {Promise<boolean>} Whether a scan was running
+     */
+    async cancelScan() {
+        if (!this.activeScan) return false;
+        this.activeScan.cancel();
+        return true;
+    }
+
+    /**
+     * Cancel a scan job: stops it when it is running, otherwise drops it from the resumable jobs
+     * @param {number} jobId - Scan job id
+     * @returns {Promise<boolean>} Whether the job was cancelled
+     */
+    async cancelScanJob(jobId) {
+        if (this.activeScan && this.activeScan.jobId === jobId) {
+            return await this.cancelScan();
+        }
+
+        const job = await this.trackRepository.getScanJob(jobId);
+        if (!job || !RESUMABLE_STATUSES.includes(job.status)) {
+            return false;
+        }
+        return await this.trackRepository.updateScanJob(jobId, { status: 'cancelled', finished: true });
+    }
+
+    /**
+     * Flag jobs that were running when the app last quit, so they can be resumed
+     * @returns {Promise<number>} Number of interrupted jobs
+     */
+    async recoverInterruptedJobs() {
+        return await this.trackRepository.markInterruptedScanJobs();
+    }
+
+    async getScanJobs(limit = 20) {
+        return await this.trackRepository.getScanJobs(limit);
+    }
+
+    async getScanJobErrors(jobId) {
+        return await this.trackRepository.getScanJobErrors(jobId);
+    }
+
+    /**
+     * Bring specific paths in sync with the disk, e.g. after file system events.
+     * Directories are expanded; paths that no longer exist prune the tracks stored at or below them.
+     * @param {Array<string>} paths - Changed file or directory paths
+     * @param {Object} options - {missingFiles: 'mark'|'delete', concurrency, batchSize}
+     * @returns {Promise<Object>} Scan results, same shape as scanDirectory()
+     */
+    async syncPaths(paths, options = {}) {
+        await this.loadScannerSettings();
+        const audioFiles = new Set();
+
+        for (const changedPath of paths) {
+            if (this.fileScanner.isIgnored(changedPath)) continue;
+
+            const stats = await this.fileScanner.statPath(changedPath);
+            if (!stats) continue;
+
+            if (stats.isDirectory()) {
+                const found = await this.fileScanner.scanDirectory(changedPath);
+                found.forEach(filePath => audioFiles.add(filePath));
+            } else if (stats.isFile() && this.fileScanner.isAudioFile(changedPath, stats)) {
+                audioFiles.add(changedPath);
+            }
+        }
+
+        const knownTracks = await this.trackRepository.getTrackFingerprintsForPaths(paths);
+        return await this.syncFiles([...audioFiles].sort(), knownTracks, null, options);
+    }
+
+    /**
+     * Scan failed files of a job again. Their errors in the job log are replaced by the new outcome.
+     * @param {number} jobId - Scan job the files failed in
+     * @param {Array<string>} filePaths - Files to retry
+     * @returns {Promise<Object>} Scan results for the retried files
+     */
+    async retryFiles(jobId, filePaths) {
+        await this.loadScannerSettings();
+
+        const audioFiles = [];
+        for (const filePath of filePaths) {
+            const stats = await this.fileScanner.statPath(filePath);
+            if (stats && stats.isFile() && this.fileScanner.isAudioFile(filePath, stats)) {
+                audioFiles.push(filePath);
+            }
+        }
+
+        const knownTracks = await this.trackRepository.getTrackFingerprintsForPaths(audioFiles);
+        const results = await this.syncFiles(audioFiles.sort(), knownTracks);
+        await this.trackRepository.replaceScanJobErrors(jobId, filePaths, results.errorDetails);
+        return results;
+    }
+
+    /**
+     * Add paths to the ignore list and drop their errors from a job's log
+     * @param {Array<string>} paths - Files or directories to ignore
+     * @param {number} jobId - Optional scan job whose errors for these paths are resolved
+     * @returns {Promise<boolean>} Success status
+     */
+    async ignorePaths(paths, jobId = null) {
+        const added = await this.trackRepository.addIgnoredPaths(paths);
+        if (added && jobId) {
+            await this.trackRepository.replaceScanJobErrors(jobId, paths, []);
+        }
+        await this.loadScannerSettings();
+        return added;
+    }
+
+    async unignorePaths(paths) {
+        const removed = await this.trackRepository.removeIgnoredPaths(paths);
+        await this.loadScannerSettings();
+        return removed;
+    }
+
+    async getIgnoredPaths() {
+        return await this.trackRepository.getIgnoredPaths();
+    }
+
+    /**
+     * Render a job's error log as CSV
+     * @param {number} jobId - Scan job id
+     * @returns {Promise<string>} CSV with a header row
+     */
+    async getScanJobErrorsCsv(jobId) {
+        const errors = await this.trackRepository.getScanJobErrors(jobId);
+        const rows = [['error_type', 'file_path', 'file_name', 'error_message', 'created_at']];
+        errors.forEach(error => {
+            rows.push([error.errorType, error.filePath, error.fileName, error.errorMessage, error.createdAt]);
+        });
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Scan rules stored for the library, or the defaults when none were saved
+     * @returns {Promise<Object>} {extensions, excludePatterns, minFileSize, minDuration, followSymlinks}
+     */
+    async getScanRules() {
+        const stored = await this.trackRepository.getScanRules();
+        return stored ? FileScanner.normalizeRules(stored) : FileScanner.getDefaultRules();
+    }
+
+    /**
+     * Store new scan rules; they apply from the next scan or watcher sync
+     * @param {Object} rules - See FileScanner.normalizeRules()
+     * @returns {Promise<Object|null>} Rules as saved, or null on failure
+     */
+    async saveScanRules(rules) {
+        const normalized = FileScanner.normalizeRules(rules);
+        const saved = await this.trackRepository.saveScanRules(normalized);
+        if (!saved) return null;
+
+        await this.loadScannerSettings();
+        return normalized;
+    }
+
+    /**
+     * Hand the stored scan rules, ignore list and library roots to the file scanner
+     */
+    async loadScannerSettings() {
+        this.fileScanner.setRules(await this.getScanRules());
+        this.fileScanner.setIgnoredPaths(await this.trackRepository.getIgnoredPaths());
+        this.fileScanner.setRoots((await this.trackRepository.getLibraryRoots()).map(root => root.path));
+    }
+
+    /**
+     * Reconcile a set of files on disk with the tracks the database holds for the same area.
+     * Files go through a bounded pool of workers; new and changed tracks are written in batches.
+     * @param {Array<string>} audioFiles - Audio files currently on disk
+     * @param {Array<Object>} knownTracks - Stored fingerprints covering the same paths
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} options - {missingFiles: 'mark'|'delete', concurrency, batchSize}, plus for jobs:
+     *        cursor (skip files up to it), previous (counts to continue from) and onCheckpoint(results, cursor)
+     * @param {ScanControl} control - Optional pause/cancel switch
+     * @returns {Promise<Object>} Scan results with added/updated/moved/removed/unchanged/skipped counts
+     */
+    async syncFiles(audioFiles, knownTracks, progressCallback = null, options = {}, control = null) {
+        const {
+            missingFiles = 'mark',
+            concurrency = this.concurrency,
+            batchSize = this.batchSize,
+            cursor = null,
+            previous = null,
+            onCheckpoint = null
+        } = options;
+        const currentPaths = new Set(audioFiles);
+
+        // The whole run tags with the rules as they are now
+        this.trackRepository.refreshTagRules();
+
+        // Files are sorted, so everything up to the cursor was saved by an earlier run
+        const startIndex = cursor ? audioFiles.filter(filePath => filePath <= cursor).length : 0;
+        const done = new Uint8Array(audioFiles.length).fill(1, 0, startIndex);
+        let savedUpTo = startIndex;
+
+        const state = {
+            knownByPath: new Map(knownTracks.map(track => [track.file_path, track])),
+            vanishedByHash: new Map(),
+            movedIds: new Set(),
+            reappearedIds: [],
+            pendingWrites: [],
+            writeQueue: Promise.resolve(),
+            batchSize,
+            // The cursor only moves past a file once it is done and nothing before it is still unsaved
+            markDone: (index) => {
+                done[index] = 1;
+                while (savedUpTo < audioFiles.length && done[savedUpTo]) savedUpTo++;
+            },
+            getCursor: () => (savedUpTo > 0 ? audioFiles[savedUpTo - 1] : null),
+            onCheckpoint
+        };
+
+        // Tracks whose file is no longer at its path may show up elsewhere with the same content
+        knownTracks.forEach(track => {
+            if (!currentPaths.has(track.file_path) && track.content_hash) {
+                if (!state.vanishedByHash.has(track.content_hash)) {
+                    state.vanishedByHash.set(track.content_hash, []);
+                }
+                state.vanishedByHash.get(track.content_hash).push(track);
+            }
+        });
+
         const results = {
             total: audioFiles.length,
-            processed: 0,
-            errors: 0,
+            processed: startIndex,
+            errors: previous ? previous.errors : 0,
+            added: previous ? previous.added : 0,
+            updated: previous ? previous.updated : 0,
+            moved: previous ? previous.moved : 0,
+            removed: 0,
+            unchanged: previous ? previous.unchanged : 0,
+            skipped: 0,
             tracks: [],
             errorDetails: []
         };
 
-        for (let i = 0; i < audioFiles.length; i++) {
-            const filePath = audioFiles[i];
-            
-            try {
-                // Extract metadata
-                const trackData = await this.metadataExtractor.extractMetadata(filePath);
-                
-                if (trackData && !trackData.error) {
-                    // Save track (business logic handled in repository)
-                    const saved = await this.trackRepository.saveTrack(trackData);
-                    if (saved) {
-                        results.tracks.push(trackData);
-                        processedCount++;
-                    } else {
-                        results.errors++;
-                        results.errorDetails.push({
-                            filePath: filePath,
-                            fileName: require('path').basename(filePath),
-                            errorMessage: 'Failed to save track to database',
-                            errorType: 'DatabaseError'
-                        });
+        const reportProgress = (filePath) => {
+            if (progressCallback) {
+                progressCallback({
+                    current: results.processed,
+                    total: audioFiles.length,
+                    filePath,
+                    processed: results.added + results.updated + results.moved + results.unchanged,
+                    errors: results.errors
+                });
+            }
+        };
+
+        let nextIndex = startIndex;
+        const worker = async () => {
+            while (true) {
+                if (control) {
+                    await control.waitIfPaused();
+                    if (control.cancelled) return;
+                }
+                if (nextIndex >= audioFiles.length) return;
+
+                const index = nextIndex++;
+                const filePath = audioFiles[index];
+                try {
+                    const outcome = await this.processFile(filePath, state, results, index);
+                    if (outcome) {
+                        results[outcome]++;
+                        state.markDone(index);
                     }
-                } else if (trackData && trackData.error) {
-                    // Handle metadata extraction error
-                    results.errors++;
-                    results.errorDetails.push(trackData);
-                } else {
-                    // trackData is null
+                } catch (error) {
+                    console.error(`Error processing ${filePath}:`, error);
                     results.errors++;
                     results.errorDetails.push({
                         filePath: filePath,
-                        fileName: require('path').basename(filePath),
-                        errorMessage: 'Unknown metadata extraction error',
-                        errorType: 'UnknownError'
+                        fileName: path.basename(filePath),
+                        errorMessage: error.message,
+                        errorType: errorTypeOf(error)
                     });
+                    state.markDone(index);
                 }
-            } catch (error) {
-                console.error(`Error processing ${filePath}:`, error);
-                results.errors++;
-                results.errorDetails.push({
-                    filePath: filePath,
-                    fileName: require('path').basename(filePath),
-                    errorMessage: error.message,
-                    errorType: error.name || 'ProcessingError'
-                });
-            }
 
-            results.processed = i + 1;
-            
-            // Call progress callback if provided
-            if (progressCallback) {
-                progressCallback({
-                    current: i + 1,
-                    total: audioFiles.length,
-                    filePath,
-                    processed: processedCount,
-                    errors: results.errors
-                });
+                results.processed++;
+                reportProgress(filePath);
             }
+        };
+
+        const workerCount = Math.max(1, Math.min(concurrency, audioFiles.length));
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        // Write whatever is left of the last batch; report once more so progress reaches the end
+        await this.flushWrites(state, results);
+        if (audioFiles.length > 0) {
+            reportProgress(audioFiles[audioFiles.length - 1]);
+        }
+
+        await this.trackRepository.restoreTracks(state.reappearedIds);
+        if (onCheckpoint) {
+            await onCheckpoint(results, state.getCursor());
+        }
+
+        // A cancelled scan has not seen every file, so it cannot tell which ones are gone
+        if (control && control.cancelled) {
+            results.cancelled = true;
+            return results;
         }
 
+        // Known tracks that are neither on disk nor matched to a moved file are gone.
+        // When only marking, tracks already flagged on an earlier scan are not counted again.
+        const removedIds = knownTracks
+            .filter(track => !currentPaths.has(track.file_path) && !state.movedIds.has(track.id))
+            .filter(track => missingFiles === 'delete' || !track.missing)
+            .map(track => track.id);
+
+        await this.trackRepository.removeMissingTracks(removedIds, missingFiles);
+        results.removed = removedIds.length;
+
         return results;
     }
 
+    /**
+     * Decide what to do with a single file and do it
+     * @param {string} filePath - Audio file path
+     * @param {Object} state - Per-scan lookup tables and write buffer
+     * @param {Object} results - Scan results (tracks and errorDetails are appended to)
+     * @param {number} index - Position of the file in scan order
+     * @returns {Promise<string|null>} Result counter to increment, or null when the
+     *          outcome is counted later (queued write) or on error
+     */
+    async processFile(filePath, state, results, index) {
+        const fileStats = await this.fileScanner.getFileStats(filePath);
+        const existing = state.knownByPath.get(filePath);
+
+        if (existing && existing.missing) {
+            state.reappearedIds.push(existing.id);
+        }
+
+        if (existing && existing.file_size === fileStats.file_size && existing.file_mtime === fileStats.file_mtime) {
+            return 'unchanged';
+        }
+
+        const contentHash = await this.fileScanner.computeContentHash(filePath, fileStats.file_size);
+        const fingerprint = { ...fileStats, content_hash: contentHash };
+
+        // Same content with a new mtime, or a row scanned before fingerprints existed:
+        // record the fingerprint instead of re-extracting metadata
+        if (existing && (existing.content_hash === contentHash || !existing.content_hash)) {
+            await this.trackRepository.relocateTrack(existing.id, fingerprint);
+            return 'unchanged';
+        }
+
+        if (!existing) {
+            const candidates = state.vanishedByHash.get(contentHash);
+            if (candidates && candidates.length > 0) {
+                const original = candidates.shift();
+                if (await this.trackRepository.relocateTrack(original.id, fingerprint)) {
+                    state.movedIds.add(original.id);
+                    if (original.missing) {
+                        state.reappearedIds.push(original.id);
+                    }
+                    return 'moved';
+                }
+            }
+        }
+
+        // Extract metadata
+        const trackData = await this.metadataExtractor.extractMetadata(filePath);
+
+        if (trackData && !trackData.error && !this.fileScanner.meetsMinDuration(trackData.duration)) {
+            // Too short for the library's scan rules (samples, previews); an existing row is left as it was
+            return 'skipped';
+        }
+
+        if (trackData && !trackData.error) {
+            // Saved with the next batch (business logic handled in repository)
+            state.pendingWrites.push({
+                index,
+                trackData,
+                record: { ...trackData, ...fingerprint },
+                outcome: existing ? 'updated' : 'added'
+            });
+            if (state.pendingWrites.length >= state.batchSize) {
+                await this.flushWrites(state, results);
+            }
+        } else if (trackData && trackData.error) {
+            // Handle metadata extraction error
+            results.errors++;
+            results.errorDetails.push(trackData);
+            state.markDone(index);
+        } else {
+            // trackData is null
+            results.errors++;
+            results.errorDetails.push({
+                filePath: filePath,
+                fileName: path.basename(filePath),
+                errorMessage: 'Unknown metadata extraction error',
+                errorType: 'UnknownError'
+            });
+            state.markDone(index);
+        }
+
+        return null;
+    }
+
+    /**
+     * Save the buffered tracks in one transaction. Flushes are chained so batches never overlap.
+     * A batch that cannot be written is counted as errors and the chain goes on, so later
+     * batches are still saved and the failure shows in the job's errors right away.
+     * @param {Object} state - Per-scan state holding pendingWrites
+     * @param {Object} results - Scan results to tally saved tracks into
+     * @returns {Promise<void>}
+     */
+    flushWrites(state, results) {
+        state.writeQueue = state.writeQueue.then(async () => {
+            const batch = state.pendingWrites.splice(0);
+            if (batch.length === 0) return;
+
+            let saved = [];
+            let failure = 'Failed to save track to database';
+            try {
+                saved = await this.trackRepository.saveTracks(batch.map(write => write.record));
+            } catch (error) {
+                console.error('Error saving scanned tracks:', error);
+                failure = `Failed to save track to database: ${error.message}`;
+            }
+
+            batch.forEach((write, index) => {
+                if (saved[index]) {
+                    results.tracks.push(write.trackData);
+                    results[write.outcome]++;
+                } else {
+                    results.errors++;
+                    results.errorDetails.push({
+                        filePath: write.trackData.file_path,
+                        fileName: path.basename(write.trackData.file_path),
+                        errorMessage: failure,
+                        errorType: 'DatabaseError'
+                    });
+                }
+                state.markDone(write.index);
+            });
+
+            if (state.onCheckpoint) {
+                await state.onCheckpoint(results, state.getCursor());
+            }
+        }).catch((error) => {
+            // A checkpoint that could not be stored is retried with the next batch
+            console.error('Error saving scan checkpoint:', error);
+        });
+        return state.writeQueue;
+    }
+
     getSupportedExtensions() {
         return this.fileScanner.getSupportedExtensions();
     }
@@ -98,4 +700,4 @@ class DatabaseScanService extends IScanService {
     }
 }
 
-module.exports = DatabaseScanService; 
\ No newline at end of file
+module.exports = DatabaseScanService;
@@ -19,6 +19,19 @@ class DatabaseSearchService extends ISearchService {
         }
     }
 
+    async searchByQuery(query, options = {}) {
+        if (!this.db.isReady()) {
+            return { tracks: [], errors: [], corrections: {}, facets: null };
+        }
+
+        try {
+            return await this.db.searchTracksByQuery(query, options);
+        } catch (error) {
+            console.error('Error searching tracks by query:', error);
+            return { tracks: [], errors: [], corrections: {}, facets: null };
+        }
+    }
+
     async searchByTag(tagName, tagValue = null) {
         if (!this.db.isReady()) {
             return [];
@@ -75,6 +88,20 @@ class DatabaseSearchService extends ISearchService {
         }
     }
 
+    async getTagUsage() {
+        if (!this.db.isReady()) {
+            return [];
+        }
+        return await this.db.getTagUsage();
+    }
+
+    async getTagCooccurrence(limit) {
+        if (!this.db.isReady()) {
+            return { trackCount: 0, tags: [], edges: [] };
+        }
+        return await this.db.getTagCooccurrence(limit);
+    }
+
     async getTagsByCategory() {
         const allTags = await this.getAvailableTags();
         const categories = {};
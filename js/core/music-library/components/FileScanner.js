@@ -1,13 +1,153 @@
 const glob = require('glob');
+const minimatch = require('minimatch');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bytes hashed from each end of a file; enough to tell files apart without reading whole albums over the network
+const HASH_SAMPLE_SIZE = 64 * 1024;
+
+// Used until the library stores its own scan rules
+const DEFAULT_SCAN_RULES = {
+    extensions: ['mp3', 'flac', 'm4a', 'wav', 'aac', 'wma', 'ogg'],
+    excludePatterns: [],
+    minFileSize: 0,       // bytes
+    minDuration: 0,       // seconds
+    followSymlinks: false
+};
 
 class FileScanner {
     constructor() {
-        this.audioExtensions = ['**/*.mp3', '**/*.flac', '**/*.m4a', '**/*.wav', '**/*.aac', '**/*.wma', '**/*.ogg'];
         this.ignorePatterns = ['**/.*', '**/node_modules/**'];
+        this.ignoredPaths = [];
+        this.roots = [];
+        this.setRules(DEFAULT_SCAN_RULES);
+    }
+
+    /**
+     * Clean up user-supplied scan rules; missing or invalid fields fall back to the defaults.
+     * Exclude patterns not anchored with / or **\/ are matched at any depth.
+     * @param {Object} rules - {extensions, excludePatterns, minFileSize, minDuration, followSymlinks}
+     * @returns {Object} Normalized rules
+     */
+    static normalizeRules(rules = {}) {
+        const list = (value, fallback) => (Array.isArray(value) ? value : fallback)
+            .map(item => String(item).trim())
+            .filter(Boolean);
+        const minimum = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : 0);
+
+        const extensions = [...new Set(list(rules.extensions, DEFAULT_SCAN_RULES.extensions)
+            .map(extension => extension.replace(/^\*?\./, '').toLowerCase())
+            .filter(extension => /^[a-z0-9]+$/.test(extension)))];
+
+        const excludePatterns = [...new Set(list(rules.excludePatterns, DEFAULT_SCAN_RULES.excludePatterns)
+            .map(pattern => (pattern.startsWith('/') || pattern.startsWith('**/') ? pattern : `**/${pattern}`)))];
+
+        return {
+            extensions: extensions.length > 0 ? extensions : [...DEFAULT_SCAN_RULES.extensions],
+            excludePatterns,
+            minFileSize: minimum(rules.minFileSize),
+            minDuration: minimum(rules.minDuration),
+            followSymlinks: rules.followSymlinks === true
+        };
+    }
+
+    static getDefaultRules() {
+        return FileScanner.normalizeRules(DEFAULT_SCAN_RULES);
+    }
+
+    /**
+     * Apply the library's scan rules
+     * @param {Object} rules - See normalizeRules()
+     */
+    setRules(rules) {
+        this.rules = FileScanner.normalizeRules(rules || {});
+        this.audioExtensions = this.rules.extensions.map(extension => `**/*.${extension}`);
+    }
+
+    getRules() {
+        return { ...this.rules };
+    }
+
+    /**
+     * Exclude globs as matched against root-relative paths; a leading / anchors a rule at the root
+     * @returns {Array<string>}
+     */
+    getExcludeGlobs() {
+        return [...this.ignorePatterns, ...this.rules.excludePatterns.map(pattern => pattern.replace(/^\/+/, ''))];
+    }
+
+    /**
+     * Set the library roots that exclude rules are relative to
+     * @param {Array<string>} roots - Absolute root paths
+     */
+    setRoots(roots) {
+        // Longest first, so a file resolves to its innermost root
+        this.roots = [...roots].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Find the library root a path lies in
+     * @param {string} filePath - Absolute path
+     * @returns {string|null} Innermost root containing the path
+     */
+    findRoot(filePath) {
+        return this.roots.find(root => filePath === root || filePath.startsWith(root + path.sep)) || null;
+    }
+
+    /**
+     * Whether an exclude rule or the built-in ignores (hidden files and folders, node_modules) match.
+     * Like the glob in scanDirectory(), only the part of the path below its library root is checked.
+     * @param {string} filePath - Absolute file path
+     * @param {string} root - Optional root the path is relative to; defaults to its library root
+     * @returns {boolean}
+     */
+    isExcluded(filePath, root = null) {
+        const base = root || this.findRoot(filePath);
+        const segments = (base ? path.relative(base, filePath) : filePath).split(path.sep).filter(Boolean);
+
+        // glob never descends into hidden folders; check every segment to match that
+        if (segments.some(segment => segment.startsWith('.') && segment.length > 1 && segment !== '..')) {
+            return true;
+        }
+        const relativePath = segments.join('/');
+        return this.getExcludeGlobs().some(pattern =>
+            minimatch(relativePath, pattern, { nocase: true, dot: true })
+        );
+    }
+
+    /**
+     * Whether a track's duration passes the minimum; unknown durations (0) always pass
+     * @param {number} duration - Duration in seconds
+     * @returns {boolean}
+     */
+    meetsMinDuration(duration) {
+        return !(duration > 0 && duration < this.rules.minDuration);
     }
 
+    /**
+     * Set the user's ignore list; a path excludes the file itself or everything below a directory
+     * @param {Array<string>} paths - Absolute paths
+     */
+    setIgnoredPaths(paths) {
+        this.ignoredPaths = [...paths];
+    }
+
+    isIgnored(filePath) {
+        return this.ignoredPaths.some(ignoredPath =>
+            filePath === ignoredPath || filePath.startsWith(ignoredPath + path.sep)
+        );
+    }
+
+    /**
+     * Find the audio files below a directory
+     * @param {string} directory - Directory to scan
+     * @returns {Promise<Array<string>>} Sorted absolute file paths
+     */
     async scanDirectory(directory) {
         try {
+            // Rules are relative to the library root, which is above the directory when rescanning part of it
+            const root = this.findRoot(directory) || directory;
             let files = [];
             
             for (const pattern of this.audioExtensions) {
@@ -15,7 +155,8 @@ class FileScanner {
                     glob(pattern, { 
                         cwd: directory, 
                         absolute: true,
-                        ignore: this.ignorePatterns,
+                        ignore: this.getExcludeGlobs(),
+                        follow: this.rules.followSymlinks,
                         nocase: true  // Case insensitive matching
                     }, (err, matches) => {
                         if (err) reject(err);
@@ -25,10 +166,16 @@ class FileScanner {
                 files = files.concat(found);
             }
             
-            // Remove duplicates and sort
-            files = [...new Set(files)].sort();
-            
-            
+            // Remove duplicates and ignored paths, then sort
+            files = [...new Set(files)].filter(filePath => !this.isIgnored(filePath)).sort();
+            if (root !== directory) {
+                files = files.filter(filePath => !this.isExcluded(filePath, root));
+            }
+
+            if (this.rules.minFileSize > 0 || !this.rules.followSymlinks) {
+                files = await this.filterByStats(directory, files);
+            }
+
             return files;
         } catch (error) {
             console.error('Error scanning directory:', error);
@@ -36,13 +183,105 @@ class FileScanner {
         }
     }
 
+    /**
+     * Drop files below the minimum size and, unless symlinks are followed, files reached
+     * through a symlink (the file itself or a linked folder below the scanned directory)
+     * @param {string} directory - Scanned directory
+     * @param {Array<string>} files - File paths found below it
+     * @returns {Promise<Array<string>>}
+     */
+    async filterByStats(directory, files) {
+        const realRoot = this.rules.followSymlinks ? null : await fs.promises.realpath(directory);
+        const kept = [];
+
+        for (const filePath of files) {
+            const stats = await this.statPath(filePath);
+            if (!stats || stats.size < this.rules.minFileSize) continue;
+
+            if (realRoot) {
+                const realPath = await fs.promises.realpath(filePath).catch(() => null);
+                if (realPath !== path.join(realRoot, path.relative(directory, filePath))) continue;
+            }
+            kept.push(filePath);
+        }
+        return kept;
+    }
+
+    /**
+     * Stat a path the way the scan rules see it: symlinks resolve to their target when
+     * followed and are rejected otherwise
+     * @param {string} filePath - File or directory path
+     * @returns {Promise<fs.Stats|null>} Stats, or null when missing or a rejected symlink
+     */
+    async statPath(filePath) {
+        const stats = await fs.promises.lstat(filePath).catch(() => null);
+        if (!stats || !stats.isSymbolicLink()) {
+            return stats;
+        }
+        return this.rules.followSymlinks ? await fs.promises.stat(filePath).catch(() => null) : null;
+    }
+
+    /**
+     * Cheap change-detection data for a file
+     * @param {string} filePath - File path
+     * @returns {Promise<Object>} {file_path, file_size, file_mtime}
+     */
+    async getFileStats(filePath) {
+        const stats = await fs.promises.stat(filePath);
+        return {
+            file_path: filePath,
+            file_size: stats.size,
+            file_mtime: Math.round(stats.mtimeMs)
+        };
+    }
+
+    /**
+     * Content hash used to recognise a file after it was moved or renamed.
+     * Hashes the size plus the first and last 64KB rather than the whole file.
+     * @param {string} filePath - File path
+     * @param {number} fileSize - File size in bytes
+     * @returns {Promise<string>} Hex SHA-1 digest
+     */
+    async computeContentHash(filePath, fileSize) {
+        const hash = crypto.createHash('sha1');
+        hash.update(String(fileSize));
+
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const headLength = Math.min(HASH_SAMPLE_SIZE, fileSize);
+            const head = Buffer.alloc(headLength);
+            await handle.read(head, 0, headLength, 0);
+            hash.update(head);
+
+            if (fileSize > HASH_SAMPLE_SIZE) {
+                const tailLength = Math.min(HASH_SAMPLE_SIZE, fileSize - HASH_SAMPLE_SIZE);
+                const tail = Buffer.alloc(tailLength);
+                await handle.read(tail, 0, tailLength, fileSize - tailLength);
+                hash.update(tail);
+            }
+        } finally {
+            await handle.close();
+        }
+
+        return hash.digest('hex');
+    }
+
     getSupportedExtensions() {
         return this.audioExtensions.map(pattern => pattern.replace('**/*', ''));
     }
 
-    isAudioFile(filePath) {
+    /**
+     * Whether a file would be picked up by scanDirectory()
+     * @param {string} filePath - File path
+     * @param {fs.Stats} stats - Optional statPath() result, to also check the minimum size
+     * @returns {boolean}
+     */
+    isAudioFile(filePath, stats = null) {
         const ext = filePath.toLowerCase().split('.').pop();
-        return ['mp3', 'flac', 'm4a', 'wav', 'aac', 'wma', 'ogg'].includes(ext);
+        if (!this.rules.extensions.includes(ext) || this.isExcluded(filePath) || this.isIgnored(filePath)) {
+            return false;
+        }
+        return stats ? stats.size >= this.rules.minFileSize : true;
     }
 }
 
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+function isInside(parent, child) {
+    return child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+}
+
+async function isDirectory(directory) {
+    const stats = await fs.promises.stat(directory).catch(() => null);
+    return Boolean(stats && stats.isDirectory());
+}
+
+/**
+ * Library Root Service
+ * Manages the directories that make up the library: adding, removing, rescanning and
+ * relocating them, and reporting per-root track counts and whether each root is reachable.
+ */
+class LibraryRootService {
+    constructor(trackRepository, scanService, libraryWatcher) {
+        this.trackRepository = trackRepository;
+        this.scanService = scanService;
+        this.libraryWatcher = libraryWatcher;
+    }
+
+    /**
+     * List the library roots
+     * @returns {Promise<Array>} {id, path, addedAt, lastScannedAt, trackCount, missingCount, online, watched}
+     */
+    async getRoots() {
+        const roots = await this.trackRepository.getLibraryRoots();
+        const watched = new Set(this.libraryWatcher.getWatchedDirectories());
+
+        return Promise.all(roots.map(async root => ({
+            id: root.id,
+            path: root.path,
+            addedAt: root.added_at,
+            lastScannedAt: root.last_scanned_at,
+            trackCount: root.track_count,
+            missingCount: root.missing_count,
+            online: await isDirectory(root.path),
+            watched: watched.has(root.path)
+        })));
+    }
+
+    async getRoot(rootId) {
+        const root = await this.trackRepository.getLibraryRoot(rootId);
+        if (!root) {
+            throw new Error(`Unknown library root: ${rootId}`);
+        }
+        return root;
+    }
+
+    /**
+     * Add a directory to the library without scanning it. Roots already inside the new
+     * directory are folded into it; a directory inside an existing root is rejected.
+     * @param {string} directory - Directory path
+     * @returns {Promise<Object>} The root row
+     */
+    async addRoot(directory) {
+        const resolved = path.resolve(directory);
+        if (!(await isDirectory(resolved))) {
+            throw new Error(`Not a directory: ${resolved}`);
+        }
+
+        const roots = await this.trackRepository.getLibraryRoots();
+        const existing = roots.find(root => root.path === resolved);
+        if (existing) {
+            return existing;
+        }
+
+        const parent = roots.find(root => isInside(root.path, resolved));
+        if (parent) {
+            throw new Error(`${resolved} is already part of library root ${parent.path}`);
+        }
+
+        for (const child of roots.filter(root => isInside(resolved, root.path))) {
+            this.libraryWatcher.unwatch(child.path);
+            await this.trackRepository.deleteLibraryRoot(child.id);
+        }
+
+        const root = await this.trackRepository.addLibraryRoot(resolved);
+        this.libraryWatcher.watch(resolved);
+        return root;
+    }
+
+    /**
+     * Remove a root from the library
+     * @param {number} rootId - Root id
+     * @param {Object} options - {keepTracks: keep the root's tracks in the database}
+     * @returns {Promise<Object>} {root, removedTracks}
+     */
+    async removeRoot(rootId, options = {}) {
+        const root = await this.getRoot(rootId);
+        this.libraryWatcher.unwatch(root.path);
+
+        let removedTracks = 0;
+        if (!options.keepTracks) {
+            const tracks = await this.trackRepository.getTrackFingerprints(root.path);
+            await this.trackRepository.removeMissingTracks(tracks.map(track => track.id), 'delete');
+            removedTracks = tracks.length;
+        }
+
+        await this.trackRepository.deleteLibraryRoot(root.id);
+        return { root, removedTracks };
+    }
+
+    /**
+     * Rescan a root (incrementally, as a scan job)
+     * @param {number} rootId - Root id
+     * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} options - Scan options, see DatabaseScanService.scanDirectory()
+     * @returns {Promise<Object>} Scan results
+     */
+    async rescanRoot(rootId, progressCallback = null, options = {}) {
+        const root = await this.getRoot(rootId);
+        const results = await this.scanService.scanDirectory(root.path, progressCallback, options);
+
+        if (!results.cancelled) {
+            this.libraryWatcher.watch(root.path);
+        }
+        return results;
+    }
+
+    /**
+     * Point a root at the directory it now lives in (e.g. a drive mounted elsewhere) and
+     * rewrite the paths of its tracks. Track ids, and with them tags, are kept.
+     * @param {number} rootId - Root id
+     * @param {string} newPath - New directory path
+     * @returns {Promise<Object>} {root, moved}
+     */
+    async relocateRoot(rootId, newPath) {
+        const root = await this.getRoot(rootId);
+        const resolved = path.resolve(newPath);
+
+        if (resolved === root.path) {
+            return { root, moved: 0 };
+        }
+        if (!(await isDirectory(resolved))) {
+            throw new Error(`Not a directory: ${resolved}`);
+        }
+
+        const roots = await this.trackRepository.getLibraryRoots();
+        const overlapping = roots.find(other => other.id !== root.id &&
+            (other.path === resolved || isInside(other.path, resolved) || isInside(resolved, other.path)));
+        if (overlapping) {
+            throw new Error(`${resolved} overlaps library root ${overlapping.path}`);
+        }
+
+        const occupied = await this.trackRepository.getTrackFingerprints(resolved);
+        if (occupied.length > 0) {
+            throw new Error(`${occupied.length} tracks are already stored under ${resolved}`);
+        }
+
+        this.libraryWatcher.unwatch(root.path);
+        const moved = await this.trackRepository.relocateLibraryRoot(root, resolved);
+        this.libraryWatcher.watch(resolved);
+
+        return { root: { ...root, path: resolved }, moved };
+    }
+}
+
+module.exports = LibraryRootService;
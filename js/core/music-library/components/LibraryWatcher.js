@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Library Watcher
+ * Watches scanned library roots and keeps the database in sync with the disk.
+ * File system events are collected per path and flushed through the scan service
+ * after a quiet period, so copying an album in results in one sync, not hundreds.
+ */
+class LibraryWatcher {
+    constructor(scanService, trackRepository, options = {}) {
+        this.scanService = scanService;
+        this.trackRepository = trackRepository;
+        this.debounceMs = options.debounceMs || 1500;
+        // A watcher that fails is re-created after a delay that doubles with each failure
+        this.retryMs = options.retryMs || 1000;
+        this.maxRetryMs = options.maxRetryMs || 5 * 60 * 1000;
+        this.watchers = new Map();
+        this.retries = new Map();
+        this.pendingPaths = new Set();
+        this.debounceTimer = null;
+        this.flushQueue = Promise.resolve(null);
+        this.onChange = null;
+    }
+
+    /**
+     * Start watching every library root remembered in the database
+     * @param {Function} onChange - Called with a change summary after each sync that changed tracks
+     * @returns {Promise<Array<string>>} Watched directories
+     */
+    async start(onChange = null) {
+        this.onChange = onChange;
+
+        const roots = await this.trackRepository.getLibraryRoots();
+        roots.forEach(root => this.watch(root.path));
+        return this.getWatchedDirectories();
+    }
+
+    /**
+     * Watch a directory (recursively); directories already watched, directly or through a
+     * parent, are ignored, and watched directories below it are folded into its watcher
+     * @param {string} directory - Directory path
+     * @returns {boolean} Whether the directory is being watched
+     */
+    watch(directory) {
+        const resolved = path.resolve(directory);
+        this.cancelRetry(resolved);
+        return this.startWatcher(resolved);
+    }
+
+    startWatcher(directory) {
+        const covered = [...this.watchers.keys()].some(watched =>
+            directory === watched || directory.startsWith(watched + path.sep)
+        );
+        if (covered) {
+            return true;
+        }
+
+        try {
+            const watcher = fs.watch(directory, { recursive: true }, (eventType, fileName) => {
+                if (fileName) {
+                    this.queue(directory, fileName.toString());
+                }
+            });
+
+            watcher.on('error', (error) => {
+                console.error(`Watching ${directory} failed, watching it again later:`, error);
+                this.closeWatcher(directory);
+                this.scheduleRetry(directory);
+            });
+
+            // The recursive watcher reports their events too; keeping theirs would queue each one twice
+            [...new Set([...this.watchers.keys(), ...this.retries.keys()])]
+                .filter(watched => watched.startsWith(directory + path.sep))
+                .forEach(watched => this.unwatch(watched));
+
+            this.watchers.set(directory, watcher);
+            return true;
+        } catch (error) {
+            console.error(`Cannot watch ${directory}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Re-create a failed watcher after a backoff; until it succeeds (e.g. a drive is mounted
+     * again) each attempt waits twice as long as the last, up to maxRetryMs
+     * @param {string} directory - Directory whose watcher failed
+     */
+    scheduleRetry(directory) {
+        const attempts = (this.retries.has(directory) ? this.retries.get(directory).attempts : 0) + 1;
+        const delay = Math.min(this.retryMs * 2 ** (attempts - 1), this.maxRetryMs);
+
+        const timer = setTimeout(() => {
+            if (this.startWatcher(directory)) {
+                // Changes made while nobody was watching are picked up by syncing the whole directory
+                this.queue(directory, '');
+            } else {
+                this.scheduleRetry(directory);
+            }
+        }, delay);
+        this.retries.set(directory, { attempts, timer });
+    }
+
+    cancelRetry(directory) {
+        const retry = this.retries.get(directory);
+        if (retry) {
+            clearTimeout(retry.timer);
+            this.retries.delete(directory);
+        }
+    }
+
+    /**
+     * Stop watching a directory, including any pending attempt to watch it again
+     * @param {string} directory - Directory path
+     */
+    unwatch(directory) {
+        const resolved = path.resolve(directory);
+        this.cancelRetry(resolved);
+        this.closeWatcher(resolved);
+    }
+
+    closeWatcher(directory) {
+        const watcher = this.watchers.get(directory);
+        if (watcher) {
+            watcher.close();
+            this.watchers.delete(directory);
+        }
+    }
+
+    /**
+     * Stop watching everything and drop events not flushed yet
+     */
+    stop() {
+        [...this.retries.keys()].forEach(directory => this.cancelRetry(directory));
+        [...this.watchers.keys()].forEach(directory => this.unwatch(directory));
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = null;
+        this.pendingPaths.clear();
+    }
+
+    getWatchedDirectories() {
+        return [...this.watchers.keys()];
+    }
+
+    /**
+     * Record a changed path and (re)start the quiet period
+     * @param {string} directory - Watched root
+     * @param {string} relativePath - Path reported by the file system, relative to the root
+     */
+    queue(directory, relativePath) {
+        // Hidden files and folders are never scanned (see FileScanner.ignorePatterns)
+        if (relativePath.split(path.sep).some(segment => segment.startsWith('.'))) {
+            return;
+        }
+
+        this.pendingPaths.add(path.join(directory, relativePath));
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    /**
+     * Sync all pending paths. Flushes never overlap: events arriving meanwhile wait for the next one.
+     * @returns {Promise<Object|null>} Change summary, or null when nothing changed
+     */
+    flush() {
+        this.flushQueue = this.flushQueue.then(() => {
+            const paths = [...this.pendingPaths];
+            this.pendingPaths.clear();
+            return paths.length > 0 ? this.syncPaths(paths) : null;
+        });
+        return this.flushQueue;
+    }
+
+    async syncPaths(paths) {
+        try {
+            const results = await this.scanService.syncPaths(paths);
+            const change = {
+                paths: paths.length,
+                added: results.added,
+                updated: results.updated,
+                moved: results.moved,
+                removed: results.removed,
+                errors: results.errors,
+                timestamp: Date.now()
+            };
+
+            if (change.added + change.updated + change.moved + change.removed === 0) {
+                return null;
+            }
+
+            if (this.onChange) {
+                this.onChange(change);
+            }
+            return change;
+        } catch (error) {
+            console.error('Error syncing watched paths:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = LibraryWatcher;
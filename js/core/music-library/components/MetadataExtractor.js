@@ -2,7 +2,50 @@ const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 
+// Field holding the app's category:value tags inside audio files (see TagWritebackService)
+const FILE_TAGS_FIELD = 'MUSICTAGFLOW';
+const FILE_TAGS_SEPARATOR = '; ';
+
 class MetadataExtractor {
+    static FILE_TAGS_FIELD = FILE_TAGS_FIELD;
+    static FILE_TAGS_SEPARATOR = FILE_TAGS_SEPARATOR;
+
+    /**
+     * Collect the metadata fields of a file. ffprobe reports container tags on the format
+     * (ID3v2, MP4, FLAC) or on the audio stream (Ogg/Opus), with keys in any case.
+     * @param {Object} metadata - ffprobe output
+     * @returns {Object} Field values keyed by upper-case name; the format's value wins
+     */
+    static readTagFields(metadata) {
+        const fields = {};
+        [metadata.format, ...(metadata.streams || [])].forEach(section => {
+            Object.entries((section && section.tags) || {}).forEach(([key, value]) => {
+                const name = key.toUpperCase();
+                if (!(name in fields)) fields[name] = String(value);
+            });
+        });
+        return fields;
+    }
+
+    /**
+     * Read tags written back by the app.
+     * The grouping field (TIT1, \u00a9grp, GROUPING) is used when it holds nothing but category:value tags.
+     * @param {Object} metadata - ffprobe output
+     * @returns {Array<string>} Tags in "category:value" format
+     */
+    static readFileTags(metadata) {
+        const fields = MetadataExtractor.readTagFields(metadata);
+        const split = (value) => value.split(';').map(tag => tag.trim()).filter(Boolean);
+        const isTag = (tag) => /^[^:\s][^:]*:.+$/.test(tag);
+
+        if (fields[FILE_TAGS_FIELD]) {
+            return split(fields[FILE_TAGS_FIELD]).filter(isTag);
+        }
+
+        const grouping = fields.GROUPING ? split(fields.GROUPING) : [];
+        return grouping.length > 0 && grouping.every(isTag) ? grouping : [];
+    }
+
     constructor() {
         this.loaded = true; // Always ready since we use FFProbe
     }
@@ -35,7 +78,8 @@ class MetadataExtractor {
                 filePath: filePath,
                 fileName: path.basename(filePath),
                 errorMessage: error.message,
-                errorType: error.name || 'UnknownError'
+                // File system errors carry a code (ENOENT, EACCES, ...)
+                errorType: error.code ? 'UnreadableFile' : (error.name || 'UnknownError')
             };
         }
     }
@@ -53,6 +97,8 @@ class MetadataExtractor {
                     const stats = fs.statSync(filePath);
                     const format = metadata.format || {};
                     const tags = format.tags || {};
+                    const fields = MetadataExtractor.readTagFields(metadata);
+                    const bpm = parseFloat(fields.TBPM || fields.BPM);
                     
                     const trackData = {
                         title: tags.title || tags.TITLE || path.basename(filePath, path.extname(filePath)),
@@ -64,11 +110,14 @@ class MetadataExtractor {
                         year: tags.date ? parseInt(tags.date.substring(0, 4)) : (tags.DATE ? parseInt(tags.DATE.substring(0, 4)) : null),
                         genre: tags.genre || tags.GENRE || null,
                         track_number: tags.track ? parseInt(tags.track.split('/')[0]) : (tags.TRACK ? parseInt(tags.TRACK.split('/')[0]) : null),
+                        bitrate: format.bit_rate ? Math.round(format.bit_rate / 1000) : null,
+                        bpm: bpm > 0 ? bpm : null,
+                        musical_key: (fields.TKEY || fields.INITIALKEY || fields.KEY || '').trim() || null,
+                        file_tags: MetadataExtractor.readFileTags(metadata),
+                        // Quality, bitrate and the rest are derived by the tag rules (TagGenerationService)
                         tags: JSON.stringify([
                             'source:ffprobe',
-                            format.format_name ? `format:${format.format_name}` : null,
-                            format.bit_rate ? `bitrate:${Math.round(format.bit_rate/1000)}k` : null,
-                            'quality:lossless'
+                            format.format_name ? `format:${format.format_name}` : null
                         ].filter(Boolean))
                     };
                     
@@ -0,0 +1,260 @@
+// iTunes-style metadata lives in moov/udta/meta/ilst; custom fields are freeform "----" items
+// named by a reverse-DNS "mean" and a "name"
+const FREEFORM_MEAN = 'com.apple.iTunes';
+const GROUPING_ATOM = '©grp';
+
+// Boxes walked to reach the chunk offset tables
+const SAMPLE_TABLE_PATH = ['trak', 'mdia', 'minf', 'stbl'];
+
+// data atom type indicator for UTF-8 text
+const UTF8_TYPE = 1;
+
+/**
+ * List the boxes between two offsets of a buffer
+ * @param {Buffer} buffer - File contents
+ * @param {number} start - Offset of the first box
+ * @param {number} end - Offset the last box ends at
+ * @returns {Array<Object>} {type, start, bodyStart, end}
+ * @throws {Error} When a box runs past the end
+ */
+function readBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) {
+            throw new Error('Malformed MP4 file');
+        }
+
+        boxes.push({
+            type: buffer.toString('latin1', offset + 4, offset + 8),
+            start: offset,
+            bodyStart: offset + headerSize,
+            end: offset + size
+        });
+        offset += size;
+    }
+    return boxes;
+}
+
+function box(type, ...payloads) {
+    const body = Buffer.concat(payloads);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+// Full boxes start their body with a version byte and three flag bytes
+function fullBox(type, ...payloads) {
+    return box(type, Buffer.alloc(4), ...payloads);
+}
+
+function dataBox(value) {
+    // Type indicator, then a locale left at 0
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(UTF8_TYPE, 0);
+    return box('data', header, Buffer.from(value, 'utf8'));
+}
+
+function textItem(type, value) {
+    return box(type, dataBox(value));
+}
+
+function freeformItem(name, value) {
+    return box('----',
+        fullBox('mean', Buffer.from(FREEFORM_MEAN, 'utf8')),
+        fullBox('name', Buffer.from(name, 'utf8')),
+        dataBox(value)
+    );
+}
+
+/**
+ * Read the strings of a freeform item
+ * @returns {Object} {mean, name, value}
+ */
+function readFreeform(buffer, item) {
+    const fields = {};
+    readBoxes(buffer, item.bodyStart, item.end).forEach(child => {
+        // mean and name are full boxes; data skips its type indicator and locale
+        const skip = child.type === 'data' ? 8 : 4;
+        fields[child.type] = buffer.toString('utf8', child.bodyStart + skip, child.end);
+    });
+    return { mean: fields.mean, name: fields.name, value: fields.data };
+}
+
+/**
+ * Where the children of a meta box start. Under udta it is a full box; QuickTime files may
+ * write it as a plain box, which then starts straight with its hdlr.
+ */
+function metaChildrenStart(buffer, meta) {
+    return buffer.toString('latin1', meta.bodyStart + 4, meta.bodyStart + 8) === 'hdlr'
+        ? meta.bodyStart
+        : meta.bodyStart + 4;
+}
+
+/**
+ * Shift the chunk offsets of every track that point past a given offset
+ * @param {Buffer} moov - moov box, patched in place
+ * @param {number} after - Offset in the old file from which data moved
+ * @param {number} delta - Bytes the data moved by
+ */
+function shiftChunkOffsets(moov, after, delta) {
+    const tables = [];
+    const collect = (boxes, depth) => boxes.forEach(child => {
+        if (depth < SAMPLE_TABLE_PATH.length && child.type === SAMPLE_TABLE_PATH[depth]) {
+            collect(readBoxes(moov, child.bodyStart, child.end), depth + 1);
+        } else if (depth === SAMPLE_TABLE_PATH.length && (child.type === 'stco' || child.type === 'co64')) {
+            tables.push(child);
+        }
+    });
+    collect(readBoxes(moov, 8, moov.length), 0);
+
+    tables.forEach(table => {
+        const count = moov.readUInt32BE(table.bodyStart + 4);
+        const wide = table.type === 'co64';
+        for (let i = 0; i < count; i++) {
+            const position = table.bodyStart + 8 + i * (wide ? 8 : 4);
+            if (wide) {
+                const offset = moov.readBigUInt64BE(position);
+                if (offset >= BigInt(after)) moov.writeBigUInt64BE(offset + BigInt(delta), position);
+            } else {
+                const offset = moov.readUInt32BE(position);
+                if (offset < after) continue;
+                if (offset + delta > 0xffffffff) {
+                    throw new Error('MP4 chunk offsets do not fit after growing the metadata');
+                }
+                moov.writeUInt32BE(offset + delta, position);
+            }
+        }
+    });
+}
+
+/**
+ * MP4 Metadata Atoms
+ * Writes metadata fields as iTunes items, which ffmpeg can only write as QuickTime mdta keys
+ * that iTunes-style players ignore. The grouping field goes into ©grp; every other field
+ * becomes a freeform "----:com.apple.iTunes:<name>" item, which ffprobe reports by its name.
+ */
+class Mp4MetadataAtoms {
+    static FREEFORM_MEAN = FREEFORM_MEAN;
+
+    /**
+     * Set metadata fields, replacing the items that held them and keeping all others
+     * @param {Buffer} buffer - MP4 file contents
+     * @param {Object} fields - Field name/value pairs; "grouping" is the ©grp item
+     * @returns {Buffer} New file contents
+     * @throws {Error} For fragmented or malformed files and metadata not in iTunes form
+     */
+    static setFields(buffer, fields) {
+        const top = readBoxes(buffer, 0, buffer.length);
+        if (top.some(child => child.type === 'moof')) {
+            throw new Error('Fragmented MP4 files are not supported');
+        }
+        const moov = top.find(child => child.type === 'moov');
+        if (!moov) {
+            throw new Error('MP4 file has no moov box');
+        }
+
+        const entries = Object.entries(fields);
+        const freeformNames = entries
+            .filter(([name]) => name !== 'grouping')
+            .map(([name]) => name.toLowerCase());
+        const replaces = (item) => {
+            if (item.type === GROUPING_ATOM) {
+                return fields.grouping !== undefined;
+            }
+            if (item.type === '----') {
+                const { mean, name } = readFreeform(buffer, item);
+                return mean === FREEFORM_MEAN && freeformNames.includes(String(name).toLowerCase());
+            }
+            return false;
+        };
+        const items = entries.map(([name, value]) => (name === 'grouping'
+            ? textItem(GROUPING_ATOM, String(value))
+            : freeformItem(name, String(value))));
+
+        const slice = (child) => buffer.subarray(child.start, child.end);
+        const replaceOrAppend = (children, type, replacement) => {
+            const rebuilt = children.map(child => (child.type === type ? replacement : slice(child)));
+            return children.some(child => child.type === type) ? rebuilt : [...rebuilt, replacement];
+        };
+
+        const moovChildren = readBoxes(buffer, moov.bodyStart, moov.end);
+        const udta = moovChildren.find(child => child.type === 'udta');
+        const udtaChildren = udta ? readBoxes(buffer, udta.bodyStart, udta.end) : [];
+        const meta = udtaChildren.find(child => child.type === 'meta');
+
+        let newMeta;
+        if (meta) {
+            const childrenStart = metaChildrenStart(buffer, meta);
+            const metaChildren = readBoxes(buffer, childrenStart, meta.end);
+            const hdlr = metaChildren.find(child => child.type === 'hdlr');
+            const handler = hdlr ? buffer.toString('latin1', hdlr.bodyStart + 8, hdlr.bodyStart + 12) : null;
+            if (handler !== 'mdir') {
+                throw new Error(`MP4 metadata with the "${handler}" handler is not supported`);
+            }
+
+            const ilst = metaChildren.find(child => child.type === 'ilst');
+            const kept = ilst ? readBoxes(buffer, ilst.bodyStart, ilst.end).filter(item => !replaces(item)).map(slice) : [];
+            newMeta = box('meta',
+                buffer.subarray(meta.bodyStart, childrenStart),
+                ...replaceOrAppend(metaChildren, 'ilst', box('ilst', ...kept, ...items))
+            );
+        } else {
+            // handler "mdir", manufacturer "appl", as iTunes writes it
+            const hdlr = fullBox('hdlr', Buffer.alloc(4), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(10));
+            newMeta = fullBox('meta', hdlr, box('ilst', ...items));
+        }
+
+        const newUdta = box('udta', ...replaceOrAppend(udtaChildren, 'meta', newMeta));
+        const newMoov = box('moov', ...replaceOrAppend(moovChildren, 'udta', newUdta));
+
+        // Media data stored after moov moves by however much moov grew or shrank
+        const delta = newMoov.length - (moov.end - moov.start);
+        if (delta !== 0) {
+            shiftChunkOffsets(newMoov, moov.end, delta);
+        }
+        return Buffer.concat([buffer.subarray(0, moov.start), newMoov, buffer.subarray(moov.end)]);
+    }
+
+    /**
+     * Read the text items of the iTunes metadata
+     * @param {Buffer} buffer - MP4 file contents
+     * @returns {Object} Values keyed by atom type; freeform items by "----:<mean>:<name>"
+     */
+    static readItems(buffer) {
+        const find = (boxes, type) => boxes.find(child => child.type === type);
+        const moov = find(readBoxes(buffer, 0, buffer.length), 'moov');
+        const udta = moov && find(readBoxes(buffer, moov.bodyStart, moov.end), 'udta');
+        const meta = udta && find(readBoxes(buffer, udta.bodyStart, udta.end), 'meta');
+        const ilst = meta && find(readBoxes(buffer, metaChildrenStart(buffer, meta), meta.end), 'ilst');
+        if (!ilst) {
+            return {};
+        }
+
+        const values = {};
+        readBoxes(buffer, ilst.bodyStart, ilst.end).forEach(item => {
+            if (item.type === '----') {
+                const { mean, name, value } = readFreeform(buffer, item);
+                values[`----:${mean}:${name}`] = value;
+                return;
+            }
+            const data = find(readBoxes(buffer, item.bodyStart, item.end), 'data');
+            if (data && buffer.readUInt32BE(data.bodyStart) === UTF8_TYPE) {
+                values[item.type] = buffer.toString('utf8', data.bodyStart + 8, data.end);
+            }
+        });
+        return values;
+    }
+}
+
+module.exports = Mp4MetadataAtoms;
@@ -35,12 +35,184 @@ class MusicLibraryFacade {
      * Scan directory for music files
      * @param {string} directory - Directory to scan
      * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} options - {missingFiles: 'mark'|'delete', concurrency, batchSize}
      * @returns {Promise<Object>} Scan results
      */
-    async scanDirectory(directory, progressCallback = null) {
+    async scanDirectory(directory, progressCallback = null, options = {}) {
         this._ensureInitialized();
         const scanService = this.container.resolve('scanService');
-        return await scanService.scanDirectory(directory, progressCallback);
+        const results = await scanService.scanDirectory(directory, progressCallback, options);
+        this._audioChanged();
+        return results;
+    }
+
+    async pauseScan() {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.pauseScan();
+    }
+
+    async resumeScan() {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.resumeScan();
+    }
+
+    async cancelScan() {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.cancelScan();
+    }
+
+    // Scan jobs (delegate to ScanService)
+
+    /**
+     * Continue an interrupted scan job from where it stopped
+     * @param {number} jobId - Scan job id
+     * @param {Function} progressCallback - Optional progress callback
+     * @returns {Promise<Object>} Scan results
+     */
+    async resumeScanJob(jobId, progressCallback = null) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        const results = await scanService.resumeScanJob(jobId, progressCallback);
+        this._audioChanged();
+        return results;
+    }
+
+    async cancelScanJob(jobId) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.cancelScanJob(jobId);
+    }
+
+    async getScanJobs(limit = 20) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.getScanJobs(limit);
+    }
+
+    async getScanJobErrors(jobId) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.getScanJobErrors(jobId);
+    }
+
+    async retryScanFiles(jobId, filePaths) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        const results = await scanService.retryFiles(jobId, filePaths);
+        this._audioChanged();
+        return results;
+    }
+
+    async getScanJobErrorsCsv(jobId) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.getScanJobErrorsCsv(jobId);
+    }
+
+    // Scan rules (delegate to ScanService)
+    async getScanRules() {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.getScanRules();
+    }
+
+    async saveScanRules(rules) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.saveScanRules(rules);
+    }
+
+    // Scan ignore list (delegate to ScanService)
+    async ignoreScanPaths(paths, jobId = null) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.ignorePaths(paths, jobId);
+    }
+
+    async unignoreScanPaths(paths) {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.unignorePaths(paths);
+    }
+
+    async getIgnoredPaths() {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.getIgnoredPaths();
+    }
+
+    /**
+     * Flag jobs left running by the previous session as interrupted
+     * @returns {Promise<number>} Number of interrupted jobs
+     */
+    async recoverInterruptedScanJobs() {
+        this._ensureInitialized();
+        const scanService = this.container.resolve('scanService');
+        return await scanService.recoverInterruptedJobs();
+    }
+
+    // Library roots (delegate to LibraryRootService)
+    async getLibraryRoots() {
+        this._ensureInitialized();
+        const rootService = this.container.resolve('libraryRootService');
+        return await rootService.getRoots();
+    }
+
+    async addLibraryRoot(directory) {
+        this._ensureInitialized();
+        const rootService = this.container.resolve('libraryRootService');
+        return await rootService.addRoot(directory);
+    }
+
+    async removeLibraryRoot(rootId, options = {}) {
+        this._ensureInitialized();
+        const rootService = this.container.resolve('libraryRootService');
+        return await rootService.removeRoot(rootId, options);
+    }
+
+    async rescanLibraryRoot(rootId, progressCallback = null, options = {}) {
+        this._ensureInitialized();
+        const rootService = this.container.resolve('libraryRootService');
+        const results = await rootService.rescanRoot(rootId, progressCallback, options);
+        this._audioChanged();
+        return results;
+    }
+
+    async relocateLibraryRoot(rootId, newPath) {
+        this._ensureInitialized();
+        const rootService = this.container.resolve('libraryRootService');
+        return await rootService.relocateRoot(rootId, newPath);
+    }
+
+    // Folder watching (delegate to LibraryWatcher)
+
+    /**
+     * Watch every scanned library root for changes
+     * @param {Function} onChange - Called with {added, updated, moved, removed, errors, paths, timestamp}
+     * @returns {Promise<Array<string>>} Watched directories
+     */
+    async startWatching(onChange) {
+        this._ensureInitialized();
+        const libraryWatcher = this.container.resolve('libraryWatcher');
+        return await libraryWatcher.start((change) => {
+            onChange(change);
+            this._audioChanged();
+        });
+    }
+
+    watchDirectory(directory) {
+        this._ensureInitialized();
+        const libraryWatcher = this.container.resolve('libraryWatcher');
+        return libraryWatcher.watch(directory);
+    }
+
+    getWatchedDirectories() {
+        this._ensureInitialized();
+        const libraryWatcher = this.container.resolve('libraryWatcher');
+        return libraryWatcher.getWatchedDirectories();
     }
 
     // Search operations (delegate to SearchEngine)
@@ -50,6 +222,16 @@ class MusicLibraryFacade {
         return await searchEngine.search(query, options);
     }
 
+    /**
+     * @param {string} query - Query language text, e.g. artist:"Boards of Canada" bpm:>120
+     * @returns {Promise<Object>} {tracks, errors, corrections}
+     */
+    async searchByQuery(query, options = {}) {
+        this._ensureInitialized();
+        const searchEngine = this.container.resolve('searchEngine');
+        return await searchEngine.searchByQuery(query, options);
+    }
+
     async searchByTag(tagName, tagValue = null) {
         this._ensureInitialized();
         const searchEngine = this.container.resolve('searchEngine');
@@ -83,14 +265,409 @@ class MusicLibraryFacade {
 
     async clearDatabase() {
         this._ensureInitialized();
+        // Cleared libraries have no roots left to watch
+        this.container.resolve('libraryWatcher').stop();
         const trackRepository = this.container.resolve('trackRepository');
         return await trackRepository.clearAll();
     }
 
+    /**
+     * @throws {Error} When the tag's category only allows listed values and the value is not one
+     */
     async addTagToTrack(track, tag) {
         this._ensureInitialized();
+        const invalid = this.container.resolve('tagTaxonomy').validateTag(tag);
+        if (invalid) {
+            throw new Error(invalid);
+        }
+
+        const trackRepository = this.container.resolve('trackRepository');
+        const added = await trackRepository.addTagToTrack(track, tag);
+
+        if (added) {
+            await this._tagsChanged([await trackRepository.findTrackId(track)]);
+        }
+        return added;
+    }
+
+    /**
+     * Remove one tag from one track, whatever its source. The removal is recorded as a tag
+     * operation so it can be undone with undoTagOperation().
+     * @param {Object} track - {title, artist, album}
+     * @param {string} tag - Tag in "category:value" form
+     * @returns {Promise<Object|null>} {id, trackIds, ...}, or null when the track has no such stored tag
+     */
+    async removeTagFromTrack(track, tag) {
+        this._ensureInitialized();
+        const trackRepository = this.container.resolve('trackRepository');
+        const trackId = await trackRepository.findTrackId(track);
+        if (!trackId) {
+            return null;
+        }
+
+        const result = await trackRepository.applyTagOperation('remove', [{ from: tag, to: [] }], [trackId]);
+        if (!result.id) {
+            return null;
+        }
+        await this._tagsChanged([trackId]);
+        return result;
+    }
+
+    /**
+     * Hand tracks whose user tags changed to the writeback subsystem. They are only marked
+     * pending here; files are written in the background, so the tag change never waits for
+     * them and a failed write is only recorded in its writeback status.
+     * @param {Array<number>} trackIds - Track ids
+     */
+    async _tagsChanged(trackIds) {
+        trackIds = trackIds.filter(Boolean);
+        if (trackIds.length === 0) return;
+
+        try {
+            const tagWriteback = this.container.resolve('tagWriteback');
+            await tagWriteback.tracksTagsChanged(trackIds);
+        } catch (error) {
+            console.error('Error scheduling tag writeback:', error);
+        }
+    }
+
+    // Tag rules (delegate to TagGenerationService)
+    async getTagRules() {
+        this._ensureInitialized();
+        return this.container.resolve('tagGenerationService').getRulesInfo();
+    }
+
+    /**
+     * Re-read the rules file and regenerate the rule tags of the whole library
+     * @returns {Promise<Object>} {tracks, tags, rules}
+     * @throws {Error} When the rules file is invalid
+     */
+    async regenerateTags() {
+        this._ensureInitialized();
+        const rules = this.container.resolve('tagGenerationService').loadRules();
+        const trackRepository = this.container.resolve('trackRepository');
+        const result = await trackRepository.regenerateTags();
+        return { ...result, rules: rules.length };
+    }
+
+    // Tag taxonomy (delegate to TagTaxonomyService)
+    async getTagTaxonomy() {
+        this._ensureInitialized();
+        return this.container.resolve('tagTaxonomy').getTaxonomy();
+    }
+
+    /**
+     * @param {Object} taxonomy - {categories: [{name, label, color, priority, values, freeValues, branching}]}
+     * @returns {Promise<Object>} Saved taxonomy
+     * @throws {Error} When the taxonomy is invalid
+     */
+    async saveTagTaxonomy(taxonomy) {
+        this._ensureInitialized();
+        return await this.container.resolve('tagTaxonomy').save(taxonomy);
+    }
+
+    async importTagTaxonomy(json) {
+        this._ensureInitialized();
+        return await this.container.resolve('tagTaxonomy').importJson(json);
+    }
+
+    exportTagTaxonomy() {
+        this._ensureInitialized();
+        return this.container.resolve('tagTaxonomy').exportJson();
+    }
+
+    // Smart crates (delegate to SmartCrateService)
+    async getSmartCrates() {
+        this._ensureInitialized();
+        return await this.container.resolve('smartCrates').getCrates();
+    }
+
+    /**
+     * @param {Object} crate - {name, query, tags, filters}; an existing crate of that name is replaced
+     * @returns {Promise<Object>} Saved crate with its track count
+     * @throws {Error} When the crate is invalid
+     */
+    async saveSmartCrate(crate) {
+        this._ensureInitialized();
+        return await this.container.resolve('smartCrates').save(crate);
+    }
+
+    async deleteSmartCrate(crateId) {
+        this._ensureInitialized();
+        return await this.container.resolve('smartCrates').delete(crateId);
+    }
+
+    async getSmartCrateTracks(crateId, limit = 100) {
+        this._ensureInitialized();
+        return await this.container.resolve('smartCrates').getTracks(crateId, limit);
+    }
+
+    async exportSmartCrates() {
+        this._ensureInitialized();
+        return await this.container.resolve('smartCrates').exportJson();
+    }
+
+    // Library-wide tag operations: rename, merge, move, split and delete
+    /**
+     * @param {Object} operation - {type, from: [tags], to: [tags], category}
+     * @returns {Promise<Object>} {tracks, tags: {tag: track count}, generated, changes}
+     * @throws {Error} When the operation is malformed
+     */
+    async previewTagOperation(operation) {
+        this._ensureInitialized();
+        const changes = this._tagOperationChanges(operation);
+        const trackRepository = this.container.resolve('trackRepository');
+        const preview = await trackRepository.previewTagOperation(changes.map(change => change.from));
+        return { ...preview, changes };
+    }
+
+    /**
+     * @param {Object} operation - {type, from: [tags], to: [tags], category}
+     * @returns {Promise<Object>} {id, type, from, to, trackIds, removed, added}
+     * @throws {Error} When the operation is malformed
+     */
+    async applyTagOperation(operation) {
+        this._ensureInitialized();
+        const changes = this._tagOperationChanges(operation);
+        const trackRepository = this.container.resolve('trackRepository');
+        const result = await trackRepository.applyTagOperation(operation.type, changes);
+
+        await this._tagsChanged(result.trackIds);
+        return result;
+    }
+
+    /**
+     * Add and remove tags on several tracks at once, as one undoable operation
+     * @param {Array<Object>} tracks - {title, artist, album}
+     * @param {Object} edit - {add: [tags], remove: [tags], replaceCategories: [categories]}
+     * @returns {Promise<Object>} {id, changes: [{track, added, removed}]}; id is null when nothing changed
+     * @throws {Error} When an added tag is not allowed by the taxonomy
+     */
+    async batchEditTags(tracks, edit) {
+        this._ensureInitialized();
+        const clean = (values) => [...new Set((Array.isArray(values) ? values : [])
+            .map(value => (typeof value === 'string' ? value.trim() : ''))
+            .filter(Boolean))];
+        const add = clean(edit && edit.add);
+        const remove = clean(edit && edit.remove);
+        const replaceCategories = clean(edit && edit.replaceCategories).map(category => category.toLowerCase());
+
+        const taxonomy = this.container.resolve('tagTaxonomy');
+        for (const tag of add) {
+            const invalid = taxonomy.validateTag(tag);
+            if (invalid) {
+                throw new Error(invalid);
+            }
+        }
+
+        const trackRepository = this.container.resolve('trackRepository');
+        const tracksById = new Map();
+        for (const track of tracks || []) {
+            const trackId = await trackRepository.findTrackId(track);
+            if (trackId) tracksById.set(trackId, track);
+        }
+
+        const result = await trackRepository.batchEditTags([...tracksById.keys()], { add, remove, replaceCategories });
+        await this._tagsChanged(result.changes.map(change => change.trackId));
+        return {
+            id: result.id,
+            changes: result.changes.map(({ trackId, added, removed }) => ({ track: tracksById.get(trackId), added, removed }))
+        };
+    }
+
+    /**
+     * @param {number} operationId - Id from getTagOperations()
+     * @returns {Promise<Object|null>} {id, trackIds}, or null when it was already undone
+     */
+    async undoTagOperation(operationId) {
+        this._ensureInitialized();
+        const trackRepository = this.container.resolve('trackRepository');
+        const result = await trackRepository.undoTagOperation(operationId);
+
+        if (result) {
+            await this._tagsChanged(result.trackIds);
+        }
+        return result;
+    }
+
+    async getTagOperations(limit = 20) {
+        this._ensureInitialized();
+        const trackRepository = this.container.resolve('trackRepository');
+        return await trackRepository.getTagOperations(limit);
+    }
+
+    /**
+     * Turn an operation into the tag each removed tag is replaced with
+     * @param {Object} operation - {type, from: [tags], to: [tags], category}
+     * @returns {Array<Object>} {from: tag, to: [tags]}
+     * @throws {Error} When the operation is malformed or a new tag is not allowed by the taxonomy
+     */
+    _tagOperationChanges(operation) {
+        const clean = (tags) => [...new Set((Array.isArray(tags) ? tags : [])
+            .map(tag => (typeof tag === 'string' ? tag.trim() : ''))
+            .filter(Boolean))];
+        const { type } = operation || {};
+        const from = clean(operation && operation.from);
+        const to = clean(operation && operation.to);
+
+        if (from.length === 0) {
+            throw new Error('Select at least one tag');
+        }
+
+        let changes;
+        switch (type) {
+            case 'rename':
+                if (from.length !== 1 || to.length !== 1) throw new Error('Rename takes one tag and one new name');
+                changes = [{ from: from[0], to }];
+                break;
+            case 'merge':
+                if (from.length < 2 || to.length !== 1) throw new Error('Merge takes two or more tags and the tag to merge them into');
+                changes = from.map(tag => ({ from: tag, to }));
+                break;
+            case 'split':
+                if (from.length !== 1 || to.length < 2) throw new Error('Split takes one tag and two or more tags to replace it with');
+                changes = [{ from: from[0], to }];
+                break;
+            case 'move': {
+                const category = typeof operation.category === 'string' ? operation.category.trim().toLowerCase() : '';
+                if (!category) throw new Error('Move needs the category to move the tags to');
+                changes = from.map(tag => {
+                    const separator = tag.indexOf(':');
+                    return { from: tag, to: [`${category}:${separator >= 0 ? tag.slice(separator + 1) : tag}`] };
+                });
+                break;
+            }
+            case 'delete':
+                changes = from.map(tag => ({ from: tag, to: [] }));
+                break;
+            default:
+                throw new Error(`Unknown tag operation: ${type}`);
+        }
+
+        const taxonomy = this.container.resolve('tagTaxonomy');
+        for (const tag of changes.flatMap(change => change.to)) {
+            const invalid = taxonomy.validateTag(tag);
+            if (invalid) {
+                throw new Error(invalid);
+            }
+        }
+        return changes;
+    }
+
+    // Virtual tag settings; the tags themselves are inferred in the renderer
+    async getVirtualTagSettings() {
+        this._ensureInitialized();
+        const trackRepository = this.container.resolve('trackRepository');
+        return await trackRepository.getVirtualTagSettings();
+    }
+
+    /**
+     * @param {Object} settings - {categories: {category: boolean}}
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveVirtualTagSettings(settings) {
+        this._ensureInitialized();
+        const categories = {};
+        Object.entries((settings && settings.categories) || {}).forEach(([category, enabled]) => {
+            categories[category] = enabled === true;
+        });
+        const trackRepository = this.container.resolve('trackRepository');
+        return await trackRepository.saveVirtualTagSettings({ categories });
+    }
+
+    // Audio analysis (delegate to AudioAnalysisService)
+
+    /**
+     * Analyze pending tracks now and after every later scan or folder change
+     * @param {Function} onProgress - Called with the analysis status
+     */
+    startAudioAnalysis(onProgress = null) {
+        this._ensureInitialized();
+        const audioAnalysis = this.container.resolve('audioAnalysis');
+        audioAnalysis.setProgressCallback(onProgress);
+        this.audioAnalysisEnabled = true;
+        this._audioChanged();
+    }
+
+    /**
+     * Start analyzing pending tracks in the background
+     * @param {Object} options - {retryFailed}
+     * @returns {Object} Status when the job started, see getAnalysisStatus()
+     */
+    analyzeAudio(options = {}) {
+        this._ensureInitialized();
+        const audioAnalysis = this.container.resolve('audioAnalysis');
+        audioAnalysis.analyzePending(options).catch(error => console.error('Error analyzing audio:', error));
+        return audioAnalysis.getStatus();
+    }
+
+    cancelAudioAnalysis() {
+        this._ensureInitialized();
+        return this.container.resolve('audioAnalysis').cancel();
+    }
+
+    async getAnalysisStatus() {
+        this._ensureInitialized();
+        const audioAnalysis = this.container.resolve('audioAnalysis');
         const trackRepository = this.container.resolve('trackRepository');
-        return await trackRepository.addTagToTrack(track, tag);
+        return {
+            ...audioAnalysis.getStatus(),
+            summary: await trackRepository.getAnalysisSummary()
+        };
+    }
+
+    /**
+     * New or changed files may need analysis; a running job picks them up when it is done
+     */
+    _audioChanged() {
+        if (this.audioAnalysisEnabled && this.isReady()) {
+            this.analyzeAudio();
+        }
+    }
+
+    // Tag writeback (delegate to TagWritebackService)
+
+    /**
+     * Receive progress of the files written in the background after tag changes
+     * @param {Function} onProgress - Called with the writeback status
+     */
+    startTagWriteback(onProgress = null) {
+        this._ensureInitialized();
+        this.container.resolve('tagWriteback').setProgressCallback(onProgress);
+    }
+
+    async getWritebackSettings() {
+        this._ensureInitialized();
+        return await this.container.resolve('tagWriteback').getSettings();
+    }
+
+    async saveWritebackSettings(settings) {
+        this._ensureInitialized();
+        return await this.container.resolve('tagWriteback').saveSettings(settings);
+    }
+
+    /**
+     * Write tags into files
+     * @param {Array<number>|null} trackIds - Tracks to write, or null for every pending track
+     * @param {Object} options - {dryRun, backup, writeGrouping, includeFailed}
+     * @returns {Promise<Array<Object>>} Per-track results
+     */
+    async writeTagsToFiles(trackIds = null, options = {}) {
+        this._ensureInitialized();
+        const tagWriteback = this.container.resolve('tagWriteback');
+        return trackIds
+            ? await tagWriteback.writeTracks(trackIds, options)
+            : await tagWriteback.writePending(options);
+    }
+
+    async getWritebackStatus() {
+        this._ensureInitialized();
+        const tagWriteback = this.container.resolve('tagWriteback');
+        return {
+            summary: await tagWriteback.getSummary(),
+            failed: await tagWriteback.getStatuses('failed'),
+            progress: tagWriteback.getStatus()
+        };
     }
 
     // Utility operations (delegate to various services)
@@ -100,6 +677,25 @@ class MusicLibraryFacade {
         return await searchEngine.getAvailableTags();
     }
 
+    /**
+     * @returns {Promise<Array>} {tag, count} for every used tag, most used first
+     */
+    async getTagUsage() {
+        this._ensureInitialized();
+        const searchEngine = this.container.resolve('searchEngine');
+        return await searchEngine.getTagUsage();
+    }
+
+    /**
+     * @param {number} limit - Number of tags, most used first
+     * @returns {Promise<Object>} {trackCount, tags, edges} for the tag graph
+     */
+    async getTagCooccurrence(limit) {
+        this._ensureInitialized();
+        const searchEngine = this.container.resolve('searchEngine');
+        return await searchEngine.getTagCooccurrence(limit);
+    }
+
     async getTagsByCategory() {
         this._ensureInitialized();
         const searchEngine = this.container.resolve('searchEngine');
@@ -112,17 +708,31 @@ class MusicLibraryFacade {
         return scanService.getSupportedExtensions();
     }
 
+    /**
+     * Get the applied database schema version
+     * @returns {Promise<Object>} {version, latestVersion, history}
+     */
+    async getSchemaVersion() {
+        this._ensureInitialized();
+        const dbManager = this.container.resolve('databaseManager');
+        return await dbManager.getSchemaVersion();
+    }
+
     // Lifecycle operations
     isReady() {
         return this.initialized && this.container !== null;
     }
 
-    close() {
+    async close() {
+        this.initialized = false;
         if (this.container) {
+            this.container.resolve('libraryWatcher').stop();
+            this.container.resolve('audioAnalysis').cancel();
+            // A tag write in progress still updates its track, so it must finish first
+            await this.container.resolve('tagWriteback').stop();
             const dbManager = this.container.resolve('databaseManager');
             dbManager.close();
         }
-        this.initialized = false;
     }
 
     // Internal helper
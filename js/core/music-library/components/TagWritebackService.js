@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const MetadataExtractor = require('./MetadataExtractor');
+const Mp4MetadataAtoms = require('./Mp4MetadataAtoms');
+
+// Same lookup as fluent-ffmpeg, which finds ffprobe for MetadataExtractor
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 120000;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,        // write automatically whenever a track's tags change
+    backup: true,          // copy each file once before its first write
+    writeGrouping: false   // also put the tags in the grouping field (TIT1 / ©grp / GROUPING)
+};
+
+/**
+ * How tags are stored per container. ffmpeg writes the custom field as an ID3v2 TXXX frame,
+ * a FLAC Vorbis comment block or an Ogg stream comment. MP4 files are edited directly
+ * (Mp4MetadataAtoms): ffmpeg cannot write the freeform atoms other players read.
+ */
+const CONTAINERS = {
+    mp3: { name: 'id3v2', metadataFlag: '-metadata', args: ['-id3v2_version', '3'] },
+    flac: { name: 'flac', metadataFlag: '-metadata', args: [] },
+    ogg: { name: 'vorbis', metadataFlag: '-metadata:s:a:0', args: ['-map_metadata:s:a', '0:s:a'] },
+    opus: { name: 'vorbis', metadataFlag: '-metadata:s:a:0', args: ['-map_metadata:s:a', '0:s:a'] },
+    m4a: { name: 'mp4', atoms: true },
+    mp4: { name: 'mp4', atoms: true }
+};
+
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        execFile(FFMPEG_PATH, args, { timeout: FFMPEG_TIMEOUT_MS }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(stderr ? stderr.trim().split('\n').pop() : error.message));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Tag Writeback Service
+ * Opt-in: writes the tags users added (and tags read back from files) into the audio files,
+ * so they survive a cleared database and show up in other players. Files are rewritten
+ * through ffmpeg with stream copy into a temporary file that replaces the original.
+ */
+class TagWritebackService {
+    constructor(trackRepository, fileScanner, options = {}) {
+        this.trackRepository = trackRepository;
+        this.fileScanner = fileScanner;
+        this.backupDir = options.backupDir || null;
+        this.queue = Promise.resolve();
+        this.onProgress = null;
+
+        // Tracks waiting for an automatic write, drained by drainPending()
+        this.pendingIds = new Set();
+        this.drain = null;
+        this.status = this.createStatus('idle');
+    }
+
+    createStatus(state) {
+        return { state, total: 0, processed: 0, failed: 0, current: null, startedAt: null, finishedAt: null };
+    }
+
+    static getContainer(filePath) {
+        return CONTAINERS[path.extname(filePath).slice(1).toLowerCase()] || null;
+    }
+
+    async getSettings() {
+        const stored = await this.trackRepository.getWritebackSettings();
+        return { ...DEFAULT_SETTINGS, ...(stored || {}) };
+    }
+
+    async saveSettings(settings) {
+        const merged = { ...(await this.getSettings()), ...settings };
+        const next = {
+            enabled: merged.enabled === true,
+            backup: merged.backup !== false,
+            writeGrouping: merged.writeGrouping === true
+        };
+        return (await this.trackRepository.saveWritebackSettings(next)) ? next : null;
+    }
+
+    /**
+     * Receive progress updates of the background writes
+     * @param {Function|null} callback - Called with the status, see getStatus()
+     */
+    setProgressCallback(callback) {
+        this.onProgress = callback;
+    }
+
+    /**
+     * Note that the tags of some tracks changed. The tracks are only marked pending here;
+     * when writeback is enabled their files are written in the background, one at a time.
+     * @param {Array<number>} trackIds - Track ids
+     * @returns {Promise<boolean>} Whether the files will be written automatically
+     */
+    async tracksTagsChanged(trackIds) {
+        if (trackIds.length === 0) return false;
+        await this.trackRepository.markWritebackPending(trackIds);
+
+        const settings = await this.getSettings();
+        if (!settings.enabled) return false;
+
+        const queued = this.pendingIds.size;
+        trackIds.forEach(trackId => this.pendingIds.add(trackId));
+
+        if (this.drain) {
+            this.status.total += this.pendingIds.size - queued;
+            this.emitProgress();
+        } else {
+            this.drain = this.drainPending().finally(() => {
+                this.drain = null;
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Write the queued tracks until none are left; tracks queued meanwhile join this run
+     * @returns {Promise<Object>} Final status
+     */
+    async drainPending() {
+        this.status = { ...this.createStatus('running'), total: this.pendingIds.size, startedAt: Date.now() };
+        this.emitProgress();
+
+        try {
+            while (this.pendingIds.size > 0) {
+                const [trackId] = this.pendingIds;
+                this.pendingIds.delete(trackId);
+                this.status.current = trackId;
+                this.emitProgress();
+
+                // Read per track: turning writeback off stops the run
+                const settings = await this.getSettings();
+                if (!settings.enabled) {
+                    this.pendingIds.clear();
+                    break;
+                }
+
+                const [result] = await this.writeTracks([trackId], { backup: settings.backup });
+                if (result.status === 'failed') {
+                    this.status.failed++;
+                }
+                this.status.processed++;
+            }
+            this.status.state = 'completed';
+        } catch (error) {
+            console.error('Tag writeback failed:', error);
+            this.pendingIds.clear();
+            this.status.state = 'failed';
+            this.status.error = error.message;
+        }
+
+        this.status.current = null;
+        this.status.finishedAt = Date.now();
+        this.emitProgress();
+        return this.getStatus();
+    }
+
+    /**
+     * Stop writing automatically. Queued tracks stay pending in the database; the file being
+     * written is finished, so it is not left half-replaced when the database closes.
+     * @returns {Promise<void>} Resolves once no write is running
+     */
+    async stop() {
+        this.pendingIds.clear();
+        await this.drain;
+        await this.queue;
+    }
+
+    /**
+     * Write every track waiting for writeback
+     * @param {Object} options - {dryRun, backup, includeFailed}
+     * @returns {Promise<Array<Object>>} Per-track results, see writeTracks()
+     */
+    async writePending(options = {}) {
+        const pending = await this.trackRepository.getWritebackStatuses('pending');
+        const failed = options.includeFailed ? await this.trackRepository.getWritebackStatuses('failed') : [];
+        return this.writeTracks([...pending, ...failed].map(row => row.trackId), options);
+    }
+
+    /**
+     * Write tags into the files of some tracks. Writes are serialized, so a file is never
+     * rewritten by two calls at once.
+     * @param {Array<number>} trackIds - Track ids
+     * @param {Object} options - {dryRun: only report what would be written, backup, writeGrouping}
+     * @returns {Promise<Array<Object>>} {trackId, filePath, container, fields, tags, status, error, backupPath}
+     */
+    writeTracks(trackIds, options = {}) {
+        const run = async () => {
+            const settings = await this.getSettings();
+            const writeOptions = {
+                dryRun: options.dryRun === true,
+                backup: options.backup !== undefined ? options.backup : settings.backup,
+                writeGrouping: options.writeGrouping !== undefined ? options.writeGrouping : settings.writeGrouping
+            };
+
+            const results = [];
+            for (const trackId of trackIds) {
+                results.push(await this.writeTrack(trackId, writeOptions));
+            }
+            return results;
+        };
+
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Build what would be written for a track
+     * @param {number} trackId - Track id
+     * @param {Object} options - {writeGrouping}
+     * @returns {Promise<Object>} {trackId, filePath, container, fields, tags}
+     */
+    async planTrack(trackId, options = {}) {
+        const track = await this.trackRepository.getTrackById(trackId);
+        if (!track) {
+            throw new Error(`Unknown track: ${trackId}`);
+        }
+
+        const tags = await this.trackRepository.getTrackFileTags(trackId);
+        const container = TagWritebackService.getContainer(track.file_path);
+        const value = tags.join(MetadataExtractor.FILE_TAGS_SEPARATOR);
+
+        const fields = { [MetadataExtractor.FILE_TAGS_FIELD]: value };
+        if (options.writeGrouping) {
+            fields.grouping = value;
+        }
+
+        return {
+            trackId,
+            filePath: track.file_path,
+            missing: Boolean(track.missing),
+            container: container ? container.name : null,
+            fields,
+            tags
+        };
+    }
+
+    async writeTrack(trackId, options) {
+        let plan;
+        try {
+            plan = await this.planTrack(trackId, options);
+        } catch (error) {
+            return { trackId, status: 'failed', error: error.message };
+        }
+
+        if (!plan.container) {
+            if (!options.dryRun) {
+                await this.trackRepository.setWritebackStatus(trackId, 'unsupported', { tags: plan.tags });
+            }
+            return { ...plan, status: 'unsupported' };
+        }
+
+        if (options.dryRun) {
+            return { ...plan, status: 'dry-run' };
+        }
+
+        if (plan.missing) {
+            const error = 'File is missing';
+            await this.trackRepository.setWritebackStatus(trackId, 'failed', { tags: plan.tags, error });
+            return { ...plan, status: 'failed', error };
+        }
+
+        try {
+            const backupPath = options.backup ? await this.backupFile(trackId, plan.filePath) : null;
+            await this.writeFields(plan.filePath, plan.fields);
+
+            // Keep the stored fingerprint current so the next scan does not re-extract the file
+            const fileStats = await this.fileScanner.getFileStats(plan.filePath);
+            const contentHash = await this.fileScanner.computeContentHash(plan.filePath, fileStats.file_size);
+            await this.trackRepository.relocateTrack(trackId, { ...fileStats, content_hash: contentHash });
+
+            await this.trackRepository.setWritebackStatus(trackId, 'written', { tags: plan.tags, backupPath });
+            return { ...plan, status: 'written', backupPath };
+        } catch (error) {
+            console.error(`Error writing tags to ${plan.filePath}:`, error);
+            await this.trackRepository.setWritebackStatus(trackId, 'failed', { tags: plan.tags, error: error.message });
+            return { ...plan, status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * Copy the file to the backup directory, once: later writes keep the original copy
+     * @param {number} trackId - Track id
+     * @param {string} filePath - Audio file
+     * @returns {Promise<string|null>} Backup path
+     */
+    async backupFile(trackId, filePath) {
+        if (!this.backupDir) return null;
+
+        const backupPath = path.join(this.backupDir, `${trackId}-${path.basename(filePath)}`);
+        await fs.promises.mkdir(this.backupDir, { recursive: true });
+        await fs.promises.copyFile(filePath, backupPath, fs.constants.COPYFILE_EXCL).catch(error => {
+            if (error.code !== 'EEXIST') throw error;
+        });
+        return backupPath;
+    }
+
+    /**
+     * Rewrite a file with new metadata fields. Streams are copied untouched and the other
+     * metadata is kept; the hidden temporary file is invisible to scans and the folder watcher.
+     * @param {string} filePath - Audio file
+     * @param {Object} fields - Metadata key/value pairs
+     */
+    async writeFields(filePath, fields) {
+        const container = TagWritebackService.getContainer(filePath);
+        const extension = path.extname(filePath);
+        const tempPath = path.join(
+            path.dirname(filePath),
+            `.${path.basename(filePath, extension)}.writeback${extension}`
+        );
+
+        try {
+            if (container.atoms) {
+                const contents = await fs.promises.readFile(filePath);
+                await fs.promises.writeFile(tempPath, Mp4MetadataAtoms.setFields(contents, fields));
+            } else {
+                const args = ['-v', 'error', '-y', '-i', filePath, '-map', '0', '-map_metadata', '0', '-c', 'copy'];
+                Object.entries(fields).forEach(([key, value]) => {
+                    args.push(container.metadataFlag, `${key}=${value}`);
+                });
+                args.push(...container.args, tempPath);
+                await runFfmpeg(args);
+            }
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.promises.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Object} {state: idle|running|completed|failed, total, processed, failed, current: track id, startedAt, finishedAt}
+     */
+    getStatus() {
+        return { ...this.status };
+    }
+
+    emitProgress() {
+        if (this.onProgress) {
+            try {
+                this.onProgress(this.getStatus());
+            } catch (error) {
+                console.error('Error reporting writeback progress:', error);
+            }
+        }
+    }
+
+    async getStatuses(status = null) {
+        return await this.trackRepository.getWritebackStatuses(status);
+    }
+
+    async getSummary() {
+        return await this.trackRepository.getWritebackSummary();
+    }
+}
+
+module.exports = TagWritebackService;
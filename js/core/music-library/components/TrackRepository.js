@@ -1,4 +1,5 @@
 const ITrackRepository = require('../interfaces/ITrackRepository');
+const TagGenerationService = require('../services/TagGenerationService');
 
 class TrackRepository extends ITrackRepository {
     constructor(databaseManager, trackEnrichmentService = null) {
@@ -56,10 +57,266 @@ class TrackRepository extends ITrackRepository {
 
 
 
+    /**
+     * Save a batch of tracks in a single database transaction
+     * @param {Array<Object>} tracks - Track data, as for saveTrack()
+     * @returns {Promise<Array<boolean>>} Per-track success, in input order
+     */
+    async saveTracks(tracks) {
+        if (!this.db.isReady()) {
+            throw new Error('Database not ready');
+        }
+
+        try {
+            const dataToSave = this.enrichmentService
+                ? tracks.map(trackData => this.enrichmentService.enrichTrackData(trackData))
+                : tracks;
+
+            const saved = await this.db.insertTracks(dataToSave);
+
+            // Business logic: Update related entities once per artist/album in the batch
+            const savedTracks = tracks.filter((trackData, index) => saved[index]);
+            const artists = new Set(savedTracks.map(trackData => trackData.artist));
+            const albums = new Map(savedTracks.map(trackData => [`${trackData.artist}\u0000${trackData.album}`, trackData]));
+
+            for (const artist of artists) {
+                await this.updateArtistCount(artist);
+            }
+            for (const trackData of albums.values()) {
+                await this.updateAlbumCount(trackData.album, trackData.artist, trackData.year);
+            }
+
+            return saved;
+        } catch (error) {
+            console.error('Error saving tracks:', error);
+            return tracks.map(() => false);
+        }
+    }
+
     async getAllTracks(limit = 100) {
         return await this.db.getAllTracks(limit);
     }
 
+    async getTrackFingerprints(directory) {
+        return await this.db.getTrackFingerprints(directory);
+    }
+
+    async getTrackFingerprintsForPaths(paths) {
+        return await this.db.getTrackFingerprintsForPaths(paths);
+    }
+
+    async getLibraryRoots() {
+        return await this.db.getLibraryRoots();
+    }
+
+    async recordLibraryRoot(directory) {
+        return await this.db.saveLibraryRoot(directory);
+    }
+
+    async getLibraryRoot(rootId) {
+        return await this.db.getLibraryRoot(rootId);
+    }
+
+    async addLibraryRoot(directory) {
+        return await this.db.addLibraryRoot(directory);
+    }
+
+    async deleteLibraryRoot(rootId) {
+        return await this.db.deleteLibraryRoot(rootId);
+    }
+
+    /**
+     * Rewrite the stored paths of a root that moved to a new location
+     * @param {Object} root - Root row ({id, path})
+     * @param {string} newPath - New root path
+     * @returns {Promise<number>} Number of tracks moved
+     */
+    async relocateLibraryRoot(root, newPath) {
+        if (!this.db.isReady()) {
+            throw new Error('Database not ready');
+        }
+
+        return await this.db.relocateLibraryRoot(root.id, root.path, newPath);
+    }
+
+    // Scan job log
+    async createScanJob(root, options = {}) {
+        return await this.db.createScanJob(root, options);
+    }
+
+    async updateScanJob(jobId, fields) {
+        return await this.db.updateScanJob(jobId, fields);
+    }
+
+    async getScanJob(jobId) {
+        return await this.db.getScanJob(jobId);
+    }
+
+    async getScanJobs(limit = 20) {
+        return await this.db.getScanJobs(limit);
+    }
+
+    async markInterruptedScanJobs() {
+        return await this.db.markInterruptedScanJobs();
+    }
+
+    async addScanJobErrors(jobId, errorDetails) {
+        return await this.db.addScanJobErrors(jobId, errorDetails);
+    }
+
+    async getScanJobErrors(jobId) {
+        return await this.db.getScanJobErrors(jobId);
+    }
+
+    async replaceScanJobErrors(jobId, filePaths, errorDetails) {
+        return await this.db.replaceScanJobErrors(jobId, filePaths, errorDetails);
+    }
+
+    // Scan ignore list
+    async getIgnoredPaths() {
+        return await this.db.getIgnoredPaths();
+    }
+
+    async addIgnoredPaths(paths) {
+        return await this.db.addIgnoredPaths(paths);
+    }
+
+    async removeIgnoredPaths(paths) {
+        return await this.db.removeIgnoredPaths(paths);
+    }
+
+    // Scan rules (extensions, exclude patterns, minimums, symlinks)
+    async getScanRules() {
+        return await this.db.getSetting('scan_rules');
+    }
+
+    async saveScanRules(rules) {
+        return await this.db.saveSetting('scan_rules', rules);
+    }
+
+    // Tag writeback
+    async getWritebackSettings() {
+        return await this.db.getSetting('tag_writeback');
+    }
+
+    async saveWritebackSettings(settings) {
+        return await this.db.saveSetting('tag_writeback', settings);
+    }
+
+    // Virtual (renderer-inferred) tag categories that are switched on
+    async getVirtualTagSettings() {
+        return await this.db.getSetting('virtual_tags');
+    }
+
+    async saveVirtualTagSettings(settings) {
+        return await this.db.saveSetting('virtual_tags', settings);
+    }
+
+    async findTrackId(track) {
+        return await this.db.findTrackId(track);
+    }
+
+    // Library-wide tag operations and their undo records
+    async previewTagOperation(tags) {
+        return await this.db.previewTagOperation(tags);
+    }
+
+    async applyTagOperation(type, changes, trackIds = null) {
+        return await this.db.applyTagOperation(type, changes, trackIds);
+    }
+
+    async batchEditTags(trackIds, edit) {
+        return await this.db.batchEditTags(trackIds, edit);
+    }
+
+    async undoTagOperation(operationId) {
+        return await this.db.undoTagOperation(operationId);
+    }
+
+    async getTagOperations(limit = 20) {
+        return await this.db.getTagOperations(limit);
+    }
+
+    async getTrackById(trackId) {
+        return await this.db.getTrackById(trackId);
+    }
+
+    async getTracksToAnalyze(limit, retryFailed = false) {
+        return await this.db.getTracksToAnalyze(limit, retryFailed);
+    }
+
+    async saveTrackAnalysis(trackId, contentHash, features, error = null) {
+        return await this.db.saveTrackAnalysis(trackId, contentHash, features, error);
+    }
+
+    async getAnalysisSummary() {
+        return await this.db.getAnalysisSummary();
+    }
+
+    async getTrackFileTags(trackId) {
+        return await this.db.getTrackFileTags(trackId);
+    }
+
+    async markWritebackPending(trackIds) {
+        return await this.db.markWritebackPending(trackIds);
+    }
+
+    async setWritebackStatus(trackId, status, details = {}) {
+        return await this.db.setWritebackStatus(trackId, status, details);
+    }
+
+    async getWritebackStatuses(status = null) {
+        return await this.db.getWritebackStatuses(status);
+    }
+
+    async getWritebackSummary() {
+        return await this.db.getWritebackSummary();
+    }
+
+    /**
+     * Move a known track to a new path without touching its metadata or tags
+     * @param {number} trackId - Track id
+     * @param {Object} fingerprint - {file_path, file_size, file_mtime, content_hash}
+     * @returns {Promise<boolean>}
+     */
+    async relocateTrack(trackId, fingerprint) {
+        if (!this.db.isReady()) {
+            throw new Error('Database not ready');
+        }
+
+        return await this.db.updateTrackLocation(trackId, fingerprint);
+    }
+
+    /**
+     * Mark tracks as available again after their files reappeared
+     * @param {Array<number>} trackIds - Track ids
+     * @returns {Promise<boolean>}
+     */
+    async restoreTracks(trackIds) {
+        if (trackIds.length === 0) return true;
+        const restored = await this.db.setTracksMissing(trackIds, false);
+        await this.db.refreshArtistAlbumCounts();
+        return restored;
+    }
+
+    /**
+     * Handle tracks whose files no longer exist
+     * @param {Array<number>} trackIds - Track ids
+     * @param {string} mode - 'mark' keeps the rows flagged as missing, 'delete' removes them
+     * @returns {Promise<boolean>}
+     */
+    async removeMissingTracks(trackIds, mode = 'mark') {
+        if (trackIds.length === 0) return true;
+
+        const removed = mode === 'delete'
+            ? await this.db.deleteTracks(trackIds)
+            : await this.db.setTracksMissing(trackIds, true);
+
+        // Business logic: artist/album counts only include available tracks
+        await this.db.refreshArtistAlbumCounts();
+        return removed;
+    }
+
     async updateArtistCount(artistName) {
         if (!this.db.isReady()) return false;
 
@@ -116,6 +373,40 @@ class TrackRepository extends ITrackRepository {
             return false;
         }
     }
+
+    /**
+     * Reload the tag rules if their file changed; scans call this once before saving tracks
+     */
+    refreshTagRules() {
+        if (this.enrichmentService) {
+            this.enrichmentService.refreshRules();
+        }
+    }
+
+    /**
+     * Apply the tag rules to tracks again, replacing the tags rules produced before.
+     * Tags added by the user or read from files are kept.
+     * @param {Array<number>|null} trackIds - Tracks to regenerate, or null for the whole library
+     * @returns {Promise<Object>} {tracks, tags: number of rule tags attached}
+     */
+    async regenerateTags(trackIds = null) {
+        if (!this.db.isReady()) {
+            throw new Error('Database not ready');
+        }
+        if (!this.enrichmentService) {
+            throw new Error('Tag generation is not available');
+        }
+
+        this.enrichmentService.refreshRules();
+        const tracks = await this.db.getTracksForTagRules(trackIds);
+        const updates = tracks.map(track => ({
+            trackId: track.id,
+            tags: this.enrichmentService.generateRuleTags(track)
+        }));
+        const tags = await this.db.replaceRuleTags(updates, TagGenerationService.LEGACY_CATEGORIES);
+
+        return { tracks: tracks.length, tags };
+    }
 }
 
 module.exports = TrackRepository; 
\ No newline at end of file
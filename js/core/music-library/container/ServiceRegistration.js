@@ -1,3 +1,4 @@
+const path = require('path');
 const DIContainer = require('./DIContainer');
 
 // Import services
@@ -7,7 +8,13 @@ const FileScanner = require('../components/FileScanner');
 const TrackRepository = require('../components/TrackRepository');
 const DatabaseScanService = require('../components/DatabaseScanService');
 const DatabaseSearchService = require('../components/DatabaseSearchService');
+const LibraryWatcher = require('../components/LibraryWatcher');
+const LibraryRootService = require('../components/LibraryRootService');
+const TagWritebackService = require('../components/TagWritebackService');
+const AudioAnalysisService = require('../components/AudioAnalysisService');
 const TagGenerationService = require('../services/TagGenerationService');
+const TagTaxonomyService = require('../services/TagTaxonomyService');
+const SmartCrateService = require('../services/SmartCrateService');
 const TrackEnrichmentService = require('../services/TrackEnrichmentService');
 
 /**
@@ -24,7 +31,15 @@ function configureServices(dbPath = null) {
     container.registerSingleton('fileScanner', () => new FileScanner(), []);
 
     // Business Logic Services (Singletons)
-    container.registerSingleton('tagGenerationService', () => new TagGenerationService(), []);
+    container.registerSingleton('tagTaxonomy', (db) => new TagTaxonomyService(db), ['databaseManager']);
+    container.registerSingleton('tagGenerationService', (db, taxonomy) =>
+        // The rules file sits next to the database; in-memory databases use the built-in rules
+        new TagGenerationService({
+            rulesPath: db.dbPath === ':memory:' ? null : path.join(path.dirname(db.dbPath), 'tag-rules.json'),
+            taxonomy
+        }),
+        ['databaseManager', 'tagTaxonomy']
+    );
     container.registerSingleton('trackEnrichmentService', (tagGen) => new TrackEnrichmentService(tagGen), ['tagGenerationService']);
 
     // Repository Layer (Singletons)
@@ -32,10 +47,21 @@ function configureServices(dbPath = null) {
 
     // Service Layer (Singletons)
     container.registerSingleton('searchEngine', (db) => new DatabaseSearchService(db), ['databaseManager']);
+    container.registerSingleton('smartCrates', (db) => new SmartCrateService(db), ['databaseManager']);
     container.registerSingleton('scanService', (repo, scanner, extractor) => 
         new DatabaseScanService(repo, scanner, extractor), 
         ['trackRepository', 'fileScanner', 'metadataExtractor']
     );
+    container.registerSingleton('libraryWatcher', (scanService, repo) => new LibraryWatcher(scanService, repo), ['scanService', 'trackRepository']);
+    container.registerSingleton('libraryRootService', (repo, scanService, watcher) =>
+        new LibraryRootService(repo, scanService, watcher),
+        ['trackRepository', 'scanService', 'libraryWatcher']
+    );
+    container.registerSingleton('tagWriteback', (repo, scanner, db) =>
+        new TagWritebackService(repo, scanner, { backupDir: path.join(path.dirname(db.dbPath), 'tag-backups') }),
+        ['trackRepository', 'fileScanner', 'databaseManager']
+    );
+    container.registerSingleton('audioAnalysis', (repo) => new AudioAnalysisService(repo), ['trackRepository']);
 
     return container;
 }
@@ -57,6 +83,8 @@ async function createInitializedContainer(dbPath = null) {
         throw new Error('Failed to initialize database');
     }
 
+    await container.resolve('tagTaxonomy').load();
+
     const metadataReady = await metadataExtractor.init();
     if (!metadataReady) {
         throw new Error('Failed to initialize metadata extractor');
@@ -13,9 +13,10 @@ class IScanService {
      * Scan directory for audio files and process them
      * @param {string} directory - Directory path to scan
      * @param {Function} progressCallback - Optional progress callback
+     * @param {Object} options - {missingFiles: 'mark'|'delete', concurrency, batchSize}
      * @returns {Promise<Object>} Scan results
      */
-    async scanDirectory(directory, progressCallback = null) {
+    async scanDirectory(directory, progressCallback = null, options = {}) {
         throw new Error("Method 'scanDirectory(directory, progressCallback)' must be implemented");
     }
 
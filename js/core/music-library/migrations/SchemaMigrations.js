@@ -0,0 +1,385 @@
+/**
+ * Schema Migrations
+ * Ordered list of schema changes for music_library.db.
+ *
+ * Each step runs once, inside its own transaction, when DatabaseManager.init()
+ * finds a schema_version lower than the step's version. Steps are append-only:
+ * never edit or reorder a released step, add a new one instead.
+ *
+ * `up(db)` receives an executor with promise-based `run`, `get` and `all`.
+ */
+const { tagUtils } = require('../../../utils/TagUtils');
+
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial schema: tracks, artists, albums',
+        async up(db) {
+            // IF NOT EXISTS: databases created before versioning already have these tables
+            await db.run(`CREATE TABLE IF NOT EXISTS tracks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                title TEXT NOT NULL,
+                artist TEXT NOT NULL,
+                album TEXT,
+                duration REAL,
+                file_path TEXT UNIQUE NOT NULL,
+                file_size INTEGER,
+                date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+                year INTEGER,
+                genre TEXT,
+                track_number INTEGER,
+                tags TEXT
+            )`);
+
+            await db.run(`CREATE TABLE IF NOT EXISTS artists (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                track_count INTEGER DEFAULT 0
+            )`);
+
+            await db.run(`CREATE TABLE IF NOT EXISTS albums (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                artist TEXT NOT NULL,
+                year INTEGER,
+                track_count INTEGER DEFAULT 0,
+                UNIQUE(name, artist)
+            )`);
+
+            await db.run(`CREATE INDEX IF NOT EXISTS idx_tracks_artist ON tracks(artist)`);
+            await db.run(`CREATE INDEX IF NOT EXISTS idx_tracks_album ON tracks(album)`);
+            await db.run(`CREATE INDEX IF NOT EXISTS idx_tracks_title ON tracks(title)`);
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalized tag tables replace the tracks.tags JSON column',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS tag_categories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL
+            )`);
+
+            await db.run(`CREATE TABLE IF NOT EXISTS tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                category_id INTEGER NOT NULL REFERENCES tag_categories(id) ON DELETE CASCADE,
+                value TEXT NOT NULL,
+                UNIQUE(category_id, value)
+            )`);
+
+            await db.run(`CREATE TABLE IF NOT EXISTS track_tags (
+                track_id INTEGER NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+                tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+                PRIMARY KEY (track_id, tag_id)
+            )`);
+
+            await db.run(`CREATE INDEX IF NOT EXISTS idx_track_tags_tag ON track_tags(tag_id)`);
+
+            const columns = await db.all('PRAGMA table_info(tracks)');
+            if (!columns.some(column => column.name === 'tags')) {
+                return;
+            }
+
+            // Legacy rows hold a JSON array or, from older imports, a comma separated list;
+            // parseTagsFromDatabase() reads both. "category:value" is split at the first colon,
+            // tags without a colon go to the empty category.
+            await db.run('CREATE TEMP TABLE legacy_tags (track_id INTEGER, category TEXT, value TEXT)');
+            const rows = await db.all(`SELECT id, tags FROM tracks WHERE tags IS NOT NULL AND tags != ''`);
+            for (const row of rows) {
+                for (const tag of tagUtils.parseTagsFromDatabase(row.tags)) {
+                    if (typeof tag !== 'string') continue;
+
+                    const colon = tag.indexOf(':');
+                    const category = colon >= 0 ? tag.slice(0, colon).trim() : '';
+                    const value = (colon >= 0 ? tag.slice(colon + 1) : tag).trim();
+                    if (value) {
+                        await db.run('INSERT INTO legacy_tags (track_id, category, value) VALUES (?, ?, ?)',
+                            [row.id, category, value]);
+                    }
+                }
+            }
+
+            await db.run(`INSERT OR IGNORE INTO tag_categories (name)
+                SELECT DISTINCT category FROM legacy_tags`);
+
+            await db.run(`INSERT OR IGNORE INTO tags (category_id, value)
+                SELECT DISTINCT c.id, l.value FROM legacy_tags l
+                JOIN tag_categories c ON c.name = l.category`);
+
+            await db.run(`INSERT OR IGNORE INTO track_tags (track_id, tag_id)
+                SELECT l.track_id, t.id FROM legacy_tags l
+                JOIN tag_categories c ON c.name = l.category
+                JOIN tags t ON t.category_id = c.id AND t.value = l.value`);
+
+            await db.run('DROP TABLE legacy_tags');
+            await db.run('DROP INDEX IF EXISTS idx_tracks_tags');
+            await db.run('ALTER TABLE tracks DROP COLUMN tags');
+        }
+    },
+    {
+        version: 3,
+        description: 'File fingerprints for incremental rescans',
+        async up(db) {
+            await db.run('ALTER TABLE tracks ADD COLUMN file_mtime INTEGER');
+            await db.run('ALTER TABLE tracks ADD COLUMN content_hash TEXT');
+            await db.run('ALTER TABLE tracks ADD COLUMN missing INTEGER NOT NULL DEFAULT 0');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_tracks_content_hash ON tracks(content_hash)');
+        }
+    },
+    {
+        version: 4,
+        description: 'Remember scanned library roots for folder watching',
+        async up(db) {
+            await db.run(`CREATE TABLE IF NOT EXISTS library_roots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                path TEXT UNIQUE NOT NULL,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_scanned_at DATETIME
+            )`);
+        }
+    },
+    {
+        version: 5,
+        description: 'Scan job log with per-job error details',
+        async up(db) {
+            // status: running | paused | interrupted | completed | cancelled | failed
+            // cursor: last file (in scan order) up to which every file has been saved
+            await db.run(`CREATE TABLE IF NOT EXISTS scan_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                root TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'running',
+                options TEXT,
+                total INTEGER DEFAULT 0,
+                processed INTEGER DEFAULT 0,
+                added INTEGER DEFAULT 0,
+                updated INTEGER DEFAULT 0,
+                moved INTEGER DEFAULT 0,
+                removed INTEGER DEFAULT 0,
+                unchanged INTEGER DEFAULT 0,
+                errors INTEGER DEFAULT 0,
+                cursor TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME
+            )`);
+
+            await db.run(`CREATE TABLE IF NOT EXISTS scan_job_errors (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_id INTEGER NOT NULL REFERENCES scan_jobs(id) ON DELETE CASCADE,
+                file_path TEXT NOT NULL,
+                file_name TEXT,
+                error_type TEXT,
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON scan_jobs(status)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_scan_job_errors_job ON scan_job_errors(job_id)');
+        }
+    },
+    {
+        version: 6,
+        description: 'Paths excluded from scanning',
+        async up(db) {
+            // A path ignores the file itself or, for a directory, everything below it
+            await db.run(`CREATE TABLE IF NOT EXISTS scan_ignore_paths (
+                path TEXT PRIMARY KEY,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 7,
+        description: 'Library settings',
+        async up(db) {
+            // One JSON value per key, e.g. scan_rules
+            await db.run(`CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 8,
+        description: 'Tag provenance and file writeback status',
+        async up(db) {
+            // scan: extracted or generated on scan, user: added in the app, file: read back from the file
+            await db.run(`ALTER TABLE track_tags ADD COLUMN source TEXT NOT NULL DEFAULT 'scan'`);
+
+            await db.run(`CREATE TABLE IF NOT EXISTS tag_writeback (
+                track_id INTEGER PRIMARY KEY REFERENCES tracks(id) ON DELETE CASCADE,
+                status TEXT NOT NULL,
+                tags TEXT,
+                error TEXT,
+                backup_path TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await db.run('CREATE INDEX IF NOT EXISTS idx_tag_writeback_status ON tag_writeback(status)');
+        }
+    },
+    {
+        version: 9,
+        description: 'Rule-generated tags and the track fields rules read',
+        async up(db) {
+            // Tags generated by the tag rules have source 'rule' and the id of the rule that produced them
+            await db.run('ALTER TABLE track_tags ADD COLUMN rule TEXT');
+
+            await db.run('ALTER TABLE tracks ADD COLUMN bitrate INTEGER');
+            await db.run('ALTER TABLE tracks ADD COLUMN bpm REAL');
+            await db.run('ALTER TABLE tracks ADD COLUMN musical_key TEXT');
+        }
+    },
+    {
+        version: 10,
+        description: 'Audio analysis results',
+        async up(db) {
+            // analysis_hash is the content_hash that was analyzed; a changed file is analyzed again
+            const columns = [
+                'analyzed_bpm REAL',
+                'camelot_key TEXT',
+                'loudness_lufs REAL',
+                'dynamic_range REAL',
+                'energy REAL',
+                'analyzed_at DATETIME',
+                'analysis_hash TEXT',
+                'analysis_error TEXT'
+            ];
+            for (const column of columns) {
+                await db.run(`ALTER TABLE tracks ADD COLUMN ${column}`);
+            }
+        }
+    },
+    {
+        version: 11,
+        description: 'Undo records for library-wide tag operations',
+        async up(db) {
+            // removed/added hold the track_tags links as JSON so an operation can be reverted exactly
+            await db.run(`CREATE TABLE IF NOT EXISTS tag_operations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type TEXT NOT NULL,
+                from_tags TEXT NOT NULL,
+                to_tags TEXT NOT NULL,
+                removed TEXT NOT NULL,
+                added TEXT NOT NULL,
+                track_count INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                undone_at DATETIME
+            )`);
+        }
+    },
+    {
+        version: 12,
+        description: 'Full-text index of tracks',
+        async up(db) {
+            // unicode61 with remove_diacritics folds accents, so "bjork" matches "Björk";
+            // tags are indexed as "category:value" strings, tokenized into their words
+            await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS tracks_fts USING fts5(
+                title, artist, album, genre, tags,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )`);
+
+            // Index rows are rebuilt whole from the tracks matching `where`; rowid is the track id
+            const insertRows = (where) => `
+                INSERT INTO tracks_fts (rowid, title, artist, album, genre, tags)
+                SELECT id, title, artist, album, genre, (
+                    SELECT group_concat(CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END, ' ')
+                    FROM track_tags tt
+                    JOIN tags t ON t.id = tt.tag_id
+                    JOIN tag_categories c ON c.id = t.category_id
+                    WHERE tt.track_id = tracks.id
+                ) FROM tracks ${where}`;
+            const refresh = (trackIds) => `
+                DELETE FROM tracks_fts WHERE rowid IN (${trackIds});
+                ${insertRows(`WHERE id IN (${trackIds})`)};`;
+
+            const triggers = {
+                tracks_fts_insert: ['AFTER INSERT ON tracks', refresh('new.id')],
+                tracks_fts_update: ['AFTER UPDATE OF title, artist, album, genre ON tracks', refresh('new.id')],
+                tracks_fts_delete: ['AFTER DELETE ON tracks', 'DELETE FROM tracks_fts WHERE rowid = old.id;'],
+                track_tags_fts_insert: ['AFTER INSERT ON track_tags', refresh('new.track_id')],
+                track_tags_fts_delete: ['AFTER DELETE ON track_tags', refresh('old.track_id')],
+                track_tags_fts_update: ['AFTER UPDATE OF track_id, tag_id ON track_tags', refresh('old.track_id, new.track_id')],
+                // Renamed tag values and categories change the text of every track that has them
+                tags_fts_update: [
+                    'AFTER UPDATE OF value, category_id ON tags',
+                    refresh('SELECT track_id FROM track_tags WHERE tag_id = new.id')
+                ],
+                tag_categories_fts_update: [
+                    'AFTER UPDATE OF name ON tag_categories',
+                    refresh('SELECT tt.track_id FROM track_tags tt JOIN tags t ON t.id = tt.tag_id WHERE t.category_id = new.id')
+                ]
+            };
+            for (const [name, [event, body]] of Object.entries(triggers)) {
+                await db.run(`CREATE TRIGGER IF NOT EXISTS ${name} ${event} BEGIN ${body} END`);
+            }
+
+            await db.run('DELETE FROM tracks_fts');
+            await db.run(insertRows(''));
+        }
+    },
+    {
+        version: 13,
+        description: 'Vocabulary of the full-text index',
+        async up(db) {
+            // One row per indexed word with the number of tracks containing it, for typo-tolerant search
+            await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS tracks_fts_vocab USING fts5vocab(tracks_fts, 'row')`);
+        }
+    },
+    {
+        version: 14,
+        description: 'Smart crates',
+        async up(db) {
+            // A crate stores what it looks for, not its tracks: query text, "category:value" tags
+            // and facet filters as JSON, run again whenever the crate is read
+            await db.run(`CREATE TABLE IF NOT EXISTS smart_crates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+                query TEXT NOT NULL DEFAULT '',
+                tags TEXT NOT NULL DEFAULT '[]',
+                filters TEXT NOT NULL DEFAULT '{}',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+        }
+    },
+    {
+        version: 15,
+        description: 'Defer full-text index rebuilds during track writes',
+        async up(db) {
+            // While the flag row exists, track and tag row triggers leave tracks_fts alone;
+            // DatabaseManager sets it around a scanned track's writes and rebuilds the row once at the end
+            await db.run(`CREATE TABLE IF NOT EXISTS tracks_fts_deferred (
+                id INTEGER PRIMARY KEY CHECK (id = 1)
+            )`);
+
+            const refresh = (trackIds) => `
+                DELETE FROM tracks_fts WHERE rowid IN (${trackIds});
+                INSERT INTO tracks_fts (rowid, title, artist, album, genre, tags)
+                SELECT id, title, artist, album, genre, (
+                    SELECT group_concat(CASE WHEN c.name = '' THEN t.value ELSE c.name || ':' || t.value END, ' ')
+                    FROM track_tags tt
+                    JOIN tags t ON t.id = tt.tag_id
+                    JOIN tag_categories c ON c.id = t.category_id
+                    WHERE tt.track_id = tracks.id
+                ) FROM tracks WHERE id IN (${trackIds});`;
+
+            const triggers = {
+                tracks_fts_insert: ['AFTER INSERT ON tracks', refresh('new.id')],
+                tracks_fts_update: ['AFTER UPDATE OF title, artist, album, genre ON tracks', refresh('new.id')],
+                track_tags_fts_insert: ['AFTER INSERT ON track_tags', refresh('new.track_id')],
+                track_tags_fts_delete: ['AFTER DELETE ON track_tags', refresh('old.track_id')],
+                track_tags_fts_update: ['AFTER UPDATE OF track_id, tag_id ON track_tags', refresh('old.track_id, new.track_id')]
+            };
+            for (const [name, [event, body]] of Object.entries(triggers)) {
+                await db.run(`DROP TRIGGER IF EXISTS ${name}`);
+                await db.run(`CREATE TRIGGER ${name} ${event}
+                    WHEN NOT EXISTS (SELECT 1 FROM tracks_fts_deferred)
+                    BEGIN ${body} END`);
+            }
+        }
+    }
+];
+
+module.exports = SCHEMA_MIGRATIONS;
@@ -0,0 +1,96 @@
+const { searchQuery } = require('../../../utils/SearchQuery');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * SmartCrateService
+ *
+ * Named searches and tag selections kept in the library sidebar. A crate stores the query, the
+ * tags and the facet filters it was saved with, never a track list, so its tracks and count follow
+ * the library as tracks are scanned, retagged or removed.
+ */
+class SmartCrateService {
+    constructor(databaseManager) {
+        this.db = databaseManager;
+    }
+
+    /**
+     * Validate a crate as saved from the sidebar
+     * @param {Object} crate - {name, query, tags, filters}
+     * @returns {Object} {name, query, tags, filters} trimmed, tags without duplicates
+     * @throws {Error} When the name is missing, the query does not parse or there is nothing to match
+     */
+    static normalize(crate) {
+        if (!crate || typeof crate !== 'object') {
+            throw new Error('A smart crate must be an object');
+        }
+
+        const name = typeof crate.name === 'string' ? crate.name.trim() : '';
+        if (!name) {
+            throw new Error('A smart crate needs a name');
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new Error(`Crate names are limited to ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const query = typeof crate.query === 'string' ? crate.query.trim() : '';
+        const { errors } = searchQuery.parse(query);
+        if (errors.length > 0) {
+            throw new Error(`Crate "${name}": ${errors.map(error => error.message).join(', ')}`);
+        }
+
+        if (crate.tags !== undefined && !Array.isArray(crate.tags)) {
+            throw new Error(`Crate "${name}": tags must be a list`);
+        }
+        const tags = [...new Set((crate.tags || [])
+            .map(tag => String(tag).trim())
+            .filter(Boolean))];
+
+        if (!query && tags.length === 0) {
+            throw new Error(`Crate "${name}" needs a search query or tags`);
+        }
+
+        // Only facets with selected values are kept
+        const filters = {};
+        Object.entries(crate.filters || {}).forEach(([facet, filter]) => {
+            if (filter && Array.isArray(filter.values) && filter.values.length > 0) {
+                filters[facet] = { values: [...filter.values], all: filter.all === true };
+            }
+        });
+
+        return { name, query, tags, filters };
+    }
+
+    async getCrates() {
+        return await this.db.getSmartCrates();
+    }
+
+    /**
+     * @param {Object} crate - {name, query, tags, filters}
+     * @returns {Promise<Object>} Saved crate with its track count
+     * @throws {Error} When the crate is invalid
+     */
+    async save(crate) {
+        return await this.db.saveSmartCrate(SmartCrateService.normalize(crate));
+    }
+
+    async delete(crateId) {
+        return await this.db.deleteSmartCrate(crateId);
+    }
+
+    async getTracks(crateId, limit = 100) {
+        return await this.db.getSmartCrateTracks(crateId, limit);
+    }
+
+    /**
+     * The crate definitions as JSON, without ids or counts, to share or keep as a backup
+     * @returns {Promise<string>} JSON
+     */
+    async exportJson() {
+        const crates = await this.db.getSmartCrates();
+        const definitions = crates.map(({ name, query, tags, filters }) => ({ name, query, tags, filters }));
+        return JSON.stringify({ crates: definitions }, null, 2) + '\n';
+    }
+}
+
+module.exports = SmartCrateService;
@@ -1,76 +1,328 @@
+const fs = require('fs');
+const AudioAnalyzer = require('../components/AudioAnalyzer');
+
+/**
+ * Rules shipped with the app, written to the rules file the first time it is missing.
+ *
+ * Each rule has an id, optional conditions and the tags it produces. Conditions are keyed by
+ * track field and must all hold: {exists}, {equals}, {in: [...]}, {matches: "regex"} (case
+ * insensitive) and {min, max} (min inclusive, max exclusive). Tags may use {field} placeholders;
+ * a tag whose placeholder has no value is skipped.
+ *
+ * Fields: title, artist, album, genre, year, decade, duration (s), bitrate (kbps), bpm, key (as tagged),
+ * camelot (e.g. 8a), energy (0-1), loudness (LUFS), dynamic_range (dB), extension. bpm falls back to
+ * the analyzed tempo and camelot to the analyzed key when the file has none.
+ */
+const DEFAULT_TAG_RULES = {
+    rules: [
+        { id: 'genre', when: { genre: { exists: true } }, tags: ['genre:{genre}'] },
+        { id: 'format', when: { extension: { exists: true } }, tags: ['format:{extension}'] },
+        { id: 'lossless', when: { extension: { in: ['flac', 'wav', 'aiff', 'aif', 'alac', 'ape'] } }, tags: ['quality:lossless'] },
+        { id: 'lossy', when: { extension: { in: ['mp3', 'aac', 'm4a', 'ogg', 'opus', 'wma'] } }, tags: ['quality:lossy'] },
+        { id: 'bitrate', when: { bitrate: { exists: true } }, tags: ['bitrate:{bitrate}k'] },
+        { id: 'era', when: { decade: { exists: true } }, tags: ['era:{decade}'] },
+        { id: 'length-short', when: { duration: { min: 1, max: 180 } }, tags: ['length:short'] },
+        { id: 'length-long', when: { duration: { min: 420 } }, tags: ['length:long'] },
+        { id: 'tempo-slow', when: { bpm: { min: 1, max: 90 } }, tags: ['tempo:slow'] },
+        { id: 'tempo-medium', when: { bpm: { min: 90, max: 120 } }, tags: ['tempo:medium'] },
+        { id: 'tempo-fast', when: { bpm: { min: 120 } }, tags: ['tempo:fast'] },
+        { id: 'workout', when: { bpm: { min: 125, max: 180 } }, tags: ['occasion:workout'] },
+        { id: 'key', when: { camelot: { exists: true } }, tags: ['key:{camelot}'] },
+        { id: 'key-text', when: { camelot: { exists: false }, key: { exists: true } }, tags: ['key:{key}'] },
+        { id: 'key-minor', when: { camelot: { matches: 'a$' } }, tags: ['mood:dark'] },
+        { id: 'key-major', when: { camelot: { matches: 'b$' } }, tags: ['mood:bright'] },
+        { id: 'energy-high', when: { energy: { min: 0.66 } }, tags: ['energy:high', 'intensity:powerful'] },
+        { id: 'energy-medium', when: { energy: { min: 0.33, max: 0.66 } }, tags: ['energy:medium'] },
+        { id: 'energy-low', when: { energy: { max: 0.33 } }, tags: ['energy:low', 'intensity:gentle'] },
+        { id: 'dynamics-compressed', when: { dynamic_range: { max: 6 } }, tags: ['dynamics:compressed'] },
+        { id: 'dynamics-wide', when: { dynamic_range: { min: 14 } }, tags: ['dynamics:wide'] },
+        {
+            id: 'genre-high-energy',
+            when: {
+                energy: { exists: false },
+                genre: { matches: 'rock|metal|punk|techno|house|trance|drum|dnb|dubstep|edm|dance|hardcore' }
+            },
+            tags: ['energy:high', 'intensity:powerful']
+        },
+        {
+            id: 'genre-low-energy',
+            when: {
+                energy: { exists: false },
+                genre: { matches: 'ambient|classical|folk|acoustic|chill|lounge|new age|downtempo' }
+            },
+            tags: ['energy:low', 'intensity:gentle', 'vibe:chill']
+        },
+        { id: 'genre-groove', when: { genre: { matches: 'jazz|blues|soul|r&b|funk|disco' } }, tags: ['vibe:groovy'] },
+        { id: 'genre-party', when: { genre: { matches: 'house|techno|trance|disco|dance|edm|reggaeton' } }, tags: ['occasion:party'] },
+        { id: 'genre-focus', when: { genre: { matches: 'ambient|classical|lo-?fi|instrumental' } }, tags: ['occasion:study'] }
+    ]
+};
+
+const RULE_FIELDS = [
+    'title', 'artist', 'album', 'genre', 'year', 'decade', 'duration', 'bitrate', 'bpm', 'key',
+    'camelot', 'energy', 'loudness', 'dynamic_range', 'extension'
+];
+
 /**
  * TagGenerationService
- * 
- * Responsible for generating synthetic tags for tracks
- * Ensures balanced distribution and quality assessment
+ *
+ * Responsible for generating tags for tracks from their metadata.
+ * Tags come from a user-editable rules file, so the same track always gets the same tags
+ * and every generated tag can be traced back to the rule that produced it.
  */
 class TagGenerationService {
-    constructor() {
-        // Core music categorization tags (guaranteed to be populated)
-        this.coreTagCategories = {
-            emotion: ['happy', 'sad', 'romantic', 'energetic', 'melancholic', 'joyful', 'nostalgic', 'mysterious', 'uplifting', 'contemplative', 'passionate', 'dreamy', 'serene', 'intense', 'peaceful'],
-            energy: ['high', 'medium', 'low', 'vibrant', 'calm', 'intense', 'relaxed', 'explosive', 'gentle', 'dynamic', 'mellow', 'powerful', 'subdued'],
-            mood: ['bright', 'dark', 'neutral', 'cheerful', 'somber', 'playful', 'serious', 'whimsical', 'dramatic', 'peaceful', 'aggressive', 'tender', 'optimistic', 'introspective'],
-            style: ['rock', 'pop', 'jazz', 'classical', 'electronic', 'folk', 'blues', 'reggae', 'country', 'funk', 'soul', 'indie', 'alternative', 'ambient', 'experimental'],
-            intensity: ['powerful', 'gentle', 'moderate', 'fierce', 'subtle', 'overwhelming', 'delicate', 'strong', 'soft', 'crushing', 'smooth', 'bold', 'refined'],
-            tempo: ['fast', 'slow', 'medium', 'upbeat', 'ballad', 'driving', 'relaxed', 'rushing', 'steady', 'variable', 'hypnotic', 'rhythmic', 'flowing'],
-            vibe: ['chill', 'groovy', 'atmospheric', 'edgy', 'smooth', 'raw', 'polished', 'organic', 'warm', 'cold', 'spacey', 'intimate', 'epic', 'minimal'],
-            occasion: ['party', 'study', 'workout', 'relaxation', 'driving', 'morning', 'evening', 'weekend', 'work', 'travel', 'romance', 'meditation', 'focus', 'celebration']
-        };
+    static DEFAULT_RULES = DEFAULT_TAG_RULES;
 
-        // Additional descriptive categories (fewer tags per category)
-        this.descriptiveTagCategories = {
-            rating: ['discovered', 'liked', 'favorite', 'hidden-gem', 'classic', 'underrated', 'popular', 'recommended'],
-            weather: ['sunny', 'rainy', 'cloudy', 'stormy', 'clear', 'spring', 'summer', 'autumn', 'winter'],
-            era: ['modern', '2020s', '2010s', '2000s', '90s', '80s', 'classic', 'contemporary', 'timeless']
-        };
+    // Categories the previous random generator filled. Tags in them stored with source 'scan'
+    // predate the rules and are dropped when tags are regenerated.
+    static LEGACY_CATEGORIES = [
+        'emotion', 'energy', 'mood', 'style', 'intensity', 'tempo', 'vibe', 'occasion',
+        'rating', 'weather', 'era', 'quality', 'bitrate', 'genre'
+    ];
+
+    /**
+     * @param {Object} options - {rulesPath: JSON rules file; the built-in rules are used without one,
+     *                             taxonomy: TagTaxonomyService for the tag categories}
+     */
+    constructor(options = {}) {
+        this.rulesPath = options.rulesPath || null;
+        this.taxonomy = options.taxonomy || null;
+        this.rules = TagGenerationService.normalizeRules(DEFAULT_TAG_RULES);
+        this.rulesError = null;
+        this.rulesMtime = null;
     }
 
     /**
-     * Generate synthetic tags for a track
-     * @param {Object} trackData - Track data to influence tag generation
-     * @returns {Array} Array of synthetic tags in "category:value" format
+     * Validate rules as read from JSON
+     * @param {Object} config - {rules: Array}
+     * @returns {Array<Object>} Rules with compiled conditions
+     * @throws {Error} When a rule is malformed
      */
-    generateSyntheticTags(trackData = {}) {
-        const syntheticTags = [];
-
-        // CORE CATEGORIES: Always add 2-4 tags to ensure rich categorization
-        Object.entries(this.coreTagCategories).forEach(([category, tagList]) => {
-            const numTags = Math.floor(Math.random() * 3) + 2; // 2-4 tags per core category
-            
-            // Shuffle and pick random tags
-            const shuffledTags = [...tagList].sort(() => Math.random() - 0.5);
-            const selectedTags = shuffledTags.slice(0, Math.min(numTags, tagList.length));
-            
-            // Add to synthetic tags with category prefix
-            selectedTags.forEach(tag => {
-                syntheticTags.push(`${category}:${tag}`);
+    static normalizeRules(config) {
+        if (!config || !Array.isArray(config.rules)) {
+            throw new Error('Tag rules must be an object with a "rules" array');
+        }
+
+        const ids = new Set();
+        return config.rules.map((rule, index) => {
+            const label = rule && rule.id ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+            if (!rule || typeof rule.id !== 'string' || !rule.id.trim()) {
+                throw new Error(`${label} needs an id`);
+            }
+            if (ids.has(rule.id)) {
+                throw new Error(`${label} is defined twice`);
+            }
+            ids.add(rule.id);
+
+            if (!Array.isArray(rule.tags) || rule.tags.length === 0 || !rule.tags.every(tag => typeof tag === 'string')) {
+                throw new Error(`${label} needs a non-empty "tags" array`);
+            }
+
+            const conditions = Object.entries(rule.when || {}).map(([field, condition]) => {
+                if (!RULE_FIELDS.includes(field)) {
+                    throw new Error(`${label}: unknown field "${field}"`);
+                }
+                if (!condition || typeof condition !== 'object') {
+                    throw new Error(`${label}: condition on "${field}" must be an object`);
+                }
+
+                let pattern = null;
+                if (condition.matches !== undefined) {
+                    try {
+                        pattern = new RegExp(condition.matches, 'i');
+                    } catch (error) {
+                        throw new Error(`${label}: invalid pattern for "${field}": ${error.message}`);
+                    }
+                }
+                return { field, condition, pattern };
             });
+
+            return { id: rule.id, description: rule.description || '', tags: rule.tags, conditions };
         });
+    }
+
+    /**
+     * Read the rules file, creating it with the built-in rules when it does not exist.
+     * A broken file keeps the previously loaded rules in use and is reported through rulesError.
+     * @returns {Array<Object>} Loaded rules
+     * @throws {Error} When the file cannot be read or holds invalid rules
+     */
+    loadRules() {
+        if (!this.rulesPath) {
+            return this.rules;
+        }
+
+        try {
+            if (!fs.existsSync(this.rulesPath)) {
+                fs.writeFileSync(this.rulesPath, JSON.stringify(DEFAULT_TAG_RULES, null, 2) + '\n');
+            }
+            const mtime = fs.statSync(this.rulesPath).mtimeMs;
+
+            let config;
+            try {
+                config = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`${this.rulesPath} is not valid JSON: ${error.message}`);
+            }
+
+            this.rules = TagGenerationService.normalizeRules(config);
+            this.rulesMtime = mtime;
+            this.rulesError = null;
+            return this.rules;
+        } catch (error) {
+            this.rulesMtime = null;
+            this.rulesError = error.message;
+            throw error;
+        }
+    }
+
+    /**
+     * Reload the rules when the rules file changed since it was last read. Called once at the
+     * start of a scan or regeneration run rather than for every track.
+     * @returns {Array<Object>} Rules
+     */
+    refreshRules() {
+        if (!this.rulesPath) {
+            return this.rules;
+        }
+
+        const stats = fs.statSync(this.rulesPath, { throwIfNoEntry: false });
+        if (!stats || stats.mtimeMs !== this.rulesMtime) {
+            try {
+                this.loadRules();
+            } catch (error) {
+                // Keep tagging with the last good rules; rulesError tells the UI what is wrong
+                console.error('Error loading tag rules:', error.message);
+                this.rulesMtime = stats ? stats.mtimeMs : null;
+            }
+        }
+        return this.rules;
+    }
 
-        // DESCRIPTIVE CATEGORIES: Add 1-2 tags
-        Object.entries(this.descriptiveTagCategories).forEach(([category, tagList]) => {
-            const numTags = Math.floor(Math.random() * 2) + 1; // 1-2 tags per descriptive category
-            
-            // Shuffle and pick random tags
-            const shuffledTags = [...tagList].sort(() => Math.random() - 0.5);
-            const selectedTags = shuffledTags.slice(0, Math.min(numTags, tagList.length));
-            
-            // Add to synthetic tags with category prefix
-            selectedTags.forEach(tag => {
-                syntheticTags.push(`${category}:${tag}`);
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * Describe the rules in use
+     * @returns {Object} {path, rules: [{id, description, when, tags}], error}
+     */
+    getRulesInfo() {
+        const rules = this.refreshRules();
+        return {
+            path: this.rulesPath,
+            rules: rules.map(rule => ({
+                id: rule.id,
+                description: rule.description,
+                when: Object.fromEntries(rule.conditions.map(({ field, condition }) => [field, condition])),
+                tags: rule.tags
+            })),
+            error: this.rulesError
+        };
+    }
+
+    /**
+     * Values the rules can test, from track data as scanned or as stored
+     * @param {Object} trackData - Track data
+     * @returns {Object} Field values; missing values are null
+     */
+    static getRuleFields(trackData = {}) {
+        const text = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null);
+        const finite = (value) => {
+            if (value === null || value === undefined || value === '') return null;
+            const parsed = typeof value === 'number' ? value : parseFloat(value);
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+        const number = (value) => (finite(value) > 0 ? finite(value) : null);
+        const bpm = number(trackData.bpm) || number(trackData.analyzed_bpm);
+        const camelot = AudioAnalyzer.toCamelot(trackData.musical_key) || text(trackData.camelot_key);
+        const energy = finite(trackData.energy);
+
+        const year = number(trackData.year);
+        let decade = null;
+        if (year) {
+            const start = Math.floor(year / 10) * 10;
+            decade = start < 2000 ? `${String(start).slice(2)}s` : `${start}s`;
+        }
+
+        const fileName = (trackData.file_path || '').split(/[\\/]/).pop();
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : null;
+
+        return {
+            title: text(trackData.title),
+            artist: text(trackData.artist),
+            album: text(trackData.album),
+            genre: text(trackData.genre),
+            year: year ? Math.floor(year) : null,
+            decade,
+            duration: number(trackData.duration),
+            bitrate: number(trackData.bitrate) ? Math.round(number(trackData.bitrate)) : null,
+            bpm: bpm ? Math.round(bpm) : null,
+            key: text(trackData.musical_key),
+            camelot: camelot ? camelot.toLowerCase() : null,
+            energy: energy === null ? null : Math.round(energy * 100) / 100,
+            loudness: finite(trackData.loudness_lufs),
+            dynamic_range: finite(trackData.dynamic_range),
+            extension
+        };
+    }
+
+    static matchesCondition(value, { condition, pattern }) {
+        const present = value !== null && value !== undefined;
+        if (condition.exists !== undefined && present !== Boolean(condition.exists)) return false;
+        if (!present) return condition.exists === false;
+
+        const comparable = typeof value === 'string' ? value : String(value);
+        if (condition.equals !== undefined && comparable !== String(condition.equals).toLowerCase()) return false;
+        if (Array.isArray(condition.in) && !condition.in.map(item => String(item).toLowerCase()).includes(comparable)) return false;
+        if (pattern && !pattern.test(comparable)) return false;
+        if (condition.min !== undefined && !(Number(value) >= condition.min)) return false;
+        if (condition.max !== undefined && !(Number(value) < condition.max)) return false;
+        return true;
+    }
+
+    /**
+     * Apply the rules to a track
+     * @param {Object} trackData - Track data
+     * @returns {Array<Object>} {tag, rule}, one entry per tag, attributed to the first rule producing it
+     */
+    generateTags(trackData = {}) {
+        const fields = TagGenerationService.getRuleFields(trackData);
+        const generated = new Map();
+
+        this.getRules().forEach(rule => {
+            const matches = rule.conditions.every(condition =>
+                TagGenerationService.matchesCondition(fields[condition.field], condition)
+            );
+            if (!matches) return;
+
+            rule.tags.forEach(template => {
+                let complete = true;
+                const tag = template.replace(/\{(\w+)\}/g, (placeholder, field) => {
+                    const value = fields[field];
+                    if (value === null || value === undefined) {
+                        complete = false;
+                        return '';
+                    }
+                    return String(value);
+                }).trim().toLowerCase();
+
+                if (complete && tag && !generated.has(tag)) {
+                    generated.set(tag, rule.id);
+                }
             });
         });
 
-        // QUALITY TAGS: Always add quality assessment based on file properties
-        const qualityTags = this.generateQualityTags(trackData);
-        syntheticTags.push(...qualityTags);
-
-        // GENRE TAGS: Infer from existing genre or add generic ones
-        const genreTags = this.generateGenreTags(trackData);
-        syntheticTags.push(...genreTags);
+        return Array.from(generated, ([tag, rule]) => ({ tag, rule }));
+    }
 
-        return syntheticTags;
+    /**
+     * Generate tags for a track
+     * @param {Object} trackData - Track data to derive the tags from
+     * @returns {Array} Array of tags in "category:value" format
+     */
+    generateSyntheticTags(trackData = {}) {
+        return this.generateTags(trackData).map(({ tag }) => tag);
     }
 
     /**
@@ -79,85 +331,37 @@ class TagGenerationService {
      * @returns {Array} Quality-related tags
      */
     generateQualityTags(trackData) {
-        const qualityTags = [];
-        
-        // Always add a general quality assessment
-        const qualityLevels = ['excellent', 'good', 'standard', 'high', 'premium', 'studio'];
-        const randomQuality = qualityLevels[Math.floor(Math.random() * qualityLevels.length)];
-        qualityTags.push(`quality:${randomQuality}`);
-        
-        // Add format-based quality if file info available
-        if (trackData.file_path) {
-            const extension = trackData.file_path.split('.').pop().toLowerCase();
-            
-            if (['flac', 'wav', 'aiff'].includes(extension)) {
-                qualityTags.push('quality:lossless');
-                qualityTags.push('format:uncompressed');
-            } else if (['mp3', 'aac', 'm4a', 'ogg'].includes(extension)) {
-                qualityTags.push('quality:compressed');
-                qualityTags.push('format:lossy');
-            }
-            
-            // Add format tag
-            qualityTags.push(`format:${extension}`);
-        } else {
-            // Default quality tags when no file info
-            qualityTags.push('quality:digital');
-            qualityTags.push('format:audio');
-        }
-        
-        // Add bitrate estimation
-        const bitrateEstimates = ['320k', '256k', '192k', 'variable', 'high-bitrate'];
-        const randomBitrate = bitrateEstimates[Math.floor(Math.random() * bitrateEstimates.length)];
-        qualityTags.push(`bitrate:${randomBitrate}`);
-        
-        return qualityTags;
+        return this.generateSyntheticTags(trackData)
+            .filter(tag => /^(quality|format|bitrate):/.test(tag));
     }
 
     /**
-     * Generate genre tags based on existing metadata or defaults
+     * Generate genre tags based on existing metadata
      * @param {Object} trackData - Track data
      * @returns {Array} Genre-related tags
      */
     generateGenreTags(trackData) {
-        const genreTags = [];
-        
-        // Use existing genre if available
-        if (trackData.genre && trackData.genre.trim()) {
-            const cleanGenre = trackData.genre.toLowerCase().trim();
-            genreTags.push(`genre:${cleanGenre}`);
-            genreTags.push(`style:${cleanGenre}`);
-        } else {
-            // Add random genre tags
-            const genericGenres = ['alternative', 'indie', 'contemporary', 'modern', 'eclectic', 'fusion', 'crossover'];
-            const randomGenre = genericGenres[Math.floor(Math.random() * genericGenres.length)];
-            genreTags.push(`genre:${randomGenre}`);
-        }
-        
-        return genreTags;
+        return this.generateSyntheticTags(trackData)
+            .filter(tag => tag.startsWith('genre:'));
     }
 
     /**
      * Get available tag categories
-     * @returns {Object} Object with core and descriptive categories
+     * @returns {Array<string>} Category names from the taxonomy, by priority
      */
     getTagCategories() {
-        return {
-            core: Object.keys(this.coreTagCategories),
-            descriptive: Object.keys(this.descriptiveTagCategories)
-        };
+        return this.taxonomy ? this.taxonomy.getCategoryNames() : [];
     }
 
     /**
-     * Get all possible tags for a category
+     * Get the suggested values of a category
      * @param {string} category - Category name
-     * @returns {Array} Array of possible tags for the category
+     * @returns {Array} Values listed for the category in the taxonomy
      */
     getTagsForCategory(category) {
-        return this.coreTagCategories[category] || 
-               this.descriptiveTagCategories[category] || 
-               [];
+        const entry = this.taxonomy ? this.taxonomy.getCategory(category) : null;
+        return entry ? entry.values : [];
     }
 }
 
-module.exports = TagGenerationService;
\ No newline at end of file
+module.exports = TagGenerationService;
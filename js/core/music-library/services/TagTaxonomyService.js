@@ -0,0 +1,219 @@
+const SETTING_KEY = 'tag_taxonomy';
+const CATEGORY_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+const COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Taxonomy used until the user saves their own.
+ *
+ * Each category has a name (the part before ":" in a tag), a label, a color, a priority
+ * (lower sorts first and branches first), suggested values, whether values outside that list
+ * may be used (freeValues) and whether its tags are followed when growing the tree (branching).
+ */
+const DEFAULT_TAXONOMY = {
+    categories: [
+        {
+            name: 'emotion', label: 'Emotion', color: '#ff6b6b', priority: 1, freeValues: true, branching: true,
+            values: ['happy', 'sad', 'romantic', 'energetic', 'melancholic', 'joyful', 'nostalgic', 'mysterious', 'uplifting', 'contemplative', 'passionate', 'dreamy', 'serene', 'intense', 'peaceful']
+        },
+        {
+            name: 'energy', label: 'Energy', color: '#4ecdc4', priority: 2, freeValues: true, branching: true,
+            values: ['high', 'medium', 'low', 'vibrant', 'calm', 'intense', 'relaxed', 'explosive', 'gentle', 'dynamic', 'mellow', 'powerful', 'subdued']
+        },
+        {
+            name: 'mood', label: 'Mood', color: '#45b7d1', priority: 3, freeValues: true, branching: true,
+            values: ['bright', 'dark', 'neutral', 'cheerful', 'somber', 'playful', 'serious', 'whimsical', 'dramatic', 'peaceful', 'aggressive', 'tender', 'optimistic', 'introspective']
+        },
+        {
+            name: 'style', label: 'Style', color: '#96ceb4', priority: 4, freeValues: true, branching: true,
+            values: ['rock', 'pop', 'jazz', 'classical', 'electronic', 'folk', 'blues', 'reggae', 'country', 'funk', 'soul', 'indie', 'alternative', 'ambient', 'experimental']
+        },
+        { name: 'genre', label: 'Genre', color: '#2ed573', priority: 5, freeValues: true, branching: true, values: [] },
+        {
+            name: 'intensity', label: 'Intensity', color: '#54a0ff', priority: 6, freeValues: true, branching: true,
+            values: ['powerful', 'gentle', 'moderate', 'fierce', 'subtle', 'overwhelming', 'delicate', 'strong', 'soft', 'crushing', 'smooth', 'bold', 'refined']
+        },
+        {
+            name: 'tempo', label: 'Tempo', color: '#00d2d3', priority: 7, freeValues: true, branching: true,
+            values: ['fast', 'slow', 'medium', 'upbeat', 'ballad', 'driving', 'relaxed', 'rushing', 'steady', 'variable', 'hypnotic', 'rhythmic', 'flowing']
+        },
+        {
+            name: 'vibe', label: 'Vibe', color: '#ff6348', priority: 8, freeValues: true, branching: true,
+            values: ['chill', 'groovy', 'atmospheric', 'edgy', 'smooth', 'raw', 'polished', 'organic', 'warm', 'cold', 'spacey', 'intimate', 'epic', 'minimal']
+        },
+        {
+            name: 'rating', label: 'Rating', color: '#5f27cd', priority: 9, freeValues: true, branching: false,
+            values: ['discovered', 'liked', 'favorite', 'hidden-gem', 'classic', 'underrated', 'popular', 'recommended']
+        },
+        {
+            name: 'occasion', label: 'Occasion', color: '#feca57', priority: 10, freeValues: true, branching: true,
+            values: ['party', 'study', 'workout', 'relaxation', 'driving', 'morning', 'evening', 'weekend', 'work', 'travel', 'romance', 'meditation', 'focus', 'celebration']
+        },
+        {
+            name: 'weather', label: 'Weather', color: '#ff9ff3', priority: 11, freeValues: true, branching: true,
+            values: ['sunny', 'rainy', 'cloudy', 'stormy', 'clear', 'spring', 'summer', 'autumn', 'winter', 'night']
+        },
+        {
+            name: 'era', label: 'Era', color: '#ffa502', priority: 12, freeValues: true, branching: true,
+            values: ['modern', '2020s', '2010s', '2000s', '90s', '80s', '70s', '60s', 'classic', 'contemporary', 'timeless']
+        },
+        { name: 'key', label: 'Key', color: '#e056fd', priority: 13, freeValues: true, branching: true, values: [] },
+        { name: 'quality', label: 'Quality', color: '#57606f', priority: 14, freeValues: true, branching: false, values: ['lossless', 'lossy'] },
+        { name: 'format', label: 'Format', color: '#a4b0be', priority: 15, freeValues: true, branching: false, values: [] },
+        { name: 'bitrate', label: 'Bitrate', color: '#2f3542', priority: 16, freeValues: true, branching: false, values: [] },
+        { name: 'length', label: 'Length', color: '#7bed9f', priority: 17, freeValues: true, branching: false, values: ['short', 'long'] },
+        { name: 'dynamics', label: 'Dynamics', color: '#70a1ff', priority: 18, freeValues: true, branching: false, values: ['compressed', 'wide'] },
+        { name: 'source', label: 'Source', color: '#747d8c', priority: 19, freeValues: true, branching: false, values: [] }
+    ]
+};
+
+/**
+ * TagTaxonomyService
+ *
+ * The tag categories of the library: colors, sort and branching priority, suggested values and
+ * whether other values are allowed. Stored in the settings table and kept in memory, so the
+ * tag generator and the renderer read one definition instead of their own hardcoded lists.
+ */
+class TagTaxonomyService {
+    static DEFAULT_TAXONOMY = DEFAULT_TAXONOMY;
+
+    constructor(databaseManager) {
+        this.db = databaseManager;
+        this.taxonomy = TagTaxonomyService.normalize(DEFAULT_TAXONOMY);
+    }
+
+    /**
+     * Validate a taxonomy as saved from the editor or imported from JSON
+     * @param {Object} taxonomy - {categories: Array}
+     * @returns {Object} Taxonomy with defaults filled in, categories sorted by priority
+     * @throws {Error} When a category is malformed
+     */
+    static normalize(taxonomy) {
+        if (!taxonomy || !Array.isArray(taxonomy.categories)) {
+            throw new Error('Tag taxonomy must be an object with a "categories" array');
+        }
+
+        const names = new Set();
+        const categories = taxonomy.categories.map((category, index) => {
+            const name = category && typeof category.name === 'string' ? category.name.trim().toLowerCase() : '';
+            const label = name ? `Category "${name}"` : `Category #${index + 1}`;
+            if (!CATEGORY_NAME.test(name)) {
+                throw new Error(`${label} needs a name of lowercase letters, digits, "-" or "_"`);
+            }
+            if (names.has(name)) {
+                throw new Error(`${label} is defined twice`);
+            }
+            names.add(name);
+
+            const color = category.color === undefined ? '#95a5a6' : category.color;
+            if (typeof color !== 'string' || !COLOR.test(color)) {
+                throw new Error(`${label}: color must look like #1a2b3c`);
+            }
+            const priority = category.priority === undefined ? index + 1 : Number(category.priority);
+            if (!Number.isFinite(priority)) {
+                throw new Error(`${label}: priority must be a number`);
+            }
+            if (category.values !== undefined && !Array.isArray(category.values)) {
+                throw new Error(`${label}: values must be a list`);
+            }
+
+            const values = [...new Set((category.values || [])
+                .map(value => String(value).trim().toLowerCase())
+                .filter(Boolean))];
+
+            return {
+                name,
+                label: typeof category.label === 'string' && category.label.trim()
+                    ? category.label.trim()
+                    : name.charAt(0).toUpperCase() + name.slice(1),
+                color: color.toLowerCase(),
+                priority,
+                values,
+                freeValues: category.freeValues !== false,
+                branching: category.branching !== false
+            };
+        });
+
+        categories.sort((a, b) => a.priority - b.priority);
+        return { categories };
+    }
+
+    /**
+     * Read the saved taxonomy; an invalid one is reported and the defaults stay in use
+     * @returns {Promise<Object>} Taxonomy
+     */
+    async load() {
+        const stored = await this.db.getSetting(SETTING_KEY);
+        if (stored) {
+            try {
+                this.taxonomy = TagTaxonomyService.normalize(stored);
+            } catch (error) {
+                console.error('Invalid tag taxonomy stored, using the defaults:', error.message);
+            }
+        }
+        return this.taxonomy;
+    }
+
+    getTaxonomy() {
+        return this.taxonomy;
+    }
+
+    /**
+     * @param {Object} taxonomy - {categories: Array}
+     * @returns {Promise<Object>} Saved taxonomy
+     * @throws {Error} When the taxonomy is invalid or could not be stored
+     */
+    async save(taxonomy) {
+        const normalized = TagTaxonomyService.normalize(taxonomy);
+        if (!(await this.db.saveSetting(SETTING_KEY, normalized))) {
+            throw new Error('Could not save the tag taxonomy');
+        }
+        this.taxonomy = normalized;
+        return normalized;
+    }
+
+    /**
+     * @param {string} text - Taxonomy JSON
+     * @returns {Promise<Object>} Saved taxonomy
+     * @throws {Error} When the JSON or the taxonomy is invalid
+     */
+    async importJson(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Taxonomy file is not valid JSON: ${error.message}`);
+        }
+        return await this.save(parsed);
+    }
+
+    exportJson() {
+        return JSON.stringify(this.taxonomy, null, 2) + '\n';
+    }
+
+    getCategory(name) {
+        return this.taxonomy.categories.find(category => category.name === name) || null;
+    }
+
+    getCategoryNames() {
+        return this.taxonomy.categories.map(category => category.name);
+    }
+
+    /**
+     * Check a tag against its category
+     * @param {string} tag - Tag in "category:value" form
+     * @returns {string|null} Why the tag is not allowed, or null
+     */
+    validateTag(tag) {
+        const separator = typeof tag === 'string' ? tag.indexOf(':') : -1;
+        if (separator <= 0) return null;
+
+        const category = this.getCategory(tag.slice(0, separator).trim().toLowerCase());
+        const value = tag.slice(separator + 1).trim().toLowerCase();
+        if (category && !category.freeValues && !category.values.includes(value)) {
+            return `"${value}" is not one of the values allowed for ${category.label}: ${category.values.join(', ')}`;
+        }
+        return null;
+    }
+}
+
+module.exports = TagTaxonomyService;
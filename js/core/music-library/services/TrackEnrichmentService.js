@@ -1,7 +1,9 @@
+const { tagUtils } = require('../../../utils/TagUtils');
+
 /**
  * TrackEnrichmentService
  * 
- * Responsible for enriching track data with synthetic tags and additional metadata
+ * Responsible for enriching track data with rule-generated tags and additional metadata
  * Separates the enrichment logic from the repository layer
  */
 class TrackEnrichmentService {
@@ -10,27 +12,51 @@ class TrackEnrichmentService {
     }
 
     /**
-     * Enrich track data with synthetic tags for better categorization
+     * Enrich track data with rule-generated tags for better categorization
      * @param {Object} trackData - Original track data
-     * @returns {Object} Track data with synthetic tags added
+     * @returns {Object} Track data with generated tags added, and tag_rules mapping
+     *                   each generated tag to the rule that produced it
      */
     enrichTrackData(trackData) {
         // Parse existing tags
         let existingTags = this.parseExistingTags(trackData.tags);
 
-        // Generate synthetic tags using TagGenerationService
-        const syntheticTags = this.tagGenerationService.generateSyntheticTags(trackData);
+        // Generate tags using TagGenerationService
+        const generated = this.tagGenerationService.generateTags(trackData);
         
-        // Combine existing + synthetic (remove duplicates)
-        const allTags = [...new Set([...existingTags, ...syntheticTags])];
+        // Combine existing + generated (remove duplicates); extracted tags keep their own provenance
+        const allTags = [...new Set([...existingTags, ...generated.map(({ tag }) => tag)])];
+        const tagRules = {};
+        generated.forEach(({ tag, rule }) => {
+            if (!existingTags.includes(tag)) {
+                tagRules[tag] = rule;
+            }
+        });
         
         // Return enriched track data
         return {
             ...trackData,
-            tags: JSON.stringify(allTags)
+            tags: JSON.stringify(allTags),
+            tag_rules: tagRules
         };
     }
 
+    /**
+     * Pick up edits to the tag rules file before tagging a batch of tracks
+     */
+    refreshRules() {
+        this.tagGenerationService.refreshRules();
+    }
+
+    /**
+     * Generate a track's tags without merging them into its existing tags
+     * @param {Object} trackData - Track data
+     * @returns {Array<Object>} {tag, rule}
+     */
+    generateRuleTags(trackData) {
+        return this.tagGenerationService.generateTags(trackData);
+    }
+
     /**
      * Parse existing tags from various formats
      * @param {string|Array} tags - Tags in string or array format
@@ -68,7 +94,7 @@ class TrackEnrichmentService {
     }
 
     /**
-     * Add specific tags to a track without regenerating all synthetic tags
+     * Add specific tags to a track without regenerating all generated tags
      * @param {Object} trackData - Track data
      * @param {Array} newTags - Array of new tags to add
      * @returns {Object} Track data with new tags added
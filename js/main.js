@@ -203,6 +203,15 @@ class Application {
             console.warn('TrackNodesService not found - skipping registration');
         }
         
+        if (typeof TrackSelectionService !== 'undefined') {
+            this.serviceManager.registerService('selection', TrackSelectionService, [], {
+                required: false,
+                autoStart: true
+            });
+        } else {
+            console.warn('TrackSelectionService not found - skipping registration');
+        }
+        
         if (typeof DragDropService !== 'undefined') {
             this.serviceManager.registerService('dragdrop', DragDropService, ['data', 'tracknodes'], {
                 required: false,
@@ -297,6 +306,22 @@ class Application {
         });
         
         
+        // Re-render the library tree after the folder watcher synced files
+        this.eventBus.on('library:changed', async () => {
+            if (typeof Utils !== 'undefined' && Utils.renderMusicLibrary) {
+                await Utils.renderMusicLibrary();
+            }
+        });
+
+        // Inferred tags were switched on or off, tag colors and categories changed, or tags were renamed library-wide
+        ['tags:virtual-changed', 'tags:taxonomy-changed', 'tags:bulk-changed'].forEach(eventName => {
+            this.eventBus.on(eventName, async () => {
+                if (typeof Utils !== 'undefined' && Utils.renderMusicLibrary) {
+                    await Utils.renderMusicLibrary();
+                }
+            });
+        });
+        
         // State synchronization events
         this.eventBus.on('state:sync', (data) => {
             const { path, value } = data;
@@ -322,6 +347,71 @@ class Application {
                 this.statsComponent = new StatsComponent('scanStats', this.eventBus);
                 window.GlobalStatsComponent = this.statsComponent;
             }
+
+            // Initialize ScanErrorsComponent
+            if (typeof ScanErrorsComponent !== 'undefined') {
+                this.scanErrorsComponent = new ScanErrorsComponent('scanErrors', this.eventBus);
+            }
+
+            // Initialize ScanSettingsComponent
+            if (typeof ScanSettingsComponent !== 'undefined') {
+                this.scanSettingsComponent = new ScanSettingsComponent('scanSettings', this.eventBus);
+            }
+
+            // Initialize LibraryRootsComponent
+            if (typeof LibraryRootsComponent !== 'undefined') {
+                this.libraryRootsComponent = new LibraryRootsComponent('libraryRoots', this.eventBus);
+            }
+
+            // Initialize TagWritebackComponent
+            if (typeof TagWritebackComponent !== 'undefined') {
+                this.tagWritebackComponent = new TagWritebackComponent('tagWriteback', this.eventBus);
+            }
+
+            // Initialize TagRulesComponent
+            if (typeof TagRulesComponent !== 'undefined') {
+                this.tagRulesComponent = new TagRulesComponent('tagRules', this.eventBus);
+            }
+
+            // Initialize TagTaxonomyComponent
+            if (typeof TagTaxonomyComponent !== 'undefined') {
+                this.tagTaxonomyComponent = new TagTaxonomyComponent('tagTaxonomy', this.eventBus);
+            }
+
+            // Initialize BatchTagsComponent
+            if (typeof BatchTagsComponent !== 'undefined') {
+                this.batchTagsComponent = new BatchTagsComponent('batchTags', this.eventBus);
+            }
+
+            // Initialize TagManagerComponent
+            if (typeof TagManagerComponent !== 'undefined') {
+                this.tagManagerComponent = new TagManagerComponent('tagManager', this.eventBus);
+            }
+
+            // Initialize TagGraphComponent
+            if (typeof TagGraphComponent !== 'undefined') {
+                this.tagGraphComponent = new TagGraphComponent('tagGraph', this.eventBus);
+            }
+
+            // Initialize SearchFacetsComponent
+            if (typeof SearchFacetsComponent !== 'undefined') {
+                this.searchFacetsComponent = new SearchFacetsComponent('searchFacets', this.eventBus);
+            }
+
+            // Initialize SmartCratesComponent
+            if (typeof SmartCratesComponent !== 'undefined') {
+                this.smartCratesComponent = new SmartCratesComponent('smartCrates', this.eventBus);
+            }
+
+            // Initialize VirtualTagsComponent
+            if (typeof VirtualTagsComponent !== 'undefined') {
+                this.virtualTagsComponent = new VirtualTagsComponent('virtualTags', this.eventBus);
+            }
+
+            // Initialize AudioAnalysisComponent
+            if (typeof AudioAnalysisComponent !== 'undefined') {
+                this.audioAnalysisComponent = new AudioAnalysisComponent('audioAnalysis', this.eventBus);
+            }
             
         } catch (error) {
             // Don't throw - app can still work with services
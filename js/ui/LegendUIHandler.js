@@ -8,8 +8,9 @@ window.LegendUIHandler = (() => {
      * Render legend in the DOM
      * @param {Object} categorizedTags - Tags grouped by category
      * @param {Function} onCategoryClick - Optional callback (deprecated - use UIService events instead)
+     * @param {Array<string>} derivedTags - Tags that are only inferred, never stored
      */
-    function renderLegend(categorizedTags, onCategoryClick = null) {
+    function renderLegend(categorizedTags, onCategoryClick = null, derivedTags = []) {
         const legendContainer = document.querySelector('.color-legend');
         if (!legendContainer) {
             return;
@@ -50,7 +51,7 @@ window.LegendUIHandler = (() => {
         } else {
             // Render each category
             Object.entries(categorizedTags).forEach(([category, tags]) => {
-                renderLegendItem(itemsContainer, category, tags, onCategoryClick);
+                renderLegendItem(itemsContainer, category, tags, onCategoryClick, derivedTags);
             });
 
             // Show total count
@@ -100,8 +101,9 @@ window.LegendUIHandler = (() => {
      * @param {string} category - Category name
      * @param {Array} tags - Array of tag values
      * @param {Function} onCategoryClick - Optional click handler (deprecated)
+     * @param {Array<string>} derivedTags - Tags that are only inferred, never stored
      */
-    function renderLegendItem(container, category, tags, onCategoryClick = null) {
+    function renderLegendItem(container, category, tags, onCategoryClick = null, derivedTags = []) {
         const legendItem = document.createElement('div');
         legendItem.className = 'legend-item';
         legendItem.dataset.category = category;
@@ -112,9 +114,18 @@ window.LegendUIHandler = (() => {
         }) : [];
         legendItem.dataset.tags = JSON.stringify(tagValues);
 
+        // Inferred-only values are marked in the popup; a category with nothing stored is marked here
+        const derived = Array.isArray(tags) ? tags.filter(tag => derivedTags.includes(tag)) : [];
+        legendItem.dataset.derived = JSON.stringify(derived.map(tag => tagUtils.parseTag(tag).value));
+        if (derived.length > 0 && derived.length === tags.length) {
+            legendItem.classList.add('legend-derived');
+            legendItem.title = 'Inferred tags only, nothing stored';
+        }
+
         // Color indicator with original class structure
         const colorIndicator = document.createElement('div');
         colorIndicator.className = `legend-color legend-${category}`;
+        colorIndicator.style.background = tagUtils.getCategoryColor(category);
         
         // Category name
         const categoryName = document.createElement('span');
@@ -195,27 +206,10 @@ window.LegendUIHandler = (() => {
      * @returns {string} Display name
      */
     function getCategoryDisplayName(category) {
-        const displayNames = {
-            other: 'Technical',
-            format: 'Format',
-            quality: 'Quality', 
-            bitrate: 'Bitrate',
-            source: 'Source',
-            era: 'Era',
-            emotion: 'Emotion',
-            energy: 'Energy',
-            mood: 'Mood',
-            style: 'Style',
-            genre: 'Genre',
-            intensity: 'Intensity',
-            tempo: 'Tempo',
-            vibe: 'Vibe',
-            rating: 'Rating',
-            occasion: 'Occasion',
-            weather: 'Weather'
-        };
-        
-        return displayNames[category] || category.charAt(0).toUpperCase() + category.slice(1);
+        if (category === 'other') {
+            return 'Technical';
+        }
+        return tagUtils.getCategoryLabel(category);
     }
     
     // Public API
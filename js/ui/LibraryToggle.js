@@ -24,6 +24,10 @@ window.LibraryToggle = (() => {
                 updateTagsList();
             });
             
+            window.App.eventBus.on('library:changed', () => {
+                updateTagsList();
+            });
+            
             window.App.eventBus.on('services:initialized', () => {
                 updateTagsList();
             });
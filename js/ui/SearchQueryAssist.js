@@ -0,0 +1,258 @@
+/**
+ * SearchQueryAssist - Inline help for the query language in the search field
+ * Underlines the parts of the query that do not parse, lists the error messages below the field,
+ * and suggests fields, tag categories and values for the term under the cursor.
+ */
+window.SearchQueryAssist = (() => {
+    const MAX_SUGGESTIONS = 8;
+    // Fields whose values the renderer's tracks carry
+    const VALUE_FIELDS = ['artist', 'album'];
+
+    function getUsage() {
+        const dataService = window.serviceManager?.getService('data');
+        return dataService ? dataService.getTagUsage() : Promise.resolve([]);
+    }
+
+    function quote(value) {
+        return /[\s()"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    }
+
+    /**
+     * Attach the assist to the search field
+     * @param {HTMLInputElement} input - Search field
+     * @param {Object} options - {getTracks: async () => tracks, for value suggestions}
+     * @returns {Object} {showErrors, clear, destroy}
+     */
+    function attach(input, options = {}) {
+        const { getTracks = async () => [] } = options;
+        let usage = [];
+        let tracks = [];
+        let items = [];
+        let active = -1;
+        let term = null;
+
+        // Mirror of the input text behind it; only the error marks are visible
+        const highlight = document.createElement('div');
+        highlight.className = 'search-query-highlight';
+        highlight.setAttribute('aria-hidden', 'true');
+        input.before(highlight);
+
+        const messages = document.createElement('div');
+        messages.className = 'search-query-errors';
+        messages.hidden = true;
+
+        const list = document.createElement('div');
+        list.className = 'tag-autocomplete search-query-suggestions';
+        list.hidden = true;
+
+        const container = input.parentNode;
+        container.after(messages);
+        container.appendChild(list);
+
+        /**
+         * Underline errors and list their messages
+         * @param {Array<Object>} errors - [{message, start, end}] as returned by SearchQuery.parse()
+         */
+        function showErrors(errors) {
+            const text = input.value;
+            const sorted = [...errors].sort((a, b) => a.start - b.start);
+            highlight.innerHTML = '';
+
+            let position = 0;
+            sorted.forEach(({ start, end }) => {
+                if (start < position) return;
+                highlight.appendChild(document.createTextNode(text.slice(position, start)));
+                const mark = document.createElement('mark');
+                // An empty range still shows where the problem is
+                mark.textContent = text.slice(start, Math.max(end, start + 1)) || ' ';
+                highlight.appendChild(mark);
+                position = Math.max(end, start + 1);
+            });
+            highlight.appendChild(document.createTextNode(text.slice(position)));
+            highlight.scrollLeft = input.scrollLeft;
+
+            messages.textContent = sorted.map(error => error.message).join(' · ');
+            messages.hidden = sorted.length === 0;
+            input.classList.toggle('has-errors', sorted.length > 0);
+        }
+
+        function hide() {
+            items = [];
+            active = -1;
+            list.hidden = true;
+        }
+
+        function render() {
+            list.innerHTML = '';
+            items.forEach((item, index) => {
+                const row = document.createElement('div');
+                row.className = 'tag-autocomplete-item' + (index === active ? ' active' : '');
+                row.textContent = item.label;
+                if (item.hint) {
+                    const hint = document.createElement('span');
+                    hint.className = 'tag-autocomplete-count';
+                    hint.textContent = item.hint;
+                    row.appendChild(hint);
+                }
+                // mousedown keeps the focus in the input
+                row.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    accept(index);
+                });
+                list.appendChild(row);
+            });
+            list.hidden = items.length === 0;
+        }
+
+        function suggestFields(text) {
+            const prefix = text.toLowerCase();
+            const fields = Object.entries(searchQuery.fields)
+                .filter(([name]) => name.startsWith(prefix))
+                .map(([name, field]) => ({ label: `${name}:`, insert: `${name}:`, hint: field.description }));
+            const categories = [...tagUtils.getKnownCategories(usage)]
+                .filter(([category]) => category && category.startsWith(prefix) && !searchQuery.fields[category])
+                .sort((a, b) => b[1] - a[1])
+                .map(([category, count]) => ({ label: `${category}:`, insert: `${category}:`, hint: `tag · ${count}` }));
+            return [...fields, ...categories];
+        }
+
+        function suggestValues(field, text) {
+            const prefix = text.replace(/^"/, '').toLowerCase();
+            const definition = searchQuery.fields[field];
+
+            if (!definition) {
+                return tagUtils.suggestTags(`${field}:${prefix}`, usage, MAX_SUGGESTIONS)
+                    .filter(({ tag }) => tag.startsWith(`${field}:`))
+                    .map(({ tag, count }) => {
+                        const value = tag.slice(field.length + 1);
+                        return { label: value, insert: `${field}:${quote(value)} `, hint: count > 0 ? String(count) : '' };
+                    });
+            }
+
+            if (!VALUE_FIELDS.includes(field)) {
+                // Numbers, durations and the other text fields: show the syntax instead of values
+                return prefix ? [] : [{ label: definition.description, insert: null }];
+            }
+
+            const counts = new Map();
+            tracks.forEach(track => {
+                const value = track[field];
+                if (value && String(value).toLowerCase().includes(prefix)) {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                }
+            });
+            return [...counts]
+                .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+                .map(([value, count]) => ({ label: value, insert: `${field}:${quote(String(value))} `, hint: String(count) }));
+        }
+
+        function update() {
+            term = searchQuery.getTermAt(input.value, input.selectionStart);
+            const separator = term.text.indexOf(':');
+            if (!term.text || term.text === 'OR') {
+                hide();
+                return;
+            }
+
+            items = (separator < 0
+                ? suggestFields(term.text)
+                : suggestValues(term.text.slice(0, separator).toLowerCase(), term.text.slice(separator + 1))
+            ).slice(0, MAX_SUGGESTIONS);
+            active = -1;
+            render();
+        }
+
+        function accept(index) {
+            const item = items[index];
+            if (!item || !item.insert) {
+                hide();
+                return;
+            }
+
+            const text = input.value;
+            const rest = text.slice(term.end);
+            input.value = text.slice(0, term.start) + item.insert + (item.insert.endsWith(' ') ? rest.replace(/^\s+/, '') : rest);
+            const cursor = term.start + item.insert.length;
+            input.setSelectionRange(cursor, cursor);
+            input.focus();
+            // Let the search and the highlight see the new text; a field keeps the list open for its values
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            if (!item.insert.endsWith(':')) hide();
+        }
+
+        function move(step) {
+            if (items.length === 0) return;
+            active = (active + step + items.length) % items.length;
+            render();
+        }
+
+        const onFocus = async () => {
+            try {
+                [usage, tracks] = await Promise.all([getUsage(), getTracks()]);
+            } catch (error) {
+                usage = [];
+                tracks = [];
+            }
+            usage = usage || [];
+            tracks = tracks || [];
+        };
+
+        const onInput = () => {
+            showErrors(searchQuery.parse(input.value).errors);
+            update();
+        };
+
+        const onKeydown = (e) => {
+            if (list.hidden) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                move(e.key === 'ArrowDown' ? 1 : -1);
+            } else if ((e.key === 'Tab' && items.length > 0) || (e.key === 'Enter' && active >= 0)) {
+                e.preventDefault();
+                accept(active >= 0 ? active : 0);
+            } else if (e.key === 'Escape') {
+                // The first Escape closes the list, the next one clears the search
+                e.stopImmediatePropagation();
+                hide();
+            }
+        };
+
+        const onScroll = () => {
+            highlight.scrollLeft = input.scrollLeft;
+        };
+
+        const onBlur = () => setTimeout(hide, 150);
+
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('spellcheck', 'false');
+        input.addEventListener('focus', onFocus);
+        input.addEventListener('input', onInput);
+        input.addEventListener('keydown', onKeydown);
+        input.addEventListener('keyup', onScroll);
+        input.addEventListener('scroll', onScroll);
+        input.addEventListener('blur', onBlur);
+
+        function clear() {
+            hide();
+            showErrors([]);
+        }
+
+        function destroy() {
+            input.removeEventListener('focus', onFocus);
+            input.removeEventListener('input', onInput);
+            input.removeEventListener('keydown', onKeydown);
+            input.removeEventListener('keyup', onScroll);
+            input.removeEventListener('scroll', onScroll);
+            input.removeEventListener('blur', onBlur);
+            highlight.remove();
+            messages.remove();
+            list.remove();
+        }
+
+        return { showErrors, clear, destroy };
+    }
+
+    return {
+        attach
+    };
+})();
@@ -0,0 +1,171 @@
+/**
+ * TagAutocomplete - Suggestions and validation for the add-tag inputs
+ * Suggests categories and values from the library's tags ranked by usage, normalizes what is
+ * typed, and asks for a second Enter before adding a tag whose category is unknown.
+ */
+window.TagAutocomplete = (() => {
+    const MAX_SUGGESTIONS = 8;
+
+    function getUsage() {
+        const dataService = window.serviceManager?.getService('data');
+        return dataService ? dataService.getTagUsage() : Promise.resolve([]);
+    }
+
+    /**
+     * Attach autocomplete to an input
+     * @param {HTMLInputElement} input - Add-tag input
+     * @returns {Object} {resolve, destroy}; resolve() returns the tag to add, or null while a warning is shown
+     */
+    function attach(input) {
+        let usage = [];
+        let items = [];
+        let active = -1;
+        let confirmed = null;
+
+        const list = document.createElement('div');
+        list.className = 'tag-autocomplete';
+        list.hidden = true;
+        // Clicks in the list must not reach the track node or tooltip around it
+        list.addEventListener('click', (e) => e.stopPropagation());
+
+        function show() {
+            // The list sits right after the input so it stays inside hover tooltips
+            if (!list.isConnected && input.parentNode) input.after(list);
+            list.hidden = items.length === 0 && !list.dataset.warning;
+        }
+
+        function hide() {
+            items = [];
+            active = -1;
+            delete list.dataset.warning;
+            list.hidden = true;
+        }
+
+        function render(warning = null) {
+            list.innerHTML = '';
+            if (warning) {
+                list.dataset.warning = warning;
+                const message = document.createElement('div');
+                message.className = 'tag-autocomplete-warning';
+                message.textContent = warning;
+                list.appendChild(message);
+            } else {
+                delete list.dataset.warning;
+            }
+
+            items.forEach((item, index) => {
+                const row = document.createElement('div');
+                row.className = 'tag-autocomplete-item' + (index === active ? ' active' : '');
+                row.textContent = item.tag;
+                if (item.count > 0) {
+                    const count = document.createElement('span');
+                    count.className = 'tag-autocomplete-count';
+                    count.textContent = item.count;
+                    row.appendChild(count);
+                }
+                // mousedown keeps the focus in the input
+                row.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    accept(index);
+                });
+                list.appendChild(row);
+            });
+            show();
+        }
+
+        function update() {
+            confirmed = null;
+            items = tagUtils.suggestTags(input.value, usage, MAX_SUGGESTIONS);
+            active = -1;
+            render();
+        }
+
+        function accept(index) {
+            input.value = items[index].tag;
+            input.focus();
+            // A category keeps the list open for its values
+            if (input.value.endsWith(':')) {
+                update();
+            } else {
+                hide();
+            }
+        }
+
+        function move(step) {
+            if (items.length === 0) return;
+            active = (active + step + items.length) % items.length;
+            render(list.dataset.warning || null);
+        }
+
+        const onFocus = async () => {
+            try {
+                usage = await getUsage() || [];
+            } catch (error) {
+                usage = [];
+            }
+            if (input.value) update();
+        };
+
+        const onKeydown = (e) => {
+            if (list.hidden) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                move(e.key === 'ArrowDown' ? 1 : -1);
+            } else if ((e.key === 'Tab' && items.length > 0) || (e.key === 'Enter' && active >= 0)) {
+                // Handled here, the input's own Enter handler does not add the partial tag
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                accept(active >= 0 ? active : 0);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                hide();
+            }
+        };
+
+        const onBlur = () => setTimeout(hide, 150);
+
+        input.setAttribute('autocomplete', 'off');
+        input.addEventListener('focus', onFocus);
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', onKeydown);
+        input.addEventListener('blur', onBlur);
+
+        /**
+         * The normalized tag to add, or null after showing why it is not added yet
+         * Pressing Enter again on a tag with an unknown category adds it anyway
+         */
+        function resolve() {
+            const { tag, warning, suggestion } = tagUtils.checkTag(input.value, usage);
+            const canConfirm = tag.includes(':') && tag.split(':')[1];
+
+            if (!warning || (canConfirm && confirmed === tag)) {
+                input.value = tag;
+                hide();
+                return tag;
+            }
+
+            input.value = tag;
+            confirmed = canConfirm ? tag : null;
+            items = suggestion ? [{ tag: suggestion, count: 0 }] : [];
+            // Enter takes the suggested category for a bare value; for an unknown category it confirms, Tab takes the suggestion
+            active = items.length > 0 && !canConfirm ? 0 : -1;
+            render(canConfirm ? `${warning}. Press Enter again to add it anyway` : warning);
+            return null;
+        }
+
+        function destroy() {
+            input.removeEventListener('focus', onFocus);
+            input.removeEventListener('input', update);
+            input.removeEventListener('keydown', onKeydown);
+            input.removeEventListener('blur', onBlur);
+            list.remove();
+        }
+
+        return { resolve, destroy };
+    }
+
+    return {
+        attach
+    };
+})();
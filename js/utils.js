@@ -266,6 +266,7 @@ const Utils = {
                                 album: track.album || album.name,
                                 duration: track.duration || '',
                                 tags: Array.isArray(track.tags) ? track.tags : [],
+                                derivedTags: track.derivedTags || {},
                                 source: track.source || 'database'
                             };
                             
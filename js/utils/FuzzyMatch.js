@@ -0,0 +1,149 @@
+/**
+ * FuzzyMatch - Typo-tolerant word matching shared by search, result highlighting and tag input
+ * The main process uses the edit distance to find indexed words close to a misspelled one,
+ * TagUtils to suggest the known category closest to a mistyped one; the renderer uses the
+ * spans to highlight where a result matched.
+ * Text is folded like the full-text index does it: lowercase, without diacritics.
+ */
+class FuzzyMatch {
+    /**
+     * Lowercase text without diacritics, with the position of each folded character in the original
+     * @param {string} text - Text
+     * @returns {Object} {folded, offsets}; offsets has one extra entry for the end of the text
+     */
+    fold(text) {
+        const source = String(text || '');
+        let folded = '';
+        const offsets = [];
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            for (let j = 0; j < char.length; j++) {
+                folded += char[j];
+                offsets.push(i);
+            }
+        }
+        offsets.push(source.length);
+        return { folded, offsets };
+    }
+
+    /**
+     * Words of a text as the full-text index sees them
+     * @param {string} text - Text
+     * @returns {Array<string>} Folded words
+     */
+    words(text) {
+        return this.fold(text).folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    /**
+     * Most edits a word of this length may be away from a match
+     */
+    maxDistance(word) {
+        if (word.length < 4) return 0;
+        return word.length < 7 ? 1 : 2;
+    }
+
+    /**
+     * Damerau-Levenshtein distance (optimal string alignment): insertions, deletions,
+     * substitutions and swaps of adjacent letters, so "bjrok" is one edit from "bjork"
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Stop counting past this distance
+     * @returns {number} Distance, or max + 1 when it is larger than max
+     */
+    distance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Where words occur in a text, at word starts
+     * @param {string} text - Text to search
+     * @param {Array<Object>} words - [{word, prefix}]: folded words; prefix also matches longer words
+     * @returns {Array<Array<number>>} Merged [start, end] spans in the original text
+     */
+    findSpans(text, words) {
+        const { folded, offsets } = this.fold(text);
+        const spans = [];
+
+        words.forEach(({ word, prefix }) => {
+            if (!word) return;
+            let index = folded.indexOf(word);
+            while (index >= 0) {
+                const end = index + word.length;
+                const atStart = index === 0 || !/[\p{L}\p{N}]/u.test(folded[index - 1]);
+                const atEnd = prefix || end === folded.length || !/[\p{L}\p{N}]/u.test(folded[end]);
+                if (atStart && atEnd) {
+                    spans.push([offsets[index], offsets[end]]);
+                }
+                index = folded.indexOf(word, index + 1);
+            }
+        });
+
+        return this.mergeSpans(spans);
+    }
+
+    /**
+     * Where a text contains a phrase anywhere, ignoring case and diacritics
+     * @returns {Array<Array<number>>} [start, end] spans in the original text
+     */
+    findSubstring(text, phrase) {
+        const { folded, offsets } = this.fold(text);
+        const needle = this.fold(phrase).folded;
+        const spans = [];
+        let index = needle ? folded.indexOf(needle) : -1;
+        while (index >= 0) {
+            spans.push([offsets[index], offsets[index + needle.length]]);
+            index = folded.indexOf(needle, index + needle.length);
+        }
+        return spans;
+    }
+
+    mergeSpans(spans) {
+        return spans
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, span) => {
+                const last = merged[merged.length - 1];
+                if (last && span[0] <= last[1]) {
+                    last[1] = Math.max(last[1], span[1]);
+                } else {
+                    merged.push([...span]);
+                }
+                return merged;
+            }, []);
+    }
+}
+
+// Shared instance
+const fuzzyMatch = new FuzzyMatch();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FuzzyMatch;
+    module.exports.fuzzyMatch = fuzzyMatch;
+}
+
+// Available globally in the browser
+if (typeof window !== 'undefined') {
+    window.FuzzyMatch = FuzzyMatch;
+    window.fuzzyMatch = fuzzyMatch;
+}
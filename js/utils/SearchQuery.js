@@ -0,0 +1,315 @@
+/**
+ * SearchQuery - Parser for the library search syntax
+ * Shared by the main process, which compiles the parsed query to SQL, and the renderer,
+ * which highlights syntax errors and suggests fields while typing.
+ *
+ *   artist:"Boards of Canada" year:1995..2005 mood:dark -genre:pop bpm:>120 duration:<4m
+ *
+ * Terms are ANDed; OR and parentheses group them, a leading "-" negates a term or group.
+ * A known field compares a track column; any other "name:value" matches tags of that category,
+ * including hierarchical descendants ("style:electronic" finds "style:electronic/techno"),
+ * and a trailing "*" matches value prefixes. Words without a field are looked up in the
+ * full-text index (title, artist, album, genre and tags) as prefixes, ignoring diacritics.
+ */
+
+// Fields stored on the track itself; every other field name is a tag category
+const SEARCH_FIELDS = {
+    title: { type: 'text', description: 'Title contains' },
+    artist: { type: 'text', description: 'Artist contains' },
+    album: { type: 'text', description: 'Album contains' },
+    genre: { type: 'text', description: 'Genre contains' },
+    key: { type: 'text', description: 'Musical key' },
+    path: { type: 'text', description: 'File path contains' },
+    year: { type: 'number', description: 'Year, e.g. 1995..2005' },
+    bpm: { type: 'number', description: 'Tempo, e.g. >120' },
+    bitrate: { type: 'number', description: 'Bitrate in kbps, e.g. >=320' },
+    track: { type: 'number', description: 'Track number' },
+    duration: { type: 'duration', description: 'Length, e.g. <4m or 3:30..5:00' }
+};
+
+const CATEGORY_NAME = /^[a-z0-9][a-z0-9_-]*$/;
+const COMPARISON = /^(>=|<=|>|<|=)?(.*)$/;
+
+class SearchQuery {
+    constructor() {
+        this.fields = SEARCH_FIELDS;
+    }
+
+    /**
+     * Parse a query
+     * @param {string} text - Query as typed
+     * @returns {Object} {ast, errors: [{message, start, end}]}; ast is null for an empty query
+     */
+    parse(text) {
+        const errors = [];
+        const tokens = this.tokenize(text || '', errors);
+        let position = 0;
+
+        const peek = () => tokens[position];
+
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (peek() && peek().type === 'or') {
+                const or = tokens[position++];
+                const next = parseAnd();
+                if (!next) {
+                    errors.push({ message: 'Nothing after OR', start: or.start, end: or.end });
+                    break;
+                }
+                children.push(next);
+            }
+            const terms = children.filter(Boolean);
+            return terms.length > 1 ? { type: 'or', children: terms } : terms[0] || null;
+        };
+
+        const parseAnd = () => {
+            const children = [];
+            while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+                const node = parseUnary();
+                if (node) children.push(node);
+            }
+            return children.length > 1 ? { type: 'and', children } : children[0] || null;
+        };
+
+        const parseUnary = () => {
+            const token = tokens[position++];
+            if (token.type === 'term') {
+                return token.negated ? { type: 'not', child: token.term } : token.term;
+            }
+
+            // token.type === 'open'
+            const group = parseOr();
+            if (peek() && peek().type === 'close') {
+                position++;
+            } else {
+                errors.push({ message: 'Missing )', start: token.start, end: token.end });
+            }
+            if (!group) return null;
+            return token.negated ? { type: 'not', child: group } : group;
+        };
+
+        let ast = null;
+        while (position < tokens.length) {
+            const node = parseOr();
+            ast = ast && node ? { type: 'and', children: [ast, node] } : ast || node;
+            // A ")" without its "(" stops parseOr; report it and go on
+            if (peek() && peek().type === 'close') {
+                const close = tokens[position++];
+                errors.push({ message: 'Unmatched )', start: close.start, end: close.end });
+            }
+        }
+
+        return { ast, errors };
+    }
+
+    /**
+     * Split a query into terms, parentheses and OR
+     * @param {string} text - Query
+     * @param {Array<Object>} errors - Receives errors
+     * @returns {Array<Object>} Tokens {type: 'term'|'open'|'close'|'or', start, end, negated, term}
+     */
+    tokenize(text, errors) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            if (text[i] === ')') {
+                tokens.push({ type: 'close', start, end: ++i });
+                continue;
+            }
+
+            const negated = text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1]);
+            if (negated) i++;
+
+            if (text[i] === '(') {
+                tokens.push({ type: 'open', start, end: ++i, negated });
+                continue;
+            }
+
+            // Read up to whitespace or a parenthesis outside quotes
+            let raw = '';
+            while (i < text.length && !/[\s()]/.test(text[i])) {
+                if (text[i] === '"') {
+                    const close = text.indexOf('"', i + 1);
+                    if (close < 0) {
+                        errors.push({ message: 'Missing closing quote', start: i, end: text.length });
+                        raw += text.slice(i);
+                        i = text.length;
+                        break;
+                    }
+                    raw += text.slice(i, close + 1);
+                    i = close + 1;
+                } else {
+                    raw += text[i++];
+                }
+            }
+
+            if (!negated && raw === 'OR') {
+                tokens.push({ type: 'or', start, end: i });
+            } else if (!negated && raw === 'AND') {
+                // Terms are ANDed anyway
+            } else if (raw) {
+                const term = this.parseTerm(raw, start + (negated ? 1 : 0), i, errors);
+                if (term) tokens.push({ type: 'term', start, end: i, negated, term });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Turn one "field:value" or free word into a term
+     * @returns {Object|null} {type: 'term', kind: 'free'|'text'|'number'|'tag', field, value, ...}
+     */
+    parseTerm(raw, start, end, errors) {
+        const fail = (message) => {
+            errors.push({ message, start, end });
+            return null;
+        };
+
+        const separator = this.findSeparator(raw);
+        if (separator < 0) {
+            const value = this.unquote(raw);
+            return value ? { type: 'term', kind: 'free', field: null, value, start, end } : null;
+        }
+
+        const field = raw.slice(0, separator).toLowerCase();
+        const rawValue = raw.slice(separator + 1);
+        const value = this.unquote(rawValue);
+        if (!value) {
+            return fail(`No value for ${field}:`);
+        }
+
+        const definition = this.fields[field];
+        if (!definition) {
+            if (!CATEGORY_NAME.test(field)) {
+                return fail(`"${field}" is not a field or tag category`);
+            }
+            // A trailing * matches every value starting with the rest
+            const prefix = !rawValue.startsWith('"') && value.length > 1 && value.endsWith('*');
+            return {
+                type: 'term', kind: 'tag', field,
+                value: (prefix ? value.slice(0, -1) : value).toLowerCase(),
+                prefix, start, end
+            };
+        }
+
+        if (definition.type === 'text') {
+            return { type: 'term', kind: 'text', field, value, start, end };
+        }
+
+        const parseNumber = definition.type === 'duration'
+            ? (text) => this.parseDuration(text)
+            : (text) => (/^-?\d+(\.\d+)?$/.test(text) ? parseFloat(text) : null);
+        const example = definition.type === 'duration' ? '4m, 3:30 or 240s' : 'a number';
+
+        const range = value.split('..');
+        if (range.length === 2) {
+            const from = range[0] ? parseNumber(range[0]) : null;
+            const to = range[1] ? parseNumber(range[1]) : null;
+            if ((range[0] && from === null) || (range[1] && to === null) || (from === null && to === null)) {
+                return fail(`${field} range needs ${example} on either side of ..`);
+            }
+            return { type: 'term', kind: 'number', field, op: 'range', from, to, start, end };
+        }
+
+        const [, op = '=', operand] = value.match(COMPARISON);
+        const number = parseNumber(operand);
+        if (number === null) {
+            return fail(`${field} needs ${example}`);
+        }
+        return { type: 'term', kind: 'number', field, op, value: number, start, end };
+    }
+
+    /**
+     * Position of the ":" separating field and value, ignoring quoted text
+     */
+    findSeparator(raw) {
+        const quote = raw.indexOf('"');
+        const colon = raw.indexOf(':');
+        return colon > 0 && (quote < 0 || colon < quote) ? colon : -1;
+    }
+
+    unquote(text) {
+        return text.replace(/^"/, '').replace(/"$/, '').trim();
+    }
+
+    /**
+     * Parse a duration in seconds: 240, 240s, 4m, 1.5h, 3:30, 1h2m, 3m30s
+     * @param {string} text - Duration
+     * @returns {number|null} Seconds, or null when not a duration
+     */
+    parseDuration(text) {
+        const clock = text.match(/^(\d+):(\d{1,2})$/);
+        if (clock) {
+            return parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10);
+        }
+
+        const units = { h: 3600, m: 60, s: 1 };
+        const parts = text.match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s?)?$/);
+        if (!parts || !text) {
+            return null;
+        }
+        return ['h', 'm', 's'].reduce((total, unit, index) => {
+            const amount = parts[index + 1];
+            return total + (amount ? parseFloat(amount) * units[unit] : 0);
+        }, 0);
+    }
+
+    /**
+     * Terms of a query, negated ones excluded
+     * @param {Object|null} ast - Parsed query
+     * @returns {Array<Object>} Term nodes
+     */
+    getPositiveTerms(ast) {
+        if (!ast || ast.type === 'not') return [];
+        if (ast.type === 'term') return [ast];
+        return ast.children.flatMap(child => this.getPositiveTerms(child));
+    }
+
+    /**
+     * The term being typed at the cursor, for suggestions
+     * @param {string} text - Query
+     * @param {number} cursor - Cursor position
+     * @returns {Object} {start, end, text, negated}: the word around the cursor, without its "-"
+     */
+    getTermAt(text, cursor) {
+        let start = cursor;
+        let inQuote = (text.slice(0, cursor).match(/"/g) || []).length % 2 === 1;
+        while (start > 0 && (inQuote || !/[\s()]/.test(text[start - 1]))) {
+            start--;
+            if (text[start] === '"') inQuote = !inQuote;
+        }
+
+        let end = cursor;
+        while (end < text.length && !/[\s()]/.test(text[end])) {
+            end++;
+        }
+
+        const negated = text[start] === '-';
+        if (negated) start++;
+        return { start, end, text: text.slice(start, end), negated };
+    }
+}
+
+// Shared instance
+const searchQuery = new SearchQuery();
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+    module.exports.searchQuery = searchQuery;
+    module.exports.SEARCH_FIELDS = SEARCH_FIELDS;
+}
+
+// Available globally in the browser
+if (typeof window !== 'undefined') {
+    window.SearchQuery = SearchQuery;
+    window.searchQuery = searchQuery;
+}
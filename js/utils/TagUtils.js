@@ -3,65 +3,89 @@
  * Elimina la duplicazione di codice per parsing, colori, validazione tags
  */
 
+// Distanza tra parole condivisa con la ricerca; nel browser FuzzyMatch.js è caricato prima di questo file
+const { fuzzyMatch: sharedFuzzyMatch } = typeof module !== 'undefined' && module.exports
+    ? require('./FuzzyMatch')
+    : window;
+
 class TagUtils {
     constructor() {
-        // Definizione colori tags centralizzata
-        this.tagColors = {
-            emotion: '#ff6b6b',    // Rosso
-            energy: '#4ecdc4',     // Turchese
-            mood: '#45b7d1',       // Blu
-            style: '#96ceb4',      // Verde
-            occasion: '#feca57',   // Giallo
-            weather: '#ff9ff3',    // Rosa
-            intensity: '#54a0ff',  // Blu intenso
-            rating: '#5f27cd',     // Viola
-            tempo: '#00d2d3',      // Ciano
-            vibe: '#ff6348',       // Arancione
-            genre: '#2ed573',      // Verde chiaro
-            era: '#ffa502',        // Arancione scuro
-            source: '#747d8c',     // Grigio
-            format: '#a4b0be',     // Grigio chiaro
-            quality: '#57606f',    // Grigio scuro
-            bitrate: '#2f3542'     // Grigio molto scuro
-        };
+        // Colori, priorità e categorie arrivano dalla tassonomia salvata (vedi applyTaxonomy)
+        this.tagColors = {};
+        this.tagPriorities = {};
+        this.categories = {};
+        // Separatore dei livelli nei valori gerarchici (es. "style:electronic/techno/minimal")
+        this.hierarchySeparator = '/';
+    }
 
-        // Priorità tags per ordinamento
-        this.tagPriorities = {
-            emotion: 1,
-            energy: 2,
-            mood: 3,
-            style: 4,
-            genre: 5,
-            intensity: 6,
-            tempo: 7,
-            vibe: 8,
-            rating: 9,
-            occasion: 10,
-            weather: 11,
-            era: 12,
-            quality: 13,
-            format: 14,
-            bitrate: 15,
-            source: 16
-        };
+    /**
+     * Applica la tassonomia dei tag: colori, priorità, etichette e categorie che guidano l'albero
+     * @param {Object|null} taxonomy - {categories: [{name, label, color, priority, values, freeValues, branching}]}
+     */
+    applyTaxonomy(taxonomy) {
+        this.tagColors = {};
+        this.tagPriorities = {};
+        this.categories = {};
+
+        ((taxonomy && taxonomy.categories) || []).forEach(category => {
+            this.tagColors[category.name] = category.color;
+            this.tagPriorities[category.name] = category.priority;
+            this.categories[category.name] = category;
+        });
+    }
+
+    /**
+     * Definizione di una categoria nella tassonomia
+     * @param {string} category - Nome categoria
+     * @returns {Object|null} Categoria, o null se non definita
+     */
+    getCategory(category) {
+        return this.categories[category] || null;
+    }
+
+    /**
+     * Etichetta leggibile di una categoria
+     * @param {string} category - Nome categoria
+     * @returns {string} Etichetta dalla tassonomia o nome con iniziale maiuscola
+     */
+    getCategoryLabel(category) {
+        const entry = this.getCategory(category);
+        if (entry) return entry.label;
+        return category ? category.charAt(0).toUpperCase() + category.slice(1) : '';
+    }
+
+    /**
+     * Verifica se i tag di una categoria guidano la generazione dell'albero
+     * @param {string} category - Nome categoria
+     * @returns {boolean} True se la categoria è usata per i rami
+     */
+    isBranchingCategory(category) {
+        const entry = this.getCategory(category);
+        return entry ? entry.branching : false;
     }
 
     /**
      * Parse un tag nel formato "categoria:valore"
+     * I valori possono essere gerarchici: "style:electronic/techno" è figlio di "style:electronic"
      * @param {string} tag - Tag da parsare
-     * @returns {Object} {type: string, value: string, isValid: boolean}
+     * @returns {Object} {type: string, value: string, isValid: boolean, path: Array<string>, parent: string|null}
      */
     parseTag(tag) {
         if (!tag || typeof tag !== 'string') {
-            return { type: '', value: tag || '', isValid: false };
+            return { type: '', value: tag || '', isValid: false, path: [], parent: null };
         }
 
         const parts = tag.split(':');
         if (parts.length >= 2) {
+            const type = parts[0].trim();
+            const value = parts.slice(1).join(':').trim(); // Handle values with colons
+            const path = value.split(this.hierarchySeparator).map(level => level.trim()).filter(Boolean);
             return {
-                type: parts[0].trim(),
-                value: parts.slice(1).join(':').trim(), // Handle values with colons
-                isValid: true
+                type,
+                value,
+                isValid: true,
+                path,
+                parent: path.length > 1 ? `${type}:${path.slice(0, -1).join(this.hierarchySeparator)}` : null
             };
         }
 
@@ -85,7 +109,9 @@ class TagUtils {
         return {
             type: inferredType,
             value: tag.trim(),
-            isValid: false // Still marked as inferred, not explicit
+            isValid: false, // Still marked as inferred, not explicit
+            path: [tag.trim()],
+            parent: null
         };
     }
 
@@ -126,6 +152,15 @@ class TagUtils {
         return this.tagColors[type] || '#95a5a6'; // Grigio di default
     }
 
+    /**
+     * Ottieni il colore di una categoria
+     * @param {string} category - Nome categoria
+     * @returns {string} Colore esadecimale
+     */
+    getCategoryColor(category) {
+        return this.tagColors[category] || '#95a5a6';
+    }
+
     /**
      * Ottieni la priorità di un tag per l'ordinamento
      * @param {string} tag - Tag completo
@@ -231,6 +266,241 @@ class TagUtils {
         return tags.filter(tag => this.getTagType(tag) === category);
     }
 
+    /**
+     * Tag padre di un tag gerarchico
+     * @param {string} tag - Tag completo (es. "style:electronic/techno")
+     * @returns {string|null} Tag padre (es. "style:electronic"), o null per un valore di primo livello
+     */
+    getParentTag(tag) {
+        return this.parseTag(tag).parent;
+    }
+
+    /**
+     * Radice di un tag gerarchico
+     * @param {string} tag - Tag completo (es. "style:electronic/techno/minimal")
+     * @returns {string} Tag di primo livello (es. "style:electronic")
+     */
+    getRootTag(tag) {
+        const parsed = this.parseTag(tag);
+        return parsed.isValid && parsed.path.length > 1 ? `${parsed.type}:${parsed.path[0]}` : tag;
+    }
+
+    /**
+     * Verifica se un tag coincide con un altro o ne discende
+     * @param {string} tag - Tag da verificare (es. "style:electronic/techno")
+     * @param {string} ancestor - Possibile antenato (es. "style:electronic")
+     * @returns {boolean} True se tag è ancestor o un suo discendente
+     */
+    isTagOrDescendant(tag, ancestor) {
+        return tag === ancestor || (typeof tag === 'string' && tag.startsWith(ancestor + this.hierarchySeparator));
+    }
+
+    /**
+     * Verifica se una traccia ha un tag, contando anche i discendenti
+     * @param {Array<string>} trackTags - Tags della traccia
+     * @param {string} tag - Tag cercato
+     * @returns {boolean} True se la traccia ha il tag o un suo discendente
+     */
+    trackHasTag(trackTags, tag) {
+        return Array.isArray(trackTags) && trackTags.some(trackTag => this.isTagOrDescendant(trackTag, tag));
+    }
+
+    /**
+     * Figlio diretto di un tag lungo il percorso di un suo discendente
+     * @param {string} tag - Tag discendente (es. "style:electronic/techno/minimal")
+     * @param {string} ancestor - Antenato (es. "style:electronic")
+     * @returns {string|null} Figlio diretto (es. "style:electronic/techno"), o null se tag non discende da ancestor
+     */
+    getChildTagToward(tag, ancestor) {
+        if (tag === ancestor || !this.isTagOrDescendant(tag, ancestor)) return null;
+        const rest = tag.slice(ancestor.length + this.hierarchySeparator.length);
+        return `${ancestor}${this.hierarchySeparator}${rest.split(this.hierarchySeparator)[0]}`;
+    }
+
+    /**
+     * Costruisce l'albero dei valori di una categoria
+     * I livelli intermedi mancanti (es. "electronic" quando esiste solo "electronic/techno")
+     * vengono creati e marcati come impliciti
+     * @param {Array<string>} values - Valori della categoria (senza "categoria:")
+     * @returns {Array<Object>} Nodi [{name, value, implicit, children}] ordinati per nome
+     */
+    buildValueTree(values) {
+        const root = { children: new Map() };
+        values.forEach(value => {
+            const path = String(value).split(this.hierarchySeparator).map(level => level.trim()).filter(Boolean);
+            let node = root;
+            path.forEach((name, index) => {
+                if (!node.children.has(name)) {
+                    node.children.set(name, {
+                        name,
+                        value: path.slice(0, index + 1).join(this.hierarchySeparator),
+                        implicit: true,
+                        children: new Map()
+                    });
+                }
+                node = node.children.get(name);
+            });
+            if (node !== root) node.implicit = false;
+        });
+
+        const toArray = node => [...node.children.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(child => ({ ...child, children: toArray(child) }));
+        return toArray(root);
+    }
+
+    /**
+     * Normalizza un tag digitato: minuscolo, spazi iniziali/finali rimossi e spazi interni compattati
+     * @param {string} tag - Tag digitato (es. " Mood :  Very Happy ")
+     * @returns {string} Tag normalizzato (es. "mood:very happy")
+     */
+    normalizeTag(tag) {
+        if (!tag || typeof tag !== 'string') return '';
+
+        const clean = text => text.trim().replace(/\s+/g, ' ').toLowerCase();
+        const separator = tag.indexOf(':');
+        if (separator < 0) return clean(tag);
+        return `${clean(tag.slice(0, separator))}:${clean(tag.slice(separator + 1))}`;
+    }
+
+    /**
+     * Categorie conosciute: quelle della tassonomia più quelle già usate nella libreria
+     * @param {Array<Object>} usage - Tag esistenti [{tag, count}]
+     * @returns {Map<string, number>} Categoria -> numero di utilizzi
+     */
+    getKnownCategories(usage = []) {
+        const categories = new Map(Object.keys(this.categories).map(name => [name, 0]));
+        usage.forEach(({ tag, count }) => {
+            const parsed = this.parseTag(tag);
+            if (parsed.isValid) {
+                categories.set(parsed.type, (categories.get(parsed.type) || 0) + count);
+            }
+        });
+        return categories;
+    }
+
+    /**
+     * Suggerimenti per il completamento di un tag, ordinati per utilizzo
+     * Con "categoria:" propone i valori della categoria; senza ":" propone le categorie
+     * che iniziano con il testo e i tag il cui valore inizia con il testo
+     * @param {string} input - Testo digitato
+     * @param {Array<Object>} usage - Tag esistenti [{tag, count}], ordinati per utilizzo
+     * @param {number} limit - Numero massimo di suggerimenti
+     * @returns {Array<Object>} [{tag, count}]; i tag che finiscono con ":" sono categorie da completare
+     */
+    suggestTags(input, usage = [], limit = 8) {
+        const text = this.normalizeTag(input);
+        if (!text) return [];
+
+        const byCount = (a, b) => b.count - a.count || a.tag.localeCompare(b.tag);
+        const separator = text.indexOf(':');
+
+        if (separator >= 0) {
+            const category = text.slice(0, separator);
+            const value = text.slice(separator + 1);
+            const used = usage
+                .filter(({ tag }) => {
+                    const parsed = this.parseTag(tag);
+                    return parsed.isValid && parsed.type === category &&
+                        parsed.value.toLowerCase().startsWith(value) && tag !== text;
+                })
+                .map(({ tag, count }) => ({ tag, count }))
+                .sort(byCount);
+
+            // Valori della tassonomia non ancora usati, dopo quelli usati
+            const taxonomyValues = ((this.getCategory(category) || {}).values || [])
+                .map(entry => `${category}:${entry}`)
+                .filter(tag => tag.startsWith(text) && tag !== text && !used.some(entry => entry.tag === tag))
+                .map(tag => ({ tag, count: 0 }));
+
+            return [...used, ...taxonomyValues].slice(0, limit);
+        }
+
+        const categories = [...this.getKnownCategories(usage)]
+            .filter(([category]) => category.startsWith(text))
+            .map(([category, count]) => ({ tag: `${category}:`, count }))
+            .sort(byCount);
+
+        const values = usage
+            .filter(({ tag }) => {
+                const parsed = this.parseTag(tag);
+                return parsed.isValid && parsed.value.toLowerCase().startsWith(text);
+            })
+            .map(({ tag, count }) => ({ tag, count }))
+            .sort(byCount);
+
+        return [...categories, ...values].slice(0, limit);
+    }
+
+    /**
+     * Controlla un tag prima di aggiungerlo
+     * Un valore senza categoria riceve la categoria dedotta da parseTag() o, in mancanza,
+     * quella in cui il valore è più usato; una categoria sconosciuta genera un avviso
+     * con la categoria conosciuta più simile
+     * @param {string} input - Tag digitato
+     * @param {Array<Object>} usage - Tag esistenti [{tag, count}], ordinati per utilizzo
+     * @returns {Object} {tag: string, warning: string|null, suggestion: string|null}
+     */
+    checkTag(input, usage = []) {
+        const tag = this.normalizeTag(input);
+        if (!tag) {
+            return { tag, warning: 'Type a tag as category:value', suggestion: null };
+        }
+
+        const parsed = this.parseTag(tag);
+        if (!parsed.isValid) {
+            let category = parsed.type !== 'other' ? parsed.type : null;
+            if (!category) {
+                const match = usage.find(entry => {
+                    const used = this.parseTag(entry.tag);
+                    return used.isValid && used.value.toLowerCase() === tag;
+                });
+                category = match ? this.getTagType(match.tag) : null;
+            }
+            return {
+                tag,
+                warning: 'Tags need a category, as in category:value',
+                suggestion: category ? `${category}:${tag}` : null
+            };
+        }
+
+        if (!parsed.type || !parsed.value) {
+            return { tag, warning: 'Tags need both a category and a value', suggestion: null };
+        }
+
+        const known = this.getKnownCategories(usage);
+        if (!known.has(parsed.type)) {
+            const closest = this.findClosestCategory(parsed.type, [...known.keys()]);
+            return {
+                tag,
+                warning: `Unknown category "${parsed.type}"`,
+                suggestion: closest ? `${closest}:${parsed.value}` : null
+            };
+        }
+
+        return { tag, warning: null, suggestion: null };
+    }
+
+    /**
+     * Categoria più simile a quella digitata (al massimo 2 modifiche, vedi FuzzyMatch.distance)
+     * @param {string} category - Categoria digitata
+     * @param {Array<string>} categories - Categorie conosciute
+     * @returns {string|null} Categoria più simile, o null
+     */
+    findClosestCategory(category, categories) {
+        const maxDistance = 2;
+        let closest = null;
+        let best = maxDistance + 1;
+        categories.forEach(candidate => {
+            const distance = sharedFuzzyMatch.distance(category, candidate, maxDistance);
+            if (distance < best) {
+                best = distance;
+                closest = candidate;
+            }
+        });
+        return closest;
+    }
+
 }
 
 // Crea istanza globale
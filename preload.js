@@ -5,11 +5,61 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Music Library scanning operations
   selectMusicDirectory: () => ipcRenderer.invoke('select-music-directory'),
-  scanDirectory: (directory) => ipcRenderer.invoke('scan-directory', directory),
+  scanDirectory: (directory, options) => ipcRenderer.invoke('scan-directory', directory, options),
+  pauseScan: () => ipcRenderer.invoke('pause-scan'),
+  resumeScan: () => ipcRenderer.invoke('resume-scan'),
+  cancelScan: () => ipcRenderer.invoke('cancel-scan'),
+  resumeScanJob: (jobId) => ipcRenderer.invoke('resume-scan-job', jobId),
+  cancelScanJob: (jobId) => ipcRenderer.invoke('cancel-scan-job', jobId),
+  getScanJobs: (limit) => ipcRenderer.invoke('get-scan-jobs', limit),
+  getScanJobErrors: (jobId) => ipcRenderer.invoke('get-scan-job-errors', jobId),
+  retryScanFiles: (jobId, filePaths) => ipcRenderer.invoke('retry-scan-files', jobId, filePaths),
+  exportScanErrors: (jobId) => ipcRenderer.invoke('export-scan-errors', jobId),
+  ignoreScanPaths: (paths, jobId) => ipcRenderer.invoke('ignore-scan-paths', paths, jobId),
+  unignoreScanPaths: (paths) => ipcRenderer.invoke('unignore-scan-paths', paths),
+  getIgnoredPaths: () => ipcRenderer.invoke('get-ignored-paths'),
+  getLibraryRoots: () => ipcRenderer.invoke('get-library-roots'),
+  addLibraryRoot: (directory) => ipcRenderer.invoke('add-library-root', directory),
+  removeLibraryRoot: (rootId, options) => ipcRenderer.invoke('remove-library-root', rootId, options),
+  rescanLibraryRoot: (rootId, options) => ipcRenderer.invoke('rescan-library-root', rootId, options),
+  relocateLibraryRoot: (rootId, newPath) => ipcRenderer.invoke('relocate-library-root', rootId, newPath),
+  getScanRules: () => ipcRenderer.invoke('get-scan-rules'),
+  getTagRules: () => ipcRenderer.invoke('get-tag-rules'),
+  openTagRules: () => ipcRenderer.invoke('open-tag-rules'),
+  regenerateTags: () => ipcRenderer.invoke('regenerate-tags'),
+  getTagTaxonomy: () => ipcRenderer.invoke('get-tag-taxonomy'),
+  saveTagTaxonomy: (taxonomy) => ipcRenderer.invoke('save-tag-taxonomy', taxonomy),
+  importTagTaxonomy: () => ipcRenderer.invoke('import-tag-taxonomy'),
+  exportTagTaxonomy: () => ipcRenderer.invoke('export-tag-taxonomy'),
+  getSmartCrates: () => ipcRenderer.invoke('get-smart-crates'),
+  saveSmartCrate: (crate) => ipcRenderer.invoke('save-smart-crate', crate),
+  deleteSmartCrate: (crateId) => ipcRenderer.invoke('delete-smart-crate', crateId),
+  getSmartCrateTracks: (crateId, limit) => ipcRenderer.invoke('get-smart-crate-tracks', crateId, limit),
+  exportSmartCrates: () => ipcRenderer.invoke('export-smart-crates'),
+  previewTagOperation: (operation) => ipcRenderer.invoke('preview-tag-operation', operation),
+  applyTagOperation: (operation) => ipcRenderer.invoke('apply-tag-operation', operation),
+  batchEditTags: (tracks, edit) => ipcRenderer.invoke('batch-edit-tags', tracks, edit),
+  undoTagOperation: (operationId) => ipcRenderer.invoke('undo-tag-operation', operationId),
+  getTagOperations: (limit) => ipcRenderer.invoke('get-tag-operations', limit),
+  getVirtualTagSettings: () => ipcRenderer.invoke('get-virtual-tag-settings'),
+  saveVirtualTagSettings: (settings) => ipcRenderer.invoke('save-virtual-tag-settings', settings),
+  getAnalysisStatus: () => ipcRenderer.invoke('get-analysis-status'),
+  analyzeAudio: (options) => ipcRenderer.invoke('analyze-audio', options),
+  cancelAudioAnalysis: () => ipcRenderer.invoke('cancel-audio-analysis'),
+  getWritebackSettings: () => ipcRenderer.invoke('get-writeback-settings'),
+  saveWritebackSettings: (settings) => ipcRenderer.invoke('save-writeback-settings', settings),
+  writeTagsToFiles: (trackIds, options) => ipcRenderer.invoke('write-tags-to-files', trackIds, options),
+  getWritebackStatus: () => ipcRenderer.invoke('get-writeback-status'),
+  saveScanRules: (rules) => ipcRenderer.invoke('save-scan-rules', rules),
   getStats: () => ipcRenderer.invoke('get-stats'),
+  getSchemaVersion: () => ipcRenderer.invoke('get-schema-version'),
   searchTracks: (query, options) => ipcRenderer.invoke('search-tracks', query, options),
+  searchByQuery: (query, options) => ipcRenderer.invoke('search-query', query, options),
   getAllTracks: (limit) => ipcRenderer.invoke('get-all-tracks', limit),
   addTagToTrack: (track, tag) => ipcRenderer.invoke('add-tag-to-track', track, tag),
+  getTagUsage: () => ipcRenderer.invoke('get-tag-usage'),
+  getTagCooccurrence: (limit) => ipcRenderer.invoke('get-tag-cooccurrence', limit),
+  removeTagFromTrack: (track, tag) => ipcRenderer.invoke('remove-tag-from-track', track, tag),
   clearDatabase: () => ipcRenderer.invoke('clear-database'),
   
   // Listen for scan progress updates
@@ -17,6 +67,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('scan-progress', (event, progress) => callback(progress));
   },
   
+  // Listen for changes picked up by the folder watcher
+  onLibraryChanged: (callback) => {
+    ipcRenderer.on('library-changed', (event, change) => callback(change));
+  },
+
+  // Listen for background audio analysis progress
+  onAnalysisProgress: (callback) => {
+    ipcRenderer.on('analysis-progress', (event, status) => callback(status));
+  },
+
+  // Listen for background tag writeback progress
+  onWritebackProgress: (callback) => {
+    ipcRenderer.on('writeback-progress', (event, status) => callback(status));
+  },
+  
   // Remove all listeners (cleanup)
   removeAllListeners: (channel) => {
     ipcRenderer.removeAllListeners(channel);
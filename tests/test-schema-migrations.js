@@ -0,0 +1,183 @@
+/**
+ * Test script for versioned schema migrations in DatabaseManager
+ * Run with: node tests/test-schema-migrations.js
+ */
+
+const sqlite3 = require('sqlite3');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const DatabaseManager = require('../js/core/music-library/components/DatabaseManager');
+const SCHEMA_MIGRATIONS = require('../js/core/music-library/migrations/SchemaMigrations');
+
+// Console colors for better output
+const colors = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m'
+};
+
+function log(message, color = 'reset') {
+    console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSection(title) {
+    log(`\n${'='.repeat(50)}`, 'blue');
+    log(title, 'bright');
+    log('='.repeat(50), 'blue');
+}
+
+function check(description, condition) {
+    log(`  ${condition ? '✓' : '✗'} ${description}`, condition ? 'green' : 'red');
+    return condition;
+}
+
+function tempDbPath(name) {
+    const dbPath = path.join(os.tmpdir(), `music-tag-flow-${name}-${process.pid}.db`);
+    if (fs.existsSync(dbPath)) fs.unlinkSync(dbPath);
+    return dbPath;
+}
+
+// Build a database the way the app created it before schema versioning existed
+function createLegacyDatabase(dbPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath);
+        db.serialize(() => {
+            db.run(`CREATE TABLE tracks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                title TEXT NOT NULL,
+                artist TEXT NOT NULL,
+                album TEXT,
+                duration REAL,
+                file_path TEXT UNIQUE NOT NULL,
+                file_size INTEGER,
+                date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+                year INTEGER,
+                genre TEXT,
+                track_number INTEGER,
+                tags TEXT
+            )`);
+            db.run(`CREATE INDEX idx_tracks_tags ON tracks(tags)`);
+            db.run(`INSERT INTO tracks (title, artist, album, file_path, tags) VALUES
+                ('Legacy One', 'Old Artist', 'Old Album', '/legacy/one.mp3', '["genre:rock","mood:dark","untagged"]'),
+                ('Legacy Two', 'Old Artist', 'Old Album', '/legacy/two.mp3', '["genre:rock-n-roll"]'),
+                ('Legacy Three', 'Old Artist', 'Old Album', '/legacy/three.mp3', 'genre:jazz, mood:calm,instrumental')`);
+        });
+        db.close(err => (err ? reject(err) : resolve()));
+    });
+}
+
+// Test a fresh database reaches the latest version
+async function testFreshDatabase() {
+    logSection('Testing Fresh Database');
+
+    const dbManager = new DatabaseManager(':memory:');
+    const ready = await dbManager.init();
+    const schema = await dbManager.getSchemaVersion();
+    const columns = await dbManager._all('PRAGMA table_info(tracks)');
+    const rerun = await dbManager.runMigrations();
+    dbManager.close();
+
+    return [
+        check('Database initialized', ready),
+        check(`Schema at latest version (${schema.version}/${schema.latestVersion})`, schema.version === schema.latestVersion),
+        check('One history row per migration', schema.history.length === SCHEMA_MIGRATIONS.length),
+        check('Legacy tags column removed', !columns.some(column => column.name === 'tags')),
+        check('Re-running migrations is a no-op', rerun === schema.version)
+    ].every(Boolean);
+}
+
+// Test a pre-versioning database is upgraded and its JSON and comma separated tags migrated
+async function testLegacyDatabase() {
+    logSection('Testing Legacy Database Upgrade');
+
+    const dbPath = tempDbPath('legacy');
+    await createLegacyDatabase(dbPath);
+
+    const dbManager = new DatabaseManager(dbPath);
+    const ready = await dbManager.init();
+    const stats = await dbManager.getStats();
+    const rockTracks = await dbManager.searchTracksByTag('genre', 'rock');
+    const jazzTracks = await dbManager.searchTracksByTag('genre', 'jazz');
+    dbManager.close();
+    fs.unlinkSync(dbPath);
+
+    log(`  Migrated tags: ${stats.uniqueTags.join(', ')}`, 'yellow');
+
+    return [
+        check('Database initialized', ready),
+        check('All legacy tags migrated', stats.uniqueTags.length === 7),
+        check('Uncategorized tag kept as-is', stats.uniqueTags.includes('untagged')),
+        check('Comma separated tags migrated',
+            jazzTracks.length === 1 && jazzTracks[0].title === 'Legacy Three' &&
+            stats.uniqueTags.includes('mood:calm') && stats.uniqueTags.includes('instrumental')),
+        check('genre:rock no longer matches genre:rock-n-roll', rockTracks.length === 1)
+    ].every(Boolean);
+}
+
+// Test a failing migration is rolled back and leaves the previous version
+async function testFailedMigrationRollsBack() {
+    logSection('Testing Failed Migration Rollback');
+
+    const dbPath = tempDbPath('rollback');
+    const brokenMigrations = [
+        ...SCHEMA_MIGRATIONS,
+        {
+            version: 999,
+            description: 'Broken step',
+            async up(db) {
+                await db.run('CREATE TABLE half_applied (id INTEGER)');
+                await db.run('THIS IS NOT SQL');
+            }
+        }
+    ];
+
+    const brokenManager = new DatabaseManager(dbPath, brokenMigrations);
+    const ready = await brokenManager.init();
+    brokenManager.close();
+
+    const dbManager = new DatabaseManager(dbPath);
+    await dbManager.init();
+    const schema = await dbManager.getSchemaVersion();
+    const leftovers = await dbManager._all(`SELECT name FROM sqlite_master WHERE name = 'half_applied'`);
+    dbManager.close();
+    fs.unlinkSync(dbPath);
+
+    return [
+        check('init() reports failure', ready === false),
+        check('Earlier migrations stay applied', schema.version === schema.latestVersion),
+        check('Failed step left no tables behind', leftovers.length === 0)
+    ].every(Boolean);
+}
+
+// Run all tests
+async function runTests() {
+    log('Starting Schema Migration Tests', 'bright');
+
+    try {
+        const test1Pass = await testFreshDatabase();
+        const test2Pass = await testLegacyDatabase();
+        const test3Pass = await testFailedMigrationRollsBack();
+
+        logSection('Test Summary');
+        log(`Fresh Database: ${test1Pass ? 'PASSED ✓' : 'FAILED ✗'}`, test1Pass ? 'green' : 'red');
+        log(`Legacy Upgrade: ${test2Pass ? 'PASSED ✓' : 'FAILED ✗'}`, test2Pass ? 'green' : 'red');
+        log(`Rollback: ${test3Pass ? 'PASSED ✓' : 'FAILED ✗'}`, test3Pass ? 'green' : 'red');
+
+        const allPassed = test1Pass && test2Pass && test3Pass;
+        log(`\nOverall: ${allPassed ? 'ALL TESTS PASSED ✓' : 'SOME TESTS FAILED ✗'}`,
+            allPassed ? 'green' : 'red');
+
+        process.exit(allPassed ? 0 : 1);
+    } catch (error) {
+        log(`\nError during tests: ${error.message}`, 'red');
+        console.error(error);
+        process.exit(1);
+    }
+}
+
+// Run tests
+runTests();
@@ -5,6 +5,11 @@
 
 const TagGenerationService = require('../js/core/music-library/services/TagGenerationService');
 const TrackEnrichmentService = require('../js/core/music-library/services/TrackEnrichmentService');
+const TagTaxonomyService = require('../js/core/music-library/services/TagTaxonomyService');
+const TagUtils = require('../js/utils/TagUtils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Console colors for better output
 const colors = {
@@ -32,53 +37,167 @@ function testTagGenerationService() {
     
     const tagGenService = new TagGenerationService();
     
-    // Test 1: Generate synthetic tags
-    log('\nTest 1: Generate synthetic tags for a track');
+    // Test 1: Generate tags from the built-in rules
+    log('\nTest 1: Generate tags for a track');
     const testTrack = {
         title: 'Test Song',
         artist: 'Test Artist',
         file_path: '/path/to/song.mp3',
-        genre: 'Rock'
+        genre: 'Rock',
+        year: 1987,
+        duration: 200,
+        bitrate: 320,
+        bpm: 128,
+        musical_key: 'Am'
     };
     
-    const syntheticTags = tagGenService.generateSyntheticTags(testTrack);
+    const generated = tagGenService.generateTags(testTrack);
     
-    log(`Generated ${syntheticTags.length} tags:`, 'green');
-    
-    // Group tags by category
-    const tagsByCategory = {};
-    syntheticTags.forEach(tag => {
-        const [category, value] = tag.split(':');
-        if (!tagsByCategory[category]) {
-            tagsByCategory[category] = [];
-        }
-        tagsByCategory[category].push(value);
-    });
-    
-    Object.entries(tagsByCategory).forEach(([category, tags]) => {
-        log(`  ${category}: ${tags.join(', ')}`, 'yellow');
+    log(`Generated ${generated.length} tags:`, 'green');
+    generated.forEach(({ tag, rule }) => {
+        log(`  ${tag} (rule: ${rule})`, 'yellow');
     });
     
-    // Verify all core categories are present
-    const coreCategories = tagGenService.getTagCategories().core;
-    const missingCategories = coreCategories.filter(cat => !tagsByCategory[cat]);
+    const tags = generated.map(({ tag }) => tag);
+    const expected = ['genre:rock', 'format:mp3', 'quality:lossy', 'bitrate:320k', 'era:80s', 'tempo:fast', 'key:8a', 'mood:dark', 'energy:high'];
+    const missingTags = expected.filter(tag => !tags.includes(tag));
     
-    if (missingCategories.length === 0) {
-        log('\n✓ All core categories are present', 'green');
+    if (missingTags.length === 0) {
+        log('\n✓ All expected tags are present', 'green');
     } else {
-        log(`\n✗ Missing categories: ${missingCategories.join(', ')}`, 'red');
+        log(`\n✗ Missing tags: ${missingTags.join(', ')}`, 'red');
     }
     
-    // Test 2: Quality tags generation
-    log('\nTest 2: Quality tags for different file types');
+    // Test 2: Same track, same tags
+    log('\nTest 2: Generation is deterministic');
+    const again = tagGenService.generateSyntheticTags(testTrack);
+    const deterministic = JSON.stringify(again) === JSON.stringify(tags);
+    log(`  ${deterministic ? '✓' : '✗'} Second run produced the same tags`, deterministic ? 'green' : 'red');
+    
+    // Test 3: Quality tags generation
+    log('\nTest 3: Quality tags for different file types');
     const fileTypes = ['song.flac', 'track.mp3', 'audio.wav', 'music.m4a'];
     
     fileTypes.forEach(filename => {
-        const tags = tagGenService.generateQualityTags({ file_path: `/path/${filename}` });
-        log(`  ${filename}: ${tags.join(', ')}`, 'yellow');
+        const qualityTags = tagGenService.generateQualityTags({ file_path: `/path/${filename}` });
+        log(`  ${filename}: ${qualityTags.join(', ')}`, 'yellow');
+    });
+    
+    // Test 4: Invalid rules are rejected
+    log('\nTest 4: Invalid rules are rejected');
+    let rejected = false;
+    try {
+        TagGenerationService.normalizeRules({ rules: [{ id: 'broken', when: { colour: { exists: true } }, tags: ['x:y'] }] });
+    } catch (error) {
+        rejected = true;
+        log(`  ✓ ${error.message}`, 'green');
+    }
+    
+    // Test 5: An edited rules file is picked up at the next refresh, not while tagging
+    log('\nTest 5: Rules file edits apply from the next run');
+    const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'musictagflow-rules-'));
+    const rulesPath = path.join(rulesDir, 'tag-rules.json');
+    const writeRules = (tag, mtime) => {
+        fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ id: 'custom', tags: [tag] }] }));
+        fs.utimesSync(rulesPath, mtime, mtime);
+    };
+    const fileService = new TagGenerationService({ rulesPath });
+    writeRules('custom:first', 1000);
+    fileService.refreshRules();
+    writeRules('custom:second', 2000);
+    const duringRun = fileService.generateTags(testTrack).map(({ tag }) => tag).join();
+    fileService.refreshRules();
+    const nextRun = fileService.generateTags(testTrack).map(({ tag }) => tag).join();
+    fs.rmSync(rulesDir, { recursive: true, force: true });
+    const refreshed = duringRun === 'custom:first' && nextRun === 'custom:second';
+    log(`  ${refreshed ? '✓' : '✗'} During the run: ${duringRun}, next run: ${nextRun}`, refreshed ? 'green' : 'red');
+    
+    return missingTags.length === 0 && deterministic && rejected && refreshed;
+}
+
+// Test TagTaxonomyService
+function testTagTaxonomyService() {
+    logSection('Testing TagTaxonomyService');
+    
+    // Test 1: Custom categories sit next to the built-in ones
+    log('\nTest 1: Custom categories');
+    const taxonomyService = new TagTaxonomyService(null);
+    taxonomyService.taxonomy = TagTaxonomyService.normalize({
+        categories: [
+            ...TagTaxonomyService.DEFAULT_TAXONOMY.categories,
+            { name: 'crate', color: '#112233', priority: 0, values: ['Warmup', 'Peak'], freeValues: false },
+            { name: 'set-slot', values: ['opener', 'closer'] }
+        ]
     });
+    const tagGenService = new TagGenerationService({ taxonomy: taxonomyService });
+    const categories = tagGenService.getTagCategories();
+    const customFirst = categories[0] === 'crate' && categories.includes('set-slot');
+    log(`  ${customFirst ? '✓' : '✗'} Categories by priority: ${categories.slice(0, 4).join(', ')}...`, customFirst ? 'green' : 'red');
+    
+    // Test 2: Closed categories only accept their listed values
+    log('\nTest 2: Value validation');
+    const accepted = taxonomyService.validateTag('crate:peak') === null &&
+        taxonomyService.validateTag('set-slot:anything') === null;
+    const refused = taxonomyService.validateTag('crate:closing');
+    log(`  ${accepted ? '✓' : '✗'} Listed and free values accepted`, accepted ? 'green' : 'red');
+    log(`  ${refused ? '✓' : '✗'} ${refused || 'Unlisted value accepted'}`, refused ? 'green' : 'red');
+    
+    // Test 3: Malformed taxonomies are rejected
+    log('\nTest 3: Invalid taxonomies are rejected');
+    let rejected = 0;
+    [{ categories: [{ name: 'Bad Name' }] }, { categories: [{ name: 'mood' }, { name: 'mood' }] }, { categories: [{ name: 'x', color: 'red' }] }]
+        .forEach(taxonomy => {
+            try {
+                TagTaxonomyService.normalize(taxonomy);
+            } catch (error) {
+                rejected++;
+                log(`  ✓ ${error.message}`, 'green');
+            }
+        });
     
-    return syntheticTags.length > 20; // Should generate many tags
+    return customFirst && accepted && Boolean(refused) && rejected === 3;
+}
+
+// Test the add-tag input checks in TagUtils
+function testTagInput() {
+    logSection('Testing tag input and hierarchy');
+    
+    const tagUtils = new TagUtils();
+    tagUtils.applyTaxonomy({ categories: [{ name: 'mood', values: ['happy', 'sad'] }, { name: 'genre', values: [] }] });
+    const usage = [{ tag: 'genre:rock', count: 10 }, { tag: 'mood:happy', count: 4 }, { tag: 'genre:pop', count: 3 }];
+    
+    // Test 1: Case and whitespace are normalized
+    log('\nTest 1: Normalization');
+    const normalized = tagUtils.normalizeTag('  Mood :  Very   Happy ') === 'mood:very happy';
+    log(`  ${normalized ? '✓' : '✗'} "  Mood :  Very   Happy " -> "${tagUtils.normalizeTag('  Mood :  Very   Happy ')}"`, normalized ? 'green' : 'red');
+    
+    // Test 2: Values are ranked by usage, unused taxonomy values last
+    log('\nTest 2: Suggestions');
+    const values = tagUtils.suggestTags('mood:', usage).map(({ tag }) => tag).join(', ');
+    const ranked = values === 'mood:happy, mood:sad' && tagUtils.suggestTags('g', usage)[0].tag === 'genre:';
+    log(`  ${ranked ? '✓' : '✗'} mood: -> ${values}`, ranked ? 'green' : 'red');
+    
+    // Test 3: Bare values get a category, unknown categories a warning
+    log('\nTest 3: Checks');
+    const inferred = tagUtils.checkTag('FLAC', usage).suggestion === 'format:flac' &&
+        tagUtils.checkTag('rock', usage).suggestion === 'genre:rock';
+    const typo = tagUtils.checkTag('moood:sad', usage);
+    const warned = Boolean(typo.warning) && typo.suggestion === 'mood:sad' && tagUtils.checkTag('Genre:Rock', usage).warning === null &&
+        tagUtils.checkTag('gnere:rock', usage).suggestion === 'genre:rock';
+    log(`  ${inferred ? '✓' : '✗'} Categories suggested for bare values`, inferred ? 'green' : 'red');
+    log(`  ${warned ? '✓' : '✗'} ${typo.warning}, did you mean ${typo.suggestion}`, warned ? 'green' : 'red');
+    
+    // Test 4: Hierarchical values
+    log('\nTest 4: Hierarchy');
+    const parsed = tagUtils.parseTag('style:electronic/techno/minimal');
+    const tree = tagUtils.buildValueTree(['electronic/techno/minimal', 'rock']);
+    const hierarchy = parsed.parent === 'style:electronic/techno' &&
+        tagUtils.trackHasTag(['style:electronic/techno/minimal'], 'style:electronic') &&
+        !tagUtils.trackHasTag(['style:electronica'], 'style:electronic') &&
+        tree[0].implicit && tree[0].children[0].children[0].value === 'electronic/techno/minimal';
+    log(`  ${hierarchy ? '✓' : '✗'} style:electronic/techno/minimal under style:electronic`, hierarchy ? 'green' : 'red');
+    
+    return normalized && ranked && inferred && warned && hierarchy;
 }
 
 // Test TrackEnrichmentService
@@ -155,7 +274,11 @@ function testTrackEnrichmentService() {
         log(`    ${cat}: ${tags.length} tags`, 'blue');
     });
     
-    return tags1.length > 20 && hasCustomTags;
+    // The default rules only know the file: its format and whether it is lossless
+    const ruleTags = tags1.length === 2 && tags1.includes('format:mp3') && tags1.includes('quality:lossy');
+    log(`  ${ruleTags ? '✓' : '✗'} Rule tags: ${tags1.join(', ')}`, ruleTags ? 'green' : 'red');
+
+    return ruleTags && hasCustomTags;
 }
 
 // Run all tests
@@ -164,15 +287,21 @@ function runTests() {
     
     try {
         const test1Pass = testTagGenerationService();
+        const taxonomyPass = testTagTaxonomyService();
+        const inputPass = testTagInput();
         const test2Pass = testTrackEnrichmentService();
         
         logSection('Test Summary');
         log(`TagGenerationService: ${test1Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
             test1Pass ? 'green' : 'red');
+        log(`TagTaxonomyService: ${taxonomyPass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            taxonomyPass ? 'green' : 'red');
+        log(`Tag input: ${inputPass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            inputPass ? 'green' : 'red');
         log(`TrackEnrichmentService: ${test2Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
             test2Pass ? 'green' : 'red');
         
-        const allPassed = test1Pass && test2Pass;
+        const allPassed = test1Pass && taxonomyPass && inputPass && test2Pass;
         log(`\nOverall: ${allPassed ? 'ALL TESTS PASSED ✓' : 'SOME TESTS FAILED ✗'}`, 
             allPassed ? 'green' : 'red');
         
@@ -4,8 +4,14 @@
  */
 
 const { createInitializedContainer } = require('../js/core/music-library/container/ServiceRegistration');
+const { fuzzyMatch } = require('../js/utils/FuzzyMatch');
+const DatabaseScanService = require('../js/core/music-library/components/DatabaseScanService');
+const MetadataExtractor = require('../js/core/music-library/components/MetadataExtractor');
+const LibraryWatcher = require('../js/core/music-library/components/LibraryWatcher');
+const Mp4MetadataAtoms = require('../js/core/music-library/components/Mp4MetadataAtoms');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 
 // Console colors for better output
 const colors = {
@@ -40,6 +46,65 @@ async function setupTestEnvironment() {
     }
 }
 
+// Create a library folder with the given files ({relative path: content}), optionally inside another folder
+function createTempLibrary(files, parent = os.tmpdir()) {
+    const root = fs.mkdtempSync(path.join(parent, 'musictagflow-scan-'));
+    Object.entries(files).forEach(([name, content]) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), content);
+    });
+    return root;
+}
+
+// A minimal MP4 file: moov sits before mdat and its one chunk offset points at the audio
+function createMp4(audio) {
+    const mp4Box = (type, ...payloads) => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(8 + payloads.reduce((size, payload) => size + payload.length, 0), 0);
+        header.write(type, 4, 'latin1');
+        return Buffer.concat([header, ...payloads]);
+    };
+    const uint32 = (value) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32BE(value, 0);
+        return buffer;
+    };
+    const moov = (chunkOffset) => mp4Box('moov', mp4Box('trak', mp4Box('mdia', mp4Box('minf', mp4Box('stbl',
+        mp4Box('stco', Buffer.alloc(4), uint32(1), uint32(chunkOffset))
+    )))));
+
+    const ftyp = mp4Box('ftyp', Buffer.from('M4A \0\0\0\0M4A mp42', 'latin1'));
+    const audioOffset = ftyp.length + moov(0).length + 8;
+    return Buffer.concat([ftyp, moov(audioOffset), mp4Box('mdat', Buffer.from(audio))]);
+}
+
+// The audio an MP4 file's first chunk offset points at
+function readFirstChunk(file, length) {
+    const stco = file.indexOf('stco', 0, 'latin1');
+    const offset = file.readUInt32BE(stco + 12);
+    return file.toString('latin1', offset, offset + length);
+}
+
+// Stands in for ffprobe: every file is a track named after it, with the given file tags
+function createStubExtractor(artist, fileTags = []) {
+    const extractor = {
+        calls: [],
+        async extractMetadata(filePath) {
+            extractor.calls.push(path.basename(filePath));
+            return {
+                title: path.basename(filePath, path.extname(filePath)),
+                artist,
+                album: 'Scan Album',
+                duration: 180,
+                file_path: filePath,
+                file_size: fs.statSync(filePath).size,
+                file_tags: fileTags
+            };
+        }
+    };
+    return extractor;
+}
+
 // Test saving tracks with enrichment
 async function testTrackSavingWithEnrichment(container) {
     logSection('Testing Track Saving with Enrichment');
@@ -131,6 +196,687 @@ async function testRepositoryStats(container) {
     return stats.tracks === 2; // We saved 2 tracks
 }
 
+// Test library-wide tag operations and their undo
+async function testTagOperations(container) {
+    logSection('Testing Tag Operations');
+
+    const trackRepository = container.resolve('trackRepository');
+    const tagsOf = async (title) => {
+        const track = (await trackRepository.getAllTracks()).find(t => t.title === title);
+        return JSON.parse(track.tags);
+    };
+
+    const preview = await trackRepository.previewTagOperation(['custom:mytag', 'mood:happy']);
+    const previewOk = preview.tracks === 1 && preview.tags['custom:mytag'] === 1;
+    log(`Preview counts 1 track: ${previewOk}`, previewOk ? 'green' : 'red');
+
+    const result = await trackRepository.applyTagOperation('merge', [
+        { from: 'custom:mytag', to: ['mood:cheerful'] },
+        { from: 'mood:happy', to: ['mood:cheerful'] }
+    ]);
+    const merged = await tagsOf('Test Song 2');
+    const mergeOk = result.trackIds.length === 1 && result.added === 1 &&
+        merged.includes('mood:cheerful') && !merged.includes('custom:mytag') && !merged.includes('mood:happy');
+    log(`Merged into mood:cheerful: ${mergeOk}`, mergeOk ? 'green' : 'red');
+
+    const unused = !(await trackRepository.getStats()).uniqueTags.includes('custom:mytag');
+    log(`Merged tags no longer listed: ${unused}`, unused ? 'green' : 'red');
+
+    const undone = await trackRepository.undoTagOperation(result.id);
+    const restored = await tagsOf('Test Song 2');
+    const undoOk = undone !== null && restored.includes('custom:mytag') && restored.includes('mood:happy') &&
+        !restored.includes('mood:cheerful');
+    log(`Undo restores the original tags: ${undoOk}`, undoOk ? 'green' : 'red');
+
+    const again = await trackRepository.undoTagOperation(result.id);
+    const history = await trackRepository.getTagOperations();
+    const historyOk = again === null && history.length === 1 && history[0].undoneAt !== null;
+    log(`Operation recorded as undone: ${historyOk}`, historyOk ? 'green' : 'red');
+
+    const song2Id = await trackRepository.findTrackId({ title: 'Test Song 2', artist: 'Test Artist', album: 'Test Album' });
+    const song1Id = await trackRepository.findTrackId({ title: 'Test Song 1', artist: 'Test Artist', album: 'Test Album' });
+    const elsewhere = await trackRepository.applyTagOperation('remove', [{ from: 'mood:happy', to: [] }], [song1Id]);
+    const removed = await trackRepository.applyTagOperation('remove', [{ from: 'mood:happy', to: [] }], [song2Id]);
+    const removeOk = elsewhere.id === null && removed.id !== null && !(await tagsOf('Test Song 2')).includes('mood:happy');
+    log(`Remove a tag from one track: ${removeOk}`, removeOk ? 'green' : 'red');
+
+    await trackRepository.undoTagOperation(removed.id);
+    const removeUndone = (await tagsOf('Test Song 2')).includes('mood:happy');
+    log(`Undo puts the removed tag back: ${removeUndone}`, removeUndone ? 'green' : 'red');
+
+    await trackRepository.batchEditTags([song1Id, song2Id], { add: ['rating:liked'] });
+    const batch = await trackRepository.batchEditTags([song1Id, song2Id], {
+        add: ['rating:favorite', 'occasion:party'],
+        remove: ['mood:happy'],
+        replaceCategories: ['rating']
+    });
+    const batchTags = await tagsOf('Test Song 2');
+    const batchOk = batch.changes.length === 2 && batchTags.includes('rating:favorite') &&
+        !batchTags.includes('rating:liked') && !batchTags.includes('mood:happy') &&
+        (await tagsOf('Test Song 1')).includes('occasion:party');
+    log(`Batch edit of two tracks: ${batchOk}`, batchOk ? 'green' : 'red');
+
+    await trackRepository.undoTagOperation(batch.id);
+    const batchUndone = await tagsOf('Test Song 2');
+    const batchUndoOk = batchUndone.includes('rating:liked') && batchUndone.includes('mood:happy') &&
+        !batchUndone.includes('rating:favorite') && !(await tagsOf('Test Song 1')).includes('occasion:party');
+    log(`Batch edit undone as one operation: ${batchUndoOk}`, batchUndoOk ? 'green' : 'red');
+
+    const graph = await container.resolve('searchEngine').getTagCooccurrence();
+    const liked = graph.tags.find(({ tag }) => tag === 'rating:liked');
+    const graphOk = liked !== undefined && liked.count === 2 && graph.edges.length > 0 &&
+        graph.edges.every(edge => edge.jaccard > 0 && edge.jaccard <= 1 && edge.npmi >= -1 && edge.npmi <= 1);
+    log(`Tag co-occurrence graph: ${graph.tags.length} tags, ${graph.edges.length} edges: ${graphOk}`, graphOk ? 'green' : 'red');
+
+    const searchEngine = container.resolve('searchEngine');
+    await trackRepository.addTagToTrack({ title: 'Test Song 1', artist: 'Test Artist', album: 'Test Album' }, 'style:electronic/techno');
+    const byParent = await searchEngine.searchByTag('style', 'electronic');
+    const exactParent = await searchEngine.search('style:electronic', { exact: true, searchFields: ['tags'] });
+    const notPrefix = await searchEngine.searchByTag('style', 'electro');
+    const hierarchyOk = byParent.length === 1 && byParent[0].title === 'Test Song 1' && exactParent.length === 1 &&
+        notPrefix.length === 0;
+    log(`style:electronic finds style:electronic/techno: ${hierarchyOk}`, hierarchyOk ? 'green' : 'red');
+
+    return previewOk && mergeOk && unused && undoOk && historyOk && removeOk && removeUndone && batchOk && batchUndoOk &&
+        graphOk && hierarchyOk;
+}
+
+// Test the search query language compiled to SQL
+async function testQuerySearch(container) {
+    logSection('Testing Query Search');
+
+    const searchEngine = container.resolve('searchEngine');
+    const titles = async (query) => {
+        const { tracks, errors } = await searchEngine.searchByQuery(query);
+        return errors.length > 0 ? errors.map(error => error.message) : tracks.map(track => track.title).sort();
+    };
+    const expect = async (query, expected) => {
+        const found = await titles(query);
+        const ok = JSON.stringify(found) === JSON.stringify(expected);
+        log(`${query} -> ${JSON.stringify(found)}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const results = [
+        await expect('artist:"Test Artist" duration:<4m', ['Test Song 1']),
+        await expect('duration:3:00..4m', ['Test Song 1', 'Test Song 2']),
+        await expect('style:electronic', ['Test Song 1']),
+        await expect('style:electro*', ['Test Song 1']),
+        await expect('-style:electronic path:flac', ['Test Song 2']),
+        await expect('mood:happy OR (style:techno song)', ['Test Song 2']),
+        await expect('"song 2"', ['Test Song 2']),
+        // Values are bound, never spliced into the SQL
+        await expect("title:\"x' OR 1=1 --\"", []),
+        await expect('bpm:>fast (year:1995', ['bpm needs a number', 'Missing )'])
+    ];
+
+    const { errors } = await searchEngine.searchByQuery('artist:"Boards of Canada" year:1995..2005 mood:dark -genre:pop bpm:>120 duration:<4m');
+    const exampleOk = errors.length === 0;
+    log(`Example query parses: ${exampleOk}`, exampleOk ? 'green' : 'red');
+
+    return results.every(Boolean) && exampleOk;
+}
+
+// Test the FTS5 index: ranking, prefixes, diacritics and staying in sync
+async function testFullTextSearch(container) {
+    logSection('Testing Full-Text Search');
+
+    const trackRepository = container.resolve('trackRepository');
+    const searchEngine = container.resolve('searchEngine');
+    const titles = async (query) => (await searchEngine.search(query)).map(track => track.title);
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    await trackRepository.saveTrack({
+        title: 'Jóga', artist: 'Björk', album: 'Homogenic', file_path: '/path/to/joga.flac', duration: 305
+    });
+    await trackRepository.saveTrack({
+        title: 'Hunter', artist: 'Björk', album: 'Homogenic', file_path: '/path/to/hunter.flac', duration: 255
+    });
+    await trackRepository.saveTrack({
+        title: 'Bjork Tribute', artist: 'Cover Band', album: 'Covers', file_path: '/path/to/tribute.mp3', duration: 200
+    });
+
+    const results = [];
+    const bjork = await titles('bjork');
+    results.push(check(`"bjork" finds Björk: ${JSON.stringify(bjork)}`, bjork.length === 3 && bjork[0] === 'Bjork Tribute'));
+    results.push(check('"jog" matches "Jóga" as a prefix', (await titles('jog')).join() === 'Jóga'));
+    results.push(check('All words are required', (await titles('bjork hunter')).join() === 'Hunter'));
+    results.push(check('FTS5 syntax is treated as text', (await titles('NEAR( "* OR')).length === 0));
+
+    await trackRepository.addTagToTrack({ title: 'Hunter', artist: 'Björk', album: 'Homogenic' }, 'mood:icy');
+    results.push(check('Added tag is indexed', (await titles('icy')).join() === 'Hunter'));
+
+    await trackRepository.saveTrack({
+        title: 'Hunter (Live)', artist: 'Björk', album: 'Homogenic', file_path: '/path/to/hunter.flac', duration: 255
+    });
+    results.push(check('Updated title is indexed', (await titles('live')).join() === 'Hunter (Live)'));
+
+    const { tracks } = await searchEngine.searchByQuery('bjork -title:tribute');
+    results.push(check('Query words use the index', tracks.length === 2 && tracks.every(track => track.artist === 'Björk')));
+
+    // A written track is indexed once, not again by the triggers for each of its tag rows
+    const db = container.resolve('databaseManager');
+    let indexWrites = 0;
+    const trace = (sql) => {
+        if (sql.startsWith("-- INSERT INTO 'main'.'tracks_fts_content'")) indexWrites++;
+    };
+    db.db.on('trace', trace);
+    await db.insertTracks([{
+        title: 'Movement', artist: 'String Quartet', album: 'Suites', file_path: '/path/to/movement.flac',
+        duration: 312, tags: ['mood:dramatic', 'style:orchestral', 'energy:high']
+    }]);
+    db.db.removeListener('trace', trace);
+    results.push(check(`A track written with 3 tags is indexed once (${indexWrites} index writes)`,
+        indexWrites === 1 && (await titles('orchestral')).join() === 'Movement'));
+
+    return results.every(Boolean);
+}
+
+// Test typo-tolerant search and the match spans used for highlighting
+async function testFuzzySearch(container) {
+    logSection('Testing Fuzzy Search');
+
+    const searchEngine = container.resolve('searchEngine');
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const results = [
+        check('Swapped letters are one edit', fuzzyMatch.distance('bjrok', 'bjork') === 1),
+        check('Distance stops at the limit', fuzzyMatch.distance('abcdef', 'uvwxyz', 2) === 3),
+        check('Spans ignore diacritics and map back to the text',
+            JSON.stringify(fuzzyMatch.findSpans('Jóga by Björk', [{ word: 'bjor', prefix: true }])) === '[[8,12]]'),
+        check('Whole-word spans skip longer words',
+            fuzzyMatch.findSpans('Bjorn', [{ word: 'bjor', prefix: false }]).length === 0)
+    ];
+
+    const misspelled = await searchEngine.searchByQuery('bjrok');
+    results.push(check(`"bjrok" finds Björk via ${JSON.stringify(misspelled.corrections)}`,
+        misspelled.tracks.length === 3 && (misspelled.corrections.bjrok || []).includes('bjork')));
+
+    const known = await searchEngine.searchByQuery('bjork');
+    results.push(check('Known words are not corrected', Object.keys(known.corrections).length === 0));
+
+    const plain = await searchEngine.search('homgenic');
+    results.push(check('Plain search falls back to close words', plain.length === 2));
+
+    const short = await searchEngine.searchByQuery('hnt');
+    results.push(check('Short words need an exact match', short.tracks.length === 0));
+
+    return results.every(Boolean);
+}
+
+// Test facet counts and facet filters of query results
+async function testSearchFacets(container) {
+    logSection('Testing Search Facets');
+
+    const trackRepository = container.resolve('trackRepository');
+    const searchEngine = container.resolve('searchEngine');
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const tracks = [
+        { title: 'Facet One', genre: 'Rock', year: 1994, tags: ['mood:dark', 'mood:calm'] },
+        { title: 'Facet Two', genre: 'Pop', year: 2001, tags: ['mood:dark'] },
+        { title: 'Facet Three', genre: 'Pop', year: 2003, tags: [] }
+    ];
+    for (const [index, track] of tracks.entries()) {
+        await trackRepository.saveTrack({
+            ...track, artist: 'Facet Artist', album: 'Facet Album', duration: 200,
+            file_path: `/path/to/facet${index}.mp3`, tags: JSON.stringify(track.tags)
+        });
+    }
+
+    const count = (facets, facet, value) => ((facets.facets[facet] || []).find(entry => entry.value === value) || {}).count || 0;
+    const titles = (result) => result.tracks.map(track => track.title).sort();
+
+    const all = await searchEngine.searchByQuery('facet', { facets: true });
+    const results = [
+        check('Counts over the results', all.facets.total === 3 && count(all.facets, 'genre', 'Pop') === 2 &&
+            count(all.facets, 'decade', 1990) === 1 && count(all.facets, 'tag:mood', 'dark') === 2)
+    ];
+
+    const pop = await searchEngine.searchByQuery('facet', { facets: true, filters: { genre: { values: ['Pop'] } } });
+    results.push(check('A facet filters the results', JSON.stringify(titles(pop)) === '["Facet Three","Facet Two"]'));
+    results.push(check('A facet keeps counting its other values',
+        count(pop.facets, 'genre', 'Rock') === 1 && count(pop.facets, 'decade', 1990) === 0 && pop.facets.total === 2));
+
+    const either = await searchEngine.searchByQuery('facet', {
+        facets: true, filters: { genre: { values: ['Pop', 'Rock'] }, 'tag:mood': { values: ['dark'] } }
+    });
+    results.push(check('Values of a facet are ORed, facets ANDed', JSON.stringify(titles(either)) === '["Facet One","Facet Two"]'));
+
+    const both = await searchEngine.searchByQuery('facet', { facets: true, filters: { 'tag:mood': { values: ['dark', 'calm'], all: true } } });
+    results.push(check('A tag facet can require all its values', titles(both).join() === 'Facet One' && both.facets.total === 1));
+
+    return results.every(Boolean);
+}
+
+// Test smart crates: saved searches and tag selections that follow the library
+async function testSmartCrates(container) {
+    logSection('Testing Smart Crates');
+
+    const trackRepository = container.resolve('trackRepository');
+    const smartCrates = container.resolve('smartCrates');
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const search = await smartCrates.save({ name: 'Pop facets', query: 'facet', filters: { genre: { values: ['Pop'] } } });
+    const dark = await smartCrates.save({ name: 'Dark', tags: ['mood:dark'] });
+    const results = [
+        check('A saved search counts its tracks', search.trackCount === 2),
+        check('A tag crate counts its tracks', dark.trackCount === 2)
+    ];
+
+    await trackRepository.saveTrack({
+        title: 'Crate Newcomer', artist: 'Facet Artist', album: 'Facet Album', genre: 'Pop', duration: 200,
+        file_path: '/path/to/crate0.mp3', tags: JSON.stringify(['mood:dark/brooding'])
+    });
+    const crates = await smartCrates.getCrates();
+    const counts = Object.fromEntries(crates.map(crate => [crate.name, crate.trackCount]));
+    results.push(check('Crates follow the library, tags include descendants', counts['Pop facets'] === 3 && counts.Dark === 3));
+
+    const tracks = await smartCrates.getTracks(dark.id);
+    results.push(check('A crate lists its tracks', tracks.length === 3 && tracks.some(track => track.title === 'Crate Newcomer')));
+
+    const replaced = await smartCrates.save({ name: 'dark', tags: ['mood:calm'] });
+    results.push(check('Saving under an existing name replaces the crate',
+        replaced.id === dark.id && replaced.trackCount === 1 && (await smartCrates.getCrates()).length === 2));
+
+    const invalid = await Promise.all([
+        { name: '', query: 'facet' },
+        { name: 'Nothing' },
+        { name: 'Broken', query: 'year:abc' },
+        { name: 'Unknown facet', query: 'facet', filters: { color: { values: ['red'] } } }
+    ].map(crate => smartCrates.save(crate).then(() => false, () => true)));
+    results.push(check('Invalid crates are rejected', invalid.every(Boolean)));
+
+    const exported = JSON.parse(await smartCrates.exportJson());
+    results.push(check('Crates export as JSON', exported.crates.length === 2 &&
+        exported.crates.some(crate => crate.name === 'Pop facets' && crate.query === 'facet' && crate.filters.genre.values[0] === 'Pop')));
+
+    results.push(check('A crate can be deleted', await smartCrates.delete(search.id) && (await smartCrates.getCrates()).length === 1));
+
+    return results.every(Boolean);
+}
+
+// Test that writes from outside a transaction wait for it, and one bad track leaves a batch intact
+async function testWriteQueue(container) {
+    logSection('Testing Write Queue');
+
+    const db = container.resolve('databaseManager');
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    // The batch is still open when the outside write arrives, then rolls back
+    const batch = db.transaction(async () => {
+        await db._run(`INSERT INTO settings (key, value) VALUES ('queue_inside', '1')`);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        throw new Error('batch failed');
+    }).catch(() => null);
+    const outside = db.saveSetting('queue_outside', 1);
+    await Promise.all([batch, outside]);
+
+    const results = [
+        check('A write during a transaction is not rolled back with it',
+            await db.getSetting('queue_inside') === null && await db.getSetting('queue_outside') === 1)
+    ];
+
+    const saved = await db.insertTracks([
+        { title: 'Queue Good', artist: 'Queue Artist', file_path: '/path/to/queue0.mp3', tags: '["mood:calm"]' },
+        { title: null, artist: 'Queue Artist', file_path: '/path/to/queue1.mp3', tags: '["mood:calm"]' },
+        { title: 'Queue Good Too', artist: 'Queue Artist', file_path: '/path/to/queue2.mp3', tags: '[]' }
+    ]);
+    const rows = await db._all(`SELECT file_path FROM tracks WHERE artist = 'Queue Artist' ORDER BY file_path`);
+    results.push(check('A failing track is skipped, the rest of the batch is saved',
+        JSON.stringify(saved) === '[true,false,true]' && rows.map(row => row.file_path).join() === '/path/to/queue0.mp3,/path/to/queue2.mp3'));
+
+    return results.every(Boolean);
+}
+
+// Test a rescan skips unchanged files, follows moved ones and prunes deleted ones
+async function testIncrementalRescan(container) {
+    logSection('Testing Incremental Rescan');
+
+    const trackRepository = container.resolve('trackRepository');
+    const db = container.resolve('databaseManager');
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const root = createTempLibrary({ 'one.mp3': 'audio one', 'two.mp3': 'audio two', 'three.mp3': 'audio three' });
+    const extractor = createStubExtractor('Rescan Artist');
+    const scanService = new DatabaseScanService(trackRepository, container.resolve('fileScanner'), extractor, { concurrency: 1 });
+
+    const first = await scanService.scanDirectory(root);
+    const results = [
+        check('First scan adds every file', first.added === 3 && first.errors === 0)
+    ];
+
+    await trackRepository.addTagToTrack({ title: 'two', artist: 'Rescan Artist', album: 'Scan Album' }, 'mood:kept');
+    await trackRepository.addTagToTrack({ title: 'three', artist: 'Rescan Artist', album: 'Scan Album' }, 'mood:deleted');
+    fs.mkdirSync(path.join(root, 'moved'));
+    fs.renameSync(path.join(root, 'two.mp3'), path.join(root, 'moved', 'two.mp3'));
+    fs.unlinkSync(path.join(root, 'three.mp3'));
+
+    const second = await scanService.scanDirectory(root);
+    log(`  Rescan: ${second.unchanged} unchanged, ${second.moved} moved, ${second.removed} removed, ${second.added} added`, 'yellow');
+    results.push(check('Rescan counts unchanged, moved and deleted files',
+        second.unchanged === 1 && second.moved === 1 && second.removed === 1 && second.added === 0));
+    results.push(check('Only new files are extracted', extractor.calls.length === 3));
+
+    const moved = await db._get('SELECT id, file_path FROM tracks WHERE title = ? AND artist = ?', ['two', 'Rescan Artist']);
+    results.push(check('A moved file keeps its track and tags',
+        moved.file_path === path.join(root, 'moved', 'two.mp3') &&
+        (await trackRepository.getTrackFileTags(moved.id)).includes('mood:kept')));
+
+    const deleted = await db._get('SELECT missing FROM tracks WHERE file_path = ?', [path.join(root, 'three.mp3')]);
+    results.push(check('A deleted file is marked missing', deleted && deleted.missing === 1));
+
+    const usage = await container.resolve('searchEngine').getTagUsage();
+    results.push(check('Tag usage only counts tracks on disk',
+        usage.some(({ tag }) => tag === 'mood:kept') && !usage.some(({ tag }) => tag === 'mood:deleted')));
+
+    fs.rmSync(root, { recursive: true, force: true });
+    return results.every(Boolean);
+}
+
+// Test an interrupted scan job resumes from its cursor, and a failed batch does not stop the scan
+async function testScanJobs(container) {
+    logSection('Testing Scan Jobs');
+
+    const trackRepository = container.resolve('trackRepository');
+    const fileScanner = container.resolve('fileScanner');
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const root = createTempLibrary({ 'a.mp3': 'audio a', 'b.mp3': 'audio b', 'c.mp3': 'audio c', 'd.mp3': 'audio d' });
+    const scanService = new DatabaseScanService(trackRepository, fileScanner, createStubExtractor('Resume Artist'),
+        { concurrency: 1, batchSize: 1 });
+
+    // Pause after two files, then forget the paused scan as a quit app would
+    let pausedAfterTwo;
+    const paused = new Promise(resolve => { pausedAfterTwo = resolve; });
+    scanService.scanDirectory(root, (progress) => {
+        if (progress.current === 2) scanService.pauseScan().then(pausedAfterTwo);
+    });
+    await paused;
+    const jobId = scanService.activeScan.jobId;
+
+    const second = await scanService.scanDirectory(root).then(() => null, error => error.message);
+    const results = [
+        check('A second scan is refused while one runs', second === 'A scan is already running')
+    ];
+
+    await trackRepository.markInterruptedScanJobs();
+    const interrupted = await trackRepository.getScanJob(jobId);
+    results.push(check('The paused job is interrupted at its cursor',
+        interrupted.status === 'interrupted' && interrupted.cursor === path.join(root, 'b.mp3')));
+
+    const extractor = createStubExtractor('Resume Artist');
+    const restarted = new DatabaseScanService(trackRepository, fileScanner, extractor, { concurrency: 1, batchSize: 1 });
+    const resumed = await restarted.resumeScanJob(jobId);
+    const job = await trackRepository.getScanJob(jobId);
+    results.push(check('Resuming only extracts the files after the cursor', extractor.calls.join() === 'c.mp3,d.mp3'));
+    results.push(check('The resumed job completes with the counts of both runs',
+        resumed.added === 4 && job.status === 'completed' && job.added === 4));
+
+    // The first batch cannot be saved; the scan goes on with the next ones
+    let failNextSave = true;
+    const failingRepository = Object.create(trackRepository);
+    failingRepository.saveTracks = async (tracks) => {
+        if (failNextSave) {
+            failNextSave = false;
+            throw new Error('disk full');
+        }
+        return await trackRepository.saveTracks(tracks);
+    };
+    const failedRoot = createTempLibrary({ 'e.mp3': 'audio e', 'f.mp3': 'audio f', 'g.mp3': 'audio g' });
+    const failingService = new DatabaseScanService(failingRepository, fileScanner, createStubExtractor('Failing Artist'),
+        { concurrency: 1, batchSize: 1 });
+    const failed = await failingService.scanDirectory(failedRoot);
+    const errors = await trackRepository.getScanJobErrors(failed.jobId);
+    results.push(check('A failed batch is counted as errors and later batches are saved',
+        failed.errors === 1 && failed.added === 2 &&
+        errors.length === 1 && errors[0].errorType === 'DatabaseError' && errors[0].errorMessage.includes('disk full')));
+
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(failedRoot, { recursive: true, force: true });
+    return results.every(Boolean);
+}
+
+// Test relocating a root moves its tracks and lets an interrupted scan job resume at the new location
+async function testRootRelocation() {
+    logSection('Testing Root Relocation');
+
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const container = await createInitializedContainer(':memory:');
+    const trackRepository = container.resolve('trackRepository');
+    const fileScanner = container.resolve('fileScanner');
+    const root = createTempLibrary({ 'a.mp3': 'audio a', 'b.mp3': 'audio b', 'c.mp3': 'audio c' });
+    const libraryRoot = await trackRepository.addLibraryRoot(root);
+
+    // Pause after the first file and quit, leaving an interrupted job for the old path
+    const scanService = new DatabaseScanService(trackRepository, fileScanner, createStubExtractor('Relocated Artist'),
+        { concurrency: 1, batchSize: 1 });
+    let pausedAfterOne;
+    const paused = new Promise(resolve => { pausedAfterOne = resolve; });
+    scanService.scanDirectory(root, (progress) => {
+        if (progress.current === 1) scanService.pauseScan().then(pausedAfterOne);
+    });
+    await paused;
+    const jobId = scanService.activeScan.jobId;
+    await trackRepository.markInterruptedScanJobs();
+
+    const newRoot = `${root}-moved`;
+    fs.renameSync(root, newRoot);
+    const { moved } = await container.resolve('libraryRootService').relocateRoot(libraryRoot.id, newRoot);
+    container.resolve('libraryWatcher').stop();
+
+    const job = await trackRepository.getScanJob(jobId);
+    const results = [
+        check('The scanned track moves with the root', moved === 1),
+        check('The interrupted job points at the new root',
+            job.root === newRoot && job.cursor === path.join(newRoot, 'a.mp3'))
+    ];
+
+    const extractor = createStubExtractor('Relocated Artist');
+    const restarted = new DatabaseScanService(trackRepository, fileScanner, extractor, { concurrency: 1, batchSize: 1 });
+    const resumed = await restarted.resumeScanJob(jobId).catch(error => ({ error: error.message }));
+    results.push(check(`The job resumes after the relocation: ${JSON.stringify(resumed.error || extractor.calls)}`,
+        !resumed.error && resumed.added === 3 && extractor.calls.join() === 'b.mp3,c.mp3'));
+
+    container.resolve('databaseManager').close();
+    fs.rmSync(newRoot, { recursive: true, force: true });
+    return results.every(Boolean);
+}
+
+// Test a writeback dry run leaves the file alone and its tags come back when the file is imported again
+async function testTagWriteback(container) {
+    logSection('Testing Tag Writeback');
+
+    const trackRepository = container.resolve('trackRepository');
+    const tagWriteback = container.resolve('tagWriteback');
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    const root = createTempLibrary({ 'round.mp3': 'audio round' });
+    const scanService = new DatabaseScanService(trackRepository, container.resolve('fileScanner'),
+        createStubExtractor('Writeback Artist'), { concurrency: 1 });
+    await scanService.scanDirectory(root);
+
+    const track = { title: 'round', artist: 'Writeback Artist', album: 'Scan Album' };
+    await trackRepository.addTagToTrack(track, 'mood:dreamy');
+    await trackRepository.addTagToTrack(track, 'style:electronic/ambient');
+    const trackId = await trackRepository.findTrackId(track);
+
+    const [plan] = await tagWriteback.writeTracks([trackId], { dryRun: true });
+    const statuses = await tagWriteback.getStatuses();
+    log(`  Planned ${MetadataExtractor.FILE_TAGS_FIELD}: ${plan.fields[MetadataExtractor.FILE_TAGS_FIELD]}`, 'yellow');
+    const results = [
+        check('A dry run plans the user tags for the file',
+            plan.status === 'dry-run' && plan.container === 'id3v2' &&
+            plan.fields[MetadataExtractor.FILE_TAGS_FIELD] === 'mood:dreamy; style:electronic/ambient'),
+        check('A dry run changes neither the file nor its writeback status',
+            fs.readFileSync(path.join(root, 'round.mp3'), 'utf8') === 'audio round' &&
+            !statuses.some(status => status.trackId === trackId))
+    ];
+
+    // Tag changes only queue the track; with writeback off nothing is written
+    await tagWriteback.tracksTagsChanged([trackId]);
+    const summary = await tagWriteback.getSummary();
+    results.push(check('A tag change marks the track pending without writing',
+        summary.pending === 1 && tagWriteback.getStatus().state === 'idle'));
+
+    // What ffprobe would report once the field is in the file, imported into an empty library
+    const fileTags = MetadataExtractor.readFileTags({ format: { tags: plan.fields } });
+    const imported = await createInitializedContainer(':memory:');
+    const importRepository = imported.resolve('trackRepository');
+    const importScan = new DatabaseScanService(importRepository, imported.resolve('fileScanner'),
+        createStubExtractor('Writeback Artist', fileTags), { concurrency: 1 });
+    await importScan.scanDirectory(root);
+    const importedTags = await importRepository.getTrackFileTags(await importRepository.findTrackId(track));
+    imported.resolve('databaseManager').close();
+
+    results.push(check('Written tags are imported back from the file', importedTags.join() === plan.tags.join()));
+
+    // MP4 files get an iTunes freeform atom; writing again replaces it
+    const m4aRoot = createTempLibrary({ 'atom.m4a': createMp4('mp4 audio'), 'second.m4a': createMp4('more audio') });
+    const m4aPath = path.join(m4aRoot, 'atom.m4a');
+    await scanService.scanDirectory(m4aRoot);
+    const m4aTrack = { title: 'atom', artist: 'Writeback Artist', album: 'Scan Album' };
+    await trackRepository.addTagToTrack(m4aTrack, 'mood:dreamy');
+    const m4aId = await trackRepository.findTrackId(m4aTrack);
+    await tagWriteback.writeTracks([m4aId], { backup: false, writeGrouping: true });
+    await trackRepository.addTagToTrack(m4aTrack, 'style:jazz');
+    const [m4aResult] = await tagWriteback.writeTracks([m4aId], { backup: false, writeGrouping: true });
+
+    const m4aFile = fs.readFileSync(m4aPath);
+    const items = Mp4MetadataAtoms.readItems(m4aFile);
+    log(`  MP4 items: ${JSON.stringify(items)}`, 'yellow');
+    results.push(check('An m4a file gets the tags as a freeform atom, replaced on the next write',
+        m4aResult.status === 'written' && Object.keys(items).length === 2 &&
+        items[`----:com.apple.iTunes:${MetadataExtractor.FILE_TAGS_FIELD}`] === 'mood:dreamy; style:jazz' &&
+        items['©grp'] === 'mood:dreamy; style:jazz'));
+    results.push(check('The m4a audio is still found through its chunk offset',
+        readFirstChunk(m4aFile, 9) === 'mp4 audio'));
+
+    // Stopping, as closing the app does, finishes the file being written and leaves the rest pending
+    const secondId = await trackRepository.findTrackId({ title: 'second', artist: 'Writeback Artist', album: 'Scan Album' });
+    await tagWriteback.saveSettings({ enabled: true, backup: false });
+    await tagWriteback.tracksTagsChanged([m4aId, secondId]);
+    await tagWriteback.stop();
+    await tagWriteback.saveSettings({ enabled: false });
+    const stillPending = (await tagWriteback.getStatuses('pending')).map(status => status.trackId);
+    results.push(check('Stopping writeback waits for the current file and keeps the queued ones pending',
+        tagWriteback.drain === null && tagWriteback.getStatus().processed === 1 &&
+        stillPending.includes(secondId) && !stillPending.includes(m4aId) &&
+        fs.readdirSync(m4aRoot).every(name => !name.startsWith('.'))));
+    fs.rmSync(m4aRoot, { recursive: true, force: true });
+
+    fs.rmSync(root, { recursive: true, force: true });
+    return results.every(Boolean);
+}
+
+// Test scan rules apply below the library root, the same in a full scan, a watcher sync and a retry
+async function testScanRulesUnderHiddenRoot() {
+    logSection('Testing Scan Rules Under a Hidden Root');
+
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+
+    // A library kept below a dot-folder, like ~/.music
+    const hidden = fs.mkdtempSync(path.join(os.tmpdir(), '.musictagflow-hidden-'));
+    const root = createTempLibrary({
+        'kept.mp3': 'audio kept',
+        'Samples/sample.mp3': 'audio sample',
+        'deep/Samples/nested.mp3': 'audio nested'
+    }, hidden);
+
+    const container = await createInitializedContainer(':memory:');
+    const trackRepository = container.resolve('trackRepository');
+    const scanService = new DatabaseScanService(trackRepository, container.resolve('fileScanner'),
+        createStubExtractor('Hidden Root Artist'), { concurrency: 1 });
+    await scanService.saveScanRules({ excludePatterns: ['/Samples/**'] });
+
+    const scanned = await scanService.scanDirectory(root);
+    const results = [
+        check('A full scan keeps files below a hidden parent and anchors / at the root', scanned.added === 2)
+    ];
+
+    fs.writeFileSync(path.join(root, 'watched.mp3'), 'audio watched');
+    fs.writeFileSync(path.join(root, 'Samples', 'watched.mp3'), 'audio watched sample');
+    const synced = await scanService.syncPaths([path.join(root, 'watched.mp3'), path.join(root, 'Samples', 'watched.mp3')]);
+    results.push(check('A watcher sync applies the same rules', synced.added === 1));
+
+    const retried = await scanService.retryFiles(scanned.jobId, [path.join(root, 'kept.mp3')]);
+    results.push(check('A retried file below a hidden parent is scanned again', retried.unchanged === 1));
+
+    container.resolve('databaseManager').close();
+    fs.rmSync(hidden, { recursive: true, force: true });
+    return results.every(Boolean);
+}
+
+// Test nested roots share one watcher and a failed watcher is re-created and resyncs its root
+async function testLibraryWatcher() {
+    logSection('Testing Library Watcher');
+
+    const check = (label, ok) => {
+        log(`${label}: ${ok}`, ok ? 'green' : 'red');
+        return ok;
+    };
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const synced = [];
+    const scanService = {
+        async syncPaths(paths) {
+            synced.push(...paths);
+            return { added: 0, updated: 1, moved: 0, removed: 0, errors: 0 };
+        }
+    };
+    const watcher = new LibraryWatcher(scanService, null, { debounceMs: 10, retryMs: 20 });
+    const root = createTempLibrary({ 'sub/a.mp3': 'audio a' });
+
+    watcher.watch(path.join(root, 'sub'));
+    watcher.watch(root + path.sep);
+    watcher.watch(path.join(root, 'sub'));
+    const results = [
+        check('A root and a folder inside it share one watcher', watcher.getWatchedDirectories().join() === root)
+    ];
+
+    watcher.watchers.get(root).emit('error', new Error('watch handle lost'));
+    const stopped = watcher.getWatchedDirectories().length === 0;
+    await wait(100);
+    results.push(check('A failed watcher is watched again after a delay',
+        stopped && watcher.getWatchedDirectories().join() === root));
+    results.push(check('The root is synced once it is watched again', synced.includes(root)));
+
+    watcher.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+    return results.every(Boolean);
+}
+
 // Test that services are properly wired
 async function testServiceIntegration(container) {
     logSection('Testing Service Integration');
@@ -176,6 +922,19 @@ async function runTests() {
         const test1Pass = await testServiceIntegration(container);
         const test2Pass = await testTrackSavingWithEnrichment(container);
         const test3Pass = await testRepositoryStats(container);
+        const test4Pass = await testTagOperations(container);
+        const test5Pass = await testQuerySearch(container);
+        const test6Pass = await testFullTextSearch(container);
+        const test7Pass = await testFuzzySearch(container);
+        const test8Pass = await testSearchFacets(container);
+        const test9Pass = await testSmartCrates(container);
+        const test10Pass = await testWriteQueue(container);
+        const test11Pass = await testIncrementalRescan(container);
+        const test12Pass = await testScanJobs(container);
+        const test13Pass = await testTagWriteback(container);
+        const test14Pass = await testScanRulesUnderHiddenRoot();
+        const test15Pass = await testLibraryWatcher();
+        const test16Pass = await testRootRelocation();
         
         logSection('Test Summary');
         log(`Service Integration: ${test1Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
@@ -184,8 +943,35 @@ async function runTests() {
             test2Pass ? 'green' : 'red');
         log(`Repository Statistics: ${test3Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
             test3Pass ? 'green' : 'red');
+        log(`Tag Operations: ${test4Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test4Pass ? 'green' : 'red');
+        log(`Query Search: ${test5Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test5Pass ? 'green' : 'red');
+        log(`Full-Text Search: ${test6Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test6Pass ? 'green' : 'red');
+        log(`Fuzzy Search: ${test7Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test7Pass ? 'green' : 'red');
+        log(`Search Facets: ${test8Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test8Pass ? 'green' : 'red');
+        log(`Smart Crates: ${test9Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test9Pass ? 'green' : 'red');
+        log(`Write Queue: ${test10Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test10Pass ? 'green' : 'red');
+        log(`Incremental Rescan: ${test11Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test11Pass ? 'green' : 'red');
+        log(`Scan Jobs: ${test12Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test12Pass ? 'green' : 'red');
+        log(`Tag Writeback: ${test13Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test13Pass ? 'green' : 'red');
+        log(`Scan Rules Under Hidden Root: ${test14Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test14Pass ? 'green' : 'red');
+        log(`Library Watcher: ${test15Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test15Pass ? 'green' : 'red');
+        log(`Root Relocation: ${test16Pass ? 'PASSED ✓' : 'FAILED ✗'}`, 
+            test16Pass ? 'green' : 'red');
         
-        const allPassed = test1Pass && test2Pass && test3Pass;
+        const allPassed = test1Pass && test2Pass && test3Pass && test4Pass && test5Pass && test6Pass && test7Pass &&
+            test8Pass && test9Pass && test10Pass && test11Pass && test12Pass && test13Pass && test14Pass && test15Pass && test16Pass;
         log(`\nOverall: ${allPassed ? 'ALL TESTS PASSED ✓' : 'SOME TESTS FAILED ✗'}`, 
             allPassed ? 'green' : 'red');
         